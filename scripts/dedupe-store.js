@@ -0,0 +1,55 @@
+const path = require('path');
+const { ContentStore } = require('../src/scripts/content-store');
+
+/**
+ * Moves the libraries and asset objects of existing game roots into a shared
+ * content store and replaces the copies with hardlinks to it
+ * Usage: node dedupe-store.js --store <store-dir> [--dry-run] <game-root>...
+ */
+
+function parseArgs(args) {
+  const options = { store: null, dryRun: false, roots: [] };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--store') {
+      options.store = args[++i];
+    } else if (args[i].startsWith('--store=')) {
+      options.store = args[i].slice('--store='.length);
+    } else if (args[i] === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      options.roots.push(path.resolve(args[i]));
+    }
+  }
+  return options;
+}
+
+function formatBytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.store || options.roots.length === 0) {
+    console.log('Usage: node dedupe-store.js --store <store-dir> [--dry-run] <game-root>...');
+    process.exit(1);
+  }
+
+  const store = new ContentStore(options.store);
+  const report = await store.dedupe(options.roots, { dryRun: options.dryRun });
+  if (!report.success) {
+    console.error(report.error);
+    process.exit(1);
+  }
+
+  const verb = options.dryRun ? 'Would link' : 'Linked';
+  console.log(`Scanned ${report.files} files in ${options.roots.length} game root(s)`);
+  console.log(`${verb} ${report.linked} duplicates, saving ${formatBytes(report.bytes)}`);
+  console.log(`${options.dryRun ? 'Would add' : 'Added'} ${report.stored} files to ${store.root}`);
+  if (report.copied) console.log(`Copied ${report.copied} files where hardlinks aren't supported`);
+  if (report.failed) console.log(`${report.failed} files failed, see the log`);
+}
+
+main().catch(error => {
+  console.error('Deduplication failed:', error);
+  process.exit(1);
+});
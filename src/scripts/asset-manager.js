@@ -1,22 +1,13 @@
 const fs = require('fs-extra');
 const path = require('path');
-const os = require('os');
-const fetch = require('node-fetch');
 const crypto = require('crypto');
 const logger = require('./logger');
-
-function getAppDataDir() {
-    switch (os.platform()) {
-        case 'win32': return process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
-        case 'darwin': return path.join(os.homedir(), 'Library', 'Application Support');
-        case 'linux': return process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
-        default: return os.homedir();
-    }
-}
+const downloadManager = require('./download-manager');
+const { resolveGameRoot } = require('./game-root');
 
 class AssetManager {
     constructor(baseDir) {
-        this.baseDir = baseDir || path.join(getAppDataDir(), '.alrightlauncher');
+        this.baseDir = resolveGameRoot(baseDir);
         this.assetsDir = path.join(this.baseDir, 'assets');
         this.indexesDir = path.join(this.assetsDir, 'indexes');
         this.objectsDir = path.join(this.assetsDir, 'objects');
@@ -26,10 +17,12 @@ class AssetManager {
         this.config = {
             downloadBatchSize: 50,
             downloadRetries: 3,
-            downloadTimeout: 30000, // 30 seconds
             downloadConcurrency: 10, // Controls parallel downloads
             validateHashes: true
         };
+
+        // Install queue job this manager runs under (see install-queue.js), set by main.js
+        this.job = null;
     }
 
     /**
@@ -95,14 +88,14 @@ class AssetManager {
                     
                     if (currentHash !== assetIndex.sha1) {
                         logger.warn(`Asset index SHA1 mismatch, redownloading`);
-                        await this._downloadFile(assetIndex.url, indexPath);
+                        await this._downloadFile(assetIndex.url, indexPath, { sha1: assetIndex.sha1, size: assetIndex.size });
                     } else {
                         logger.info(`Asset index SHA1 validated successfully`);
                     }
                 }
             } else {
                 // Download the asset index
-                await this._downloadFile(assetIndex.url, indexPath);
+                await this._downloadFile(assetIndex.url, indexPath, { sha1: assetIndex.sha1, size: assetIndex.size });
             }
             
             // Return the index ID for reference
@@ -115,47 +108,21 @@ class AssetManager {
     }
 
     /**
-     * Downloads a file with retry logic
+     * Downloads a file through the shared download engine
      * @param {string} url - URL to download from
      * @param {string} destination - Where to save the file
+     * @param {Object} [expected] - sha1/size from the manifest, verified before the file is kept
      * @returns {Promise<boolean>} - Whether download was successful
      * @private
      */
-    async _downloadFile(url, destination) {
-        let attempts = 0;
-        
-        while (attempts < this.config.downloadRetries) {
-            attempts++;
-            try {
-                logger.info(`Downloading from ${url} (attempt ${attempts}/${this.config.downloadRetries})`);
-                
-                const response = await fetch(url, {
-                    timeout: this.config.downloadTimeout
-                });
-                
-                if (!response.ok) {
-                    throw new Error(`HTTP error: ${response.status} ${response.statusText}`);
-                }
-                
-                const buffer = await response.buffer();
-                await fs.writeFile(destination, buffer);
-                logger.info(`Successfully downloaded to ${destination}`);
-                return true;
-            } catch (error) {
-                logger.warn(`Download attempt ${attempts} failed: ${error.message}`);
-                
-                if (attempts >= this.config.downloadRetries) {
-                    logger.error(`All download attempts failed for ${url}`);
-                    throw new Error(`Failed to download ${url} after ${this.config.downloadRetries} attempts: ${error.message}`);
-                }
-                
-                // Wait before retry (exponential backoff)
-                const delay = Math.min(1000 * Math.pow(2, attempts - 1), 10000);
-                await new Promise(resolve => setTimeout(resolve, delay));
-            }
-        }
-        
-        return false;
+    async _downloadFile(url, destination, expected = {}) {
+        await downloadManager.download(url, destination, {
+            ...expected,
+            retries: this.config.downloadRetries,
+            signal: this.job ? this.job.signal : undefined
+        });
+        logger.debug(`Successfully downloaded to ${destination}`);
+        return true;
     }
 
     /**
@@ -218,6 +185,7 @@ class AssetManager {
             const batchSize = this.config.downloadBatchSize;
             
             for (let i = 0; i < objectList.length; i += batchSize) {
+                if (this.job) await this.job.checkpoint();
                 const batch = objectList.slice(i, i + batchSize);
                 
                 // Run a limited number of concurrent downloads to avoid overwhelming the network
@@ -242,6 +210,9 @@ class AssetManager {
                 }
             }
             
+            // Downloads aborted by a cancel show up as failures; report the cancel instead
+            if (this.job) await this.job.checkpoint();
+
             logger.info(`Asset download complete: ${downloadedCount} downloaded, ${skippedCount} skipped, ${failedCount} failed`);
             
             // Report final progress
@@ -264,6 +235,7 @@ class AssetManager {
             };
             
         } catch (error) {
+            if (error.cancelled) throw error;
             logger.error(`Failed to download assets: ${error.message}`, error);
             
             if (onProgress) {
@@ -385,53 +357,20 @@ class AssetManager {
             // Download the asset
             const url = `https://resources.download.minecraft.net/${subdir}/${hash}`;
             
-            // Try to download the file with retries
-            let attempts = 0;
-            while (attempts < this.config.downloadRetries) {
-                attempts++;
-                try {
-                    const response = await fetch(url, {
-                        timeout: this.config.downloadTimeout
-                    });
-                    
-                    if (!response.ok) {
-                        throw new Error(`HTTP error: ${response.status} ${response.statusText}`);
-                    }
-                    
-                    const buffer = await response.buffer();
-                    await fs.writeFile(assetFilePath, buffer);
-                    
-                    // Validate downloaded file if requested
-                    if (this.config.validateHashes) {
-                        const isValid = await this._validateFileHash(assetFilePath, hash);
-                        if (!isValid) {
-                            throw new Error('Downloaded file failed hash validation');
-                        }
-                    }
-                    
-                    // Special logging for sound assets
-                    if (assetPath.startsWith('minecraft/sounds/')) {
-                        logger.debug(`Downloaded sound asset: ${assetPath}`);
-                    }
-                    
-                    return 'downloaded';
-                    
-                } catch (error) {
-                    logger.warn(`Download attempt ${attempts} failed for ${hash}: ${error.message}`);
-                    
-                    if (attempts >= this.config.downloadRetries) {
-                        logger.error(`All download attempts failed for asset ${hash}`);
-                        return 'failed';
-                    }
-                    
-                    // Wait before retry with exponential backoff
-                    const delay = Math.min(1000 * Math.pow(2, attempts - 1), 10000);
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                }
+            try {
+                await this._downloadFile(url, assetFilePath, { sha1: hash, size: asset.size });
+            } catch (error) {
+                logger.error(`All download attempts failed for asset ${hash}: ${error.message}`);
+                return 'failed';
             }
-            
-            return 'failed';
-            
+
+            // Special logging for sound assets
+            if (assetPath.startsWith('minecraft/sounds/')) {
+                logger.debug(`Downloaded sound asset: ${assetPath}`);
+            }
+
+            return 'downloaded';
+
         } catch (error) {
             logger.error(`Failed to process asset ${assetPath}: ${error.message}`);
             return 'failed';
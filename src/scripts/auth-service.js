@@ -3,6 +3,7 @@ const fetch = require('node-fetch');
 const fs = require('fs-extra');
 const path = require('path');
 const logger = require('./logger');
+const { registerSecret } = require('./redact');
 
 class AuthService {
     constructor() {
@@ -54,6 +55,7 @@ class AuthService {
                     }
                     
                     this.authData = data;
+                    this.registerAuthSecrets();
                     logger.info('Authentication data loaded successfully');
                     logger.info(`Auth data for: ${this.authData?.profile?.name || 'unknown user'}`);
                     
@@ -110,10 +112,18 @@ class AuthService {
         }
     }
     
+    // Mask the current tokens in every log line from now on
+    registerAuthSecrets() {
+        registerSecret(this.authData?.accessToken);
+        registerSecret(this.authData?.refreshToken);
+    }
+
     // Improve saveAuthData to ensure the directory exists
     async saveAuthData() {
         try {
             if (this.authData) {
+                this.registerAuthSecrets();
+
                 // Ensure the directory exists
                 await fs.ensureDir(path.dirname(this.authDataPath));
                 
@@ -0,0 +1,253 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./logger');
+
+// Filesystems (or pairs of volumes) that can't hardlink fail with one of these
+const NO_HARDLINK = new Set(['EXDEV', 'EPERM', 'ENOTSUP', 'EOPNOTSUPP', 'EMLINK', 'ENOSYS']);
+
+// Folders of a game root whose files are immutable and identified by their SHA1
+const SHARED_DIRS = ['libraries', path.join('assets', 'objects')];
+
+function hashFile(filePath) {
+    // Required lazily; the download manager itself uses the store
+    return require('./download-manager').hashFile(filePath);
+}
+
+async function* walk(dir) {
+    let entries;
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+        return;
+    }
+    for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            yield* walk(entryPath);
+        } else if (entry.isFile() && !entry.name.endsWith('.part')) {
+            yield entryPath;
+        }
+    }
+}
+
+/**
+ * Optional store of library and asset files shared by several game roots (standalone
+ * exports, --minecraft-folder setups, per-profile roots). Files live once under
+ * <store>/objects/<sha1[0:2]>/<sha1> and game roots hardlink to them, or get a copy
+ * where the filesystem can't hardlink (FAT32, another volume).
+ *
+ * Linked files must never be written in place. Everything in the launcher replaces
+ * files by renaming a finished download over them, which breaks the link instead of
+ * changing the stored object.
+ *
+ * The store is enabled by the sharedStore setting (a folder path; empty disables it).
+ */
+class ContentStore {
+    /**
+     * @param {string} [root] Store folder (default: the sharedStore setting)
+     */
+    constructor(root = null) {
+        this.fixedRoot = root;
+        this.warnedCopy = false;
+        this.verified = new Set(); // object paths hashed (or stored) since startup
+    }
+
+    get root() {
+        const root = this.fixedRoot || (global.settings || {}).sharedStore;
+        return root ? path.resolve(root) : null;
+    }
+
+    get enabled() {
+        return !!this.root;
+    }
+
+    objectPath(sha1) {
+        const hash = sha1.toLowerCase();
+        return path.join(this.root, 'objects', hash.substring(0, 2), hash);
+    }
+
+    /**
+     * Whether the store holds an object. Only the size is checked here; place() hashes
+     * the object before it is first used.
+     * @param {string} sha1
+     * @param {number} [size] Expected size, checked when given
+     * @returns {Promise<boolean>}
+     */
+    async has(sha1, size) {
+        try {
+            const stat = await fs.stat(this.objectPath(sha1));
+            return stat.isFile() && (!size || stat.size === size);
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Hash a stored object the first time it is used. Objects are never written in
+     * place, so one check per session is enough; a corrupt object is deleted.
+     * @param {string} sha1
+     * @returns {Promise<boolean>}
+     */
+    async verifyObject(sha1) {
+        const objectPath = this.objectPath(sha1);
+        if (this.verified.has(objectPath)) return true;
+        if (await hashFile(objectPath) === sha1.toLowerCase()) {
+            this.verified.add(objectPath);
+            return true;
+        }
+        logger.warn(`Stored object ${objectPath} failed SHA1 verification; removing it`);
+        await fs.remove(objectPath);
+        return false;
+    }
+
+    async sameFile(a, b) {
+        try {
+            const [statA, statB] = await Promise.all([fs.stat(a), fs.stat(b)]);
+            return statA.ino === statB.ino && statA.dev === statB.dev;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Hardlink source to destination, or copy it when that isn't possible. The
+     * destination is replaced atomically.
+     * @returns {Promise<'linked'|'copied'>}
+     */
+    async linkOrCopy(source, destination) {
+        const temp = `${destination}.store`;
+        await fs.ensureDir(path.dirname(destination));
+        await fs.remove(temp);
+
+        let method = 'linked';
+        try {
+            await fs.link(source, temp);
+        } catch (error) {
+            if (!NO_HARDLINK.has(error.code)) throw error;
+            if (!this.warnedCopy) {
+                logger.warn(`Cannot hardlink between ${this.root} and ${path.dirname(destination)} (${error.code}); copying instead`);
+                this.warnedCopy = true;
+            }
+            await fs.copy(source, temp);
+            method = 'copied';
+        }
+        await fs.move(temp, destination, { overwrite: true });
+        return method;
+    }
+
+    /**
+     * Put a stored object at a path in a game root
+     * @param {string} sha1
+     * @param {string} destination
+     * @returns {Promise<'linked'|'copied'>}
+     * @throws {Error} When the stored object doesn't match its SHA1 (it is removed)
+     */
+    async place(sha1, destination) {
+        if (!await this.verifyObject(sha1)) {
+            throw new Error(`Stored object ${sha1} is corrupt`);
+        }
+        return this.linkOrCopy(this.objectPath(sha1), destination);
+    }
+
+    /**
+     * Add a verified file to the store. If the store already holds it, the file is
+     * replaced with a link to the stored object.
+     * @param {string} filePath File in a game root
+     * @param {string} sha1 Its SHA1, already checked by the caller
+     * @returns {Promise<'stored'|'linked'|'copied'|'present'>} 'present' when the file
+     *   already is the stored object
+     */
+    async add(filePath, sha1) {
+        const objectPath = this.objectPath(sha1);
+        if (await this.has(sha1)) {
+            if (await this.sameFile(filePath, objectPath)) {
+                this.verified.add(objectPath);
+                return 'present';
+            }
+            if (await this.verifyObject(sha1)) return this.place(sha1, filePath);
+        }
+        await this.linkOrCopy(filePath, objectPath);
+        this.verified.add(objectPath);
+        return 'stored';
+    }
+
+    /**
+     * Copy a folder through the store: every file is added to it and linked into the
+     * target. Falls back to a plain copy while the store is disabled.
+     * @param {string} source
+     * @param {string} target
+     */
+    async copyTree(source, target) {
+        if (!this.enabled) {
+            await fs.copy(source, target);
+            return;
+        }
+        for await (const file of walk(source)) {
+            const sha1 = await hashFile(file);
+            await this.add(file, sha1);
+            await this.place(sha1, path.join(target, path.relative(source, file)));
+        }
+    }
+
+    /**
+     * Replace duplicate libraries and asset objects in existing game roots with links
+     * to the store, adding files the store doesn't have yet
+     * @param {string[]} roots Game roots
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun=false] Only report what would be linked
+     * @returns {Promise<Object>} {success, dryRun, files, stored, linked, copied, failed, bytes};
+     *   bytes is what linking saves (or, in a dry run, would save)
+     */
+    async dedupe(roots, { dryRun = false } = {}) {
+        if (!this.enabled) {
+            return { success: false, error: 'No shared store folder is configured' };
+        }
+
+        const report = { success: true, dryRun, files: 0, stored: 0, linked: 0, copied: 0, failed: 0, bytes: 0 };
+        const seen = new Set(); // hashes a dry run would have stored
+        for (const root of roots) {
+            logger.info(`Deduplicating ${root} into ${this.root}`);
+            for (const dir of SHARED_DIRS) {
+                for await (const file of walk(path.join(root, dir))) {
+                    report.files++;
+                    try {
+                        const { size } = await fs.stat(file);
+                        const sha1 = await hashFile(file);
+                        if (dryRun) {
+                            const stored = seen.has(sha1) || await this.has(sha1);
+                            if (!stored) {
+                                seen.add(sha1);
+                                report.stored++;
+                            } else if (!await this.sameFile(file, this.objectPath(sha1))) {
+                                report.linked++;
+                                report.bytes += size;
+                            }
+                            continue;
+                        }
+
+                        const result = await this.add(file, sha1);
+                        if (result === 'stored') report.stored++;
+                        if (result === 'linked') {
+                            report.linked++;
+                            report.bytes += size;
+                        }
+                        if (result === 'copied') report.copied++;
+                    } catch (error) {
+                        report.failed++;
+                        logger.warn(`Could not deduplicate ${file}: ${error.message}`);
+                    }
+                }
+            }
+        }
+
+        if (!dryRun) {
+            logger.info(`Deduplicated ${report.files} files: ${report.linked} linked, ${report.stored} newly stored, ${report.bytes} bytes saved`);
+        }
+        return report;
+    }
+}
+
+// Shared so every download and copy sees the same store setting
+module.exports = new ContentStore();
+module.exports.ContentStore = ContentStore;
+module.exports.SHARED_DIRS = SHARED_DIRS;
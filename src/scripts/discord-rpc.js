@@ -16,13 +16,15 @@ const ASSETS = {
   MINECRAFT: 'minecraft',
   FABRIC: 'fabric',
   FORGE: 'forge',
+  NEOFORGE: 'neoforge',
   QUILT: 'quilt',
   DOWNLOAD: 'download'
 };
 
-// Modloader identifiers
+// Modloader identifiers; NeoForge comes before Forge since its IDs contain "forge"
 const MODLOADERS = {
   FABRIC: { key: 'fabric', name: 'Fabric', regexPattern: /fabric/ },
+  NEOFORGE: { key: 'neoforge', name: 'NeoForge', regexPattern: /neoforge/ },
   FORGE: { key: 'forge', name: 'Forge', regexPattern: /forge/ },
   QUILT: { key: 'quilt', name: 'Quilt', regexPattern: /quilt/ }
 };
@@ -139,6 +141,7 @@ class DiscordRPCClient {
   cleanVersionString(version) {
     return version
       .replace('fabric-loader-', '')
+      .replace('neoforge-', '')
       .replace('-fabric', '')
       .replace('-forge', '')
       .replace('-quilt', '');
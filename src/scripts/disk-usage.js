@@ -0,0 +1,366 @@
+const fs = require('fs-extra');
+const path = require('path');
+const checkDiskSpace = require('check-disk-space').default;
+const logger = require('./logger');
+const { resolveGameRoot } = require('./game-root');
+
+// Installs warn when they would leave less than this free on the volume
+const SPACE_MARGIN = 1024 * 1024 * 1024;
+
+// What a profile keeps in its game directory when it shares the game root
+const GAME_CONTENT_DIRS = ['mods', 'config', 'resourcepacks', 'shaderpacks', 'screenshots', 'crash-reports', 'logs'];
+
+class InsufficientSpaceError extends Error {
+    constructor(required, free, diskPath) {
+        super(`Not enough disk space on ${diskPath}: ${formatBytes(required)} needed, ${formatBytes(free)} free`);
+        this.name = 'InsufficientSpaceError';
+        this.required = required;
+        this.free = free;
+        this.diskPath = diskPath;
+    }
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+/**
+ * Total size of the files under a directory (0 if it doesn't exist)
+ * @param {string} dirPath
+ * @returns {Promise<number>} Bytes
+ */
+async function getDirSize(dirPath) {
+    let total = 0;
+    try {
+        const entries = await fs.readdir(dirPath, { withFileTypes: true });
+        for (const entry of entries) {
+            const fullPath = path.join(dirPath, entry.name);
+            if (entry.isDirectory()) {
+                total += await getDirSize(fullPath);
+            } else if (entry.isFile()) {
+                total += (await fs.stat(fullPath)).size;
+            }
+        }
+    } catch { /* skip */ }
+    return total;
+}
+
+async function fileSize(filePath) {
+    try {
+        return (await fs.stat(filePath)).size;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Free space on the volume holding a path
+ * @param {string} target Any path; missing folders are resolved to their nearest existing parent
+ * @returns {Promise<{diskPath: string, free: number, size: number}>}
+ */
+async function getVolumeSpace(target) {
+    const { diskPath, free, size } = await checkDiskSpace(path.resolve(target));
+    return { diskPath, free, size };
+}
+
+/**
+ * Compare the bytes an operation needs with the free space of the volume it writes to
+ * @param {string} target Folder that will be written to
+ * @param {number} required Bytes needed
+ * @returns {Promise<{ok: boolean, warning: boolean, required: number, free: number, diskPath: string}>}
+ *   ok is false when the volume can't hold it; warning when it would leave less than
+ *   SPACE_MARGIN free
+ */
+async function checkSpace(target, required) {
+    const { diskPath, free } = await getVolumeSpace(target);
+    return {
+        ok: free >= required,
+        warning: free < required + SPACE_MARGIN,
+        required,
+        free,
+        diskPath
+    };
+}
+
+/**
+ * Refuse to start an install its volume can't hold, and warn when it would leave the
+ * volume nearly full. A volume whose free space can't be read doesn't block the install.
+ * @param {string} target Folder the install writes to
+ * @param {number} required Bytes needed
+ * @param {string} label What is being installed, for log messages
+ * @returns {Promise<Object|null>} The checkSpace() result, or null if it couldn't be read
+ * @throws {InsufficientSpaceError}
+ */
+async function ensureSpace(target, required, label) {
+    let space;
+    try {
+        space = await checkSpace(target, required);
+    } catch (error) {
+        logger.warn(`Could not check free disk space: ${error.message}`);
+        return null;
+    }
+
+    logger.info(`${label} needs ${formatBytes(required)}, ${formatBytes(space.free)} free on ${space.diskPath}`);
+    if (!space.ok) {
+        throw new InsufficientSpaceError(required, space.free, space.diskPath);
+    }
+    if (space.warning) {
+        logger.warn(`Installing ${label} leaves less than 1 GB free on ${space.diskPath}`);
+    }
+    return space;
+}
+
+/**
+ * Bytes still missing from a set of files: those not on disk with the listed size
+ * @param {Array<{path: string, size: number}>} files Files without a known size are skipped
+ * @returns {Promise<number>}
+ */
+async function estimateDownloadSize(files) {
+    let bytes = 0;
+    for (const file of files) {
+        if (file.size && (await fileSize(file.path)) !== file.size) bytes += file.size;
+    }
+    return bytes;
+}
+
+/**
+ * Bytes a version still needs to download, from the sizes its JSON lists: client jar,
+ * libraries (including natives), logging config, asset index and asset objects.
+ * Files already on disk with the right size don't count. Assets are counted from the
+ * index when it is already downloaded, otherwise from assetIndex.totalSize.
+ * @param {string} baseDir Game root
+ * @param {Object} versionJson Version JSON
+ * @returns {Promise<number>}
+ */
+async function estimateInstallSize(baseDir, versionJson) {
+    const files = [];
+    const librariesDir = path.join(baseDir, 'libraries');
+    const assetsDir = path.join(baseDir, 'assets');
+
+    const client = versionJson.downloads && versionJson.downloads.client;
+    if (client) {
+        files.push({ path: path.join(baseDir, 'versions', versionJson.id, `${versionJson.id}.jar`), size: client.size });
+    }
+
+    for (const library of versionJson.libraries || []) {
+        const downloads = library.downloads || {};
+        const artifacts = [downloads.artifact, ...Object.values(downloads.classifiers || {})];
+        for (const artifact of artifacts) {
+            if (artifact && artifact.path && artifact.size) {
+                files.push({ path: path.join(librariesDir, artifact.path), size: artifact.size });
+            }
+        }
+    }
+
+    const logging = versionJson.logging && versionJson.logging.client && versionJson.logging.client.file;
+    if (logging && logging.size) {
+        files.push({ path: path.join(assetsDir, 'log_configs', logging.id), size: logging.size });
+    }
+
+    let assetBytes = 0;
+    const assetIndex = versionJson.assetIndex;
+    if (assetIndex) {
+        const indexPath = path.join(assetsDir, 'indexes', `${assetIndex.id}.json`);
+        let index = null;
+        try {
+            index = await fs.readJson(indexPath);
+        } catch { /* not downloaded yet */ }
+
+        if (index) {
+            for (const object of Object.values(index.objects || {})) {
+                files.push({ path: path.join(assetsDir, 'objects', object.hash.substring(0, 2), object.hash), size: object.size });
+            }
+        } else {
+            files.push({ path: indexPath, size: assetIndex.size || 0 });
+            assetBytes = assetIndex.totalSize || 0;
+        }
+    }
+
+    return assetBytes + await estimateDownloadSize(files);
+}
+
+/**
+ * Breaks down what the launcher stores on disk: versions, libraries, asset indexes,
+ * Java runtimes, profile game directories, worlds, backups and servers.
+ */
+class DiskUsage {
+    constructor(baseDir) {
+        this.baseDir = resolveGameRoot(baseDir);
+    }
+
+    async listDirs(dir) {
+        try {
+            const entries = await fs.readdir(dir, { withFileTypes: true });
+            return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+        } catch {
+            return [];
+        }
+    }
+
+    async sizeEach(dir, names = null) {
+        const items = [];
+        for (const name of names || await this.listDirs(dir)) {
+            items.push({ name, path: path.join(dir, name), bytes: await getDirSize(path.join(dir, name)) });
+        }
+        return items;
+    }
+
+    category(items, bytes = null) {
+        items.sort((a, b) => b.bytes - a.bytes);
+        return { bytes: bytes === null ? items.reduce((sum, item) => sum + item.bytes, 0) : bytes, items };
+    }
+
+    /**
+     * Size of one entry per group (libraries by their top two folders, e.g. org/lwjgl)
+     */
+    async getLibraryUsage() {
+        const librariesDir = path.join(this.baseDir, 'libraries');
+        const items = [];
+        for (const group of await this.listDirs(librariesDir)) {
+            const children = await this.listDirs(path.join(librariesDir, group));
+            if (children.length === 0) {
+                items.push({ name: group, path: path.join(librariesDir, group), bytes: await getDirSize(path.join(librariesDir, group)) });
+            }
+            for (const child of children) {
+                const childPath = path.join(librariesDir, group, child);
+                items.push({ name: `${group}/${child}`, path: childPath, bytes: await getDirSize(childPath) });
+            }
+        }
+        return this.category(items, await getDirSize(librariesDir));
+    }
+
+    /**
+     * Assets by index. Objects shared between indexes count toward each of them, so
+     * the category total is the size of assets/ rather than the sum of its items.
+     */
+    async getAssetUsage() {
+        const assetsDir = path.join(this.baseDir, 'assets');
+        const indexesDir = path.join(assetsDir, 'indexes');
+        const items = [];
+
+        let indexFiles = [];
+        try {
+            indexFiles = (await fs.readdir(indexesDir)).filter(name => name.endsWith('.json'));
+        } catch { /* no assets yet */ }
+
+        for (const file of indexFiles) {
+            try {
+                const index = await fs.readJson(path.join(indexesDir, file));
+                const bytes = Object.values(index.objects || {}).reduce((sum, object) => sum + (object.size || 0), 0);
+                items.push({ name: path.basename(file, '.json'), path: path.join(indexesDir, file), bytes });
+            } catch (error) {
+                logger.warn(`Skipping unreadable asset index ${file}: ${error.message}`);
+            }
+        }
+        return this.category(items, await getDirSize(assetsDir));
+    }
+
+    /**
+     * Profile game directories and the worlds in them
+     * @param {Array<{id: string, name: string, gameDir: string}>} profiles
+     */
+    async getProfileUsage(profiles) {
+        // Profiles without their own folder share the game root
+        const byDir = new Map();
+        for (const profile of profiles) {
+            const gameDir = path.resolve(profile.gameDir || this.baseDir);
+            if (!byDir.has(gameDir)) byDir.set(gameDir, []);
+            byDir.get(gameDir).push(profile.name || profile.id);
+        }
+
+        const profileItems = [];
+        const worldItems = [];
+        for (const [gameDir, names] of byDir) {
+            const label = names.join(', ');
+            const shared = gameDir === path.resolve(this.baseDir);
+
+            // Worlds are listed on their own, so they're left out of the profile's size
+            let bytes = 0;
+            if (shared) {
+                for (const dir of GAME_CONTENT_DIRS) bytes += await getDirSize(path.join(gameDir, dir));
+            } else {
+                for (const entry of await fs.readdir(gameDir).catch(() => [])) {
+                    if (entry !== 'saves') bytes += await getDirSize(path.join(gameDir, entry));
+                }
+                bytes += await this.sizeOfFiles(gameDir);
+            }
+            profileItems.push({ name: label, path: gameDir, bytes });
+
+            for (const world of await this.sizeEach(path.join(gameDir, 'saves'))) {
+                worldItems.push({ ...world, name: `${world.name} (${label})` });
+            }
+        }
+        return { profiles: this.category(profileItems), worlds: this.category(worldItems) };
+    }
+
+    async sizeOfFiles(dir) {
+        let bytes = 0;
+        for (const entry of await fs.readdir(dir, { withFileTypes: true }).catch(() => [])) {
+            if (entry.isFile()) bytes += (await fs.stat(path.join(dir, entry.name))).size;
+        }
+        return bytes;
+    }
+
+    async getBackupUsage() {
+        const backupsDir = path.join(this.baseDir, 'backups');
+        const items = [];
+        const walk = async (dir) => {
+            for (const entry of await fs.readdir(dir, { withFileTypes: true }).catch(() => [])) {
+                const entryPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(entryPath);
+                } else if (entry.isFile()) {
+                    const name = path.relative(backupsDir, entryPath).split(path.sep).join('/');
+                    items.push({ name, path: entryPath, bytes: (await fs.stat(entryPath)).size });
+                }
+            }
+        };
+        await walk(backupsDir);
+        return this.category(items);
+    }
+
+    /**
+     * Full breakdown
+     * @param {Object} [options]
+     * @param {Array<{id: string, name: string, gameDir: string}>} [options.profiles] Profiles with resolved game directories
+     * @returns {Promise<Object>} {root, volume: {diskPath, free, size}, total, categories}; every
+     *   category is {bytes, items: [{name, path, bytes}]}, largest first
+     */
+    async analyze({ profiles = [] } = {}) {
+        const categories = {};
+        categories.versions = this.category(await this.sizeEach(path.join(this.baseDir, 'versions')));
+        categories.libraries = await this.getLibraryUsage();
+        categories.assets = await this.getAssetUsage();
+        categories.runtimes = this.category(await this.sizeEach(path.join(this.baseDir, 'runtime')));
+        Object.assign(categories, await this.getProfileUsage(profiles));
+        categories.backups = await this.getBackupUsage();
+        categories.servers = this.category(await this.sizeEach(path.join(this.baseDir, 'servers')));
+
+        let volume = null;
+        try {
+            volume = await getVolumeSpace(this.baseDir);
+        } catch (error) {
+            logger.warn(`Could not read free space for ${this.baseDir}: ${error.message}`);
+        }
+
+        const total = Object.values(categories).reduce((sum, category) => sum + category.bytes, 0);
+        return { root: this.baseDir, volume, total, categories };
+    }
+}
+
+module.exports = DiskUsage;
+module.exports.InsufficientSpaceError = InsufficientSpaceError;
+module.exports.getDirSize = getDirSize;
+module.exports.getVolumeSpace = getVolumeSpace;
+module.exports.checkSpace = checkSpace;
+module.exports.ensureSpace = ensureSpace;
+module.exports.estimateDownloadSize = estimateDownloadSize;
+module.exports.estimateInstallSize = estimateInstallSize;
+module.exports.formatBytes = formatBytes;
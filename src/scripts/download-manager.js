@@ -0,0 +1,488 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const logger = require('./logger');
+const mirrors = require('./mirrors');
+const contentStore = require('./content-store');
+const { fetchSource } = mirrors;
+
+const DEFAULT_RETRIES = 3;
+const BACKOFF_BASE = 1000; // ms, doubled for every failed attempt
+const BACKOFF_MAX = 15000;
+const PROGRESS_INTERVAL = 100; // ms between aggregated progress events
+const USER_AGENT = 'AlrightLauncher';
+
+// Status codes worth retrying; any other 4xx means the URL itself is wrong
+const RETRYABLE_STATUS = new Set([408, 425, 429]);
+
+class DownloadError extends Error {
+    constructor(message, { retryable = true, status = null, cancelled = false } = {}) {
+        super(message);
+        this.name = 'DownloadError';
+        this.retryable = retryable;
+        this.status = status;
+        this.cancelled = cancelled;
+    }
+}
+
+/**
+ * SHA1 of a file on disk
+ * @param {string} filePath File to hash
+ * @returns {Promise<string>} Hex digest
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha1');
+        fs.createReadStream(filePath)
+            .on('data', data => hash.update(data))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+function getHost(url) {
+    try {
+        return new URL(url).host;
+    } catch {
+        return url;
+    }
+}
+
+/**
+ * The one place the launcher downloads files. Every download goes through a
+ * per-host concurrency cap, is written to a .part file that later attempts resume
+ * with HTTP Range requests (when a sha1 or size can confirm the result), and is
+ * checked against the sha1/size from the manifest before it replaces the
+ * destination. Failed attempts back off exponentially, and official URLs fail
+ * over through the configured mirrors (see mirrors.js).
+ *
+ * Events:
+ * - 'progress' {active, queued, completed, failed, bytesReceived, bytesTotal}, throttled
+ * - 'complete' {url, destination, size, skipped}
+ * - 'failed' {url, destination, error}
+ */
+class DownloadManager extends EventEmitter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxPerHost] Concurrent downloads per host (default: downloadThreads setting)
+     * @param {number} [options.timeout] Connection/stall timeout in ms (default: connectionTimeout setting)
+     */
+    constructor(options = {}) {
+        super();
+        this.options = options;
+        this.hosts = new Map(); // host -> {active, waiting: []}
+        this.stats = { active: 0, queued: 0, completed: 0, failed: 0, bytesReceived: 0, bytesTotal: 0 };
+        this.progressTimer = null;
+    }
+
+    // Settings are read per download so changes in Settings > Network apply immediately
+    get maxPerHost() {
+        const settings = global.settings || {};
+        const value = this.options.maxPerHost || parseInt(settings.downloadThreads, 10) || 16;
+        return Math.min(Math.max(value, 1), 32);
+    }
+
+    get timeout() {
+        const settings = global.settings || {};
+        return this.options.timeout || Math.max(parseInt(settings.connectionTimeout, 10) || 30, 5) * 1000;
+    }
+
+    /**
+     * Check a file against the size and sha1 a manifest gives for it
+     * @param {string} filePath File to check
+     * @param {Object} [expected]
+     * @param {string} [expected.sha1] Expected SHA1
+     * @param {number} [expected.size] Expected size in bytes
+     * @returns {Promise<boolean>} False if the file is missing or doesn't match
+     */
+    async verify(filePath, { sha1, size } = {}) {
+        try {
+            const stat = await fs.stat(filePath);
+            if (!stat.isFile()) return false;
+            if (size && stat.size !== size) return false;
+            if (sha1 && (await hashFile(filePath)) !== sha1.toLowerCase()) return false;
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * SHA1 a Maven repository publishes next to a file (<url>.sha1)
+     * @param {string} url URL of the file
+     * @returns {Promise<string|null>} Lowercase hex digest, or null if there is none
+     */
+    async fetchSha1(url) {
+        try {
+            const response = await mirrors.fetch(`${url}.sha1`, { timeout: 10000 });
+            if (!response.ok) return null;
+            const sha1 = (await response.text()).trim().split(/\s+/)[0];
+            return /^[0-9a-f]{40}$/i.test(sha1) ? sha1.toLowerCase() : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Download a single file
+     * @param {string} url Source URL
+     * @param {string} destination Destination path
+     * @param {Object} [options]
+     * @param {string} [options.sha1] Expected SHA1; the file is rejected if it doesn't match
+     * @param {number} [options.size] Expected size in bytes
+     * @param {string} [options.description] Name used in log messages
+     * @param {number} [options.retries=3] Attempts before giving up
+     * @param {boolean} [options.force=false] Download even if the destination already matches sha1
+     * @param {boolean} [options.store=false] Take the file from the shared content store when it
+     *   has it, and add it there once downloaded (see content-store.js); needs sha1
+     * @param {Function} [options.onProgress] Called with (bytesReceived, bytesTotal)
+     * @param {AbortSignal} [options.signal] Cancels the download and deletes its .part file
+     * @returns {Promise<{destination: string, size: number, skipped: boolean}>}
+     */
+    async download(url, destination, options = {}) {
+        const { sha1, size, description = path.basename(destination), retries = DEFAULT_RETRIES, force = false, signal } = options;
+        const useStore = !!(options.store && sha1 && contentStore.enabled);
+        const cancelled = () => new DownloadError(`Download of ${description} cancelled`, { retryable: false, cancelled: true });
+
+        if (signal && signal.aborted) throw cancelled();
+
+        if (!force && sha1 && await this.verify(destination, { sha1, size })) {
+            if (useStore) await this.addToStore(destination, sha1, description);
+            this.emit('complete', { url, destination, size: size || 0, skipped: true });
+            return { destination, size: size || 0, skipped: true };
+        }
+
+        if (!force && useStore && await contentStore.has(sha1, size)) {
+            try {
+                await contentStore.place(sha1, destination);
+                this.emit('complete', { url, destination, size: size || 0, skipped: true });
+                return { destination, size: size || 0, skipped: true };
+            } catch (error) {
+                logger.warn(`Could not take ${description} from the shared store, downloading it: ${error.message}`);
+            }
+        }
+
+        this.stats.queued++;
+        this.scheduleProgress();
+        let started = false;
+
+        let counted = 0;
+        let lastReceived = 0;
+        const countBytes = (received, total) => {
+            if (total && !counted) {
+                this.stats.bytesTotal += total;
+                counted = total;
+            }
+            this.stats.bytesReceived += received - lastReceived;
+            lastReceived = received;
+            this.scheduleProgress();
+            options.onProgress?.(received, total);
+        };
+
+        // Configured mirrors first, then the official URL (see mirrors.js)
+        const candidates = mirrors.resolve(url);
+
+        try {
+            let lastError;
+            for (const [index, candidate] of candidates.entries()) {
+                const host = getHost(candidate.url);
+                await this.acquire(host);
+                if (!started) {
+                    started = true;
+                    this.stats.queued--;
+                    this.stats.active++;
+                }
+
+                try {
+                    // Sources with a fallback after them get one attempt; the last one gets the retries
+                    const attempts = index < candidates.length - 1 ? 1 : retries;
+                    const result = await this.downloadWithRetries(candidate.url, destination, { sha1, size }, countBytes, {
+                        signal, retries: attempts, description, cancelled
+                    });
+                    mirrors.reportSuccess(candidate.mirror);
+                    if (useStore) await this.addToStore(destination, sha1, description);
+                    this.stats.completed++;
+                    this.emit('complete', { url, destination, size: result.size, skipped: false });
+                    return { destination, size: result.size, skipped: false };
+                } catch (error) {
+                    if (error.cancelled) throw error;
+                    // A missing file says nothing about the mirror; a dead connection does
+                    if (!error.status || error.status >= 500) mirrors.reportFailure(candidate.mirror);
+                    if (index < candidates.length - 1) {
+                        logger.warn(`${candidate.mirror} failed for ${description}, trying ${candidates[index + 1].mirror}: ${error.message}`);
+                    }
+                    lastError = error;
+                } finally {
+                    this.release(host);
+                }
+            }
+            throw lastError;
+        } catch (error) {
+            this.stats.failed++;
+            this.emit('failed', { url, destination, error });
+            throw error;
+        } finally {
+            if (started) {
+                this.stats.active--;
+            } else {
+                this.stats.queued--;
+            }
+            this.scheduleProgress();
+        }
+    }
+
+    async downloadWithRetries(url, destination, expected, countBytes, { signal, retries, description, cancelled }) {
+        for (let attempt = 1; ; attempt++) {
+            if (signal && signal.aborted) {
+                await fs.remove(`${destination}.part`);
+                throw cancelled();
+            }
+            try {
+                return await this.attempt(url, destination, expected, countBytes, signal);
+            } catch (error) {
+                if (error.cancelled) throw cancelled();
+                if (!error.retryable || attempt >= retries) {
+                    throw new DownloadError(
+                        `Failed to download ${description} after ${attempt} attempt${attempt === 1 ? '' : 's'}: ${error.message}`,
+                        { retryable: false, status: error.status }
+                    );
+                }
+
+                const delay = Math.min(BACKOFF_BASE * 2 ** (attempt - 1), BACKOFF_MAX);
+                logger.warn(`Download attempt ${attempt} failed for ${description}: ${error.message}. Retrying in ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    // The download itself succeeded; a store that can't take the file only costs the sharing
+    async addToStore(destination, sha1, description) {
+        try {
+            await contentStore.add(destination, sha1);
+        } catch (error) {
+            logger.warn(`Could not add ${description} to the shared store: ${error.message}`);
+        }
+    }
+
+    /**
+     * Download many files, reporting combined progress
+     * @param {Array<{url: string, destination: string, sha1?: string, size?: number, description?: string}>} items
+     * @param {Object} [options]
+     * @param {boolean} [options.failFast=true] Reject on the first failure instead of collecting errors
+     * @param {Function} [options.onProgress] Called with {completed, failed, total, bytesReceived, bytesTotal}
+     * @param {AbortSignal} [options.signal] Cancels every download in the set
+     * @param {Function} [options.checkpoint] Install queue job.checkpoint(); awaited before
+     *   each download starts, so a paused job stops taking new files from the set
+     * @returns {Promise<{downloaded: number, skipped: number, failed: Array<{item: Object, error: Error}>}>}
+     */
+    async downloadAll(items, { failFast = true, onProgress, signal, checkpoint } = {}) {
+        const state = { completed: 0, failed: 0, total: items.length, bytesReceived: 0, bytesTotal: 0 };
+        const result = { downloaded: 0, skipped: 0, failed: [] };
+        const received = new Map();
+
+        const report = () => onProgress?.({ ...state });
+
+        // Cancels the rest of the set on the first fail-fast error, as well as with the caller's signal
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        if (signal) {
+            if (signal.aborted) abort();
+            else signal.addEventListener('abort', abort, { once: true });
+        }
+        let firstError = null;
+
+        try {
+            const run = async (item) => {
+                try {
+                    if (checkpoint) await checkpoint();
+                    const { skipped } = await this.download(item.url, item.destination, {
+                        ...item,
+                        signal: controller.signal,
+                        onProgress: (bytes, total) => {
+                            if (!received.has(item) && total) state.bytesTotal += total;
+                            state.bytesReceived += bytes - (received.get(item) || 0);
+                            received.set(item, bytes);
+                        }
+                    });
+                    result[skipped ? 'skipped' : 'downloaded']++;
+                    state.completed++;
+                    report();
+                } catch (error) {
+                    // Downloads cancelled because another one failed aren't failures of their own
+                    if (firstError && error.cancelled) return;
+                    state.failed++;
+                    result.failed.push({ item, error });
+                    report();
+                    if ((failFast || error.cancelled) && !firstError) {
+                        firstError = error;
+                        abort();
+                    }
+                }
+            };
+
+            // Every download settles before this returns or throws, so none keeps writing
+            // files after the caller has given up on the set
+            if (checkpoint) {
+                // Files are handed out as slots free up, so a checkpoint that waits holds back the rest
+                let next = 0;
+                const worker = async () => {
+                    while (next < items.length && !controller.signal.aborted) {
+                        await run(items[next++]);
+                    }
+                };
+                await Promise.all(Array.from({ length: Math.min(this.maxPerHost, items.length) }, worker));
+            } else {
+                await Promise.all(items.map(run));
+            }
+        } finally {
+            if (signal) signal.removeEventListener('abort', abort);
+        }
+
+        if (firstError) throw firstError;
+        return result;
+    }
+
+    async attempt(url, destination, expected, onProgress, signal) {
+        const partPath = `${destination}.part`;
+        await fs.ensureDir(path.dirname(destination));
+
+        let offset = 0;
+        try {
+            offset = (await fs.stat(partPath)).size;
+        } catch { /* no partial download */ }
+        // Only resume what can be verified afterwards; the server may now serve a different file
+        if ((!expected.sha1 && !expected.size) || (expected.size && offset > expected.size)) {
+            await fs.remove(partPath);
+            offset = 0;
+        }
+
+        const controller = new AbortController();
+        let stallTimer = setTimeout(() => controller.abort(), this.timeout);
+        const resetStallTimer = () => {
+            clearTimeout(stallTimer);
+            stallTimer = setTimeout(() => controller.abort(), this.timeout);
+        };
+        const abort = () => controller.abort();
+        if (signal) signal.addEventListener('abort', abort);
+        const failure = (error, stalledMessage) => {
+            if (signal && signal.aborted) return new DownloadError('Cancelled', { retryable: false, cancelled: true });
+            return new DownloadError(error.name === 'AbortError' ? stalledMessage : error.message);
+        };
+
+        try {
+            const headers = { 'User-Agent': USER_AGENT };
+            if (offset > 0) headers.Range = `bytes=${offset}-`;
+
+            let response;
+            try {
+                response = await fetchSource(url, { headers, signal: controller.signal });
+            } catch (error) {
+                throw failure(error, 'Connection timed out');
+            }
+
+            if (response.status === 416 && offset > 0) {
+                // The .part file already holds the whole body; verify it below
+                response.body.resume();
+            } else if (!response.ok) {
+                response.body.resume();
+                const retryable = response.status >= 500 || RETRYABLE_STATUS.has(response.status);
+                throw new DownloadError(`HTTP ${response.status} ${response.statusText}`, { retryable, status: response.status });
+            } else {
+                const resumed = offset > 0 && response.status === 206;
+                if (!resumed) offset = 0;
+
+                const length = parseInt(response.headers.get('content-length'), 10) || 0;
+                const total = expected.size || (length ? offset + length : 0);
+                let received = offset;
+                onProgress(received, total);
+
+                await new Promise((resolve, reject) => {
+                    const file = fs.createWriteStream(partPath, { flags: resumed ? 'a' : 'w' });
+                    response.body.on('data', (chunk) => {
+                        received += chunk.length;
+                        resetStallTimer();
+                        onProgress(received, total);
+                    });
+                    response.body.on('error', (error) => {
+                        file.destroy();
+                        reject(failure(error, 'Download stalled'));
+                    });
+                    file.on('error', error => reject(new DownloadError(error.message, { retryable: false })));
+                    file.on('finish', resolve);
+                    response.body.pipe(file);
+                });
+            }
+        } catch (error) {
+            // A cancelled download isn't coming back; don't leave its partial file behind
+            if (error.cancelled) await fs.remove(partPath);
+            throw error;
+        } finally {
+            clearTimeout(stallTimer);
+            if (signal) signal.removeEventListener('abort', abort);
+        }
+
+        const stat = await fs.stat(partPath);
+        if (stat.size === 0 && !expected.size) {
+            await fs.remove(partPath);
+            throw new DownloadError('Downloaded file is empty');
+        }
+        if (expected.size && stat.size !== expected.size) {
+            // Short reads resume on the next attempt; anything else starts over
+            if (stat.size > expected.size) await fs.remove(partPath);
+            throw new DownloadError(`Size mismatch (expected ${expected.size} bytes, got ${stat.size})`);
+        }
+        if (expected.sha1) {
+            const actual = await hashFile(partPath);
+            if (actual !== expected.sha1.toLowerCase()) {
+                await fs.remove(partPath);
+                throw new DownloadError(`SHA1 mismatch (expected ${expected.sha1}, got ${actual})`);
+            }
+        }
+
+        await fs.move(partPath, destination, { overwrite: true });
+        return { size: stat.size };
+    }
+
+    acquire(host) {
+        let slot = this.hosts.get(host);
+        if (!slot) {
+            slot = { active: 0, waiting: [] };
+            this.hosts.set(host, slot);
+        }
+        if (slot.active < this.maxPerHost) {
+            slot.active++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => slot.waiting.push(resolve));
+    }
+
+    release(host) {
+        const slot = this.hosts.get(host);
+        if (!slot) return;
+        const next = slot.waiting.shift();
+        if (next) {
+            next();
+        } else if (--slot.active === 0) {
+            this.hosts.delete(host);
+        }
+    }
+
+    scheduleProgress() {
+        if (this.progressTimer) return;
+        this.progressTimer = setTimeout(() => {
+            this.progressTimer = null;
+            this.emit('progress', { ...this.stats });
+            if (this.stats.active === 0 && this.stats.queued === 0) {
+                this.stats.bytesReceived = 0;
+                this.stats.bytesTotal = 0;
+            }
+        }, PROGRESS_INTERVAL);
+    }
+}
+
+// One engine for the whole launcher so the per-host cap applies across installers
+module.exports = new DownloadManager();
+module.exports.DownloadManager = DownloadManager;
+module.exports.DownloadError = DownloadError;
+module.exports.hashFile = hashFile;
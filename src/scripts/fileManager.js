@@ -1,10 +1,11 @@
 const path = require('path');
 const fs = require('fs-extra');
-const https = require('https');
 const os = require('os');
 const { app } = require('electron');
 const VersionManager = require('./versionManager');
 const logger = require('./logger');
+const downloadManager = require('./download-manager');
+const { resolveGameRoot } = require('./game-root');
 const { promisify } = require('util');
 const { spawn } = require('child_process');
 
@@ -17,7 +18,7 @@ class FileManager {
      * @param {string} minecraftDir - Directory for Minecraft files
      */
     constructor(minecraftDir) {
-        this.minecraftDir = minecraftDir || path.join(app.getPath('appData'), '.alrightlauncher', 'minecraft');
+        this.minecraftDir = resolveGameRoot(minecraftDir);
         this.versionManager = new VersionManager(this.minecraftDir);
         this.tempDir = path.join(app.getPath('temp'), 'alrightlauncher');
         
@@ -123,61 +124,8 @@ class FileManager {
      * @returns {Promise<void>}
      */
     async _downloadFile(url, destPath) {
-        return new Promise((resolve, reject) => {
-            const file = fs.createWriteStream(destPath);
-            
-            const request = https.get(url, { 
-                rejectUnauthorized: false, 
-                headers: { 'User-Agent': 'AlrightLauncher' } 
-            }, (response) => {
-                if (response.statusCode === 302 || response.statusCode === 301) {
-                    this._downloadFile(response.headers.location, destPath)
-                        .then(resolve)
-                        .catch(reject);
-                    return;
-                }
-                
-                if (response.statusCode !== 200) {
-                    reject(new Error(`Server responded with status code: ${response.statusCode}`));
-                    return;
-                }
-                
-                const totalSize = parseInt(response.headers['content-length'], 10);
-                let downloadedSize = 0;
-                
-                response.on('data', (chunk) => {
-                    downloadedSize += chunk.length;
-                    if (totalSize) {
-                        const progress = Math.round((downloadedSize / totalSize) * 100);
-                        if (progress % 10 === 0) {
-                            logger.info(`Download progress: ${progress}%`);
-                        }
-                    }
-                });
-                
-                response.pipe(file);
-                
-                file.on('finish', () => {
-                    file.close();
-                    resolve();
-                });
-                
-                file.on('error', (err) => {
-                    fs.unlink(destPath, () => {});
-                    reject(err);
-                });
-            });
-            
-            request.on('error', (err) => {
-                fs.unlink(destPath, () => {});
-                reject(err);
-            });
-            
-            request.setTimeout(30000, () => {
-                request.abort();
-                reject(new Error('Download request timed out'));
-            });
-        });
+        await downloadManager.download(url, destPath, { force: true });
+        logger.info(`Download complete: ${path.basename(destPath)}`);
     }
     
     /**
@@ -1,21 +1,13 @@
 const fs = require('fs-extra');
 const path = require('path');
-const os = require('os');
 const crypto = require('crypto');
 const logger = require('./logger');
 const { promisify } = require('util');
 const { pipeline } = require('stream');
+const { resolveGameRoot } = require('./game-root');
+const { STAGING_DIR, getInstallState } = require('./install-receipt');
 const pipelineAsync = promisify(pipeline);
 
-function getAppDataDir() {
-    switch (os.platform()) {
-        case 'win32': return process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
-        case 'darwin': return path.join(os.homedir(), 'Library', 'Application Support');
-        case 'linux': return process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
-        default: return os.homedir();
-    }
-}
-
 /**
  * Handles file verification and checksum management for Minecraft files
  */
@@ -25,7 +17,7 @@ class FileVerifier {
      * @param {string} minecraftDir - Directory for Minecraft files
      */
     constructor(minecraftDir) {
-        this.minecraftDir = minecraftDir || path.join(getAppDataDir(), '.alrightlauncher', 'minecraft');
+        this.minecraftDir = resolveGameRoot(minecraftDir);
         this.checksumDir = path.join(this.minecraftDir, 'checksums');
         this.ensureDirectoryExists(this.checksumDir);
     }
@@ -353,38 +345,39 @@ class FileVerifier {
 
     /**
      * Get list of installed versions with checksum files
-     * @returns {Promise<Array>} - List of installed versions
+     * @returns {Promise<Array>} - List of {id, type, hasChecksums, status, complete}; status is
+     *   'installed' or 'partial' (interrupted install, or a version folder missing files)
      */
     async getInstalledVersions() {
         try {
             const versionsDir = path.join(this.minecraftDir, 'versions');
+            const stagingDir = path.join(this.minecraftDir, STAGING_DIR);
             
-            if (!fs.existsSync(versionsDir)) {
-                return [];
+            const ids = new Set();
+            if (fs.existsSync(versionsDir)) {
+                for (const dir of await fs.readdir(versionsDir)) {
+                    if ((await fs.stat(path.join(versionsDir, dir))).isDirectory()) ids.add(dir);
+                }
+            }
+            // Installs that were interrupted before their version folder was moved into place
+            if (fs.existsSync(stagingDir)) {
+                for (const dir of await fs.readdir(stagingDir)) {
+                    if (!dir.endsWith('.previous')) ids.add(dir);
+                }
             }
             
-            const dirs = await fs.readdir(versionsDir);
             const versions = [];
-            
-            for (const dir of dirs) {
-                const dirPath = path.join(versionsDir, dir);
-                const stats = await fs.stat(dirPath);
-                
-                if (stats.isDirectory()) {
-                    // Check if this is a valid Minecraft version directory
-                    const hasJson = fs.existsSync(path.join(dirPath, `${dir}.json`));
-                    const hasJar = fs.existsSync(path.join(dirPath, `${dir}.jar`));
-                    const hasChecksums = fs.existsSync(path.join(this.checksumDir, `${dir}.json`));
-                    
-                    if (hasJson || hasJar) {
-                        versions.push({
-                            id: dir,
-                            type: this.determineVersionType(dir),
-                            hasChecksums,
-                            complete: hasJson && hasJar
-                        });
-                    }
-                }
+            for (const id of ids) {
+                const status = await getInstallState(this.minecraftDir, id);
+                if (!status) continue;
+
+                versions.push({
+                    id,
+                    type: this.determineVersionType(id),
+                    hasChecksums: fs.existsSync(path.join(this.checksumDir, `${id}.json`)),
+                    status,
+                    complete: status === 'installed'
+                });
             }
             
             return versions;
@@ -408,6 +401,10 @@ class FileVerifier {
             return 'fabric';
         }
         
+        if (version.includes('neoforge')) {
+            return 'neoforge';
+        }
+        
         if (version.includes('forge')) {
             return 'forge';
         }
@@ -1,7 +1,8 @@
 const fs = require('fs-extra');
 const path = require('path');
 const logger = require('./logger');
-const fetch = require('node-fetch');
+const downloadManager = require('./download-manager');
+const mirrors = require('./mirrors');
 const { promisify } = require('util');
 const cliProgress = require('cli-progress');
 
@@ -158,7 +159,7 @@ async function fetchWithRetry(url, retries = RETRY_ATTEMPTS) {
   
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
-      const response = await fetch(url, {
+      const response = await mirrors.fetch(url, {
         timeout: 10000, // 10 second timeout
         headers: {
           'User-Agent': 'Mozilla/5.0 Minecraft Asset Repair Tool'
@@ -185,44 +186,6 @@ async function fetchWithRetry(url, retries = RETRY_ATTEMPTS) {
   throw lastError;
 }
 
-/**
- * Fetch binary data with retry logic
- * @param {string} url - URL to fetch
- * @param {number} [retries=RETRY_ATTEMPTS] - Number of retry attempts
- * @returns {Promise<Buffer>} - Response as buffer
- */
-async function fetchBinaryWithRetry(url, retries = RETRY_ATTEMPTS) {
-  let lastError;
-  
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const response = await fetch(url, {
-        timeout: 10000, // 10 second timeout
-        headers: {
-          'User-Agent': 'Mozilla/5.0 Minecraft Asset Repair Tool'
-        }
-      });
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error ${response.status}`);
-      }
-      
-      const buffer = await response.arrayBuffer();
-      return Buffer.from(buffer);
-    } catch (error) {
-      lastError = error;
-      
-      if (attempt < retries) {
-        // Exponential backoff
-        const delay = RETRY_DELAY * Math.pow(2, attempt - 1);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
-    }
-  }
-  
-  throw lastError;
-}
-
 /**
  * Process assets in batches to limit concurrency
  * @param {Array} items - Items to process
@@ -312,8 +275,7 @@ async function downloadMissingAssets(assetsDir, indexData) {
     
     try {
       const url = `${MINECRAFT_RESOURCES_URL}/${prefix}/${hash}`;
-      const buffer = await fetchBinaryWithRetry(url);
-      await fs.writeFile(assetPath, buffer);
+      await downloadManager.download(url, assetPath, { sha1: hash, size: asset.size, retries: RETRY_ATTEMPTS });
       
       downloaded++;
       progressBar.update(processed, { downloaded });
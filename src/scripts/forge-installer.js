@@ -0,0 +1,355 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { spawn } = require('child_process');
+const AdmZip = require('adm-zip');
+const logger = require('./logger');
+const downloadManager = require('./download-manager');
+const JavaRuntimeManager = require('./java-runtime');
+const { resolveGameRoot } = require('./game-root');
+const { InstallReceipt, RECEIPT_FILE } = require('./install-receipt');
+const { ensureSpace, estimateDownloadSize, formatBytes } = require('./disk-usage');
+const { mavenPath } = require('./version-cleanup');
+
+// Where legacy installers expect libraries that don't name a maven repository
+const MOJANG_LIBRARIES = 'https://libraries.minecraft.net/';
+
+/**
+ * Installs a loader from the official Forge installer jar (NeoForge uses the same
+ * format), without running the installer's own GUI:
+ *
+ * - Modern installers (1.13+) carry install_profile.json with libraries, data and
+ *   processors, plus a separate version.json. Libraries are downloaded and verified,
+ *   then the processors (binary patching, SRG mapping, jar splitting) run with the
+ *   managed Java runtime of the Minecraft version.
+ * - Legacy installers (1.7-1.12) carry the version JSON as versionInfo inside
+ *   install_profile.json and a universal jar that goes into libraries/.
+ *
+ * The version folder is only written once everything succeeded. Its receipt lists
+ * the libraries and processor outputs, so cleanup keeps the files the version needs
+ * even though its JSON doesn't name all of them.
+ */
+class ForgeInstaller {
+    /**
+     * @param {string} [baseDir] Game root
+     * @param {Object} [options]
+     * @param {string} [options.name='Forge'] Loader name for log messages
+     */
+    constructor(baseDir, { name = 'Forge' } = {}) {
+        this.baseDir = resolveGameRoot(baseDir);
+        this.versionsDir = path.join(this.baseDir, 'versions');
+        this.librariesDir = path.join(this.baseDir, 'libraries');
+        this.name = name;
+        // Install queue job this installer runs under (see install-queue.js), set by the caller
+        this.job = null;
+    }
+
+    async checkpoint() {
+        if (this.job) await this.job.checkpoint();
+    }
+
+    progress(percent, phase, detail) {
+        if (this.job) this.job.progress(percent, phase, detail);
+    }
+
+    /**
+     * Refuse to download libraries the game folder's volume can't hold
+     * @param {Array<{path: string, size: number}>} files Files the install writes
+     * @param {string} versionId
+     * @throws {InsufficientSpaceError}
+     */
+    async checkDiskSpace(files, versionId) {
+        const required = await estimateDownloadSize(files);
+        const space = await ensureSpace(this.baseDir, required, versionId);
+        if (space && space.warning) {
+            this.progress(5, 'Low Disk Space', `${formatBytes(required)} needed, ${formatBytes(space.free)} free on ${space.diskPath}`);
+        }
+    }
+
+    libraryPath(coords) {
+        const relative = mavenPath(coords);
+        if (!relative) throw new Error(`Invalid library name: ${coords}`);
+        return path.join(this.librariesDir, ...relative.split('/'));
+    }
+
+    async download(url, destination, expected = {}) {
+        await this.checkpoint();
+        return downloadManager.download(url, destination, {
+            ...expected,
+            store: !!expected.sha1,
+            signal: this.job ? this.job.signal : undefined
+        });
+    }
+
+    /**
+     * Install from an installer jar
+     * @param {string} installerUrl URL of the installer jar
+     * @param {string} minecraftVersion Minecraft version the loader builds on; must already be installed
+     * @returns {Promise<string>} ID of the installed version
+     */
+    async install(installerUrl, minecraftVersion) {
+        const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'alright-forge-'));
+        try {
+            this.progress(0, 'Downloading Installer', path.basename(installerUrl));
+            const installerPath = path.join(tempDir, 'installer.jar');
+            const sha1 = await downloadManager.fetchSha1(installerUrl);
+            await this.download(installerUrl, installerPath, { sha1, description: path.basename(installerUrl) });
+
+            const installer = new AdmZip(installerPath);
+            const profileEntry = installer.getEntry('install_profile.json');
+            if (!profileEntry) throw new Error('The installer has no install_profile.json');
+            const profile = JSON.parse(profileEntry.getData().toString('utf8'));
+
+            return profile.versionInfo
+                ? await this.installLegacy(installer, profile, minecraftVersion)
+                : await this.installModern(installer, installerPath, profile, minecraftVersion, tempDir);
+        } finally {
+            await fs.remove(tempDir).catch(() => {});
+        }
+    }
+
+    async installLegacy(installer, profile, minecraftVersion) {
+        const versionJson = profile.versionInfo;
+        const receipt = new InstallReceipt(this.baseDir, versionJson.id);
+        logger.info(`Installing ${versionJson.id} from a legacy installer`);
+
+        // The universal jar ships inside the installer
+        const universalPath = this.libraryPath(profile.install.path);
+        const universal = installer.getEntry(profile.install.filePath);
+        if (!universal) throw new Error(`The installer has no ${profile.install.filePath}`);
+        // Legacy installers list no library sizes; only the universal jar's is known
+        await this.checkDiskSpace([{ path: universalPath, size: universal.header.size }], versionJson.id);
+        await fs.outputFile(universalPath, universal.getData());
+        receipt.add(universalPath, { size: (await fs.stat(universalPath)).size });
+
+        const libraries = versionJson.libraries.filter(lib => lib.name !== profile.install.path && lib.clientreq !== false);
+        for (const [index, lib] of libraries.entries()) {
+            this.progress(10 + (80 * index) / libraries.length, 'Downloading Libraries', lib.name);
+            const destination = this.libraryPath(lib.name);
+            const base = lib.url ? (lib.url.endsWith('/') ? lib.url : `${lib.url}/`) : MOJANG_LIBRARIES;
+            // Several checksums mean several acceptable builds; only a single one can be enforced
+            const expected = lib.checksums && lib.checksums.length === 1 ? { sha1: lib.checksums[0] } : {};
+            await this.download(base + mavenPath(lib.name), destination, { ...expected, description: lib.name });
+            receipt.add(destination, expected);
+        }
+
+        if (!versionJson.inheritsFrom) versionJson.inheritsFrom = minecraftVersion;
+        await this.writeVersion(versionJson, receipt);
+        return versionJson.id;
+    }
+
+    async installModern(installer, installerPath, profile, minecraftVersion, tempDir) {
+        const jsonEntry = installer.getEntry((profile.json || '/version.json').replace(/^\//, ''));
+        if (!jsonEntry) throw new Error('The installer has no version.json');
+        const versionJson = JSON.parse(jsonEntry.getData().toString('utf8'));
+        const receipt = new InstallReceipt(this.baseDir, versionJson.id);
+        logger.info(`Installing ${versionJson.id}`);
+
+        // Installer-only libraries (processor tools) first, then the ones the game needs
+        const libraries = [...(profile.libraries || []), ...(versionJson.libraries || [])];
+        const artifacts = libraries.map(lib => lib.downloads && lib.downloads.artifact).filter(Boolean);
+        await this.checkDiskSpace(artifacts.map(artifact => ({
+            path: path.join(this.librariesDir, ...artifact.path.split('/')),
+            size: artifact.size
+        })), versionJson.id);
+        const deferred = [];
+        for (const [index, lib] of libraries.entries()) {
+            this.progress(5 + (45 * index) / libraries.length, 'Downloading Libraries', lib.name);
+            const artifact = lib.downloads && lib.downloads.artifact;
+            if (!artifact) continue;
+
+            const destination = path.join(this.librariesDir, ...artifact.path.split('/'));
+            const expected = { sha1: artifact.sha1, size: artifact.size };
+            if (artifact.url) {
+                await this.download(artifact.url, destination, { ...expected, description: lib.name });
+            } else if (!await downloadManager.verify(destination, expected)) {
+                // Not on a maven: either bundled with the installer or produced by a processor
+                const bundled = installer.getEntry(`maven/${artifact.path}`);
+                if (bundled) {
+                    await fs.outputFile(destination, bundled.getData());
+                } else {
+                    deferred.push({ lib, destination, expected });
+                    continue;
+                }
+            }
+            if (versionJson.libraries.includes(lib)) receipt.add(destination, expected);
+        }
+
+        const parentJar = path.join(this.versionsDir, minecraftVersion, `${minecraftVersion}.jar`);
+        const data = this.resolveData(installer, profile.data || {}, tempDir, {
+            SIDE: 'client',
+            MINECRAFT_JAR: parentJar,
+            MINECRAFT_VERSION: minecraftVersion,
+            ROOT: this.baseDir,
+            INSTALLER: installerPath,
+            LIBRARY_DIR: this.librariesDir
+        });
+
+        const processors = (profile.processors || []).filter(processor => !processor.sides || processor.sides.includes('client'));
+        if (processors.length > 0) {
+            const java = await this.getJava(minecraftVersion);
+            for (const [index, processor] of processors.entries()) {
+                await this.checkpoint();
+                this.progress(50 + (45 * index) / processors.length, 'Running Processors', processor.jar);
+                const outputs = await this.runProcessor(java, processor, data);
+                for (const output of outputs) receipt.add(output.path, { sha1: output.sha1, size: output.size });
+            }
+        }
+
+        for (const { lib, destination, expected } of deferred) {
+            if (!await downloadManager.verify(destination, expected)) {
+                throw new Error(`Library ${lib.name} was neither downloadable nor produced by the installer`);
+            }
+            receipt.add(destination, expected);
+        }
+
+        // Launched like the official launcher does it: with a copy of the game jar named
+        // after the loader version, which modern loaders exclude from their module layer
+        const versionDir = path.join(this.versionsDir, versionJson.id);
+        await fs.copy(parentJar, path.join(versionDir, `${versionJson.id}.jar`));
+        await this.writeVersion(versionJson, receipt);
+        return versionJson.id;
+    }
+
+    /**
+     * Resolve install_profile data entries for the client side: [coords] become library
+     * paths, 'quoted' values literals, and /paths files extracted from the installer
+     */
+    resolveData(installer, entries, tempDir, builtins) {
+        const data = { ...builtins };
+        for (const [key, sides] of Object.entries(entries)) {
+            const value = sides.client;
+            if (value === undefined) continue;
+            if (value.startsWith('[') && value.endsWith(']')) {
+                data[key] = this.libraryPath(value.slice(1, -1));
+            } else if (value.startsWith('\'') && value.endsWith('\'')) {
+                data[key] = value.slice(1, -1);
+            } else if (value.startsWith('/')) {
+                const entry = installer.getEntry(value.slice(1));
+                if (!entry) throw new Error(`The installer has no ${value}`);
+                const target = path.join(tempDir, ...value.slice(1).split('/'));
+                fs.outputFileSync(target, entry.getData());
+                data[key] = target;
+            } else {
+                data[key] = value;
+            }
+        }
+        return data;
+    }
+
+    replaceTokens(value, data) {
+        if (value.startsWith('[') && value.endsWith(']')) {
+            return this.libraryPath(value.slice(1, -1));
+        }
+        const replaced = value.replace(/\{(\w+)\}/g, (match, key) => {
+            if (!(key in data)) throw new Error(`Processor argument ${value} uses unknown data ${key}`);
+            return data[key];
+        });
+        return replaced.startsWith('\'') && replaced.endsWith('\'') ? replaced.slice(1, -1) : replaced;
+    }
+
+    // Java of the Minecraft version the loader builds on
+    async getJava(minecraftVersion) {
+        const parentJson = await fs.readJson(path.join(this.versionsDir, minecraftVersion, `${minecraftVersion}.json`));
+        const runtimes = new JavaRuntimeManager(this.baseDir);
+        runtimes.job = this.job;
+        const component = runtimes.getComponent(parentJson, 8);
+        return runtimes.ensureRuntime(component, ({ type, message }) => {
+            if (type === 'status') this.progress(50, 'Preparing Java', message);
+        });
+    }
+
+    mainClass(jarPath) {
+        const manifest = new AdmZip(jarPath).readAsText('META-INF/MANIFEST.MF');
+        // Manifest lines wrap at 72 bytes with a leading space on the continuation
+        const match = manifest.replace(/\r?\n /g, '').match(/^Main-Class:\s*(.+?)\s*$/m);
+        if (!match) throw new Error(`${path.basename(jarPath)} has no Main-Class`);
+        return match[1];
+    }
+
+    /**
+     * Run one processor unless its outputs already exist with the expected hashes
+     * @returns {Promise<Array<{path: string, sha1: string, size: number}>>} Verified outputs
+     */
+    async runProcessor(java, processor, data) {
+        const outputs = Object.entries(processor.outputs || {}).map(([file, sha1]) => ({
+            path: this.replaceTokens(file, data),
+            sha1: this.replaceTokens(sha1, data)
+        }));
+        const verifyOutputs = async () => {
+            for (const output of outputs) {
+                if (!await downloadManager.verify(output.path, { sha1: output.sha1 })) return false;
+            }
+            return true;
+        };
+
+        if (outputs.length > 0 && await verifyOutputs()) {
+            logger.info(`Skipping processor ${processor.jar}, its outputs are up to date`);
+        } else {
+            const jar = this.libraryPath(processor.jar);
+            const classpath = [jar, ...(processor.classpath || []).map(coords => this.libraryPath(coords))];
+            const args = ['-cp', classpath.join(path.delimiter), this.mainClass(jar),
+                ...(processor.args || []).map(arg => this.replaceTokens(arg, data))];
+
+            logger.info(`Running processor ${processor.jar}`);
+            await this.spawn(java, args);
+
+            if (!await verifyOutputs()) {
+                throw new Error(`Processor ${processor.jar} produced missing or corrupt output`);
+            }
+        }
+
+        for (const output of outputs) {
+            output.size = (await fs.stat(output.path)).size;
+        }
+        return outputs;
+    }
+
+    spawn(java, args) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(java, args, { cwd: this.baseDir, windowsHide: true });
+            const tail = [];
+            const collect = (chunk) => {
+                for (const line of chunk.toString().split(/\r?\n/).filter(Boolean)) {
+                    logger.debug(`  ${line}`);
+                    tail.push(line);
+                    if (tail.length > 20) tail.shift();
+                }
+            };
+            child.stdout.on('data', collect);
+            child.stderr.on('data', collect);
+
+            const signal = this.job && this.job.signal;
+            const abort = () => child.kill();
+            if (signal) signal.addEventListener('abort', abort, { once: true });
+
+            child.on('error', reject);
+            child.on('close', (code) => {
+                if (signal) signal.removeEventListener('abort', abort);
+                if (signal && signal.aborted) {
+                    this.checkpoint().then(resolve, reject);
+                } else if (code !== 0) {
+                    reject(new Error(`Processor exited with code ${code}: ${tail.slice(-3).join(' | ')}`));
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async writeVersion(versionJson, receipt) {
+        const versionDir = path.join(this.versionsDir, versionJson.id);
+        const jsonPath = path.join(versionDir, `${versionJson.id}.json`);
+        await fs.outputJson(jsonPath, versionJson, { spaces: 2 });
+        receipt.add(jsonPath, { sha1: await downloadManager.hashFile(jsonPath), size: (await fs.stat(jsonPath)).size }, { shared: false });
+
+        const jarPath = path.join(versionDir, `${versionJson.id}.jar`);
+        if (await fs.pathExists(jarPath)) {
+            receipt.add(jarPath, { sha1: await downloadManager.hashFile(jarPath), size: (await fs.stat(jarPath)).size }, { shared: false });
+        }
+        await fs.writeJson(path.join(versionDir, RECEIPT_FILE), receipt.toJSON(), { spaces: 2 });
+        logger.info(`${this.name} ${versionJson.id} installed`);
+    }
+}
+
+module.exports = ForgeInstaller;
@@ -0,0 +1,230 @@
+const EventEmitter = require('events');
+
+// log4j levels, least to most severe
+const LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+
+// [12:34:56] [Render thread/INFO]: message
+// [12:34:56] [main/INFO] [net.minecraft.Foo/]: message   (Forge/NeoForge layout)
+// [01Jan2024 12:34:56.789] [main/DEBUG] [cpw.mods.Foo/CORE]: message
+const PLAIN_LINE = /^\[(?:\d{2}[A-Za-z]{3}\d{4} )?(\d{2}:\d{2}:\d{2}(?:\.\d+)?)\] \[(.+?)\/(TRACE|DEBUG|INFO|WARN|ERROR|FATAL)\](?: \[([^\]]*)\])?:? ?(.*)$/;
+
+// Lines that continue the previous entry (stack traces, "Caused by", "... 12 more")
+const CONTINUATION_LINE = /^(\s+at |\s*\.\.\. \d+ more|Caused by: |Suppressed: |\s|[\w$.]+(?:Exception|Error|Throwable)(?::|$))/;
+
+const XML_EVENT_START = '<log4j:Event';
+const XML_EVENT_END = '</log4j:Event>';
+
+// An unfinished entry is emitted after this long without a continuation line
+const FLUSH_DELAY = 100;
+
+function levelIndex(level) {
+    const index = LEVELS.indexOf(String(level || '').toLowerCase());
+    return index === -1 ? LEVELS.indexOf('info') : index;
+}
+
+function decodeXml(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+function readXmlContent(xml, tag) {
+    const match = new RegExp(`<log4j:${tag}>(?:<!\\[CDATA\\[([\\s\\S]*?)\\]\\]>|([\\s\\S]*?))</log4j:${tag}>`).exec(xml);
+    if (!match) return null;
+    return match[1] !== undefined ? match[1] : decodeXml(match[2] || '');
+}
+
+function readXmlAttribute(xml, name) {
+    const match = new RegExp(`\\b${name}="([^"]*)"`).exec(xml);
+    return match ? decodeXml(match[1]) : null;
+}
+
+/**
+ * Turns one of a game's output streams into structured log4j entries. Handles the
+ * plain console pattern and the XMLLayout used when the version's logging.client
+ * config is applied. Use one parser per stream so stdout and stderr chunks never
+ * end up in the same entry. Emits 'entry' with {time, level, thread, logger, message,
+ * throwable, stream}.
+ */
+class GameLogParser extends EventEmitter {
+    /**
+     * @param {string} [stream='stdout'] 'stdout' or 'stderr'
+     */
+    constructor(stream = 'stdout') {
+        super();
+        this.stream = stream;
+        this.partial = '';
+        this.xmlBuffer = null;
+        this.pending = null;
+        this.flushTimer = null;
+    }
+
+    /**
+     * Feed a chunk of the stream's output
+     * @param {Buffer|string} chunk
+     */
+    write(chunk) {
+        const lines = (this.partial + chunk.toString()).split(/\r?\n/);
+        this.partial = lines.pop();
+
+        for (const line of lines) {
+            this.parseLine(line);
+        }
+        this.scheduleFlush();
+    }
+
+    /**
+     * Emit everything still buffered (call when the process exits)
+     */
+    end() {
+        if (this.partial) {
+            this.parseLine(this.partial);
+            this.partial = '';
+        }
+        if (this.xmlBuffer) {
+            this.emitXmlEvent(this.xmlBuffer);
+            this.xmlBuffer = null;
+        }
+        this.flush();
+    }
+
+    parseLine(line) {
+        const stream = this.stream;
+        // XMLLayout events span several lines
+        if (this.xmlBuffer !== null || line.trimStart().startsWith(XML_EVENT_START)) {
+            this.xmlBuffer = this.xmlBuffer === null ? line : `${this.xmlBuffer}\n${line}`;
+            if (this.xmlBuffer.includes(XML_EVENT_END)) {
+                this.emitXmlEvent(this.xmlBuffer);
+                this.xmlBuffer = null;
+            }
+            return;
+        }
+
+        const match = PLAIN_LINE.exec(line);
+        if (match) {
+            this.flush();
+            const [, time, thread, level, loggerName, message] = match;
+            this.pending = {
+                time,
+                level: level.toLowerCase(),
+                thread,
+                logger: loggerName ? loggerName.replace(/\/$/, '') : null,
+                message,
+                throwable: null,
+                stream
+            };
+            return;
+        }
+
+        if (this.pending && line && CONTINUATION_LINE.test(line)) {
+            this.pending.throwable = this.pending.throwable ? `${this.pending.throwable}\n${line}` : line;
+            return;
+        }
+
+        if (!line.trim()) return;
+
+        // Output that doesn't go through log4j (JVM warnings, System.out in old versions)
+        this.flush();
+        this.pending = {
+            time: new Date().toTimeString().slice(0, 8),
+            level: stream === 'stderr' ? 'warn' : 'info',
+            thread: null,
+            logger: null,
+            message: line,
+            throwable: null,
+            stream
+        };
+    }
+
+    emitXmlEvent(xml) {
+        this.flush();
+        const timestamp = parseInt(readXmlAttribute(xml, 'timestamp'), 10);
+        this.emit('entry', {
+            time: (Number.isNaN(timestamp) ? new Date() : new Date(timestamp)).toTimeString().slice(0, 8),
+            level: (readXmlAttribute(xml, 'level') || 'info').toLowerCase(),
+            thread: readXmlAttribute(xml, 'thread'),
+            logger: readXmlAttribute(xml, 'logger'),
+            message: readXmlContent(xml, 'Message') || '',
+            throwable: readXmlContent(xml, 'Throwable'),
+            stream: this.stream
+        });
+    }
+
+    scheduleFlush() {
+        clearTimeout(this.flushTimer);
+        if (this.pending) {
+            this.flushTimer = setTimeout(() => this.flush(), FLUSH_DELAY);
+        }
+    }
+
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (this.pending) {
+            const entry = this.pending;
+            this.pending = null;
+            this.emit('entry', entry);
+        }
+    }
+}
+
+/**
+ * Bounded in-memory history of a session's log entries with level/search queries.
+ * Entries get an id and receivedAt (ms) when pushed. Emits 'entry' for every entry pushed.
+ */
+class GameLogBuffer extends EventEmitter {
+    constructor(maxEntries = 5000) {
+        super();
+        this.maxEntries = maxEntries;
+        this.entries = [];
+        this.nextId = 1;
+    }
+
+    push(entry) {
+        const stored = { id: this.nextId++, receivedAt: Date.now(), ...entry };
+        this.entries.push(stored);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+        }
+        this.emit('entry', stored);
+        return stored;
+    }
+
+    /**
+     * Query buffered entries
+     * @param {Object} [filter]
+     * @param {string} [filter.level] Minimum level (e.g. 'warn' returns warn, error and fatal)
+     * @param {string} [filter.search] Case-insensitive text in message, logger, thread or throwable
+     * @param {number} [filter.afterId] Only entries newer than this ID
+     * @param {number} [filter.limit] Return at most this many (the most recent)
+     * @returns {Object[]} Matching entries, oldest first
+     */
+    query({ level, search, afterId, limit } = {}) {
+        const minLevel = level ? levelIndex(level) : 0;
+        const term = search ? search.toLowerCase() : null;
+
+        const matches = this.entries.filter(entry => {
+            if (afterId && entry.id <= afterId) return false;
+            if (levelIndex(entry.level) < minLevel) return false;
+            if (!term) return true;
+            return [entry.message, entry.logger, entry.thread, entry.throwable]
+                .some(field => field && field.toLowerCase().includes(term));
+        });
+
+        return limit ? matches.slice(-limit) : matches;
+    }
+
+    clear() {
+        this.entries = [];
+    }
+}
+
+module.exports = {
+    LEVELS,
+    levelIndex,
+    GameLogParser,
+    GameLogBuffer
+};
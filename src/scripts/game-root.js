@@ -0,0 +1,47 @@
+const path = require('path');
+const { getAppDataDir } = require('./platform');
+
+const ROOT_FOLDER = '.alrightlauncher';
+
+/**
+ * Game root used when no folder override is given: <appData>/.alrightlauncher
+ * @returns {string}
+ */
+function getDefaultGameRoot() {
+    return path.join(getAppDataDir(), ROOT_FOLDER);
+}
+
+/**
+ * Set the game root for this process. main.js calls this once at startup with the
+ * --minecraft-folder override (or nothing) before any subsystem is created.
+ * @param {string|null} [dir] Folder override; the default root is used when empty
+ * @returns {string} The resolved game root
+ */
+function setGameRoot(dir) {
+    global.minecraftPath = dir ? path.resolve(dir) : getDefaultGameRoot();
+    return global.minecraftPath;
+}
+
+/**
+ * Current game root: the configured folder, or the default one
+ * @returns {string}
+ */
+function getGameRoot() {
+    return global.minecraftPath || getDefaultGameRoot();
+}
+
+/**
+ * Directory a subsystem should use: the one it was given, otherwise the game root
+ * @param {string} [baseDir] Directory injected by the caller
+ * @returns {string}
+ */
+function resolveGameRoot(baseDir) {
+    return baseDir || getGameRoot();
+}
+
+module.exports = {
+    getDefaultGameRoot,
+    setGameRoot,
+    getGameRoot,
+    resolveGameRoot
+};
@@ -0,0 +1,292 @@
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+
+// Finished jobs kept in list() so the UI can show what just completed or failed
+const HISTORY_LIMIT = 20;
+
+class InstallCancelledError extends Error {
+    constructor(message = 'Installation cancelled') {
+        super(message);
+        this.name = 'InstallCancelledError';
+        this.cancelled = true;
+    }
+}
+
+/**
+ * Runs installs (game versions, mod loaders, assets, Java) one after another so their
+ * downloads and progress events don't interleave. Jobs can be cancelled, paused,
+ * resumed and reordered while they wait.
+ *
+ * A job's run(job) receives a context with:
+ * - id: the job ID, to tag progress events with
+ * - signal: AbortSignal that fires when the job is cancelled (pass it to downloads)
+ * - checkpoint(): resolves immediately, waits while the job is paused, or throws
+ *   InstallCancelledError once it has been cancelled. Installers call it before each
+ *   download (downloadAll() takes it as an option), so a pause takes effect once the
+ *   downloads in flight have finished. A paused job keeps its slot until then.
+ * - progress(percent, phase, detail): update the job's progress
+ *
+ * Events:
+ * - 'update' (jobs) whenever a job changes state, with the list() snapshot
+ * - 'progress' {jobId, progress, phase, detail}
+ */
+class InstallQueue extends EventEmitter {
+    constructor({ maxConcurrent = 1 } = {}) {
+        super();
+        this.maxConcurrent = maxConcurrent;
+        this.jobs = []; // unfinished jobs, in the order they will run
+        this.history = []; // finished jobs, newest first
+    }
+
+    /**
+     * Queue an install
+     * @param {Object} options
+     * @param {string} options.type Job kind, e.g. 'version', 'fabric', 'assets', 'java'
+     * @param {string} options.title Name shown in the queue
+     * @param {Function} options.run async (job) => result
+     * @param {Function} [options.cleanup] async () => void, called after a cancelled run
+     *   to remove what the job left half-installed
+     * @returns {{id: string, promise: Promise}} promise settles with run()'s result, or
+     *   rejects with InstallCancelledError if the job is cancelled
+     */
+    enqueue({ type, title, run, cleanup }) {
+        const job = {
+            id: uuidv4(),
+            type,
+            title,
+            status: 'queued',
+            progress: 0,
+            phase: null,
+            detail: null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            run,
+            cleanup,
+            started: false,
+            controller: new AbortController(),
+            gate: null,
+            parked: false // waiting at its gate in checkpoint()
+        };
+        job.promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+        // Callers that only look at list() shouldn't trigger unhandled rejections
+        job.promise.catch(() => {});
+
+        this.jobs.push(job);
+        logger.info(`Queued install ${job.id}: ${title}`);
+        this.pump();
+
+        return { id: job.id, promise: job.promise };
+    }
+
+    /**
+     * Snapshot of the queue: unfinished jobs in run order, then recent finished ones
+     * @returns {Object[]} {id, type, title, status, progress, phase, detail, error,
+     *   createdAt, startedAt, finishedAt}; status is 'queued', 'running', 'paused',
+     *   'completed', 'failed' or 'cancelled'
+     */
+    list() {
+        return [...this.jobs, ...this.history].map(job => this.snapshot(job));
+    }
+
+    get(id) {
+        return this.jobs.find(job => job.id === id) || this.history.find(job => job.id === id) || null;
+    }
+
+    cancel(id) {
+        const job = this.jobs.find(candidate => candidate.id === id);
+        if (!job) return { success: false, error: `No active install ${id}` };
+
+        logger.info(`Cancelling install ${id}: ${job.title}`);
+        job.controller.abort();
+
+        if (!job.started) {
+            this.finish(job, 'cancelled', new InstallCancelledError());
+        } else {
+            // The run notices at its next checkpoint or when its downloads abort
+            this.openGate(job);
+        }
+        return { success: true };
+    }
+
+    pause(id) {
+        const job = this.jobs.find(candidate => candidate.id === id);
+        if (!job) return { success: false, error: `No active install ${id}` };
+        if (job.status === 'paused') return { success: true };
+
+        if (job.started && !job.gate) {
+            let release;
+            const promise = new Promise(resolve => { release = resolve; });
+            job.gate = { promise, release };
+        }
+        job.status = 'paused';
+        logger.info(`Paused install ${id}: ${job.title}`);
+        // The next job starts once this one reaches its gate (see checkpoint())
+        this.pump();
+        return { success: true };
+    }
+
+    resume(id) {
+        const job = this.jobs.find(candidate => candidate.id === id);
+        if (!job) return { success: false, error: `No active install ${id}` };
+        if (job.status !== 'paused') return { success: true };
+
+        job.status = 'queued';
+        logger.info(`Resumed install ${id}: ${job.title}`);
+        this.pump();
+        return { success: true };
+    }
+
+    /**
+     * Move a job to a new position in the run order
+     * @param {string} id Job ID
+     * @param {number} index New position among unfinished jobs (0 runs next)
+     */
+    move(id, index) {
+        const from = this.jobs.findIndex(job => job.id === id);
+        if (from === -1) return { success: false, error: `No active install ${id}` };
+
+        const [job] = this.jobs.splice(from, 1);
+        const to = Math.min(Math.max(parseInt(index, 10) || 0, 0), this.jobs.length);
+        this.jobs.splice(to, 0, job);
+        this.emitUpdate();
+        return { success: true };
+    }
+
+    pump() {
+        // A started job holds its slot until it waits at its gate, even while paused
+        let running = this.jobs.filter(job => job.status === 'running' || (job.started && !job.parked)).length;
+
+        for (const job of this.jobs) {
+            if (job.status !== 'queued') continue;
+
+            if (job.started && !job.parked) {
+                // Resumed before it got to its gate; its slot is still its own
+                job.status = 'running';
+                this.openGate(job);
+                continue;
+            }
+            if (running >= this.maxConcurrent) continue;
+
+            running++;
+            job.status = 'running';
+            if (job.started) {
+                this.openGate(job);
+            } else {
+                this.start(job);
+            }
+        }
+        this.emitUpdate();
+    }
+
+    async start(job) {
+        job.started = true;
+        job.startedAt = new Date().toISOString();
+        logger.info(`Starting install ${job.id}: ${job.title}`);
+
+        const context = {
+            id: job.id,
+            signal: job.controller.signal,
+            checkpoint: () => this.checkpoint(job),
+            progress: (percent, phase, detail) => this.setProgress(job, percent, phase, detail)
+        };
+
+        try {
+            // A run that got to the end despite a late cancel is kept
+            const result = await job.run(context);
+            this.finish(job, 'completed', null, result);
+        } catch (error) {
+            if (job.controller.signal.aborted || error.cancelled) {
+                if (job.cleanup) {
+                    try {
+                        await job.cleanup();
+                    } catch (cleanupError) {
+                        logger.warn(`Cleanup after cancelling ${job.title} failed: ${cleanupError.message}`);
+                    }
+                }
+                this.finish(job, 'cancelled', new InstallCancelledError());
+            } else {
+                logger.error(`Install ${job.title} failed: ${error.message}`);
+                this.finish(job, 'failed', error);
+            }
+        }
+    }
+
+    async checkpoint(job) {
+        while (job.gate && !job.controller.signal.aborted) {
+            // Nothing of this job is running any more: hand its slot on
+            job.parked = true;
+            this.pump();
+            await job.gate.promise;
+            job.parked = false;
+        }
+        if (job.controller.signal.aborted) {
+            throw new InstallCancelledError();
+        }
+    }
+
+    openGate(job) {
+        if (job.gate) {
+            job.gate.release();
+            job.gate = null;
+        }
+    }
+
+    setProgress(job, percent, phase, detail) {
+        if (typeof percent === 'number') job.progress = Math.min(Math.max(percent, 0), 100);
+        if (phase !== undefined) job.phase = phase;
+        if (detail !== undefined) job.detail = detail;
+        this.emit('progress', { jobId: job.id, progress: job.progress, phase: job.phase, detail: job.detail });
+    }
+
+    finish(job, status, error = null, result) {
+        const index = this.jobs.indexOf(job);
+        if (index === -1) return;
+
+        this.jobs.splice(index, 1);
+        job.status = status;
+        job.error = error && status === 'failed' ? error.message : null;
+        job.finishedAt = new Date().toISOString();
+        if (status === 'completed') job.progress = 100;
+
+        this.history.unshift(job);
+        this.history.length = Math.min(this.history.length, HISTORY_LIMIT);
+
+        if (status === 'completed') {
+            job.resolve(result);
+        } else {
+            job.reject(error);
+        }
+        this.pump();
+    }
+
+    snapshot(job) {
+        return {
+            id: job.id,
+            type: job.type,
+            title: job.title,
+            status: job.status,
+            progress: job.progress,
+            phase: job.phase,
+            detail: job.detail,
+            error: job.error,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt
+        };
+    }
+
+    emitUpdate() {
+        this.emit('update', this.list());
+    }
+}
+
+// One queue for the main process so every install entry point shares the run order
+module.exports = new InstallQueue();
+module.exports.InstallQueue = InstallQueue;
+module.exports.InstallCancelledError = InstallCancelledError;
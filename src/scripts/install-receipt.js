@@ -0,0 +1,127 @@
+const fs = require('fs-extra');
+const path = require('path');
+const downloadManager = require('./download-manager');
+
+// Installs are assembled in <root>/.staging/<version> and moved into versions/ when complete
+const STAGING_DIR = '.staging';
+const RECEIPT_FILE = 'install-receipt.json';
+
+function getStagingDir(baseDir, version) {
+    return path.join(baseDir, STAGING_DIR, version);
+}
+
+/**
+ * Collects the files an install produced. Paths are stored relative to the game root
+ * with forward slashes so receipts survive a moved or portable game folder.
+ */
+class InstallReceipt {
+    constructor(baseDir, version) {
+        this.baseDir = baseDir;
+        this.version = version;
+        this.files = new Map(); // relative path -> {path, sha1, size, shared}
+    }
+
+    /**
+     * Record a file
+     * @param {string} filePath Absolute path
+     * @param {Object} [expected] {sha1, size} the file was verified against
+     * @param {Object} [options]
+     * @param {boolean} [options.shared=true] Lives outside the version folder (libraries, assets)
+     */
+    add(filePath, { sha1, size } = {}, { shared = true } = {}) {
+        const relative = path.relative(this.baseDir, filePath).split(path.sep).join('/');
+        this.files.set(relative, { path: relative, sha1: sha1 || null, size: size || null, shared });
+    }
+
+    /**
+     * Record a file inside the staged version folder under the path it will have once committed
+     * @param {string} stagingDir Staging folder of the version
+     * @param {string} filePath Absolute path inside stagingDir
+     * @param {Object} [expected] {sha1, size}
+     */
+    addStaged(stagingDir, filePath, expected = {}) {
+        const target = path.join(this.baseDir, 'versions', this.version, path.relative(stagingDir, filePath));
+        this.add(target, expected, { shared: false });
+    }
+
+    toJSON() {
+        return {
+            version: this.version,
+            installedAt: new Date().toISOString(),
+            files: [...this.files.values()]
+        };
+    }
+}
+
+/**
+ * Check every file of a receipt. Files in the version folder are hashed; shared
+ * libraries and assets were hashed when downloaded (or when the download was skipped
+ * because they already matched), so only their presence and size are checked here.
+ * @param {string} baseDir Game root
+ * @param {Object} receipt Receipt JSON
+ * @param {Object} [options]
+ * @param {string} [options.stagingDir] Look for version folder files here instead of versions/<version>
+ * @returns {Promise<string[]>} Relative paths that are missing or don't match
+ */
+async function verifyReceipt(baseDir, receipt, { stagingDir } = {}) {
+    const versionPrefix = `versions/${receipt.version}/`;
+    const failures = [];
+
+    for (const file of receipt.files) {
+        let filePath = path.join(baseDir, ...file.path.split('/'));
+        if (stagingDir && file.path.startsWith(versionPrefix)) {
+            filePath = path.join(stagingDir, ...file.path.slice(versionPrefix.length).split('/'));
+        }
+
+        const expected = file.shared ? { size: file.size } : { sha1: file.sha1, size: file.size };
+        if (!await downloadManager.verify(filePath, expected)) {
+            failures.push(file.path);
+        }
+    }
+    return failures;
+}
+
+async function readReceipt(versionDir) {
+    try {
+        return await fs.readJson(path.join(versionDir, RECEIPT_FILE));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Install state of a version
+ * @param {string} baseDir Game root
+ * @param {string} version Version ID
+ * @returns {Promise<string|null>} 'installed', 'partial' (an interrupted install or a
+ *   version folder missing its JSON or jar), or null if nothing is there
+ */
+async function getInstallState(baseDir, version) {
+    const versionDir = path.join(baseDir, 'versions', version);
+
+    if (await fs.pathExists(versionDir)) {
+        if (await fs.pathExists(path.join(versionDir, RECEIPT_FILE))) return 'installed';
+
+        // Installed before receipts existed, or by a mod loader installer
+        const jsonPath = path.join(versionDir, `${version}.json`);
+        if (await fs.pathExists(jsonPath)) {
+            if (await fs.pathExists(path.join(versionDir, `${version}.jar`))) return 'installed';
+            try {
+                if ((await fs.readJson(jsonPath)).inheritsFrom) return 'installed';
+            } catch { /* unreadable JSON */ }
+        }
+        return 'partial';
+    }
+
+    return await fs.pathExists(getStagingDir(baseDir, version)) ? 'partial' : null;
+}
+
+module.exports = {
+    STAGING_DIR,
+    RECEIPT_FILE,
+    InstallReceipt,
+    getStagingDir,
+    verifyReceipt,
+    readReceipt,
+    getInstallState
+};
@@ -1,9 +1,9 @@
-const https = require('https');
 const fs = require('fs-extra');
 const path = require('path');
 const { spawn, exec } = require('child_process');
 const os = require('os');
 const logger = require('./logger');
+const downloadManager = require('./download-manager');
 
 function getOS() {
   switch (process.platform) {
@@ -30,8 +30,8 @@ class JavaInstaller {
   constructor(options = {}) {
     this.javaVersion = options.javaVersion || 21;
     this.tempDir = options.tempDir || os.tmpdir();
-    this.timeout = options.timeout || 120000;
     this.installDir = options.installDir || this._defaultInstallDir();
+    this.job = options.job || null; // install queue job (see install-queue.js)
   }
 
   _defaultInstallDir() {
@@ -67,47 +67,18 @@ class JavaInstaller {
     return `https://github.com/adoptium/${fb.repo}/releases/download/${fb.build}/${file}`;
   }
 
-  async downloadFile(destination, url) {
-    return new Promise((resolve, reject) => {
-      fs.ensureDirSync(path.dirname(destination));
-      let receivedBytes = 0;
-      let totalBytes = 0;
-
-      const doDownload = (downloadUrl, redirectCount = 0) => {
-        if (redirectCount > 5) return reject(new Error('Too many redirects'));
-        logger.info(`Starting download from: ${downloadUrl}`);
-        const file = fs.createWriteStream(destination);
-
-        const request = https.get(downloadUrl, { timeout: this.timeout }, (response) => {
-          if (response.statusCode >= 300 && response.statusCode < 400) {
-            const redirectUrl = response.headers.location;
-            response.resume();
-            file.close();
-            fs.removeSync(destination);
-            return redirectUrl ? doDownload(redirectUrl, redirectCount + 1) : reject(new Error('Redirect with no location'));
-          }
-          if (response.statusCode !== 200) {
-            file.close();
-            fs.removeSync(destination);
-            return reject(new Error(`Server returned ${response.statusCode}`));
-          }
-          totalBytes = parseInt(response.headers['content-length'], 10) || 0;
-          response.on('data', (chunk) => {
-            receivedBytes += chunk.length;
-          });
-          response.pipe(file);
-          file.on('finish', () => {
-            file.close();
-            logger.info(`Download completed: ${destination}`);
-            resolve(destination);
-          });
-        });
-        request.on('error', (err) => { file.close(); fs.removeSync(destination); reject(err); });
-        request.on('timeout', () => { request.abort(); file.close(); fs.removeSync(destination); reject(new Error('Download timed out')); });
-        file.on('error', (err) => { file.close(); fs.removeSync(destination); reject(err); });
-      };
-      doDownload(url);
+  async downloadFile(destination, url, progressCallback) {
+    logger.info(`Starting download from: ${url}`);
+    await downloadManager.download(url, destination, {
+      description: path.basename(destination),
+      force: true,
+      signal: this.job ? this.job.signal : undefined,
+      onProgress: (received, total) => {
+        if (total) progressCallback?.({ type: 'download', progress: (received / total) * 100 });
+      },
     });
+    logger.info(`Download completed: ${destination}`);
+    return destination;
   }
 
   async verifyDownload(filePath) {
@@ -128,18 +99,21 @@ class JavaInstaller {
       if (await fs.pathExists(installerPath)) await fs.remove(installerPath);
 
       try {
-        await this.downloadFile(installerPath, this._buildPrimaryUrl());
+        await this.downloadFile(installerPath, this._buildPrimaryUrl(), progressCallback);
       } catch (downloadError) {
+        if (downloadError.cancelled) throw downloadError;
         logger.warn(`Primary download failed: ${downloadError.message}. Trying fallback...`);
         progressCallback?.({ type: 'status', message: 'Trying alternative download source...' });
         if (await fs.pathExists(installerPath)) await fs.remove(installerPath);
-        await this.downloadFile(installerPath, this._buildFallbackUrl());
+        await this.downloadFile(installerPath, this._buildFallbackUrl(), progressCallback);
       }
 
       if (!(await this.verifyDownload(installerPath))) {
         throw new Error('Downloaded file is invalid or corrupt');
       }
 
+      // The system installer can't be interrupted once it starts
+      if (this.job) await this.job.checkpoint();
       progressCallback?.({ type: 'status', message: 'Installing Java...' });
       await this.runInstaller(installerPath, progressCallback);
 
@@ -0,0 +1,351 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { execFile } = require('child_process');
+const logger = require('./logger');
+
+const JAVA_BINARY = process.platform === 'win32' ? 'java.exe' : 'java';
+const PROBE_TIMEOUT = 10000;
+
+// Lower sorts first when two entries point at the same Java home
+const SOURCE_PRIORITY = ['managed', 'custom', 'JAVA_HOME', 'system', 'sdkman', 'asdf', 'PATH'];
+
+// Vendor folders that Windows installers put under Program Files
+const WINDOWS_VENDOR_DIRS = [
+    'Java',
+    'Eclipse Adoptium',
+    'Eclipse Foundation',
+    'AdoptOpenJDK',
+    'Zulu',
+    'Microsoft',
+    'BellSoft',
+    'Amazon Corretto',
+    'Semeru'
+];
+
+/**
+ * Parse the output of `java -XshowSettings:properties -version`
+ * @param {string} output Combined stdout/stderr
+ * @returns {Object} Property name to value (multi-line values are joined with the path separator)
+ */
+function parseProperties(output) {
+    const properties = {};
+    let lastKey = null;
+
+    for (const line of output.split(/\r?\n/)) {
+        const match = /^ {4}(\S+) = (.*)$/.exec(line);
+        if (match) {
+            lastKey = match[1];
+            properties[lastKey] = match[2];
+        } else if (lastKey && /^ {8}\S/.test(line)) {
+            properties[lastKey] += path.delimiter + line.trim();
+        } else if (!line.startsWith(' ')) {
+            lastKey = null;
+        }
+    }
+    return properties;
+}
+
+/**
+ * Major version from a java.version string ("1.8.0_382" -> 8, "17.0.8" -> 17, "21" -> 21)
+ * @param {string} version java.version property
+ * @returns {number}
+ */
+function parseMajorVersion(version) {
+    const parts = String(version || '').split(/[.\-+_]/);
+    const first = parseInt(parts[0], 10) || 0;
+    return first === 1 ? parseInt(parts[1], 10) || 0 : first;
+}
+
+/**
+ * Persistent list of Java installations found on this machine. Each binary is probed
+ * once and re-probed only when its modification time changes.
+ */
+class JavaRegistry {
+    constructor(baseDir) {
+        this.baseDir = baseDir;
+        this.cachePath = path.join(baseDir, 'java-registry.json');
+        this.runtimeDir = path.join(baseDir, 'runtime');
+        this.cache = null;
+        this.scanPromise = null;
+    }
+
+    async loadCache() {
+        if (!this.cache) {
+            try {
+                this.cache = await fs.readJson(this.cachePath);
+            } catch {
+                this.cache = {};
+            }
+            this.cache.entries = this.cache.entries || {};
+            this.cache.custom = this.cache.custom || [];
+        }
+        return this.cache;
+    }
+
+    async saveCache() {
+        try {
+            await fs.ensureDir(path.dirname(this.cachePath));
+            await fs.writeJson(this.cachePath, this.cache, { spaces: 2 });
+        } catch (error) {
+            logger.warn(`Could not save Java registry: ${error.message}`);
+        }
+    }
+
+    /**
+     * Java binaries worth probing, in source priority order
+     * @returns {Promise<Array<{path: string, source: string, component?: string}>>}
+     */
+    async getCandidates() {
+        const candidates = [];
+        const home = os.homedir();
+
+        const addHome = (dir, source, extra = {}) => {
+            if (dir) candidates.push({ path: path.join(dir, 'bin', JAVA_BINARY), source, ...extra });
+        };
+        const addChildren = async (dir, source, suffix = []) => {
+            try {
+                for (const entry of await fs.readdir(dir)) {
+                    addHome(path.join(dir, entry, ...suffix), source);
+                }
+            } catch { /* directory doesn't exist */ }
+        };
+
+        // Runtimes downloaded by JavaRuntimeManager
+        try {
+            for (const component of await fs.readdir(this.runtimeDir)) {
+                const componentDir = path.join(this.runtimeDir, component);
+                addHome(process.platform === 'darwin'
+                    ? path.join(componentDir, 'jre.bundle', 'Contents', 'Home')
+                    : componentDir, 'managed', { component });
+            }
+        } catch { /* no managed runtimes yet */ }
+
+        const cache = await this.loadCache();
+        for (const customPath of cache.custom) {
+            candidates.push({ path: customPath, source: 'custom' });
+        }
+
+        addHome(process.env.JAVA_HOME, 'JAVA_HOME');
+
+        if (process.platform === 'win32') {
+            const programDirs = [process.env.ProgramFiles, process.env['ProgramFiles(x86)'], process.env.ProgramW6432]
+                .filter(Boolean);
+            for (const programDir of new Set(programDirs)) {
+                for (const vendor of WINDOWS_VENDOR_DIRS) {
+                    await addChildren(path.join(programDir, vendor), 'system');
+                }
+            }
+        } else if (process.platform === 'darwin') {
+            await addChildren('/Library/Java/JavaVirtualMachines', 'system', ['Contents', 'Home']);
+            await addChildren(path.join(home, 'Library', 'Java', 'JavaVirtualMachines'), 'system', ['Contents', 'Home']);
+        } else {
+            for (const dir of ['/usr/lib/jvm', '/usr/lib64/jvm', '/usr/java', '/opt/java', '/opt/jdk']) {
+                await addChildren(dir, 'system');
+            }
+        }
+
+        await addChildren(path.join(process.env.SDKMAN_DIR || path.join(home, '.sdkman'), 'candidates', 'java'), 'sdkman');
+        await addChildren(path.join(process.env.ASDF_DATA_DIR || path.join(home, '.asdf'), 'installs', 'java'), 'asdf');
+
+        for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+            candidates.push({ path: path.join(dir, JAVA_BINARY), source: 'PATH' });
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Run a Java binary with -XshowSettings:properties and describe it
+     * @param {string} javaPath Path to the java binary
+     * @returns {Promise<Object>} {path, home, vendor, version, majorVersion, arch, is64Bit, runtimeName}
+     */
+    probe(javaPath) {
+        return new Promise((resolve, reject) => {
+            execFile(javaPath, ['-XshowSettings:properties', '-version'], { timeout: PROBE_TIMEOUT, windowsHide: true },
+                (error, stdout, stderr) => {
+                    const properties = parseProperties(`${stdout}\n${stderr}`);
+                    if (!properties['java.version']) {
+                        reject(new Error(error ? error.message : `No version information from ${javaPath}`));
+                        return;
+                    }
+
+                    const arch = properties['os.arch'] || 'unknown';
+                    resolve({
+                        path: javaPath,
+                        home: properties['java.home'] || path.dirname(path.dirname(javaPath)),
+                        vendor: properties['java.vendor'] || 'Unknown',
+                        version: properties['java.version'],
+                        majorVersion: parseMajorVersion(properties['java.version']),
+                        arch,
+                        is64Bit: properties['sun.arch.data.model']
+                            ? properties['sun.arch.data.model'] === '64'
+                            : /64/.test(arch),
+                        runtimeName: properties['java.runtime.name'] || null
+                    });
+                });
+        });
+    }
+
+    /**
+     * Probe a binary, reusing the cached result while its mtime is unchanged
+     * @param {string} javaPath Path to the java binary
+     * @returns {Promise<Object|null>} Probe result, or null if the binary is missing or broken
+     */
+    async probeCached(javaPath) {
+        const cache = await this.loadCache();
+
+        let realPath;
+        let stat;
+        try {
+            realPath = await fs.realpath(javaPath);
+            stat = await fs.stat(realPath);
+            if (!stat.isFile()) return null;
+        } catch {
+            return null;
+        }
+
+        const cached = cache.entries[realPath];
+        if (cached && cached.mtimeMs === stat.mtimeMs) {
+            return cached.info;
+        }
+
+        try {
+            const info = await this.probe(realPath);
+            cache.entries[realPath] = { mtimeMs: stat.mtimeMs, info };
+            return info;
+        } catch (error) {
+            logger.debug?.(`Java probe failed for ${realPath}: ${error.message}`);
+            cache.entries[realPath] = { mtimeMs: stat.mtimeMs, info: null };
+            return null;
+        }
+    }
+
+    /**
+     * Find and probe every Java installation
+     * @param {Object} [options]
+     * @param {boolean} [options.refresh=false] Ignore cached probe results
+     * @returns {Promise<Object[]>} Installations, newest major version first. Each has the
+     *   probe fields plus source ('managed', 'custom', 'JAVA_HOME', 'system', 'sdkman',
+     *   'asdf' or 'PATH') and component for managed runtimes.
+     */
+    async scan({ refresh = false } = {}) {
+        if (this.scanPromise) return this.scanPromise;
+
+        this.scanPromise = (async () => {
+            const cache = await this.loadCache();
+            if (refresh) cache.entries = {};
+
+            const byHome = new Map();
+            const seenPaths = new Set();
+            for (const candidate of await this.getCandidates()) {
+                const info = await this.probeCached(candidate.path);
+                if (!info || seenPaths.has(info.path)) continue;
+                seenPaths.add(info.path);
+
+                const entry = { ...info, source: candidate.source };
+                if (candidate.component) entry.component = candidate.component;
+
+                const existing = byHome.get(info.home);
+                if (!existing ||
+                    SOURCE_PRIORITY.indexOf(entry.source) < SOURCE_PRIORITY.indexOf(existing.source)) {
+                    byHome.set(info.home, entry);
+                }
+            }
+
+            // Forget binaries that have disappeared
+            for (const cachedPath of Object.keys(cache.entries)) {
+                if (!seenPaths.has(cachedPath) && !await fs.pathExists(cachedPath)) {
+                    delete cache.entries[cachedPath];
+                }
+            }
+            await this.saveCache();
+
+            return [...byHome.values()].sort((a, b) =>
+                b.majorVersion - a.majorVersion ||
+                SOURCE_PRIORITY.indexOf(a.source) - SOURCE_PRIORITY.indexOf(b.source));
+        })();
+
+        try {
+            return await this.scanPromise;
+        } finally {
+            this.scanPromise = null;
+        }
+    }
+
+    /**
+     * Probe a Java binary or home directory (cached like scan results)
+     * @param {string} javaPath Binary or home directory
+     * @returns {Promise<Object|null>} Probe result, or null if it isn't a working Java
+     */
+    async describe(javaPath) {
+        let binary = String(javaPath || '').trim().replace(/^"|"$/g, '');
+        if (!binary) return null;
+        if ((await fs.stat(binary).catch(() => null))?.isDirectory()) {
+            binary = path.join(binary, 'bin', JAVA_BINARY);
+        }
+
+        const info = await this.probeCached(binary);
+        await this.saveCache();
+        return info;
+    }
+
+    /**
+     * Register a Java binary or home directory outside the standard locations.
+     * Installations the scan already finds are returned as they are.
+     * @param {string} javaPath Binary or home directory
+     * @returns {Promise<Object>} Registry entry
+     */
+    async addCustom(javaPath) {
+        const info = await this.describe(javaPath);
+        if (!info) {
+            throw new Error(`${javaPath} is not a working Java installation`);
+        }
+
+        const known = await this.scan();
+        const existing = known.find(install => install.home === info.home);
+        if (existing) return existing;
+
+        const cache = await this.loadCache();
+        cache.custom.push(info.path);
+        await this.saveCache();
+        return { ...info, source: 'custom' };
+    }
+
+    /**
+     * Best installation for a required major version: the version's managed runtime,
+     * then an exact major match, then the closest newer one. 64-bit builds win ties.
+     * @param {number} requiredMajorVersion Minimum Java major version
+     * @param {Object} [options]
+     * @param {string} [options.component] Mojang runtime component the version asks for
+     * @param {Object[]} [options.installs] Result of a scan() the caller already has
+     * @returns {Promise<Object|null>}
+     */
+    async findBest(requiredMajorVersion, { component, installs = null } = {}) {
+        installs = installs || await this.scan();
+
+        const managed = component && installs.find(install => install.component === component);
+        if (managed) return managed;
+
+        const rank = (install) => [
+            install.majorVersion === requiredMajorVersion ? 0 : 1,
+            install.majorVersion,
+            install.is64Bit ? 0 : 1,
+            SOURCE_PRIORITY.indexOf(install.source)
+        ];
+
+        return installs
+            .filter(install => install.majorVersion >= requiredMajorVersion)
+            .sort((a, b) => {
+                const rankA = rank(a);
+                const rankB = rank(b);
+                for (let i = 0; i < rankA.length; i++) {
+                    if (rankA[i] !== rankB[i]) return rankA[i] - rankB[i];
+                }
+                return 0;
+            })[0] || null;
+    }
+}
+
+module.exports = JavaRegistry;
+module.exports.parseMajorVersion = parseMajorVersion;
@@ -0,0 +1,275 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const downloadManager = require('./download-manager');
+const mirrors = require('./mirrors');
+const { ensureSpace, estimateDownloadSize } = require('./disk-usage');
+
+// Index of every Java runtime Mojang publishes, per platform and component
+const RUNTIME_INDEX_URL = 'https://launchermeta.mojang.com/v1/products/java-runtime/2ec0cc96c44e5a76b9c8b7c39df7210883d12871/all.json';
+
+// Component to use when a version JSON predates the javaVersion block
+const COMPONENTS_BY_MAJOR = {
+    8: 'jre-legacy',
+    16: 'java-runtime-alpha',
+    17: 'java-runtime-gamma',
+    21: 'java-runtime-delta'
+};
+
+// Written once every file of a runtime has been downloaded and verified
+const MARKER_FILE = '.runtime.json';
+
+// The index rarely changes; fetch it at most once per launcher session
+let runtimeIndexPromise = null;
+
+function sha1(buffer) {
+    return crypto.createHash('sha1').update(buffer).digest('hex');
+}
+
+/**
+ * Downloads and locates the Java runtimes Mojang ships for the official launcher
+ * (jre-legacy, java-runtime-alpha, -gamma, ...). Runtimes live in
+ * <minecraftPath>/runtime/<component>, so no administrator rights are needed.
+ */
+class JavaRuntimeManager {
+    constructor(baseDir) {
+        this.baseDir = baseDir;
+        this.runtimeDir = path.join(baseDir, 'runtime');
+        // Install queue job this manager runs under (see install-queue.js), set by main.js
+        this.job = null;
+    }
+
+    /**
+     * Platform key used by the runtime index, or null if Mojang ships no runtimes for it
+     * @returns {string|null}
+     */
+    getPlatformKey() {
+        const { platform, arch } = process;
+        if (platform === 'win32') {
+            if (arch === 'x64') return 'windows-x64';
+            if (arch === 'ia32') return 'windows-x86';
+            if (arch === 'arm64') return 'windows-arm64';
+        } else if (platform === 'darwin') {
+            return arch === 'arm64' ? 'mac-os-arm64' : 'mac-os';
+        } else if (platform === 'linux') {
+            if (arch === 'x64') return 'linux';
+            if (arch === 'ia32') return 'linux-i386';
+        }
+        return null;
+    }
+
+    /**
+     * Runtime component a version needs
+     * @param {Object} versionJson Version JSON (merged with its parent for modded versions)
+     * @param {number} [majorVersion] Required Java major version, for JSONs without javaVersion
+     * @returns {string|null} Component name, or null if no known component matches
+     */
+    getComponent(versionJson, majorVersion) {
+        if (versionJson && versionJson.javaVersion && versionJson.javaVersion.component) {
+            return versionJson.javaVersion.component;
+        }
+        return COMPONENTS_BY_MAJOR[majorVersion] || null;
+    }
+
+    getComponentDir(component) {
+        return path.join(this.runtimeDir, component);
+    }
+
+    getJavaBinary(component) {
+        const dir = this.getComponentDir(component);
+        if (process.platform === 'win32') return path.join(dir, 'bin', 'java.exe');
+        if (process.platform === 'darwin') return path.join(dir, 'jre.bundle', 'Contents', 'Home', 'bin', 'java');
+        return path.join(dir, 'bin', 'java');
+    }
+
+    /**
+     * Installed runtime details, read from its marker file
+     * @param {string} component Runtime component
+     * @returns {Object|null} {component, platform, version, manifestSha1, installedAt}, or null if not fully installed
+     */
+    getInstalledRuntime(component) {
+        try {
+            const markerPath = path.join(this.getComponentDir(component), MARKER_FILE);
+            if (!fs.existsSync(markerPath) || !fs.existsSync(this.getJavaBinary(component))) return null;
+            return fs.readJsonSync(markerPath);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Path to the java binary of an installed runtime
+     * @param {string} component Runtime component
+     * @returns {string|null}
+     */
+    findInstalledJava(component) {
+        if (!component || !this.getInstalledRuntime(component)) return null;
+        return this.getJavaBinary(component);
+    }
+
+    /**
+     * Fetch the runtime index (all platforms and components)
+     * @returns {Promise<Object>}
+     */
+    async getRuntimeIndex() {
+        if (!runtimeIndexPromise) {
+            runtimeIndexPromise = this.fetchJson(RUNTIME_INDEX_URL).catch(error => {
+                runtimeIndexPromise = null;
+                throw error;
+            });
+        }
+        return runtimeIndexPromise;
+    }
+
+    /**
+     * Index entry for a component on this platform
+     * @param {string} component Runtime component
+     * @returns {Promise<Object|null>} {manifest: {sha1, size, url}, version: {name, released}}, or null if unavailable
+     */
+    async getRuntimeInfo(component) {
+        const platformKey = this.getPlatformKey();
+        if (!platformKey) return null;
+
+        const index = await this.getRuntimeIndex();
+        const entries = index[platformKey] && index[platformKey][component];
+        return entries && entries.length > 0 ? entries[0] : null;
+    }
+
+    /**
+     * Make sure a component is installed and current, downloading it if needed.
+     * An installed runtime is used as-is when the index can't be reached.
+     * @param {string} component Runtime component
+     * @param {Function} [onProgress] Called with {type: 'status', message} and {type: 'download', progress}
+     * @returns {Promise<string>} Path to the java binary
+     */
+    async ensureRuntime(component, onProgress = () => {}) {
+        const installed = this.getInstalledRuntime(component);
+
+        let info;
+        try {
+            info = await this.getRuntimeInfo(component);
+        } catch (error) {
+            if (installed) {
+                logger.warn(`Could not check for ${component} updates: ${error.message}`);
+                return this.getJavaBinary(component);
+            }
+            throw error;
+        }
+
+        if (!info) {
+            if (installed) return this.getJavaBinary(component);
+            throw new Error(`Mojang does not provide ${component} for ${this.getPlatformKey() || `${process.platform}-${process.arch}`}`);
+        }
+
+        if (installed && installed.manifestSha1 === info.manifest.sha1) {
+            return this.getJavaBinary(component);
+        }
+
+        return this.installRuntime(component, info, onProgress);
+    }
+
+    /**
+     * Download every file of a runtime's manifest through the shared download engine
+     * (which verifies SHA1 hashes and keeps files that are already valid), then set
+     * executable bits and create links.
+     * @param {string} component Runtime component
+     * @param {Object} info Index entry from getRuntimeInfo()
+     * @param {Function} [onProgress] Progress callback
+     * @returns {Promise<string>} Path to the java binary
+     */
+    async installRuntime(component, info, onProgress = () => {}) {
+        const componentDir = this.getComponentDir(component);
+        const markerPath = path.join(componentDir, MARKER_FILE);
+
+        logger.info(`Installing Java runtime ${component} (${info.version.name}) into ${componentDir}`);
+        onProgress({ type: 'status', message: `Downloading Java runtime ${info.version.name}...` });
+
+        const manifest = await this.fetchJson(info.manifest.url, info.manifest.sha1);
+        const entries = Object.entries(manifest.files || {});
+        if (this.job) await this.job.checkpoint();
+
+        // Invalidate the old install first so an interrupted update isn't mistaken for a complete one
+        await fs.remove(markerPath);
+        await fs.ensureDir(componentDir);
+
+        for (const [name, entry] of entries) {
+            if (entry.type === 'directory') {
+                await fs.ensureDir(path.join(componentDir, name));
+            }
+        }
+
+        const files = entries.filter(([, entry]) => entry.type === 'file');
+        const required = await estimateDownloadSize(files.map(([name, entry]) => ({
+            path: path.join(componentDir, name),
+            size: entry.downloads.raw.size
+        })));
+        await ensureSpace(componentDir, required, `Java runtime ${component}`);
+
+        await downloadManager.downloadAll(files.map(([name, entry]) => ({
+            url: entry.downloads.raw.url,
+            destination: path.join(componentDir, name),
+            sha1: entry.downloads.raw.sha1,
+            size: entry.downloads.raw.size,
+            description: `${component}/${name}`
+        })), {
+            signal: this.job ? this.job.signal : undefined,
+            checkpoint: this.job ? () => this.job.checkpoint() : undefined,
+            onProgress: ({ completed, total }) => {
+                onProgress({ type: 'download', progress: total ? (completed / total) * 100 : 100 });
+            }
+        });
+
+        if (process.platform !== 'win32') {
+            for (const [name, entry] of files) {
+                if (entry.executable) {
+                    await fs.chmod(path.join(componentDir, name), 0o755);
+                }
+            }
+        }
+
+        for (const [name, entry] of entries) {
+            if (entry.type === 'link') {
+                await this.installLink(path.join(componentDir, name), entry.target);
+            }
+        }
+
+        await fs.writeJson(markerPath, {
+            component,
+            platform: this.getPlatformKey(),
+            version: info.version.name,
+            manifestSha1: info.manifest.sha1,
+            installedAt: new Date().toISOString()
+        }, { spaces: 2 });
+
+        logger.info(`Java runtime ${component} ${info.version.name} installed`);
+        onProgress({ type: 'status', message: `Java runtime ${info.version.name} installed` });
+        return this.getJavaBinary(component);
+    }
+
+    async installLink(linkPath, target) {
+        // Runtime manifests only use links on macOS and Linux
+        if (process.platform === 'win32') return;
+
+        try {
+            if ((await fs.readlink(linkPath)) === target) return;
+        } catch { /* missing or not a link */ }
+
+        await fs.remove(linkPath);
+        await fs.ensureDir(path.dirname(linkPath));
+        await fs.symlink(target, linkPath);
+    }
+
+    async fetchJson(url, expectedSha1 = null) {
+        const response = await mirrors.fetch(url, { timeout: downloadManager.timeout });
+        if (!response.ok) throw new Error(`Failed to fetch ${url}: ${response.statusText}`);
+
+        const buffer = await response.buffer();
+        if (expectedSha1 && sha1(buffer) !== expectedSha1) {
+            throw new Error(`${url} failed SHA1 verification`);
+        }
+        return JSON.parse(buffer.toString('utf8'));
+    }
+}
+
+module.exports = JavaRuntimeManager;
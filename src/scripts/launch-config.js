@@ -0,0 +1,303 @@
+const path = require('path');
+
+// Values ProfileManager/ProfileCreator write into every new profile. A profile still
+// carrying these hasn't been customised, so it shouldn't override the global settings.
+const STOCK_JAVA_ARGS = '-Xmx2G -XX:+UnlockExperimentalVMOptions -XX:+UseG1GC';
+const STOCK_RESOLUTION = { width: 854, height: 480 };
+
+const GC_TYPES = ['G1GC', 'ZGC', 'Shenandoah', 'Parallel', 'Serial', 'Custom'];
+const CRASH_REPORT_BEHAVIORS = ['prompt', 'always', 'never'];
+
+const VERSION_ALIASES = {
+    'latest-release': 'release',
+    'latest-snapshot': 'snapshot'
+};
+
+/**
+ * Convert a JVM memory flag value (e.g. "2G", "512M", "1048576k") to megabytes
+ * @param {string} value Value after -Xmx/-Xms
+ * @returns {number|null} Size in MB, or null if unparseable
+ */
+function parseMemoryValue(value) {
+    const match = /^(\d+)([kKmMgG]?)$/.exec(value || '');
+    if (!match) return null;
+
+    const amount = parseInt(match[1], 10);
+    switch (match[2].toLowerCase()) {
+        case 'g': return amount * 1024;
+        case 'm': return amount;
+        case 'k': return Math.floor(amount / 1024);
+        default: return Math.floor(amount / (1024 * 1024));
+    }
+}
+
+/**
+ * Split a profile's javaArgs string into memory settings and remaining JVM arguments
+ * @param {string} javaArgs Raw javaArgs from launcher_profiles.json
+ * @returns {{maxRam: number|null, minRam: number|null, jvmArgs: string}}
+ */
+function parseJavaArgs(javaArgs) {
+    const result = { maxRam: null, minRam: null, jvmArgs: '' };
+    if (!javaArgs || typeof javaArgs !== 'string') return result;
+
+    const rest = [];
+    for (const arg of javaArgs.trim().split(/\s+/).filter(Boolean)) {
+        if (arg.startsWith('-Xmx')) {
+            result.maxRam = parseMemoryValue(arg.slice(4));
+        } else if (arg.startsWith('-Xms')) {
+            result.minRam = parseMemoryValue(arg.slice(4));
+        } else {
+            rest.push(arg);
+        }
+    }
+    result.jvmArgs = rest.join(' ');
+    return result;
+}
+
+/**
+ * Extract the launch options a profile overrides
+ * @param {Object} profile Profile from launcher_profiles.json
+ * @returns {Object} Launch options set by the profile
+ */
+function getProfileOverrides(profile) {
+    const overrides = {};
+    if (!profile) return overrides;
+
+    if (profile.lastVersionId) {
+        overrides.version = profile.lastVersionId;
+    }
+
+    if (profile.javaArgs && profile.javaArgs.trim() !== STOCK_JAVA_ARGS) {
+        const parsed = parseJavaArgs(profile.javaArgs);
+        if (parsed.maxRam) overrides.maxRam = parsed.maxRam;
+        if (parsed.minRam) overrides.minRam = parsed.minRam;
+        if (parsed.jvmArgs) overrides.jvmArgs = parsed.jvmArgs;
+    }
+
+    // Runtime pinned to the profile (javaDir in the official launcher's format)
+    if (profile.javaDir) {
+        overrides.javaPath = profile.javaDir;
+    }
+
+    const { resolution } = profile;
+    if (resolution &&
+        (resolution.width !== STOCK_RESOLUTION.width || resolution.height !== STOCK_RESOLUTION.height)) {
+        overrides.gameWidth = parseInt(resolution.width, 10) || STOCK_RESOLUTION.width;
+        overrides.gameHeight = parseInt(resolution.height, 10) || STOCK_RESOLUTION.height;
+    }
+
+    return overrides;
+}
+
+/**
+ * Merge global settings, profile overrides and one-off overrides (in that order of
+ * precedence, lowest first) into a single launch configuration
+ * @param {Object} params
+ * @param {Object} params.settings Global launcher settings sent by the renderer
+ * @param {Object} params.profile Profile from launcher_profiles.json
+ * @param {Object} params.overrides One-off overrides for this launch only
+ * @returns {Object} Resolved launch configuration
+ */
+function resolveLaunchConfig({ settings = {}, profile = null, overrides = {} } = {}) {
+    const defined = (obj) => Object.fromEntries(
+        Object.entries(obj).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+
+    const base = {
+        version: settings.lastVersion,
+        username: settings.lastUsername || 'Player',
+        offline: settings.offlineMode === true,
+        maxRam: parseInt(settings.maxRam, 10) || 2048,
+        minRam: parseInt(settings.minRam, 10) || 512,
+        jvmArgs: settings.jvmArgs || '',
+        gameArgs: settings.gameArgs || '',
+        serverAddress: settings.gameServerAddress || '',
+        serverPort: parseInt(settings.gameServerPort, 10) || 25565,
+        skipTitleScreen: settings.skipTitleScreen === true,
+        demoMode: settings.demoMode === true,
+        gameWidth: parseInt(settings.gameWidth, 10) || STOCK_RESOLUTION.width,
+        gameHeight: parseInt(settings.gameHeight, 10) || STOCK_RESOLUTION.height,
+        fullscreen: settings.fullscreen === true,
+        javaPath: settings.javaPath || '',
+        gcType: settings.gcType || 'G1GC',
+        gameDir: settings.gameDir || '',
+        gameProfiler: settings.gameProfiler === true,
+        crashReportBehavior: settings.crashReportBehavior || 'prompt',
+        closeAfterLaunch: settings.closeAfterLaunch === true
+    };
+
+    return {
+        ...base,
+        ...defined(getProfileOverrides(profile)),
+        ...defined(overrides)
+    };
+}
+
+/**
+ * Resolve "latest-release"/"latest-snapshot" profile versions to a concrete version ID
+ * @param {string} version Version ID or alias
+ * @param {Function} getManifest Async function returning the version manifest
+ * @returns {Promise<string>} Concrete version ID
+ */
+async function resolveVersionAlias(version, getManifest) {
+    const channel = VERSION_ALIASES[version];
+    if (!channel) return version;
+
+    const manifest = await getManifest();
+    const resolved = manifest?.latest?.[channel];
+    if (!resolved) {
+        throw new Error(`Could not resolve ${version} from the version manifest`);
+    }
+    return resolved;
+}
+
+/**
+ * Validate a resolved launch configuration before it reaches the launcher
+ * @param {Object} config Resolved launch configuration
+ * @param {Object} [system] System information
+ * @param {number} [system.totalMemoryMB] Total system memory in MB
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+ */
+function validateLaunchConfig(config, { totalMemoryMB } = {}) {
+    const errors = [];
+    const warnings = [];
+
+    if (!config.version || typeof config.version !== 'string') {
+        errors.push('No Minecraft version selected');
+    } else if (VERSION_ALIASES[config.version]) {
+        errors.push(`Version alias ${config.version} was not resolved`);
+    }
+
+    if (!config.username || !config.username.trim()) {
+        errors.push('Username is required');
+    } else if (!/^[A-Za-z0-9_]{3,16}$/.test(config.username)) {
+        warnings.push(`Username "${config.username}" is not a valid Minecraft name (3-16 letters, digits or _)`);
+    }
+
+    if (!Number.isInteger(config.maxRam) || config.maxRam < 512) {
+        errors.push(`Maximum memory must be at least 512 MB (got ${config.maxRam})`);
+    }
+    if (!Number.isInteger(config.minRam) || config.minRam < 1) {
+        errors.push(`Minimum memory must be a positive number (got ${config.minRam})`);
+    } else if (config.minRam > config.maxRam) {
+        errors.push(`Minimum memory (${config.minRam} MB) exceeds maximum memory (${config.maxRam} MB)`);
+    }
+    if (totalMemoryMB && config.maxRam > totalMemoryMB) {
+        warnings.push(`Maximum memory (${config.maxRam} MB) exceeds system memory (${totalMemoryMB} MB)`);
+    }
+
+    if (!Number.isInteger(config.gameWidth) || config.gameWidth <= 0 ||
+        !Number.isInteger(config.gameHeight) || config.gameHeight <= 0) {
+        errors.push(`Invalid game resolution ${config.gameWidth}x${config.gameHeight}`);
+    }
+
+    if (config.serverAddress &&
+        (!Number.isInteger(config.serverPort) || config.serverPort < 1 || config.serverPort > 65535)) {
+        errors.push(`Invalid server port ${config.serverPort}`);
+    }
+
+    if (config.gameDir && !path.isAbsolute(config.gameDir)) {
+        errors.push(`Game directory must be an absolute path (got ${config.gameDir})`);
+    }
+
+    if (config.javaPath && !path.isAbsolute(config.javaPath.trim().replace(/^"|"$/g, ''))) {
+        errors.push(`Java path must be an absolute path (got ${config.javaPath})`);
+    }
+
+    if (config.gcType && !GC_TYPES.includes(config.gcType)) {
+        warnings.push(`Unknown garbage collector "${config.gcType}", falling back to G1GC`);
+    }
+    if (config.gcType === 'Custom' && !/-XX:\+Use\w+GC/.test(config.jvmArgs || '')) {
+        warnings.push('Custom garbage collector selected but no -XX:+Use...GC flag found in JVM arguments');
+    }
+
+    if (config.crashReportBehavior && !CRASH_REPORT_BEHAVIORS.includes(config.crashReportBehavior)) {
+        warnings.push(`Unknown crash report behavior "${config.crashReportBehavior}", falling back to prompt`);
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * A pinned or configured Java is used as-is, so check that it can run the version
+ * @param {Object} config Launch configuration ({javaPath, version})
+ * @param {Object} launcher MinecraftLauncher whose Java registry and version JSONs to use
+ * @returns {Promise<string|null>} Warning, or null when the Java is fine or none is configured
+ */
+async function checkConfiguredJava(config, launcher) {
+    if (!config.javaPath || !config.version) return null;
+
+    const versionJson = launcher.readVersionJson(config.version);
+    const requiredMajor = versionJson?.javaVersion?.majorVersion;
+
+    const java = await launcher.javaRegistry.describe(config.javaPath);
+    if (!java) {
+        return `Java at ${config.javaPath} could not be run`;
+    }
+    if (requiredMajor && java.majorVersion < requiredMajor) {
+        return `Java ${java.majorVersion} at ${config.javaPath} does not meet ${config.version}'s requirement of Java ${requiredMajor}`;
+    }
+    return null;
+}
+
+/**
+ * Java major version a release needs, for servers whose version JSON isn't installed:
+ * 1.20.5+ needs 21, 1.18+ 17, 1.17 16 and older releases 8
+ * @param {string} version
+ * @returns {number|null} Null for snapshots and other IDs that aren't a 1.x release
+ */
+function releaseJavaMajor(version) {
+    const match = /^1\.(\d+)(?:\.(\d+))?$/.exec(version);
+    if (!match) return null;
+    const minor = Number(match[1]);
+    const patch = Number(match[2] || 0);
+    if (minor > 20 || (minor === 20 && patch >= 5)) return 21;
+    if (minor >= 18) return 17;
+    if (minor === 17) return 16;
+    return 8;
+}
+
+/**
+ * Java to run a dedicated server with: the configured Java when one is set (checked
+ * like a game launch), otherwise the Java the version requires. The requirement comes
+ * from the installed version JSON, else from the release number; unknown versions try
+ * the newest Java first.
+ * @param {Object} launcher MinecraftLauncher
+ * @param {string} serverVersion Minecraft version of the server
+ * @param {string} [configuredJava] Java path from the launcher settings
+ * @returns {Promise<{javaPath: string, warning: string|null}>} javaPath falls back to 'java' on PATH
+ */
+async function resolveServerJava(launcher, serverVersion, configuredJava = null) {
+    if (configuredJava) {
+        const warning = await checkConfiguredJava({ javaPath: configuredJava, version: serverVersion }, launcher);
+        return { javaPath: configuredJava, warning };
+    }
+
+    const versionJson = launcher.readVersionJson(serverVersion);
+    const releaseMajor = releaseJavaMajor(serverVersion);
+    let candidates;
+    if (versionJson && versionJson.javaVersion) {
+        candidates = [launcher.getRequiredJavaVersion(versionJson)];
+    } else if (releaseMajor) {
+        candidates = [{ type: releaseMajor <= 8 ? 'legacy' : 'modern', version: releaseMajor }];
+    } else {
+        candidates = [{ type: 'modern', version: 25 }, { type: 'modern', version: 21 }, { type: 'modern', version: 17 }];
+    }
+    for (const req of candidates) {
+        try {
+            const javaPath = await launcher.findJavaPath(req);
+            if (javaPath) return { javaPath, warning: null };
+        } catch { /* try the next candidate */ }
+    }
+    return { javaPath: 'java', warning: null };
+}
+
+module.exports = {
+    checkConfiguredJava,
+    resolveServerJava,
+    parseJavaArgs,
+    getProfileOverrides,
+    resolveLaunchConfig,
+    resolveVersionAlias,
+    validateLaunchConfig
+};
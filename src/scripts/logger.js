@@ -4,6 +4,7 @@ const os = require('os');
 const zlib = require('zlib');
 const { v4: uuidv4 } = require('uuid');
 const fetch = require('node-fetch');
+const { redact, redactValue } = require('./redact');
 
 // ANSI color codes for terminal
 const COLORS = {
@@ -178,6 +179,10 @@ class Logger {
         }
 
         const timestamp = new Date();
+
+        // Never let credentials reach the log file, console or renderer
+        message = typeof message === 'string' ? redact(message) : message;
+        data = redactValue(data);
         
         // Create structured log entry
         const entry = {
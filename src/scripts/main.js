@@ -13,6 +13,15 @@ const logger = require('./logger');
 const discordRPC = require('./discord-rpc');
 const AuthService = require('./auth-service');
 const AdmZip = require('adm-zip');
+const downloadManager = require('./download-manager');
+const { setGameRoot, resolveGameRoot } = require('./game-root');
+const installQueue = require('./install-queue');
+const mirrors = require('./mirrors');
+const VersionCatalog = require('./version-catalog');
+const VersionCleanup = require('./version-cleanup');
+const DiskUsage = require('./disk-usage');
+const contentStore = require('./content-store');
+const {getDirSize} = DiskUsage;
 
 // Add this helper function at the top level
 function resolveAppPath(relativePath) {
@@ -49,10 +58,8 @@ function parseCommandLineArgs() {
 // Replace the existing ensureDirectories function
 async function ensureDirectories() {
     const args = parseCommandLineArgs();
-    const minecraftDir = args.minecraftFolder || path.join(app.getPath('appData'), '.alrightlauncher');
-    
-    // Store the minecraft directory path globally
-    global.minecraftPath = minecraftDir;
+    // Every subsystem resolves its directories from this root (see game-root.js)
+    const minecraftDir = setGameRoot(args.minecraftFolder);
     console.log('Using Minecraft directory:', minecraftDir);
 
     // Create necessary directories (parallel)
@@ -74,6 +81,39 @@ let mockAuthServer = null;
 let fileManager = null;
 let updateService = null;
 let authService = null;
+let activeProfileId = null; // Profile of the most recent launch
+let activeGameDir = null; // Game directory of the most recent launch
+let sharedProfileManager = null; // See getProfileManager()
+let quitWhenGameExits = false; // Set by "Close launcher after game starts"
+
+// The app's ProfileManager for the current game root, re-read whenever
+// launcher_profiles.json was written by something else
+async function getProfileManager() {
+    if (!sharedProfileManager || sharedProfileManager.baseDir !== resolveGameRoot(global.minecraftPath)) {
+        const ProfileManager = require('./profile-manager');
+        sharedProfileManager = new ProfileManager(global.minecraftPath);
+    }
+    await sharedProfileManager.reloadIfChanged();
+    return sharedProfileManager;
+}
+
+// Game directory of the active profile (last launched, else the default profile)
+async function getActiveGameDir() {
+    if (activeGameDir) {
+        return activeGameDir;
+    }
+
+    try {
+        const profileManager = await getProfileManager();
+        const profileId = (activeProfileId && profileManager.getProfile(activeProfileId))
+            ? activeProfileId
+            : profileManager.getDefaultProfile()?.id;
+        return profileId ? profileManager.getProfileGameDir(profileId) : global.minecraftPath;
+    } catch (error) {
+        logger.warn(`Could not resolve active game directory: ${error.message}`);
+        return global.minecraftPath;
+    }
+}
 
 async function registerIpcHandlers() {
     // Clear existing handlers first
@@ -92,100 +132,79 @@ async function registerIpcHandlers() {
         return !currentState;
     });
 
-    // Register other handlers
-    async function checkAdoptiumJava() {
-        try {
-            const programFiles = process.env.ProgramFiles || 'C:\\Program Files';
-            const adoptiumDir = path.join(programFiles, 'Eclipse Adoptium');
-            if (!await fs.pathExists(adoptiumDir)) return null;
-            const entries = await fs.readdir(adoptiumDir);
-            // Sort by version descending to find newest first
-            const javaEntries = entries
-                .filter(e => /^(jre|jdk)-(\d+)/.test(e))
-                .sort((a, b) => {
-                    const vA = parseInt(a.match(/^(?:jre|jdk)-(\d+)/)[1]);
-                    const vB = parseInt(b.match(/^(?:jre|jdk)-(\d+)/)[1]);
-                    return vB - vA;
-                });
-            for (const entry of javaEntries) {
-                const majorVersion = parseInt(entry.match(/^(?:jre|jdk)-(\d+)/)[1]);
-                const javaExe = path.join(adoptiumDir, entry, 'bin', 'java.exe');
-                if (await fs.pathExists(javaExe)) {
-                    const version = await new Promise((resolve) => {
-                        const proc = spawn(javaExe, ['-version']);
-                        let timer = setTimeout(() => { proc.kill(); resolve(null); }, 5000);
-                        proc.stderr.on('data', (d) => { clearTimeout(timer); resolve(d.toString().trim()); });
-                        proc.on('error', () => { clearTimeout(timer); resolve(null); });
-                        proc.on('close', () => { clearTimeout(timer); resolve(null); });
-                    });
-                    if (version) return { path: javaExe, version, majorVersion };
-                }
-            }
-            return null;
-        } catch { return null; }
-    }
+    // Combined progress of every download in flight, whichever installer started it
+    downloadManager.removeAllListeners('progress');
+    downloadManager.on('progress', (stats) => {
+        if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('download-progress', stats);
+        }
+    });
+
+    // Install queue state and per-job progress, so the progress overlay can show every job
+    installQueue.removeAllListeners('update');
+    installQueue.on('update', (jobs) => {
+        if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('install-queue-update', jobs);
+        }
+    });
+    installQueue.removeAllListeners('progress');
+    installQueue.on('progress', (progress) => {
+        if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('install-job-progress', progress);
+        }
+    });
+
+    ipcMain.handle('get-install-queue', () => installQueue.list());
+    ipcMain.handle('cancel-install', (event, jobId) => installQueue.cancel(jobId));
+    ipcMain.handle('pause-install', (event, jobId) => installQueue.pause(jobId));
+    ipcMain.handle('resume-install', (event, jobId) => installQueue.resume(jobId));
+    ipcMain.handle('move-install', (event, {jobId, index}) => installQueue.move(jobId, index));
 
+    // Register other handlers
     ipcMain.handle('verify-java', async (event, options = {}) => {
         const minVersion = options.minVersion || 0;
         console.log(`Verify Java handler called (minVersion: ${minVersion})`);
-        return new Promise((resolve) => {
-            try {
-                const javaProcess = spawn('java', ['-version']);
-                let resolved = false;
-
-                const resolveResult = async (path, versionStr) => {
-                    if (resolved) return;
-                    resolved = true;
-                    const versionMatch = versionStr ? versionStr.match(/version "([^"]+)"/) : null;
-                    const majorVersion = versionMatch ? parseInt(versionMatch[1].split(".")[0]) : 0;
-                    if (majorVersion >= minVersion) {
-                        resolve({ installed: true, version: versionStr, path, majorVersion });
-                    } else {
-                        const found = await checkAdoptiumJava();
-                        if (found && found.majorVersion >= minVersion) {
-                            resolve({ installed: true, version: found.version, path: found.path, majorVersion: found.majorVersion });
-                        } else {
-                            resolve({ installed: false, message: `Java ${minVersion}+ required. Found Java ${majorVersion || 'none'}.` });
-                        }
-                    }
-                };
-
-                javaProcess.on('error', async () => {
-                    const found = await checkAdoptiumJava();
-                    if (found) {
-                        await resolveResult(found.path, found.version);
-                    } else {
-                        if (!resolved) {
-                            resolved = true;
-                            resolve({ installed: false, message: minVersion > 0 ? `Java ${minVersion}+ not found.` : 'Java not found.' });
-                        }
-                    }
-                });
+        try {
+            const registry = getMinecraftLauncher().javaRegistry;
+            const runtimes = await registry.scan();
+            const best = await registry.findBest(minVersion, {installs: runtimes});
+            if (best) {
+                return {installed: true, version: best.version, path: best.path, majorVersion: best.majorVersion, vendor: best.vendor, runtimes};
+            }
+            const newest = runtimes[0];
+            return {
+                installed: false,
+                runtimes,
+                message: minVersion > 0
+                    ? `Java ${minVersion}+ required. Found Java ${newest ? newest.majorVersion : 'none'}.`
+                    : 'Java not found.'
+            };
+        } catch (error) {
+            console.error('Java verification exception:', error);
+            return {installed: false, runtimes: [], message: minVersion > 0 ? `Java ${minVersion}+ not found.` : 'Java not found.'};
+        }
+    });
 
-                javaProcess.stderr.on('data', (data) => {
-                    const versionStr = data.toString();
-                    console.log('Java version output:', versionStr);
-                    resolveResult(null, versionStr);
-                });
+    // Every Java installation the registry knows about (managed runtimes, JAVA_HOME,
+    // PATH, SDKMAN/asdf and the platform's standard locations)
+    ipcMain.handle('list-java-runtimes', async (event, {refresh = false} = {}) => {
+        try {
+            const runtimes = await getMinecraftLauncher().javaRegistry.scan({refresh});
+            return {success: true, runtimes};
+        } catch (error) {
+            logger.error(`Error listing Java runtimes: ${error.message}`);
+            return {success: false, error: error.message, runtimes: []};
+        }
+    });
 
-                javaProcess.on('close', async (code) => {
-                    if (code !== 0 && !resolved) {
-                        const found = await checkAdoptiumJava();
-                        if (found) {
-                            await resolveResult(found.path, found.version);
-                        } else {
-                            if (!resolved) {
-                                resolved = true;
-                                resolve({ installed: false, message: minVersion > 0 ? `Java ${minVersion}+ not found.` : 'Java not found.' });
-                            }
-                        }
-                    }
-                });
-            } catch (error) {
-                console.error('Java verification exception:', error);
-                resolve({ installed: false, message: minVersion > 0 ? `Java ${minVersion}+ not found.` : 'Java not found.' });
-            }
-        });
+    ipcMain.handle('add-java-runtime', async (event, javaPath) => {
+        try {
+            const runtime = await getMinecraftLauncher().javaRegistry.addCustom(javaPath);
+            return {success: true, runtime};
+        } catch (error) {
+            logger.error(`Error adding Java runtime: ${error.message}`);
+            return {success: false, error: error.message};
+        }
     });
 
     ipcMain.handle('get-java-path', async () => {
@@ -232,37 +251,54 @@ async function registerIpcHandlers() {
 
     ipcMain.handle('is-maximized', () => mainWindow ? mainWindow.isMaximized() : false);
 
-    // Update the install-version handler
-    ipcMain.handle('install-version', async (event, version) => {
-        try {
-            logger.info(`Starting installation of Minecraft ${version}`);
+    // Settings the main process needs outside of a launch (e.g. Network settings for
+    // installers). The renderer owns them in localStorage and pushes changes here.
+    ipcMain.handle('sync-settings', (event, settings = {}) => {
+        const mirrorChanged = settings.downloadMirror !== (global.settings || {}).downloadMirror;
+        global.settings = {...global.settings, ...settings};
+        if (mirrorChanged) mirrors.reload();
+        return true;
+    });
 
-            // Update Discord RPC status to show installation
-            discordRPC.setInstallingActivity(version);
+    ipcMain.handle('install-version', async (event, version) => {
+        const {id: jobId, promise} = installQueue.enqueue({
+            type: 'version',
+            title: `Minecraft ${version}`,
+            run: async (job) => {
+                logger.info(`Starting installation of Minecraft ${version}`);
 
-            // Notify renderer that installation has started
-            if (mainWindow && !mainWindow.isDestroyed()) {
-                mainWindow.webContents.send('installation-status', {
-                    version,
-                    status: 'started',
-                    progress: 0
-                });
-            }
+                // Update Discord RPC status to show installation
+                discordRPC.setInstallingActivity(version);
 
-            const installer = new MinecraftInstaller();
+                const installer = new MinecraftInstaller(global.minecraftPath);
+                installer.mainWindow = mainWindow;
+                installer.job = job;
 
-            // Set mainWindow reference if your installer needs to send progress updates
-            installer.mainWindow = mainWindow;
+                // installVersion rolls its staging folder back itself when cancelled
+                try {
+                    return await installer.installVersion(version);
+                } finally {
+                    discordRPC.setDefaultActivity();
+                }
+            }
+        });
 
-            // Install the version
-            const result = await installer.installVersion(version);
+        if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('installation-status', {
+                jobId,
+                version,
+                status: 'queued',
+                progress: 0
+            });
+        }
 
-            // Reset Discord RPC after installation completes
-            discordRPC.setDefaultActivity();
+        try {
+            const result = await promise;
 
             // Send final status to renderer
             if (mainWindow && !mainWindow.isDestroyed()) {
                 mainWindow.webContents.send('installation-status', {
+                    jobId,
                     version,
                     status: result ? 'completed' : 'error',
                     progress: result ? 100 : 0,
@@ -272,16 +308,18 @@ async function registerIpcHandlers() {
 
             return result;
         } catch (error) {
-            // Reset Discord RPC on error
-            discordRPC.setDefaultActivity();
-
-            logger.error(`Installation error for ${version}:`, error);
+            if (error.cancelled) {
+                logger.info(`Installation of ${version} cancelled`);
+            } else {
+                logger.error(`Installation error for ${version}:`, error);
+            }
 
             // Send error to renderer
             if (mainWindow && !mainWindow.isDestroyed()) {
                 mainWindow.webContents.send('installation-status', {
+                    jobId,
                     version,
-                    status: 'error',
+                    status: error.cancelled ? 'cancelled' : 'error',
                     error: error.message
                 });
             }
@@ -290,16 +328,20 @@ async function registerIpcHandlers() {
         }
     });
 
-    ipcMain.handle('launch-game', async (event, options) => {
+    // Shared launch path for launch-game (loose options) and launch-profile (resolved config)
+    async function launchGameProcess(options) {
         try {
             logger.info(`Launch request received for Minecraft ${options.version} with username ${options.username}`);
 
             // First ensure a profile exists for this version
-            const ProfileCreator = require('./profile-creator');
-            const profileCreator = new ProfileCreator(global.minecraftPath);
+            let profileResult = { success: true, id: options.profileId, created: false };
+            if (!options.profileId) {
+                const ProfileCreator = require('./profile-creator');
+                const profileCreator = new ProfileCreator(global.minecraftPath);
 
-            logger.info(`Ensuring profile exists for version ${options.version}`);
-            const profileResult = await profileCreator.ensureProfileExists(options.version);
+                logger.info(`Ensuring profile exists for version ${options.version}`);
+                profileResult = await profileCreator.ensureProfileExists(options.version);
+            }
 
             if (!profileResult.success) {
                 logger.warn(`Could not ensure profile for ${options.version}: ${profileResult.error}`);
@@ -308,39 +350,26 @@ async function registerIpcHandlers() {
                 logger.info(`Created new profile for ${options.version}: ${profileResult.id}`);
             }
 
+            const profileId = options.profileId || profileResult.id || null;
+            const gameDir = await resolveLaunchGameDir(options, profileId);
+            if (profileId) {
+                activeProfileId = profileId;
+            }
+            activeGameDir = gameDir;
+            logger.info(`Launching profile ${profileId || 'none'} in ${gameDir}`);
+
             // Set a timeout for the launch process
             const launchTimeout = setTimeout(() => {
                 logger.error(`Launch timed out for Minecraft ${options.version}`);
                 throw new Error('Launch operation timed out after 60 seconds');
             }, 60000); // 60 second timeout
 
-            if (!minecraftLauncher) {
-                const baseDir = global.minecraftPath;
-                minecraftLauncher = new MinecraftLauncher(baseDir);
-                logger.info(`Created new MinecraftLauncher instance with baseDir: ${baseDir}`);
-            }
-
-            // Determine if we should use online mode
-            const useOnlineMode = !options.offline;
-
-            // If online mode is requested, get auth data
-            let authData = null;
-            if (useOnlineMode) {
-                try {
-                    authData = await authService.getGameAuthData();
-                    if (authData) {
-                        logger.info(`Using Microsoft authentication for ${authData.profile.name}`);
-                    } else {
-                        logger.warn('Failed to get auth data, falling back to offline mode');
-                    }
-                } catch (error) {
-                    logger.error(`Error getting auth data: ${error.message}`);
-                }
-            }
+            const authData = await getLaunchAuthData(options);
 
             logger.info(`Calling minecraftLauncher.launch for ${options.version}...`);
-            const result = await minecraftLauncher.launch(options.version, options.username, {
+            const result = await getMinecraftLauncher().launch(options.version, options.username, {
                 ...options,
+                gameDir,
                 authData,
                 authServer: mockAuthServer,
                 offline: !authData // Set offline mode based on whether we have auth data
@@ -366,24 +395,53 @@ async function registerIpcHandlers() {
                 discordRPC.setPlayingActivity(options.version);
             }
 
+            // Close the launcher window but keep the main process (and the offline auth
+            // server) alive until the game exits
+            if (options.closeAfterLaunch && result.process && mainWindow && !mainWindow.isDestroyed()) {
+                logger.info('Closing launcher window after launch (closeAfterLaunch)');
+                quitWhenGameExits = true;
+                mainWindow.close();
+            }
+
             // Monitor for crashes
             if (result.process) {
                 // Store the version with the process object to use it in the close event handler
                 result.process.gameVersion = options.version;
 
+                const {sessionId} = result;
+                const profileId = options.profileId || null;
+
+                streamGameLog(sessionId, getMinecraftLauncher().getSession(sessionId)?.logs);
+
                 result.process.on('exit', async (code) => {
                     // Use the stored version property instead of relying on a closure variable
                     const gameVersion = result.process.gameVersion || 'unknown';
-                    logger.info(`Game process exited with code ${code} for version ${gameVersion}`);
+                    logger.info(`Game session ${sessionId} exited with code ${code} for version ${gameVersion}`);
 
-                    // Reset Discord RPC status when game exits
-                    discordRPC.setDefaultActivity();
+                    // Other instances may still be running
+                    const remainingSessions = getMinecraftLauncher().getSessions();
+                    if (remainingSessions.length === 0) {
+                        // Reset Discord RPC status when the last game exits
+                        discordRPC.setDefaultActivity();
+                    }
+
+                    if (quitWhenGameExits && remainingSessions.length === 0) {
+                        logger.info('Game exited after closeAfterLaunch, quitting launcher');
+                        shutdownServices();
+                        app.quit();
+                        return;
+                    }
 
                     // Check for crash reports only on abnormal exits
                     if (code !== 0) {
                         try {
                             // Use the stored game version here
-                            const crashReportFound = await checkForCrashReport(gameVersion);
+                            const crashReportFound = await checkForCrashReport(
+                                gameVersion,
+                                gameDir,
+                                options.crashReportBehavior,
+                                {sessionId, profileId}
+                            );
                             if (crashReportFound) {
                                 logger.info('Crash report was found and sent to renderer');
                             }
@@ -394,15 +452,21 @@ async function registerIpcHandlers() {
 
                     // Always send game-closed event with the correct version from the process object
                     if (mainWindow && !mainWindow.isDestroyed()) {
+                        if (remainingSessions.length === 0) {
+                            restoreMainWindow();
+                        }
                         mainWindow.webContents.send('game-closed', {
+                            sessionId,
+                            profileId,
                             version: gameVersion,
                             code,
-                            message: code === 0 ? 'normal exit' : 'error exit'
+                            message: code === 0 ? 'normal exit' : 'error exit',
+                            remainingSessions: remainingSessions.length
                         });
                     }
                 });
 
-                return {success: true, pid: result.pid || 0};
+                return {success: true, pid: result.pid || 0, sessionId};
             } else {
                 logger.warn('Game launched but no process object was returned');
                 return {success: true, warning: 'No process handle available'};
@@ -412,14 +476,184 @@ async function registerIpcHandlers() {
             logger.error(error.stack);
             return {success: false, error: error.message};
         }
+    }
+
+    // Forward a session's parsed game log to the renderer in small batches
+    function streamGameLog(sessionId, logs) {
+        if (!logs) return;
+
+        let batch = [];
+        let timer = null;
+        logs.on('entry', (entry) => {
+            batch.push(entry);
+            if (timer) return;
+            timer = setTimeout(() => {
+                timer = null;
+                if (mainWindow && !mainWindow.isDestroyed()) {
+                    mainWindow.webContents.send('game-log', {sessionId, entries: batch});
+                }
+                batch = [];
+            }, 100);
+        });
+    }
+
+    function getMinecraftLauncher() {
+        if (!minecraftLauncher) {
+            const baseDir = global.minecraftPath;
+            minecraftLauncher = new MinecraftLauncher(baseDir);
+            logger.info(`Created new MinecraftLauncher instance with baseDir: ${baseDir}`);
+        }
+        return minecraftLauncher;
+    }
+
+    // Microsoft auth data for a launch, or null to play offline
+    async function getLaunchAuthData(options) {
+        if (options.offline) {
+            return null;
+        }
+
+        try {
+            const authData = await authService.getGameAuthData();
+            if (authData) {
+                logger.info(`Using Microsoft authentication for ${authData.profile.name}`);
+            } else {
+                logger.warn('Failed to get auth data, falling back to offline mode');
+            }
+            return authData;
+        } catch (error) {
+            logger.error(`Error getting auth data: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Resolve the game directory: the profile's own gameDir wins, then the
+    // "Game Directory" setting, then the launcher's base directory
+    async function resolveLaunchGameDir(options, profileId, {create = true} = {}) {
+        if (!profileId) {
+            return options.gameDir || global.minecraftPath;
+        }
+
+        const profileManager = await getProfileManager();
+        if (options.gameDir && !profileManager.getProfile(profileId)?.gameDir) {
+            return options.gameDir;
+        }
+        return create
+            ? profileManager.ensureProfileGameDir(profileId)
+            : profileManager.getProfileGameDir(profileId);
+    }
+
+    // Merge and validate a profile's launch configuration (launch-profile and preview-launch)
+    async function resolveProfileLaunch(profileId, settings, overrides) {
+        const {checkConfiguredJava, resolveLaunchConfig, resolveVersionAlias, validateLaunchConfig} = require('./launch-config');
+
+        const profileManager = await getProfileManager();
+
+        const profile = profileManager.getProfile(profileId);
+        if (!profile) {
+            return {success: false, error: `Profile ${profileId} not found`};
+        }
+
+        const config = resolveLaunchConfig({settings, profile, overrides});
+        config.profileId = profileId;
+        if (profile.gameDir || !config.gameDir) {
+            config.gameDir = profileManager.getProfileGameDir(profileId);
+        }
+
+        try {
+            config.version = await resolveVersionAlias(config.version, () => new MinecraftInstaller(global.minecraftPath).getVersionManifest());
+        } catch (error) {
+            logger.warn(`Could not resolve version for profile ${profileId}: ${error.message}`);
+        }
+
+        const os = require('os');
+        const validation = validateLaunchConfig(config, {
+            totalMemoryMB: Math.floor(os.totalmem() / (1024 * 1024))
+        });
+        const javaWarning = await checkConfiguredJava(config, getMinecraftLauncher());
+        if (javaWarning) {
+            validation.warnings.push(javaWarning);
+        }
+        validation.warnings.forEach(warning => logger.warn(`Launch config warning: ${warning}`));
+        if (!validation.valid) {
+            logger.error(`Invalid launch configuration for profile ${profileId}: ${validation.errors.join('; ')}`);
+            return {success: false, error: validation.errors.join('; '), errors: validation.errors, config};
+        }
+
+        return {success: true, profile, profileManager, config, warnings: validation.warnings};
+    }
+
+    ipcMain.handle('launch-game', async (event, options) => {
+        return launchGameProcess(options);
     });
 
-    // Helper function to check for crash reports
-    async function checkForCrashReport(version) {
+    // Launch a profile from launcher_profiles.json. Global settings, the profile's own
+    // overrides and one-off overrides are merged into one validated launch configuration.
+    ipcMain.handle('launch-profile', async (event, {profileId, settings = {}, overrides = {}} = {}) => {
+        try {
+            const resolved = await resolveProfileLaunch(profileId, settings, overrides);
+            if (!resolved.success) {
+                return resolved;
+            }
+            const {profile, profileManager, config, warnings} = resolved;
+
+            logger.info(`Launching profile ${profileId} (${profile.name}) with version ${config.version}`);
+            const result = await launchGameProcess(config);
+
+            if (result.success) {
+                // updateProfile stamps lastUsed
+                await profileManager.updateProfile(profileId, {});
+            }
+
+            return {...result, config, warnings};
+        } catch (error) {
+            logger.error(`Profile launch error: ${error.message}`);
+            return {success: false, error: error.message};
+        }
+    });
+
+    // Dry run: resolve everything a launch would (profile config, version, auth, Java,
+    // classpath, natives, arguments) without spawning the game. Secrets are redacted.
+    ipcMain.handle('preview-launch', async (event, {profileId, settings = {}, overrides = {}} = {}) => {
+        try {
+            const {resolveLaunchConfig} = require('./launch-config');
+            const {redactValue} = require('./redact');
+
+            let config;
+            let warnings = [];
+            if (profileId) {
+                const resolved = await resolveProfileLaunch(profileId, settings, overrides);
+                if (!resolved.success) {
+                    return redactValue(resolved);
+                }
+                ({config, warnings} = resolved);
+            } else {
+                config = resolveLaunchConfig({settings, overrides});
+            }
+
+            const gameDir = await resolveLaunchGameDir(config, profileId, {create: false});
+            const authData = await getLaunchAuthData(config);
+            const preview = await getMinecraftLauncher().previewLaunch(config.version, config.username, {
+                ...config,
+                gameDir,
+                authData,
+                authServer: mockAuthServer,
+                offline: !authData
+            });
+
+            return {...preview, config: redactValue({...config, gameDir}), warnings};
+        } catch (error) {
+            logger.error(`Launch preview error: ${error.message}`);
+            return {success: false, error: error.message};
+        }
+    });
+
+    // Helper function to check for crash reports. behavior is the "Crash Report" setting:
+    // prompt shows a toast, always opens the report straight away, never only logs it.
+    async function checkForCrashReport(version, gameDir = global.minecraftPath, behavior = 'prompt', session = {}) {
         try {
             // Check multiple possible crash report locations
             const crashLocations = [
-                path.join(global.minecraftPath, 'crash-reports'),
+                path.join(gameDir, 'crash-reports'),
                 path.join(process.cwd(), 'crash-reports')
             ];
 
@@ -440,12 +674,20 @@ async function registerIpcHandlers() {
 
                     if (latestCrash && Date.now() - latestCrash.time < 5000) {
                         // Only if crash file is recent (within 5 seconds)
+                        if (behavior === 'never') {
+                            logger.info(`Crash report ${latestCrash.path} found (crash reports set to never show)`);
+                            return false;
+                        }
+
                         const crashContent = await fs.readFile(latestCrash.path, 'utf8');
                         if (mainWindow && !mainWindow.isDestroyed()) {
                             mainWindow.webContents.send('game-crashed', {
+                                sessionId: session.sessionId || null,
+                                profileId: session.profileId || null,
                                 version,
                                 crashFile: latestCrash.name,
-                                crashContent: crashContent
+                                crashContent: crashContent,
+                                behavior: behavior === 'always' ? 'always' : 'prompt'
                             });
                             return true;
                         }
@@ -459,22 +701,27 @@ async function registerIpcHandlers() {
         }
     }
 
-    ipcMain.handle('get-versions', async () => {
+    ipcMain.handle('get-versions', async (event, options = {}) => {
         try {
-            const response = await fetch('https://piston-meta.mojang.com/mc/game/version_manifest_v2.json');
-            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-            const data = await response.json();
-
-            // Sort versions by version ID (newest first)
-            data.versions.sort((a, b) => compareVersions(a.id, b.id));
-
-            return data.versions;
+            const {versions} = await new VersionCatalog(global.minecraftPath).getVersions(options);
+            return versions;
         } catch (error) {
-            console.error('Error fetching versions:', error);
+            logger.error(`Error fetching versions: ${error.message}`);
             return [];
         }
     });
 
+    // Version list plus where it came from, so the picker can tell a stale cache from a live one
+    ipcMain.handle('get-version-catalog', async (event, options = {}) => {
+        try {
+            const catalog = await new VersionCatalog(global.minecraftPath).getVersions(options);
+            return {success: true, ...catalog};
+        } catch (error) {
+            logger.error(`Error reading version catalog: ${error.message}`);
+            return {success: false, error: error.message, versions: []};
+        }
+    });
+
     ipcMain.handle('create-standalone', async (event, {version, launcherPath}) => {
         try {
             const StandaloneCreator = require('./standalone-creator');
@@ -516,6 +763,28 @@ async function registerIpcHandlers() {
         }
     });
 
+    // Running game sessions (one per launch, several may run at once)
+    ipcMain.handle('list-game-sessions', () => {
+        return minecraftLauncher ? minecraftLauncher.getSessions() : [];
+    });
+
+    ipcMain.handle('focus-game-session', async (event, sessionId) => {
+        if (!minecraftLauncher) return {success: false, error: 'No game is running'};
+        return minecraftLauncher.focusSession(sessionId);
+    });
+
+    // Buffered game console entries: filter = {level, search, afterId, limit}
+    ipcMain.handle('get-game-logs', (event, sessionId, filter = {}) => {
+        const entries = minecraftLauncher ? minecraftLauncher.getSessionLogs(sessionId, filter) : null;
+        if (!entries) return {success: false, error: `No game log for session ${sessionId}`};
+        return {success: true, entries};
+    });
+
+    ipcMain.handle('kill-game-session', (event, sessionId) => {
+        if (!minecraftLauncher) return {success: false, error: 'No game is running'};
+        return minecraftLauncher.killSession(sessionId);
+    });
+
     ipcMain.handle('is-game-running', async (event, version) => {
         try {
             if (!minecraftLauncher) return false;
@@ -540,33 +809,25 @@ async function registerIpcHandlers() {
         }
     });
 
-    ipcMain.handle('start-server', async (event, {name, memory}) => {
+    ipcMain.handle('start-server', async (event, {name, memory, javaPath: configuredJava}) => {
         try {
             if (!serverManager) return {error: 'Server manager not initialized'};
             // Find the right Java for the server version
-            let javaPath = 'java';
+            let javaPath = configuredJava || 'java';
+            let warning = null;
             try {
-                const launcher = new MinecraftLauncher(global.minecraftPath);
+                const {resolveServerJava} = require('./launch-config');
                 const serverConfigPath = path.join(global.minecraftPath, 'servers', name, 'server-config.json');
                 if (fs.existsSync(serverConfigPath)) {
                     const config = JSON.parse(await fs.readFile(serverConfigPath, 'utf8'));
-                    const serverVersion = config.version || '';
-                    const verNum = parseFloat(serverVersion);
-                    // Try newer Java first (25 → 21 → 17 → 8), fall back to system java
-                    const candidates = (verNum <= 1.16 || serverVersion.startsWith('1.'))
-                        ? [{ type: 'legacy', version: 8 }]
-                        : [{ type: 'modern', version: 25 }, { type: 'modern', version: 21 }, { type: 'modern', version: 17 }];
-                    for (const req of candidates) {
-                        try {
-                            javaPath = launcher.findJavaPath(req);
-                            if (javaPath) break;
-                        } catch { }
-                    }
+                    ({javaPath, warning} = await resolveServerJava(getMinecraftLauncher(), config.version || '', configuredJava));
                 }
             } catch (javaError) {
-                logger.warn(`Could not resolve Java path for server, using default: ${javaError.message}`);
+                logger.warn(`Could not resolve Java path for server, using ${javaPath}: ${javaError.message}`);
             }
-            return await serverManager.startServer(name, memory, javaPath);
+            if (warning) logger.warn(`Server ${name}: ${warning}`);
+            const result = await serverManager.startServer(name, memory, javaPath);
+            return warning ? {...result, warnings: [warning]} : result;
         } catch (error) {
             console.error('Server start error:', error);
             return {error: error.message};
@@ -627,6 +888,61 @@ async function registerIpcHandlers() {
         }
     });
 
+    // Dry runs only report; real runs wait in the install queue so they can't collect
+    // files an install is still downloading
+    ipcMain.handle('uninstall-version', async (event, {version, dryRun = false} = {}) => {
+        const cleanup = new VersionCleanup(global.minecraftPath);
+        if (!dryRun && minecraftLauncher && minecraftLauncher.isGameRunning(version)) {
+            return {success: false, error: `Close Minecraft ${version} before uninstalling it`};
+        }
+        return runCleanup(dryRun, `Uninstall ${version}`, () => cleanup.uninstall(version, {dryRun}));
+    });
+
+    ipcMain.handle('collect-garbage', async (event, {dryRun = false} = {}) => {
+        const cleanup = new VersionCleanup(global.minecraftPath);
+        return runCleanup(dryRun, 'Remove unused files', () => cleanup.collectGarbage({dryRun}));
+    });
+
+    // Links this game root's libraries and asset objects to the shared store (see content-store.js)
+    ipcMain.handle('dedupe-store', async (event, {dryRun = false} = {}) => {
+        return runCleanup(dryRun, 'Deduplicate files', () => contentStore.dedupe([global.minecraftPath], {dryRun}));
+    });
+
+    async function runCleanup(dryRun, title, run) {
+        if (dryRun) {
+            try {
+                return await run();
+            } catch (error) {
+                logger.error(`${title} (dry run) failed: ${error.message}`);
+                return {success: false, error: error.message};
+            }
+        }
+
+        const {id: jobId, promise} = installQueue.enqueue({type: 'cleanup', title, run});
+        try {
+            return {...await promise, jobId};
+        } catch (error) {
+            return {success: false, cancelled: !!error.cancelled, error: error.message, jobId};
+        }
+    }
+
+    ipcMain.handle('get-disk-usage', async () => {
+        try {
+            const profileManager = await getProfileManager();
+
+            const profiles = Object.entries(profileManager.getProfiles()).map(([id, profile]) => ({
+                id,
+                name: profile.name || id,
+                gameDir: profileManager.getProfileGameDir(id)
+            }));
+            const usage = await new DiskUsage(global.minecraftPath).analyze({profiles});
+            return {success: true, ...usage};
+        } catch (error) {
+            logger.error(`Error analyzing disk usage: ${error.message}`);
+            return {success: false, error: error.message};
+        }
+    });
+
     // Add file-related handlers
     ipcMain.handle('get-installed-versions', async () => {
         try {
@@ -684,7 +1000,7 @@ async function registerIpcHandlers() {
                 return { version: 21 };
             }
             const req = launcher.getRequiredJavaVersion(versionInfo);
-            return { version: req.version || 21 };
+            return { version: req.version || 21, component: req.component };
         } catch (error) {
             logger.error(`Error detecting required Java version: ${error.message}`);
             return { version: 21 };
@@ -693,24 +1009,64 @@ async function registerIpcHandlers() {
 
     ipcMain.handle('install-java', async (event, options = {}) => {
         const javaVersion = options.javaVersion || 21;
-        try {
-            const JavaInstaller = require('./java-installer');
-            const installer = new JavaInstaller({ javaVersion });
 
+        const forwardProgress = (job) => (progress) => {
+            if (progress.type === 'download') job.progress(progress.progress, 'Downloading Java');
             if (mainWindow && !mainWindow.isDestroyed()) {
-                mainWindow.webContents.send('java-install-progress', { type: 'status', message: `Starting Eclipse Temurin ${javaVersion} JRE installation...` });
+                mainWindow.webContents.send('java-install-progress', {jobId: job.id, ...progress});
+            }
+        };
+
+        // Mojang's runtime goes into the launcher directory and needs no admin rights
+        if (options.component) {
+            const JavaRuntimeManager = require('./java-runtime');
+            const runtimes = new JavaRuntimeManager(global.minecraftPath);
+
+            const {id: jobId, promise} = installQueue.enqueue({
+                type: 'java',
+                title: `Java runtime ${options.component}`,
+                run: async (job) => {
+                    runtimes.job = job;
+                    return runtimes.ensureRuntime(options.component, forwardProgress(job));
+                },
+                // Without its marker the runtime is incomplete and would be reinstalled anyway
+                cleanup: async () => {
+                    if (!runtimes.getInstalledRuntime(options.component)) {
+                        await fs.remove(runtimes.getComponentDir(options.component));
+                    }
+                }
+            });
+
+            try {
+                const javaPath = await promise;
+                return { success: true, javaVersion, component: options.component, path: javaPath, managed: true, jobId };
+            } catch (error) {
+                if (!error.cancelled) logger.warn(`Managed Java runtime ${options.component} failed: ${error.message}`);
+                return { success: false, cancelled: !!error.cancelled, error: error.message, javaVersion, component: options.component, managed: true, jobId };
             }
+        }
+
+        const {id: jobId, promise} = installQueue.enqueue({
+            type: 'java',
+            title: `Eclipse Temurin ${javaVersion}`,
+            run: async (job) => {
+                const JavaInstaller = require('./java-installer');
+                const installer = new JavaInstaller({ javaVersion, job });
 
-            await installer.install((progress) => {
                 if (mainWindow && !mainWindow.isDestroyed()) {
-                    mainWindow.webContents.send('java-install-progress', progress);
+                    mainWindow.webContents.send('java-install-progress', { jobId: job.id, type: 'status', message: `Starting Eclipse Temurin ${javaVersion} JRE installation...` });
                 }
-            });
 
-            return { success: true, javaVersion };
+                return installer.install(forwardProgress(job));
+            }
+        });
+
+        try {
+            await promise;
+            return { success: true, javaVersion, jobId };
         } catch (error) {
-            logger.error(`Java ${javaVersion} installation failed: ${error.message}`);
-            return { success: false, error: error.message, javaVersion };
+            if (!error.cancelled) logger.error(`Java ${javaVersion} installation failed: ${error.message}`);
+            return { success: false, cancelled: !!error.cancelled, error: error.message, javaVersion, jobId };
         }
     });
 
@@ -770,20 +1126,7 @@ async function registerIpcHandlers() {
     });
 
     ipcMain.handle('show-window', () => {
-        if (!mainWindow) return false;
-
-        // Restore window visibility
-        if (process.platform === 'win32') {
-            // mainWindow.setSkipTaskbar(false);
-            mainWindow.restore();
-        } else {
-            mainWindow.show();
-        }
-
-        // Make sure window is focused
-        mainWindow.focus();
-        console.log('Launcher restored after game closed');
-        return true;
+        return restoreMainWindow();
     });
 
     // Add sound repair handler
@@ -804,11 +1147,7 @@ async function registerIpcHandlers() {
     // Profile management handlers
     ipcMain.handle('get-profiles', async () => {
         try {
-            const ProfileManager = require('./profile-manager');
-            const profileManager = new ProfileManager(global.minecraftPath);
-
-            logger.info('Initializing ProfileManager for get-profiles');
-            await profileManager.initialize();
+            const profileManager = await getProfileManager();
 
             const profiles = profileManager.getProfiles();
             const defaultProfile = profileManager.getDefaultProfile();
@@ -827,9 +1166,7 @@ async function registerIpcHandlers() {
 
     ipcMain.handle('create-profile', async (event, profileData) => {
         try {
-            const ProfileManager = require('./profile-manager');
-            const profileManager = new ProfileManager(global.minecraftPath);
-            await profileManager.initialize();
+            const profileManager = await getProfileManager();
             return await profileManager.createProfile(profileData);
         } catch (error) {
             logger.error(`Error creating profile: ${error.message}`);
@@ -839,9 +1176,7 @@ async function registerIpcHandlers() {
 
     ipcMain.handle('update-profile', async (event, {id, profileData}) => {
         try {
-            const ProfileManager = require('./profile-manager');
-            const profileManager = new ProfileManager(global.minecraftPath);
-            await profileManager.initialize();
+            const profileManager = await getProfileManager();
             return await profileManager.updateProfile(id, profileData);
         } catch (error) {
             logger.error(`Error updating profile: ${error.message}`);
@@ -849,11 +1184,27 @@ async function registerIpcHandlers() {
         }
     });
 
+    // Pin a Java runtime to a profile (null unpins). The runtime is probed first and
+    // registered with the Java registry if it lives outside the scanned locations.
+    ipcMain.handle('set-profile-java', async (event, {profileId, javaPath = null} = {}) => {
+        try {
+            let runtime = null;
+            if (javaPath) {
+                runtime = await getMinecraftLauncher().javaRegistry.addCustom(javaPath);
+            }
+
+            const profileManager = await getProfileManager();
+            const result = await profileManager.setProfileJava(profileId, runtime ? runtime.path : null);
+            return {...result, runtime};
+        } catch (error) {
+            logger.error(`Error setting profile Java: ${error.message}`);
+            return {success: false, error: error.message};
+        }
+    });
+
     ipcMain.handle('delete-profile', async (event, id) => {
         try {
-            const ProfileManager = require('./profile-manager');
-            const profileManager = new ProfileManager(global.minecraftPath);
-            await profileManager.initialize();
+            const profileManager = await getProfileManager();
             return await profileManager.deleteProfile(id);
         } catch (error) {
             logger.error(`Error deleting profile: ${error.message}`);
@@ -863,9 +1214,7 @@ async function registerIpcHandlers() {
 
     ipcMain.handle('set-default-profile', async (event, id) => {
         try {
-            const ProfileManager = require('./profile-manager');
-            const profileManager = new ProfileManager(global.minecraftPath);
-            await profileManager.initialize();
+            const profileManager = await getProfileManager();
             return await profileManager.setDefaultProfile(id);
         } catch (error) {
             logger.error(`Error setting default profile: ${error.message}`);
@@ -876,8 +1225,7 @@ async function registerIpcHandlers() {
     // Add a new handler to directly create profiles
     ipcMain.handle('ensure-profiles-created', async () => {
         try {
-            const ProfileManager = require('./profile-manager');
-            const profileManager = new ProfileManager(global.minecraftPath);
+            const profileManager = await getProfileManager();
 
             logger.info('Force creating profiles via ensure-profiles-created handler');
             await profileManager.createDefaultProfiles(true); // Force recreation
@@ -892,9 +1240,7 @@ async function registerIpcHandlers() {
     // Add handler for importing profiles from Minecraft launcher
     ipcMain.handle('import-minecraft-profiles', async (event, customPath = null) => {
         try {
-            const ProfileManager = require('./profile-manager');
-            const profileManager = new ProfileManager(global.minecraftPath);
-            await profileManager.initialize();
+            const profileManager = await getProfileManager();
 
             logger.info(`Importing Minecraft profiles${customPath ? ' from custom path' : ''}`);
             const result = await profileManager.importMinecraftProfiles(customPath);
@@ -941,6 +1287,17 @@ async function registerIpcHandlers() {
         }
     });
 
+    ipcMain.handle('get-neoforge-versions', async (event, minecraftVersion) => {
+        try {
+            const ModLoaderManager = require('./modloader-manager');
+            const modLoaderManager = new ModLoaderManager(global.minecraftPath);
+            return await modLoaderManager.getNeoForgeVersions(minecraftVersion);
+        } catch (error) {
+            logger.error(`Error getting NeoForge versions: ${error.message}`);
+            return [];
+        }
+    });
+
     ipcMain.handle('get-fabric-versions', async () => {
         try {
             const ModLoaderManager = require('./modloader-manager');
@@ -964,70 +1321,183 @@ async function registerIpcHandlers() {
     });
 
     ipcMain.handle('install-fabric', async (event, {minecraftVersion, loaderVersion}) => {
+        const versionDir = path.join(global.minecraftPath, 'versions', `fabric-loader-${loaderVersion}-${minecraftVersion}`);
+        const wasInstalled = fs.existsSync(versionDir);
+
+        const {id: jobId, promise} = installQueue.enqueue({
+            type: 'fabric',
+            title: `Fabric ${loaderVersion} for Minecraft ${minecraftVersion}`,
+            run: async (job) => {
+                const ModLoaderManager = require('./modloader-manager');
+                const modLoaderManager = new ModLoaderManager(global.minecraftPath);
+                modLoaderManager.job = job;
+
+                const success = await modLoaderManager.installFabric(minecraftVersion, loaderVersion);
+
+                if (success) {
+                    // Create a profile for the new installation
+                    const profileManager = await getProfileManager();
+                    await profileManager.createFabricProfile(minecraftVersion, loaderVersion);
+                }
+                return success;
+            },
+            cleanup: async () => {
+                if (!wasInstalled) await fs.remove(versionDir);
+            }
+        });
+
+        try {
+            return {success: await promise, jobId};
+        } catch (error) {
+            if (!error.cancelled) logger.error(`Error installing Fabric: ${error.message}`);
+            return {success: false, cancelled: !!error.cancelled, error: error.message, jobId};
+        }
+    });
+
+    ipcMain.handle('get-quilt-versions', async () => {
+        try {
+            const ModLoaderManager = require('./modloader-manager');
+            const modLoaderManager = new ModLoaderManager(global.minecraftPath);
+            return await modLoaderManager.getQuiltVersions();
+        } catch (error) {
+            logger.error(`Error getting Quilt versions: ${error.message}`);
+            return [];
+        }
+    });
+
+    ipcMain.handle('get-quilt-game-versions', async () => {
         try {
             const ModLoaderManager = require('./modloader-manager');
             const modLoaderManager = new ModLoaderManager(global.minecraftPath);
+            return await modLoaderManager.getQuiltGameVersions();
+        } catch (error) {
+            logger.error(`Error getting Quilt game versions: ${error.message}`);
+            return [];
+        }
+    });
 
-            const success = await modLoaderManager.installFabric(minecraftVersion, loaderVersion);
+    ipcMain.handle('install-quilt', async (event, {minecraftVersion, loaderVersion}) => {
+        const versionDir = path.join(global.minecraftPath, 'versions', `quilt-loader-${loaderVersion}-${minecraftVersion}`);
+        const wasInstalled = fs.existsSync(versionDir);
 
-            if (success) {
-                // Create a profile for the new installation
-                const ProfileManager = require('./profile-manager');
-                const profileManager = new ProfileManager(global.minecraftPath);
-                await profileManager.createFabricProfile(minecraftVersion, loaderVersion);
+        const {id: jobId, promise} = installQueue.enqueue({
+            type: 'quilt',
+            title: `Quilt ${loaderVersion} for Minecraft ${minecraftVersion}`,
+            run: async (job) => {
+                const ModLoaderManager = require('./modloader-manager');
+                const modLoaderManager = new ModLoaderManager(global.minecraftPath);
+                modLoaderManager.job = job;
+
+                const success = await modLoaderManager.installQuilt(minecraftVersion, loaderVersion);
+
+                if (success) {
+                    const profileManager = await getProfileManager();
+                    await profileManager.createQuiltProfile(minecraftVersion, loaderVersion);
+                }
+                return success;
+            },
+            cleanup: async () => {
+                if (!wasInstalled) await fs.remove(versionDir);
             }
+        });
 
-            return {success};
+        try {
+            return {success: await promise, jobId};
         } catch (error) {
-            logger.error(`Error installing Fabric: ${error.message}`);
-            return {success: false, error: error.message};
+            if (!error.cancelled) logger.error(`Error installing Quilt: ${error.message}`);
+            return {success: false, cancelled: !!error.cancelled, error: error.message, jobId};
         }
     });
 
     ipcMain.handle('install-forge', async (event, {minecraftVersion, forgeVersion}) => {
-        try {
-            const ModLoaderManager = require('./modloader-manager');
-            const modLoaderManager = new ModLoaderManager(global.minecraftPath);
+        const {id: jobId, promise} = installQueue.enqueue({
+            type: 'forge',
+            title: `Forge ${forgeVersion} for Minecraft ${minecraftVersion}`,
+            run: async (job) => {
+                const ModLoaderManager = require('./modloader-manager');
+                const modLoaderManager = new ModLoaderManager(global.minecraftPath);
+                modLoaderManager.job = job;
 
-            const success = await modLoaderManager.installForge(minecraftVersion, forgeVersion);
+                // The version folder is only written once the install succeeded
+                const versionId = await modLoaderManager.installForge(minecraftVersion, forgeVersion);
 
-            if (success) {
                 // Create a profile for the new installation
-                const ProfileManager = require('./profile-manager');
-                const profileManager = new ProfileManager(global.minecraftPath);
-                await profileManager.createForgeProfile(minecraftVersion, forgeVersion);
+                const profileManager = await getProfileManager();
+                await profileManager.createForgeProfile(minecraftVersion, forgeVersion, versionId);
+                return versionId;
             }
+        });
 
-            return {success};
+        try {
+            const versionId = await promise;
+            return {success: true, versionId, jobId};
         } catch (error) {
-            logger.error(`Error installing Forge: ${error.message}`);
-            return {success: false, error: error.message};
+            if (!error.cancelled) logger.error(`Error installing Forge: ${error.message}`);
+            return {success: false, cancelled: !!error.cancelled, error: error.message, jobId};
         }
     });
 
-    // Add asset handlers
-    ipcMain.handle('download-assets', async (event, version) => {
-        try {
-            const AssetManager = require('./asset-manager');
-            const assetManager = new AssetManager(global.minecraftPath);
+    ipcMain.handle('install-neoforge', async (event, {minecraftVersion, neoForgeVersion}) => {
+        const {id: jobId, promise} = installQueue.enqueue({
+            type: 'neoforge',
+            title: `NeoForge ${neoForgeVersion} for Minecraft ${minecraftVersion}`,
+            run: async (job) => {
+                const ModLoaderManager = require('./modloader-manager');
+                const modLoaderManager = new ModLoaderManager(global.minecraftPath);
+                modLoaderManager.job = job;
 
-            await assetManager.initialize();
+                const versionId = await modLoaderManager.installNeoForge(minecraftVersion, neoForgeVersion);
 
-            // First download the asset index
-            await assetManager.downloadAssetIndex(version);
+                const profileManager = await getProfileManager();
+                await profileManager.createNeoForgeProfile(minecraftVersion, neoForgeVersion, versionId);
+                return versionId;
+            }
+        });
 
-            // Then start downloading assets
-            const result = await assetManager.downloadAssets(version, (progress) => {
-                // Send progress updates to the renderer
-                if (mainWindow && !mainWindow.isDestroyed()) {
-                    mainWindow.webContents.send('asset-download-progress', progress);
-                }
-            });
+        try {
+            const versionId = await promise;
+            return {success: true, versionId, jobId};
+        } catch (error) {
+            if (!error.cancelled) logger.error(`Error installing NeoForge: ${error.message}`);
+            return {success: false, cancelled: !!error.cancelled, error: error.message, jobId};
+        }
+    });
 
-            return result;
+    // Add asset handlers
+    ipcMain.handle('download-assets', async (event, version) => {
+        const {id: jobId, promise} = installQueue.enqueue({
+            type: 'assets',
+            title: `Assets for Minecraft ${version}`,
+            run: async (job) => {
+                const AssetManager = require('./asset-manager');
+                const assetManager = new AssetManager(global.minecraftPath);
+                assetManager.job = job;
+
+                await assetManager.initialize();
+
+                // First download the asset index
+                await assetManager.downloadAssetIndex(version);
+
+                // Then start downloading assets
+                return assetManager.downloadAssets(version, (progress) => {
+                    if (progress.total) {
+                        const done = progress.downloaded + progress.skipped + progress.failed;
+                        job.progress(progress.progress, 'Downloading Assets', `Assets ${done}/${progress.total}`);
+                    }
+
+                    // Send progress updates to the renderer
+                    if (mainWindow && !mainWindow.isDestroyed()) {
+                        mainWindow.webContents.send('asset-download-progress', {jobId: job.id, ...progress});
+                    }
+                });
+            }
+        });
+
+        try {
+            return {...await promise, jobId};
         } catch (error) {
-            logger.error(`Error downloading assets: ${error.message}`);
-            return {success: false, error: error.message};
+            if (!error.cancelled) logger.error(`Error downloading assets: ${error.message}`);
+            return {success: false, cancelled: !!error.cancelled, error: error.message, jobId};
         }
     });
 
@@ -1263,24 +1733,8 @@ async function registerIpcHandlers() {
     });
 
     // ==================== World Manager Handlers ====================
-    async function getDirSize(dirPath) {
-        let total = 0;
-        try {
-            const entries = await fs.readdir(dirPath, { withFileTypes: true });
-            for (const entry of entries) {
-                const fullPath = path.join(dirPath, entry.name);
-                if (entry.isDirectory()) {
-                    total += await getDirSize(fullPath);
-                } else if (entry.isFile()) {
-                    total += (await fs.stat(fullPath)).size;
-                }
-            }
-        } catch (e) { /* skip */ }
-        return total;
-    }
-
     ipcMain.handle('get-worlds', async () => {
-        const savesDir = path.join(global.minecraftPath, 'saves');
+        const savesDir = path.join(await getActiveGameDir(), 'saves');
         try {
             await fs.ensureDir(savesDir);
             const entries = await fs.readdir(savesDir, { withFileTypes: true });
@@ -1303,7 +1757,7 @@ async function registerIpcHandlers() {
     });
 
     ipcMain.handle('backup-world', async (event, worldName) => {
-        const savesDir = path.join(global.minecraftPath, 'saves');
+        const savesDir = path.join(await getActiveGameDir(), 'saves');
         const backupsDir = path.join(global.minecraftPath, 'backups', 'worlds');
         await fs.ensureDir(backupsDir);
         const worldPath = path.join(savesDir, worldName);
@@ -1323,7 +1777,7 @@ async function registerIpcHandlers() {
     });
 
     ipcMain.handle('restore-world', async (event, backupPath) => {
-        const savesDir = path.join(global.minecraftPath, 'saves');
+        const savesDir = path.join(await getActiveGameDir(), 'saves');
         try {
             const zip = new AdmZip(backupPath);
             const entries = zip.getEntries();
@@ -1339,8 +1793,34 @@ async function registerIpcHandlers() {
         }
     });
 
+    // Player data from the random offline UUIDs older launcher versions generated
+    ipcMain.handle('find-legacy-playerdata', async (event, worldName, username) => {
+        const {findLegacyPlayerData} = require('./offline-uuid');
+        const worldPath = path.join(await getActiveGameDir(), 'saves', worldName);
+        try {
+            if (!await fs.pathExists(worldPath)) return { error: 'World not found' };
+            return { success: true, ...await findLegacyPlayerData(worldPath, username) };
+        } catch (e) {
+            logger.error(`Player data scan failed: ${e.message}`);
+            return { error: e.message };
+        }
+    });
+
+    ipcMain.handle('migrate-playerdata', async (event, worldName, fromUuid, username) => {
+        const {migratePlayerData} = require('./offline-uuid');
+        const worldPath = path.join(await getActiveGameDir(), 'saves', worldName);
+        if (!await fs.pathExists(worldPath)) return { error: 'World not found' };
+        const result = await migratePlayerData(worldPath, fromUuid, username);
+        if (result.success) {
+            logger.info(`Migrated player data in ${worldName} from ${fromUuid} to ${result.offlineUuid}`);
+        } else {
+            logger.error(`Player data migration failed: ${result.error}`);
+        }
+        return result;
+    });
+
     ipcMain.handle('delete-world', async (event, worldName) => {
-        const worldPath = path.join(global.minecraftPath, 'saves', worldName);
+        const worldPath = path.join(await getActiveGameDir(), 'saves', worldName);
         try {
             await fs.remove(worldPath);
             logger.info(`World ${worldName} deleted`);
@@ -1351,9 +1831,52 @@ async function registerIpcHandlers() {
         }
     });
 
+    // ==================== Mod Manager Handlers ====================
+    ipcMain.handle('get-mods', async () => {
+        const ModManager = require('./mod-manager');
+        try {
+            return await new ModManager(await getActiveGameDir()).getMods();
+        } catch (e) {
+            logger.error(`Error listing mods: ${e.message}`);
+            return [];
+        }
+    });
+
+    ipcMain.handle('set-mod-enabled', async (event, fileName, enabled) => {
+        const ModManager = require('./mod-manager');
+        try {
+            const file = await new ModManager(await getActiveGameDir()).setEnabled(fileName, enabled);
+            return { success: true, file };
+        } catch (e) {
+            logger.error(`Could not ${enabled ? 'enable' : 'disable'} ${fileName}: ${e.message}`);
+            return { error: e.message };
+        }
+    });
+
+    ipcMain.handle('add-mods', async (event, filePaths) => {
+        const ModManager = require('./mod-manager');
+        try {
+            return { success: true, ...await new ModManager(await getActiveGameDir()).addMods(filePaths) };
+        } catch (e) {
+            logger.error(`Adding mods failed: ${e.message}`);
+            return { error: e.message };
+        }
+    });
+
+    ipcMain.handle('remove-mod', async (event, fileName) => {
+        const ModManager = require('./mod-manager');
+        try {
+            await new ModManager(await getActiveGameDir()).removeMod(fileName);
+            return { success: true };
+        } catch (e) {
+            logger.error(`Removing ${fileName} failed: ${e.message}`);
+            return { error: e.message };
+        }
+    });
+
     // ==================== Crash Report Handlers ====================
     ipcMain.handle('get-crash-reports', async () => {
-        const crashDir = path.join(global.minecraftPath, 'crash-reports');
+        const crashDir = path.join(await getActiveGameDir(), 'crash-reports');
         try {
             await fs.ensureDir(crashDir);
             const files = await fs.readdir(crashDir);
@@ -1378,7 +1901,7 @@ async function registerIpcHandlers() {
     });
 
     ipcMain.handle('delete-crash-report', async (event, filename) => {
-        const filePath = path.join(global.minecraftPath, 'crash-reports', filename);
+        const filePath = path.join(await getActiveGameDir(), 'crash-reports', filename);
         try {
             await fs.remove(filePath);
             return { success: true };
@@ -1596,12 +2119,38 @@ app.on('activate', () => {
     }
 });
 
-app.on('window-all-closed', () => {
+function restoreMainWindow() {
+    if (!mainWindow || mainWindow.isDestroyed()) return false;
+
+    // Restore window visibility
+    if (process.platform === 'win32') {
+        // mainWindow.setSkipTaskbar(false);
+        mainWindow.restore();
+    } else {
+        mainWindow.show();
+    }
+
+    // Make sure window is focused
+    mainWindow.focus();
+    console.log('Launcher restored after game closed');
+    return true;
+}
+
+function shutdownServices() {
     if (mockAuthServer) {
         mockAuthServer.stop();
     }
     // Shut down Discord RPC before quitting
     discordRPC.shutdown();
+}
+
+app.on('window-all-closed', () => {
+    // The game still needs the offline auth server; quit once it exits
+    if (quitWhenGameExits) {
+        return;
+    }
+
+    shutdownServices();
     if (process.platform !== 'darwin') {
         app.quit();
     }
@@ -1619,60 +2168,12 @@ process.on('unhandledRejection', (error) => {
     console.error('Unhandled promise rejection:', error);
 });
 
-// Add version comparison helper function
-function compareVersions(a, b) {
-    const aParts = a.split('.').map(part => parseInt(part, 10) || 0);
-    const bParts = b.split('.').map(part => parseInt(part, 10) || 0);
-    
-    for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
-        const aVal = aParts[i] || 0;
-        const bVal = bParts[i] || 0;
-        if (aVal !== bVal) {
-            return bVal - aVal; // Descending order (newer first)
-        }
-    }
-    return 0;
-}
-
 async function getVersions() {
-    try {
-        const response = await fetch('https://piston-meta.mojang.com/mc/game/version_manifest_v2.json', {
-            timeout: 30000 // Increase timeout to 30 seconds
-        });
-        const data = await response.json();
-        
-        // Sort versions by version ID (newest first)
-        data.versions.sort((a, b) => compareVersions(a.id, b.id));
-        
-        return data.versions;
-    } catch (error) {
-        logger.warn(`Failed to fetch versions online: ${error}`);
-        
-        // Fallback to installed versions
-        try {
-            const standaloneCreator = new (require('./standalone-creator'))();
-            const installedVersions = await standaloneCreator.getInstalledVersions();
-            
-            if (installedVersions.length > 0) {
-                logger.info(`Using offline version list: ${installedVersions.join(', ')}`);
-                
-                // Sort installed versions
-                installedVersions.sort((a, b) => compareVersions(a, b));
-                
-                return installedVersions.map(version => ({
-                    id: version,
-                    type: 'release', // Assume release type for offline versions
-                    url: null,
-                    time: new Date().toISOString(),
-                    releaseTime: new Date().toISOString()
-                }));
-            }
-        } catch (fallbackError) {
-            logger.error(`Fallback version detection failed: ${fallbackError}`);
-        }
-        
+    const {versions, manifestAvailable} = await new VersionCatalog(global.minecraftPath).getVersions();
+    if (!manifestAvailable && versions.length === 0) {
         throw new Error('Could not fetch versions and no installed versions found');
     }
+    return versions;
 }
 
 // Replace the existing version fetching code with:
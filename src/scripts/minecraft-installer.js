@@ -1,6 +1,5 @@
 const fs = require('fs-extra'); // Updated to fs-extra
 const path = require('path');
-const fetch = require('node-fetch');
 const logger = require('./logger');
 const extract = require('extract-zip');
 const cliProgress = require('cli-progress'); // Not currently used
@@ -8,12 +7,22 @@ const AdmZip = require('adm-zip'); // Add this import
 const EventEmitter = require('events'); // Add this import
 const os = require('os'); // Add this for os.tmpdir()
 const discordRPC = require('./discord-rpc'); // Import Discord RPC
+const downloadManager = require('./download-manager');
+const installQueue = require('./install-queue');
+const mirrors = require('./mirrors');
+const VersionCatalog = require('./version-catalog');
+const { resolveGameRoot } = require('./game-root');
+const { InstallReceipt, RECEIPT_FILE, getStagingDir, verifyReceipt, getInstallState } = require('./install-receipt');
+const { InsufficientSpaceError, checkSpace, estimateInstallSize, formatBytes } = require('./disk-usage');
 
 class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
-    constructor() {
+    /**
+     * @param {string} [baseDir] Game root to install into (default: the configured game root)
+     */
+    constructor(baseDir) {
         super();
         
-        this.baseDir = path.join(this._getAppDataDir(), '.alrightlauncher');
+        this.baseDir = resolveGameRoot(baseDir);
         this.versionsDir = path.join(this.baseDir, 'versions');
         this.assetsDir = path.join(this.baseDir, 'assets');
         this.librariesDir = path.join(this.baseDir, 'libraries');
@@ -28,19 +37,13 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
             console.error('Failed to get main window reference:', error);
         }
         
-        this.downloadQueue = [];
-        this.isDownloading = false;
-        this.maxConcurrent = 16;
-        this.downloadChunkSize = 1024 * 1024;
-    }
+        // Network settings synced from the renderer (Settings > Network)
+        const settings = global.settings || {};
+        this.maxConcurrent = Math.min(Math.max(parseInt(settings.downloadThreads, 10) || 16, 1), 32);
+        this.connectionTimeout = Math.max(parseInt(settings.connectionTimeout, 10) || 30, 5) * 1000;
 
-    _getAppDataDir() {
-        switch (os.platform()) {
-            case 'win32': return process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
-            case 'darwin': return path.join(os.homedir(), 'Library', 'Application Support');
-            case 'linux': return process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
-            default: return os.homedir();
-        }
+        // Install queue job this installer runs under (see install-queue.js), set by main.js
+        this.job = null;
     }
 
     createDirectories() {
@@ -53,9 +56,13 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
 
     async sendProgress(percent, phase, detail) {
         try {
+            const jobId = this.job ? this.job.id : null;
+            if (this.job) this.job.progress(percent, phase, detail);
+
             // Ensure main window is available and not destroyed
             if (this.mainWindow && !this.mainWindow.isDestroyed()) {
                 this.mainWindow.webContents.send('installation-status', {
+                    jobId,
                     status: 'progress',
                     progress: percent,
                     phase,
@@ -64,6 +71,7 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
                 
                 // Also emit the older progress event format for backwards compatibility
                 this.mainWindow.webContents.send('install-progress', {
+                    jobId,
                     percent,
                     phase,
                     detail
@@ -74,100 +82,48 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
         }
     }
 
-    async downloadFile(url, destination, description, maxRetries = 3) {
-        // Queue the download and wait for completion
-        return new Promise((resolve, reject) => {
-            this.downloadQueue.push({
-                url,
-                destination,
-                description,
-                maxRetries,
-                resolve,
-                reject
-            });
-            
-            if (!this.isDownloading) {
-                this.processDownloadQueue();
-            }
+    /**
+     * Download through the shared engine (per-host limits, resume, retries)
+     * @param {string} url Source URL
+     * @param {string} destination Destination path
+     * @param {string} [description] Name used in log messages
+     * @param {Object} [expected] {sha1, size} from the manifest; a mismatching file is rejected
+     */
+    async downloadFile(url, destination, description, expected = {}) {
+        await this.checkpoint();
+        return downloadManager.download(url, destination, {
+            description,
+            ...expected,
+            // Libraries and asset objects can be shared with other game roots
+            store: this.isShareable(destination),
+            signal: this.job ? this.job.signal : undefined
         });
     }
 
-    async processDownloadQueue() {
-        if (this.isDownloading || this.downloadQueue.length === 0) return;
-        this.isDownloading = true;
-
-        const concurrency = this.maxConcurrent;
-
-        while (this.downloadQueue.length > 0) {
-            const batch = this.downloadQueue.splice(0, concurrency);
-            await Promise.all(batch.map(dl => this.executeDownload(dl)));
-        }
-
-        this.isDownloading = false;
+    isShareable(filePath) {
+        return [this.librariesDir, path.join(this.assetsDir, 'objects')]
+            .some(dir => {
+                const relative = path.relative(dir, filePath);
+                return !relative.startsWith('..') && !path.isAbsolute(relative);
+            });
     }
 
-    async executeDownload(download) {
-        for (let attempt = 1; attempt <= download.maxRetries; attempt++) {
-            try {
-                const response = await fetch(download.url);
-                if (!response.ok) throw new Error(`Failed to download: ${response.statusText}`);
-
-                const totalSize = parseInt(response.headers.get('content-length'), 10);
-
-                await fs.ensureDir(path.dirname(download.destination));
-
-                const fileStream = fs.createWriteStream(download.destination, {
-                    flags: 'w',
-                    mode: 0o644
-                });
-
-                await new Promise((resolve, reject) => {
-                    response.body.pipe(fileStream);
-                    response.body.on('error', reject);
-                    fileStream.on('finish', resolve);
-                    fileStream.on('error', reject);
-                });
-
-                const stats = await fs.stat(download.destination);
-                if (stats.size === 0) {
-                    throw new Error(`Downloaded file is empty`);
-                }
-
-                await fs.chmod(download.destination, 0o644);
-                download.resolve(true);
-                return;
-
-            } catch (error) {
-                logger.error(`Download attempt ${attempt} failed for ${download.description}: ${error.message}`);
-
-                try {
-                    if (await fs.pathExists(download.destination)) {
-                        await fs.remove(download.destination);
-                    }
-                } catch (removeError) {
-                    logger.error(`Failed to remove incomplete file: ${removeError.message}`);
-                }
-
-                if (attempt === download.maxRetries) {
-                    download.reject(new Error(`Failed to download ${download.description} after ${download.maxRetries} attempts: ${error.message}`));
-                    return;
-                }
-
-                await new Promise(r => setTimeout(r, attempt * 2000));
-            }
-        }
+    // Waits while the queued job is paused and throws once it has been cancelled
+    async checkpoint() {
+        if (this.job) await this.job.checkpoint();
     }
 
-    async getVersionManifest() {
-        const response = await fetch('https://piston-meta.mojang.com/mc/game/version_manifest_v2.json', {
-            headers: {
-                'Accept': 'application/json'
-            }
-        });
-        if (!response.ok) {
-            throw new Error(`Failed to fetch manifest: ${response.statusText}`);
+    /**
+     * Mojang's version manifest, through the on-disk cache (see version-catalog.js)
+     * @param {Object} [options] {refresh} to revalidate a cache that is still fresh
+     * @returns {Promise<Object>}
+     */
+    async getVersionManifest(options = {}) {
+        const { manifest } = await new VersionCatalog(this.baseDir).getManifest(options);
+        if (!manifest) {
+            throw new Error('Failed to fetch manifest and no cached copy is available');
         }
-        return response.json();
+        return manifest;
     }
 
     async downloadAssets(versionData) {
@@ -184,12 +140,10 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
         // Download asset index if needed
         if (!await fs.pathExists(assetIndexPath) || !(await this.verifyFile(assetIndexPath, versionData.assetIndex.sha1))) {
             logger.info(`Downloading asset index ${assetIndexId}...`);
-            const indexResponse = await fetch(assetIndexUrl);
-            if (!indexResponse.ok) {
-                throw new Error(`Failed to download asset index: ${indexResponse.statusText}`);
-            }
-            const assetIndex = await indexResponse.json();
-            await fs.writeFile(assetIndexPath, JSON.stringify(assetIndex, null, 2));
+            await this.downloadFile(assetIndexUrl, assetIndexPath, `Asset index ${assetIndexId}`, {
+                sha1: versionData.assetIndex.sha1,
+                size: versionData.assetIndex.size
+            });
         }
 
         // Read the asset index
@@ -257,7 +211,8 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
                     await this.downloadFile(
                         assetUrl,
                         assetObjectPath,
-                        `Asset: ${name.split('/').pop()}`
+                        `Asset: ${name.split('/').pop()}`,
+                        { sha1: hash, size: asset.size }
                     );
                     
                     // Link/copy to virtual directory if needed
@@ -382,23 +337,18 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
                     const assetUrl = `${server}/${prefix}/${hash}`;
                     logger.info(`Trying alternative source for ${soundPath}: ${assetUrl}`);
                     
-                    const response = await fetch(assetUrl, { timeout: 5000 });
-                    if (response.ok) {
-                        // Download succeeded
-                        const buffer = await response.arrayBuffer();
-                        await fs.writeFile(assetObjectPath, Buffer.from(buffer));
-                        
-                        // Create virtual path reference if needed
-                        await fs.ensureDir(path.dirname(virtualPath));
-                        try {
-                            await fs.link(assetObjectPath, virtualPath);
-                        } catch {
-                            await fs.copyFile(assetObjectPath, virtualPath);
-                        }
-                        
-                        downloaded = true;
-                        logger.info(`Successfully downloaded missing sound: ${soundPath}`);
+                    await this.downloadFile(assetUrl, assetObjectPath, soundPath, { sha1: hash, size: asset.size });
+
+                    // Create virtual path reference if needed
+                    await fs.ensureDir(path.dirname(virtualPath));
+                    try {
+                        await fs.link(assetObjectPath, virtualPath);
+                    } catch {
+                        await fs.copyFile(assetObjectPath, virtualPath);
                     }
+
+                    downloaded = true;
+                    logger.info(`Successfully downloaded missing sound: ${soundPath}`);
                 } catch (error) {
                     logger.warn(`Failed to download from alternate source: ${error.message}`);
                 }
@@ -450,7 +400,8 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
         await this.downloadFile(
             nativeArtifact.url,
             nativePath,
-            `Native: ${lib.name}`
+            `Native: ${lib.name}`,
+            { sha1: nativeArtifact.sha1, size: nativeArtifact.size }
         );
         
         return nativePath;
@@ -621,14 +572,10 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
                         if (!await fs.pathExists(nativePath)) {
                             logger.info(`Downloading missing 1.19.1 native: ${nativeArtifact.url}`);
                             try {
-                                await fs.ensureDir(path.dirname(nativePath));
-                                const response = await fetch(nativeArtifact.url);
-                                if (!response.ok) {
-                                    logger.warn(`Failed to download native: ${response.statusText}`);
-                                    continue;
-                                }
-                                const buffer = await response.buffer();
-                                await fs.writeFile(nativePath, buffer);
+                                await this.downloadFile(nativeArtifact.url, nativePath, `Native: ${lib.name}`, {
+                                    sha1: nativeArtifact.sha1,
+                                    size: nativeArtifact.size
+                                });
                                 logger.info(`Successfully downloaded native: ${nativePath}`);
                             } catch (err) {
                                 logger.error(`Download failed: ${err.message}`);
@@ -889,7 +836,117 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
         }
     }
 
+    /**
+     * Download the log4j configuration from the version JSON's logging.client block
+     * into assets/log_configs. For 1.7-1.18 this is Mojang's patched config that
+     * disables JNDI lookups (Log4Shell).
+     * @param {Object} versionData Version JSON
+     * @returns {Promise<string|null>} Path to the verified config, or null if the version has none
+     */
+    async downloadLoggingConfig(versionData) {
+        const file = versionData.logging?.client?.file;
+        if (!file || !file.url || !file.id) return null;
+
+        const configPath = path.join(this.assetsDir, 'log_configs', file.id);
+        const isValid = () => file.sha1 ? this.verifyFile(configPath, file.sha1) : fs.pathExists(configPath);
+
+        if (await isValid()) {
+            return configPath;
+        }
+
+        logger.info(`Downloading logging config ${file.id}`);
+        await this.downloadFile(file.url, configPath, `Logging config ${file.id}`, { sha1: file.sha1, size: file.size });
+
+        if (!await isValid()) {
+            await fs.remove(configPath);
+            throw new Error(`Logging config ${file.id} failed SHA1 verification`);
+        }
+        return configPath;
+    }
+
+    /**
+     * Refuse to start an install the game folder's volume can't hold, and warn when it
+     * would leave the volume nearly full. The size comes from the version JSON.
+     * @param {Object} versionData Version JSON
+     * @throws {InsufficientSpaceError}
+     */
+    async checkDiskSpace(versionData) {
+        const required = await estimateInstallSize(this.baseDir, versionData);
+        let space;
+        try {
+            space = await checkSpace(this.baseDir, required);
+        } catch (error) {
+            logger.warn(`Could not check free disk space: ${error.message}`);
+            return;
+        }
+
+        logger.info(`${versionData.id} needs ${formatBytes(required)}, ${formatBytes(space.free)} free on ${space.diskPath}`);
+        if (!space.ok) {
+            throw new InsufficientSpaceError(required, space.free, space.diskPath);
+        }
+        if (space.warning) {
+            logger.warn(`Installing ${versionData.id} leaves less than 1 GB free on ${space.diskPath}`);
+            await this.sendProgress(10, 'Low Disk Space', `${formatBytes(required)} needed, ${formatBytes(space.free)} free on ${space.diskPath}`);
+        }
+    }
+
+    /**
+     * Install a vanilla version as its own install queue job, for installs that
+     * don't come from the install button (e.g. launching a missing version). This
+     * keeps them from running next to a queued install of the same version.
+     * @param {string} baseDir Game root
+     * @param {string} version Version ID
+     * @returns {Promise<boolean>}
+     */
+    static queueInstall(baseDir, version) {
+        const { promise } = installQueue.enqueue({
+            type: 'version',
+            title: `Minecraft ${version}`,
+            run: async (job) => {
+                // A queued install of the same version may have finished in the meantime
+                if (await getInstallState(baseDir, version) === 'installed') return true;
+
+                const installer = new MinecraftInstaller(baseDir);
+                installer.job = job;
+                return installer.installVersion(version);
+            }
+        });
+        return promise;
+    }
+
+    /**
+     * Install the vanilla version a mod loader version inherits from, unless it
+     * already is. Shared by loader installs and launches.
+     * @param {string} baseDir Game root
+     * @param {string} version Version ID
+     * @param {Object} [job] Install queue job the install reports to and is cancelled through.
+     *   Without one (e.g. at launch) the install is queued as a job of its own.
+     * @returns {Promise<void>}
+     */
+    static async ensureParentVersionInstalled(baseDir, version, job = null) {
+        if (await getInstallState(baseDir, version) === 'installed') return;
+
+        logger.info(`Installing Minecraft ${version} first`);
+        if (!job) {
+            await MinecraftInstaller.queueInstall(baseDir, version);
+            return;
+        }
+        const installer = new MinecraftInstaller(baseDir);
+        installer.job = job;
+        await installer.installVersion(version);
+    }
+
+    /**
+     * Install a vanilla version. The version folder (JSON, client jar, natives) is
+     * assembled in .staging/<version> while libraries and assets go straight into the
+     * shared folders, where every file is checked against its SHA1. Once the receipt of
+     * all files verifies, the staged folder replaces versions/<version>; on failure or
+     * cancel the staging folder is removed and an existing install is left untouched.
+     * @param {string} version Version ID
+     * @returns {Promise<boolean>}
+     */
     async installVersion(version) {
+        let stagingDir = null;
         try {
             console.log(`Starting installation of version: ${version}`);
             
@@ -910,6 +967,7 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
             // Notify installation started
             if (this.mainWindow && !this.mainWindow.isDestroyed()) {
                 this.mainWindow.webContents.send('installation-status', {
+                    jobId: this.job ? this.job.id : null,
                     version, 
                     status: 'started',
                     progress: 0
@@ -921,14 +979,18 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
             
             // Get version manifest
             await this.sendProgress(5, 'Fetching Version Data', 'Getting version manifest...');
-            const manifest = await this.getVersionManifest();
-            
+            let manifest = await this.getVersionManifest();
+            // A version released since the manifest was cached needs a fresh copy
+            if (!manifest.versions.some(v => v.id === version)) {
+                manifest = await this.getVersionManifest({ refresh: true });
+            }
+
             const versionInfo = manifest.versions.find(v => v.id === version);
             if (!versionInfo) throw new Error(`Version ${version} not found`);
 
             // Download version JSON
             await this.sendProgress(10, 'Downloading Version JSON', `Getting ${version} metadata...`);
-            const versionResponse = await fetch(versionInfo.url);
+            const versionResponse = await mirrors.fetch(versionInfo.url, { timeout: this.connectionTimeout });
             const versionData = await versionResponse.json();
 
             // Validate the version data has required fields
@@ -952,16 +1014,20 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
                 versionData.libraries = validLibraries;
             }
 
+            await this.checkDiskSpace(versionData);
+
             // Create directories
             const versionDir = path.join(this.versionsDir, version);
-            await fs.ensureDir(versionDir);
+            stagingDir = getStagingDir(this.baseDir, version);
+            await fs.emptyDir(stagingDir);
+            const receipt = new InstallReceipt(this.baseDir, version);
             await fs.ensureDir(this.librariesDir);
             await fs.ensureDir(path.join(this.assetsDir, 'indexes'));
             await fs.ensureDir(path.join(this.assetsDir, 'objects'));
 
             // Download libraries in concurrent batches
             const totalLibraries = versionData.libraries.length;
-            const BATCH_SIZE = 16;
+            const BATCH_SIZE = this.maxConcurrent;
 
             for (let batchStart = 0; batchStart < totalLibraries; batchStart += BATCH_SIZE) {
                 const batchEnd = Math.min(batchStart + BATCH_SIZE, totalLibraries);
@@ -980,17 +1046,14 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
                     }
 
                     const libPath = path.join(this.librariesDir, lib.downloads.artifact.path);
+                    const expected = { sha1: lib.downloads.artifact.sha1, size: lib.downloads.artifact.size };
                     await fs.ensureDir(path.dirname(libPath));
 
-                    if (!fs.existsSync(libPath)) {
-                        batchPromises.push(
-                            this.downloadFile(
-                                lib.downloads.artifact.url,
-                                libPath,
-                                `Library: ${lib.name || `#${i}`}`
-                            )
-                        );
-                    }
+                    // The engine skips files whose hash already matches
+                    batchPromises.push(
+                        this.downloadFile(lib.downloads.artifact.url, libPath, `Library: ${lib.name || `#${i}`}`, expected)
+                    );
+                    receipt.add(libPath, expected);
                 }
 
                 if (batchPromises.length > 0) {
@@ -1003,19 +1066,32 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
 
             // Download client jar only if needed
             await this.sendProgress(50, 'Checking Game Files', 'Verifying main game file...');
-            const clientJar = path.join(versionDir, `${version}.jar`);
+            const clientJar = path.join(stagingDir, `${version}.jar`);
+            const installedJar = path.join(versionDir, `${version}.jar`);
             const expectedHash = versionData.downloads.client.sha1;
             
-            if (!await this.verifyFile(clientJar, expectedHash)) {
+            if (await this.verifyFile(installedJar, expectedHash)) {
+                logger.info('Client JAR verified, reusing the installed copy');
+                await fs.copy(installedJar, clientJar);
+                await this.sendProgress(50, 'Checking Game Files', 'Main game file verified');
+            } else {
                 await this.sendProgress(50, 'Downloading Game', 'Fetching main game file...');
                 await this.downloadFile(
                     versionData.downloads.client.url,
                     clientJar,
-                    'Main Game JAR'
+                    'Main Game JAR',
+                    { sha1: expectedHash, size: versionData.downloads.client.size }
                 );
-            } else {
-                logger.info('Client JAR verified, skipping download');
-                await this.sendProgress(50, 'Checking Game Files', 'Main game file verified');
+            }
+            receipt.addStaged(stagingDir, clientJar, { sha1: expectedHash, size: versionData.downloads.client.size });
+
+            // Patched log4j config; the launcher retries at launch if this fails
+            try {
+                const configPath = await this.downloadLoggingConfig(versionData);
+                if (configPath) receipt.add(configPath, versionData.logging.client.file);
+            } catch (error) {
+                if (error.cancelled) throw error;
+                logger.warn(`Could not download logging config: ${error.message}`);
             }
 
             // Download assets
@@ -1026,10 +1102,20 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
             await fs.ensureDir(path.join(this.assetsDir, 'indexes'));
             await fs.ensureDir(path.join(this.assetsDir, 'objects'));
 
-            const indexResponse = await fetch(assetIndexUrl);
-            const assetIndex = await indexResponse.json();
-
-            const assets = Object.entries(assetIndex.objects);
+            await this.downloadFile(assetIndexUrl, assetIndexPath, `Asset index ${versionData.assetIndex.id}`, {
+                sha1: versionData.assetIndex.sha1,
+                size: versionData.assetIndex.size
+            });
+            receipt.add(assetIndexPath, versionData.assetIndex);
+            const assetIndex = await fs.readJson(assetIndexPath);
+
+            // Several names can share one object; download each hash once
+            const seenHashes = new Set();
+            const assets = Object.entries(assetIndex.objects).filter(([, asset]) => {
+                if (seenHashes.has(asset.hash)) return false;
+                seenHashes.add(asset.hash);
+                return true;
+            });
             const totalAssets = assets.length;
 
             for (let batchStart = 0; batchStart < totalAssets; batchStart += BATCH_SIZE) {
@@ -1042,15 +1128,15 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
                     const prefix = hash.substring(0, 2);
                     const assetPath = path.join(this.assetsDir, 'objects', prefix, hash);
 
-                    if (!fs.existsSync(assetPath)) {
-                        batchPromises.push(
-                            this.downloadFile(
-                                `https://resources.download.minecraft.net/${prefix}/${hash}`,
-                                assetPath,
-                                `Asset: ${name}`
-                            )
-                        );
-                    }
+                    batchPromises.push(
+                        this.downloadFile(
+                            `https://resources.download.minecraft.net/${prefix}/${hash}`,
+                            assetPath,
+                            `Asset: ${name}`,
+                            { sha1: hash, size: asset.size }
+                        )
+                    );
+                    receipt.add(assetPath, { sha1: hash, size: asset.size });
                 }
 
                 if (batchPromises.length > 0) {
@@ -1063,21 +1149,36 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
 
             // Save version JSON
             await this.sendProgress(95, 'Finalizing', 'Saving version data...');
-            await fs.writeFile(
-                path.join(this.versionsDir, version, `${version}.json`),
-                JSON.stringify(versionData, null, 2)
-            );
+            const versionJsonPath = path.join(stagingDir, `${version}.json`);
+            await fs.writeFile(versionJsonPath, JSON.stringify(versionData, null, 2));
+            receipt.addStaged(stagingDir, versionJsonPath, {
+                sha1: await downloadManager.hashFile(versionJsonPath),
+                size: (await fs.stat(versionJsonPath)).size
+            });
 
             // Download and extract natives - provide better error context
             await this.sendProgress(97, 'Downloading Natives', 'Downloading and extracting native libraries...');
             try {
                 // Use the modified downloadLibraries that handles undefined paths
-                await this.downloadLibraries(versionData.libraries, version);
+                await this.downloadLibraries(versionData.libraries, version, path.join(stagingDir, 'natives'));
             } catch (error) {
+                if (error.cancelled) throw error;
                 logger.warn(`Native extraction encountered issues: ${error.message}`);
                 logger.info('Continuing installation process despite native issues');
                 // We continue the installation, since some natives might be optional
             }
+            await this.checkpoint();
+
+            await this.sendProgress(98, 'Verifying', 'Checking installed files...');
+            const receiptData = receipt.toJSON();
+            const failures = await verifyReceipt(this.baseDir, receiptData, { stagingDir });
+            if (failures.length > 0) {
+                throw new Error(`${failures.length} file(s) failed verification (first: ${failures[0]})`);
+            }
+            await fs.writeJson(path.join(stagingDir, RECEIPT_FILE), receiptData, { spaces: 2 });
+
+            await this.commitStaging(stagingDir, versionDir);
+            stagingDir = null;
 
             await this.sendProgress(100, 'Complete', `Successfully installed Minecraft ${version}`);
             
@@ -1090,6 +1191,7 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
             // Notify installation complete
             if (this.mainWindow && !this.mainWindow.isDestroyed()) {
                 this.mainWindow.webContents.send('installation-status', {
+                    jobId: this.job ? this.job.id : null,
                     version, 
                     status: 'completed',
                     progress: 100
@@ -1098,8 +1200,19 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
             
             return true;
         } catch (error) {
-            logger.error(`Installation failed: ${error.message}`);
-            await this.sendProgress(100, 'Error', error.message);
+            if (error.cancelled) {
+                logger.info(`Installation of ${version} cancelled`);
+            } else {
+                logger.error(`Installation failed: ${error.message}`);
+                await this.sendProgress(100, 'Error', error.message);
+            }
+
+            // Shared libraries and assets stay; they were verified and other versions may use them
+            if (stagingDir) {
+                await fs.remove(stagingDir).catch(removeError => {
+                    logger.warn(`Could not remove staging folder ${stagingDir}: ${removeError.message}`);
+                });
+            }
             
             // Reset status
             this.isInstalling = false;
@@ -1108,8 +1221,9 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
             // Notify installation failed
             if (this.mainWindow && !this.mainWindow.isDestroyed()) {
                 this.mainWindow.webContents.send('installation-status', {
+                    jobId: this.job ? this.job.id : null,
                     version, 
-                    status: 'error',
+                    status: error.cancelled ? 'cancelled' : 'error',
                     error: error.message
                 });
             }
@@ -1118,6 +1232,32 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
         }
     }
 
+    /**
+     * Swap a verified staging folder into versions/. The previous install is kept aside
+     * until the move succeeds and restored if it doesn't.
+     * @param {string} stagingDir Staged version folder
+     * @param {string} versionDir Final version folder
+     */
+    async commitStaging(stagingDir, versionDir) {
+        const previousDir = `${stagingDir}.previous`;
+        await fs.remove(previousDir);
+
+        if (await fs.pathExists(versionDir)) {
+            await fs.move(versionDir, previousDir);
+        }
+
+        try {
+            await fs.move(stagingDir, versionDir);
+        } catch (error) {
+            if (await fs.pathExists(previousDir)) {
+                await fs.move(previousDir, versionDir, { overwrite: true });
+            }
+            throw new Error(`Could not move ${path.basename(versionDir)} into place: ${error.message}`);
+        }
+
+        await fs.remove(previousDir);
+    }
+
     async downloadNatives(version) {
         const versionJson = await fs.readJson(path.join(this.baseDir, 'versions', version, `${version}.json`));
         const osName = this.getOSName();
@@ -1138,29 +1278,21 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
             }
 
             // Download native library
-            await this.downloadFile(nativeArtifact.url, libraryPath);
+            await this.downloadFile(nativeArtifact.url, libraryPath, `Native: ${path.basename(libraryPath)}`, {
+                sha1: nativeArtifact.sha1,
+                size: nativeArtifact.size
+            });
         }
     }
 
     async validateFile(filePath, expectedSha1 = null) {
         try {
-            const exists = await fs.pathExists(filePath);
-            if (!exists) return false;
-            
-            // TODO: Add SHA1 validation if expectedSha1 is provided
-            return true;
+            return await downloadManager.verify(filePath, { sha1: expectedSha1 });
         } catch (err) {
             return false;
         }
     }
 
-    async downloadFile(url, destination) {
-        await fs.ensureDir(path.dirname(destination));
-        const response = await fetch(url);
-        const buffer = await response.buffer();
-        await fs.writeFile(destination, buffer);
-    }
-
     getOSName() {
         switch(process.platform) {
             case 'win32': return 'windows';
@@ -1197,7 +1329,8 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
             await this.downloadFile(
                 nativeArtifact.url,
                 libraryPath,
-                `Native: ${path.basename(libraryPath)}`
+                `Native: ${path.basename(libraryPath)}`,
+                { sha1: nativeArtifact.sha1, size: nativeArtifact.size }
             );
             downloadCount++;
         }
@@ -1250,7 +1383,7 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
         return nativeJars;
     }
 
-    async downloadLibraries(libraries, version) {
+    async downloadLibraries(libraries, version, nativesDir = path.join(this.baseDir, 'versions', version, 'natives')) {
         try {
             // Make sure we have valid inputs
             if (!libraries || !Array.isArray(libraries)) {
@@ -1261,7 +1394,6 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
                 throw new Error('Invalid version string provided');
             }
             
-            const nativesDir = path.join(this.baseDir, 'versions', version, 'natives');
             await fs.ensureDir(nativesDir);
 
             // Updated essential natives list to include opengl.dll
@@ -1319,7 +1451,10 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
                         await fs.ensureDir(path.dirname(libPath));
                         
                         if (!await this.isValidFile(libPath, artifact.sha1)) {
-                            await this.downloadFile(artifact.url, libPath, `Library: ${library.name || 'unknown'}`);
+                            await this.downloadFile(artifact.url, libPath, `Library: ${library.name || 'unknown'}`, {
+                                sha1: artifact.sha1,
+                                size: artifact.size
+                            });
                         }
                     }
                     
@@ -1357,7 +1492,10 @@ class MinecraftInstaller extends EventEmitter { // Extend EventEmitter
                             await fs.ensureDir(path.dirname(nativeLibPath));
                             
                             if (!await this.isValidFile(nativeLibPath, nativeArtifact.sha1)) {
-                                await this.downloadFile(nativeArtifact.url, nativeLibPath, `Native: ${library.name || 'unknown'}`);
+                                await this.downloadFile(nativeArtifact.url, nativeLibPath, `Native: ${library.name || 'unknown'}`, {
+                                    sha1: nativeArtifact.sha1,
+                                    size: nativeArtifact.size
+                                });
                             }
                             
                             // Extract the native library
@@ -1,8 +1,11 @@
-const { spawn } = require("child_process");
+const { spawn, execFile } = require("child_process");
 const path = require("path");
 const fs = require("fs-extra"); // Change this line to use fs-extra
 const logger = require("./logger");
 const MinecraftInstaller = require("./minecraft-installer");
+const JavaRuntimeManager = require("./java-runtime");
+const JavaRegistry = require("./java-registry");
+const downloadManager = require("./download-manager");
 const extract = require("extract-zip"); // Add this import
 const AdmZip = require("adm-zip"); // Add this import
 const glob = require("glob"); // Add glob package import
@@ -10,6 +13,56 @@ const { promisify } = require("util"); // Add promisify import
 const globPromise = promisify(glob.glob); // Create promisified version of glob.glob function
 const fixAssets = require("./fix-assets"); // Import asset fixing utility
 const os = require("os"); // For temp directory operations
+const { redact, redactValue, registerSecret } = require("./redact");
+const { v4: uuidv4 } = require("uuid");
+const { GameLogParser, GameLogBuffer } = require("./game-log");
+const { getOfflineUUID } = require("./offline-uuid");
+
+// How many finished sessions keep their game log around for the console
+const FINISHED_SESSION_LOGS = 10;
+
+const LAUNCHER_NAME = "AlrightLauncher";
+const LAUNCHER_VERSION = "3.0";
+
+// JVM arguments the official launcher uses for versions that only ship `minecraftArguments`
+const LEGACY_JVM_ARGUMENTS = [
+  "-Djava.library.path=${natives_directory}",
+  "-Dminecraft.launcher.brand=${launcher_name}",
+  "-Dminecraft.launcher.version=${launcher_version}",
+  "-cp",
+  "${classpath}",
+];
+
+// Garbage collector presets selectable in the Advanced settings. "Custom" adds no GC
+// flags so the user's own JVM flags decide.
+const GC_PRESETS = {
+  G1GC: [
+    "-XX:+UnlockExperimentalVMOptions",
+    "-XX:+UseG1GC",
+    "-XX:G1NewSizePercent=20",
+    "-XX:G1ReservePercent=20",
+    "-XX:MaxGCPauseMillis=50",
+    "-XX:G1HeapRegionSize=32M",
+  ],
+  ZGC: ["-XX:+UnlockExperimentalVMOptions", "-XX:+UseZGC"],
+  Shenandoah: ["-XX:+UnlockExperimentalVMOptions", "-XX:+UseShenandoahGC"],
+  Parallel: ["-XX:+UseParallelGC"],
+  Serial: ["-XX:+UseSerialGC"],
+  Custom: [],
+};
+
+// Fallback for version JSONs that declare neither `arguments` nor `minecraftArguments`
+const DEFAULT_GAME_ARGUMENTS = [
+  "--username", "${auth_player_name}",
+  "--version", "${version_name}",
+  "--gameDir", "${game_directory}",
+  "--assetsDir", "${assets_root}",
+  "--assetIndex", "${assets_index_name}",
+  "--uuid", "${auth_uuid}",
+  "--accessToken", "${auth_access_token}",
+  "--userType", "${user_type}",
+  "--versionType", "${version_type}",
+];
 
 class MinecraftLauncher {
   constructor(baseDir) {
@@ -18,8 +71,11 @@ class MinecraftLauncher {
     this.librariesDir = path.join(baseDir, "libraries"); // Add this line
     this.assetsDir = path.join(baseDir, "assets");
     this.javaPath = null;
-    this.runningProcesses = new Map(); // Track running game processes
+    this.sessions = new Map(); // Running game sessions keyed by session ID
+    this.sessionLogs = new Map(); // GameLogBuffer per session, kept a while after exit
     this.authServer = null; // Initialize authServer property
+    this.javaRuntimes = new JavaRuntimeManager(baseDir); // Mojang-managed runtimes in <baseDir>/runtime
+    this.javaRegistry = new JavaRegistry(baseDir); // Probed Java installations, cached by binary mtime
     logger.info("MinecraftLauncher initialized");
     this.javaVersions = {
       legacy: {
@@ -42,7 +98,13 @@ class MinecraftLauncher {
     );
   }
 
+  // Returns {type, version, component}; component names the Mojang runtime to prefer
   getRequiredJavaVersion(versionJson) {
+    const withComponent = (req) => ({
+      ...req,
+      component: this.javaRuntimes.getComponent(versionJson, req.version),
+    });
+
     let majorVersion;
     if (versionJson.javaVersion) {
       majorVersion = versionJson.javaVersion.majorVersion;
@@ -50,18 +112,18 @@ class MinecraftLauncher {
         versionJson.javaVersion.component === "jre-legacy" ||
         majorVersion <= 8
       ) {
-        return { type: "legacy", version: 8 };
+        return withComponent({ type: "legacy", version: 8 });
       }
-      return { type: "modern", version: majorVersion || 17 };
+      return withComponent({ type: "modern", version: majorVersion || 17 });
     }
 
     // Fallback to version number check
     const versionNum = parseFloat(versionJson.id);
 
     if (versionNum <= 1.16) {
-      return { type: "legacy", version: 8 };
+      return withComponent({ type: "legacy", version: 8 });
     }
-    return { type: "modern", version: 17 };
+    return withComponent({ type: "modern", version: 17 });
   }
 
   readVersionJson(version) {
@@ -77,7 +139,7 @@ class MinecraftLauncher {
         if (fs.existsSync(parentPath)) {
           const parentData = fs.readFileSync(parentPath, "utf8");
           const parentInfo = JSON.parse(parentData);
-          return { ...parentInfo, ...versionInfo };
+          return this.mergeVersionData(parentInfo, versionInfo);
         }
       }
       return versionInfo;
@@ -87,10 +149,22 @@ class MinecraftLauncher {
     }
   }
 
-  findJavaPath(reqInfo = { type: "modern", version: 17 }) {
+  async findJavaPath(reqInfo = { type: "modern", version: 17 }, explicitPath = null) {
     const type = reqInfo.type || "modern";
     const requiredMajorVersion = reqInfo.version || 17;
 
+    // An explicitly configured Java binary always wins over discovery
+    if (explicitPath) {
+      return this.resolveExplicitJavaPath(explicitPath);
+    }
+
+    // Prefer the Mojang runtime the version asks for when it has been downloaded
+    const managedJava = this.javaRuntimes.findInstalledJava(reqInfo.component);
+    if (managedJava) {
+      logger.info(`Using managed Java runtime ${reqInfo.component} at: ${managedJava}`);
+      return managedJava;
+    }
+
     // Check cache - use cached path only if it meets the version requirement
     if (
       this.javaVersions[type].path &&
@@ -99,105 +173,16 @@ class MinecraftLauncher {
       return this.javaVersions[type].path;
     }
 
-    // First check Adoptium directory for numeric versioned paths
-    const adoptiumDir = path.join(
-      process.env["ProgramFiles"],
-      "Eclipse Adoptium"
-    );
-    if (fs.existsSync(adoptiumDir)) {
-      try {
-        const entries = fs.readdirSync(adoptiumDir);
-        // Sort by version descending to find the best match first
-        const javaEntries = entries
-          .filter((entry) => entry.match(/^(jre|jdk)-(\d+)/))
-          .sort((a, b) => {
-            const verA = parseInt(a.match(/^(jre|jdk)-(\d+)/)[2]);
-            const verB = parseInt(b.match(/^(jre|jdk)-(\d+)/)[2]);
-            return verB - verA;
-          });
-
-        for (const entry of javaEntries) {
-          const majorVersion = parseInt(entry.match(/^(jre|jdk)-(\d+)/)[2]);
-          if (majorVersion < requiredMajorVersion) continue;
-          const javaExe = path.join(adoptiumDir, entry, "bin", "java.exe");
-          if (fs.existsSync(javaExe)) {
-            logger.info(
-              `Found Java ${majorVersion} at: ${javaExe}`
-            );
-            this.javaVersions[type].path = javaExe;
-            this._cachedJavaVersion = majorVersion;
-            return javaExe;
-          }
-        }
-      } catch (error) {
-        logger.error(`Error searching Adoptium directory: ${error.message}`);
-      }
-    }
-
-    // Build dynamic path lists for known Java versions
-    const isLegacy = type === "legacy";
-    const knownVersions = isLegacy ? [8] : [17, 21, 25, 26];
-    const pathsToTry = isLegacy
-      ? knownVersions.flatMap((v) => [
-          path.join(process.env["ProgramFiles"], "Eclipse Adoptium", `jre-${v}`),
-          path.join(process.env["ProgramFiles"], "Eclipse Adoptium", `jdk-${v}`),
-          path.join(process.env["ProgramFiles(x86)"], "Eclipse Adoptium", `jre-${v}`),
-        ]).concat(
-          path.join(process.env["ProgramFiles"], "Java", "jre1.8.0_301"),
-          path.join(process.env["ProgramFiles"], "Java", "jdk1.8.0_301"),
-          path.join(process.env["ProgramFiles(x86)"], "Java", "jre1.8.0_301"),
-          path.join(process.env["ProgramFiles"], "Zulu", "zulu-8"),
-          path.join(process.env["ProgramFiles"], "AdoptOpenJDK", "jre-8"),
-          path.join(process.env["ProgramFiles"], "AdoptOpenJDK", "jdk-8")
-        )
-      : knownVersions.flatMap((v) => [
-          path.join(process.env["ProgramFiles"], "Eclipse Adoptium", `jre-${v}`),
-          path.join(process.env["ProgramFiles"], "Eclipse Adoptium", `jdk-${v}`),
-        ]);
-
-    // Try specific paths first
-    for (const basePath of pathsToTry) {
-      if (fs.existsSync(basePath)) {
-        const javaExe = path.join(basePath, "bin", "java.exe");
-        if (fs.existsSync(javaExe)) {
-          // Verify Java version before using
-          try {
-            const output = require("child_process")
-              .execSync(`"${javaExe}" -version 2>&1`)
-              .toString();
-            const versionMatch = output.match(/version "([^"]+)"/);
-            if (versionMatch) {
-              const javaVersion = parseInt(versionMatch[1].split(".")[0]);
-              if (javaVersion >= requiredMajorVersion) {
-                this.javaVersions[type].path = javaExe;
-                this._cachedJavaVersion = javaVersion;
-                logger.info(
-                  `Found Java ${javaVersion} at: ${javaExe}`
-                );
-                return javaExe;
-              }
-            }
-          } catch (error) {
-            logger.error(
-              `Failed to verify Java at ${javaExe}: ${error.message}`
-            );
-          }
-        }
-      }
-    }
-
-    // Search Program Files recursively for Java installations
-    const searchDirs = [
-      process.env["ProgramFiles"],
-      process.env["ProgramFiles(x86)"],
-    ].filter(Boolean);
-    for (const searchDir of searchDirs) {
-      try {
-        const foundJava = this.findJavaInDirectory(searchDir, type, requiredMajorVersion);
-        if (foundJava) return foundJava;
-      } catch (error) {
-        logger.error(`Error searching in ${searchDir}: ${error.message}`);
-      }
+    const java = await this.javaRegistry.findBest(requiredMajorVersion, {
+      component: reqInfo.component,
+    });
+    if (java) {
+      logger.info(
+        `Found ${java.vendor} Java ${java.version} (${java.source}) at: ${java.path}`
+      );
+      this.javaVersions[type].path = java.path;
+      this._cachedJavaVersion = java.majorVersion;
+      return java.path;
     }
 
     throw new Error(
@@ -205,87 +190,52 @@ class MinecraftLauncher {
     );
   }
 
-  findJavaInDirectory(dir, type, requiredMajorVersion) {
+  // Download the version's Mojang runtime if needed. Failures are only logged so
+  // launching can fall back to a system or Adoptium install.
+  async ensureManagedRuntime(reqInfo) {
+    if (!reqInfo.component) return null;
     try {
-      if (!fs.existsSync(dir)) return null;
-
-      // Skip known problematic directories
-      const skipDirs = [
-        "WindowsApps",
-        "$Recycle.Bin",
-        "System Volume Information",
-      ];
-      if (skipDirs.some((skip) => dir.includes(skip))) {
-        logger.debug?.(`Skipping restricted directory: ${dir}`);
-        return null;
-      }
-
-      const files = fs.readdirSync(dir, { withFileTypes: true });
-      for (const file of files) {
-        try {
-          const fullPath = path.join(dir, file.name);
+      return await this.javaRuntimes.ensureRuntime(reqInfo.component, (progress) => {
+        if (progress.type === "status") logger.info(progress.message);
+      });
+    } catch (error) {
+      logger.warn(
+        `Managed Java runtime ${reqInfo.component} unavailable, falling back to installed Java: ${error.message}`
+      );
+      return null;
+    }
+  }
 
-          // Skip if we can't access the directory
-          if (!this.canAccessDirectory(fullPath)) {
-            continue;
-          }
+  // Accept either the java binary itself or a JDK/JRE home directory
+  resolveExplicitJavaPath(javaPath) {
+    const binaryName = process.platform === "win32" ? "java.exe" : "java";
+    let candidate = javaPath.trim().replace(/^"|"$/g, "");
 
-          if (file.isDirectory()) {
-            // Check if this directory contains java.exe
-            const javaExe = path.join(fullPath, "bin", "java.exe");
-            if (fs.existsSync(javaExe)) {
-              try {
-                const output = require("child_process")
-                  .execSync(`"${javaExe}" -version 2>&1`)
-                  .toString();
-                const versionMatch = output.match(/version "([^"]+)"/);
-                if (versionMatch) {
-                  const javaVersion = parseInt(versionMatch[1].split(".")[0]);
-                  if (javaVersion >= requiredMajorVersion) {
-                    this.javaVersions[type].path = javaExe;
-                    this._cachedJavaVersion = javaVersion;
-                    logger.info(
-                      `Found Java ${javaVersion} at: ${javaExe}`
-                    );
-                    return javaExe;
-                  }
-                }
-              } catch (error) {
-                logger.debug?.(`Invalid Java at ${javaExe}: ${error.message}`);
-              }
-            }
+    if (fs.existsSync(candidate) && fs.statSync(candidate).isDirectory()) {
+      const inBin = path.join(candidate, "bin", binaryName);
+      candidate = fs.existsSync(inBin) ? inBin : path.join(candidate, binaryName);
+    }
 
-            // Recursively search subdirectories
-            const found = this.findJavaInDirectory(fullPath, type, requiredMajorVersion);
-            if (found) return found;
-          }
-        } catch (error) {
-          // Skip files/directories we can't access
-          logger.debug?.(`Skipping inaccessible path: ${file.name}`);
-          continue;
-        }
-      }
-    } catch (error) {
-      logger.debug?.(`Error searching directory ${dir}: ${error.message}`);
+    if (!fs.existsSync(candidate)) {
+      throw new Error(`Configured Java path does not exist: ${javaPath}`);
     }
-    return null;
+
+    logger.info(`Using configured Java at: ${candidate}`);
+    return candidate;
   }
 
-  canAccessDirectory(dir) {
+  async verifyJava() {
+    logger.info("Checking Java installation...");
+    let javaPath;
     try {
-      fs.accessSync(dir, fs.constants.R_OK);
-      return true;
-    } catch {
+      javaPath = await this.findJavaPath();
+    } catch (error) {
+      logger.error(`Java verification error: ${error.message}`);
       return false;
     }
-  }
+    logger.info(`Found Java path: ${javaPath}`);
 
-  async verifyJava() {
     return new Promise((resolve) => {
-      logger.info("Checking Java installation...");
-      const javaPath = this.findJavaPath();
-      logger.info(`Found Java path: ${javaPath}`);
-
       const java = spawn(javaPath, ["-version"]);
 
       java.stderr.on("data", (data) => {
@@ -467,8 +417,9 @@ class MinecraftLauncher {
       // First check if this is a Fabric/inherited version
       const isFabric = version.includes('fabric') || (versionJson.mainClass && versionJson.mainClass.includes('fabric'));
       
-      // Get parent JAR path if applicable
-      if (versionJson.inheritsFrom) {
+      // Get parent JAR path if applicable; loaders that ship their own copy (Forge 1.13+) use that instead
+      const ownJar = path.join(versionDir, `${version}.jar`);
+      if (versionJson.inheritsFrom && !(await fs.pathExists(ownJar))) {
         const parentVersion = versionJson.inheritsFrom;
         const parentVersionDir = path.join(this.baseDir, "versions", parentVersion);
         const parentJar = path.join(parentVersionDir, `${parentVersion}.jar`);
@@ -550,9 +501,38 @@ class MinecraftLauncher {
     }
   }
 
-  // Add methods to build JVM and game arguments
+  // Path to the version's logging.client config, downloading it if the install missed it
+  async resolveLoggingConfig(versionJson, dryRun = false) {
+    const file = versionJson.logging?.client?.file;
+    if (!file || !file.id) return null;
+
+    const configPath = path.join(this.assetsDir, "log_configs", file.id);
+    if (dryRun) {
+      return configPath;
+    }
+
+    try {
+      return await new MinecraftInstaller(this.baseDir).downloadLoggingConfig(versionJson);
+    } catch (error) {
+      logger.warn(`Launching without logging config ${file.id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Where Java Flight Recorder writes the "Game Profiler" recording. JFR won't create
+  // the folder, so a real launch does; a dry run leaves the disk alone.
+  async prepareProfilerRecording(gameDir, version, options) {
+    if (!options.gameProfiler) return null;
+    const recordingPath = path.join(gameDir || this.baseDir, "profiling", `${version}-${Date.now()}.jfr`);
+    if (!options.dryRun) {
+      await fs.ensureDir(path.dirname(recordingPath));
+    }
+    return recordingPath;
+  }
+
+  // Build JVM arguments: launcher memory/GC flags first, then the version JSON's own JVM arguments
   buildJvmArgs(versionJson, options) {
-    const { classpath, nativesDir, gameDir, assetsDir, version, maxRam, jvmArgs } = options;
+    const { maxRam, jvmArgs } = options;
     const args = [];
 
     // Add memory settings (values are in MB from the UI)
@@ -560,87 +540,91 @@ class MinecraftLauncher {
     const minMB = parseInt(options.minRam) || maxMB;
     args.push(`-Xmx${maxMB}M`);
     args.push(`-Xms${minMB}M`);
-    args.push("-XX:+UnlockExperimentalVMOptions");
-    args.push("-XX:+UseG1GC");
-    args.push("-XX:G1NewSizePercent=20");
-    args.push("-XX:G1ReservePercent=20");
-    args.push("-XX:MaxGCPauseMillis=50");
-    args.push("-XX:G1HeapRegionSize=32M");
-
-    // Add system properties for natives and other settings
-    args.push(`-Djava.library.path=${nativesDir}`);
-    args.push(`-Dminecraft.launcher.brand=AlrightLauncher`);
-    args.push(`-Dminecraft.launcher.version=3.0`);
+
+    // Garbage collector preset (G1 unless the user picked another one)
+    const gcType = GC_PRESETS[options.gcType] ? options.gcType : "G1GC";
+    args.push(...GC_PRESETS[gcType]);
     args.push("-Dlog4j2.formatMsgNoLookups=true"); // Log4j vulnerability mitigation
 
+    // Mojang's patched log4j config from logging.client; the real fix for log4j < 2.10,
+    // which ignores formatMsgNoLookups. Also switches console output to XMLLayout.
+    const loggingArgument = versionJson.logging?.client?.argument;
+    if (loggingArgument && options.loggingConfigPath) {
+      args.push(loggingArgument.replace("${path}", options.loggingConfigPath));
+    }
+
+    // Java Flight Recorder for the "Game Profiler" diagnostics setting
+    if (options.profilerRecording) {
+      args.push(`-XX:StartFlightRecording=dumponexit=true,settings=profile,filename=${options.profilerRecording}`);
+    }
+
     // Append custom JVM args from launcher settings
     if (jvmArgs && typeof jvmArgs === 'string') {
         const custom = jvmArgs.trim().split(/\s+/).filter(Boolean);
         args.push(...custom);
     }
 
-    // Add classpath
-    args.push("-cp");
-    args.push(classpath);
+    // Version-specific JVM arguments (natives path, classpath, loader properties)
+    const values = this.getArgumentValues(versionJson, options);
+    const features = this.getArgumentFeatures(options);
+    const versionArgs = this.resolveArguments(
+      this.getJvmArgumentTemplate(versionJson),
+      values,
+      features
+    );
+    args.push(...versionArgs);
+
+    // Make sure the classpath is always passed, even if the JSON omitted it
+    if (!versionArgs.includes("-cp") && !versionArgs.includes("-classpath")) {
+      args.push("-cp", values.classpath);
+    }
 
     return args;
   }
 
   buildGameArgs(versionJson, options) {
-    const { username, version, gameDir, assetsDir, authData } = options;
-    const args = [];
+    const { username, authData } = options;
+    const template = this.getGameArgumentTemplate(versionJson);
 
     // Use real auth data if available, otherwise fallback to offline mode
     const useRealAuth = authData && authData.profile && authData.accessToken;
-    
-    // Basic game arguments present in all versions
-    args.push("--username", username);
-    args.push("--version", version);
-    args.push("--gameDir", gameDir);
-    args.push("--assetsDir", assetsDir);
-    args.push("--assetIndex", versionJson.assetIndex.id);
-    
-    // Add userProperties argument for Minecraft 1.7.2 through 1.8
-    // This is required for these specific versions
-    const versionNumber = parseFloat(version.replace(/^(\d+\.\d+).*$/, '$1')); // Extract major.minor version
-    if (versionNumber >= 1.7 && versionNumber <= 1.8) {
-        args.push("--userProperties", "{}");
-    }
-    
     if (useRealAuth) {
-        // Use real Microsoft authentication data
         logger.info(`Using Microsoft authentication for ${username}`);
-        args.push("--uuid", authData.profile.id);
-        args.push("--accessToken", authData.accessToken);
-        args.push("--userType", "msa");  // Microsoft Account
     } else {
-        // Fallback to offline mode
         logger.info(`Using offline mode for ${username}`);
-        const uuid = this.generateUUID();
-        args.push("--uuid", uuid);
-        args.push("--accessToken", "offline");
-        args.push("--userType", "mojang");
     }
-    
-    args.push("--versionType", "release");
 
-    // Server auto-join
-    if (options.serverAddress) {
+    // Newer versions join servers through quick play instead of --server/--port
+    const quickPlayMultiplayer =
+      options.serverAddress && this.declaresFeature(template, "is_quick_play_multiplayer")
+        ? `${options.serverAddress}:${options.serverPort || 25565}`
+        : null;
+
+    const argOptions = { ...options, quickPlayMultiplayer };
+    const values = this.getArgumentValues(versionJson, argOptions);
+    const features = this.getArgumentFeatures(argOptions);
+    const args = this.resolveArguments(template, values, features);
+
+    // Server auto-join for versions without quick play
+    if (options.serverAddress && !quickPlayMultiplayer) {
       args.push("--server", options.serverAddress);
       if (options.serverPort) {
         args.push("--port", String(options.serverPort));
       }
     }
 
-    // Window size
-    if (options.gameWidth) args.push("--width", String(options.gameWidth));
-    if (options.gameHeight) args.push("--height", String(options.gameHeight));
-
-    // Skip title screen (1.20+)
-    if (options.skipTitleScreen) args.push("--quickPlayMultiplayer");
+    // Legacy argument strings have no feature rules, so add these ourselves
+    if (features.has_custom_resolution && !this.declaresFeature(template, "has_custom_resolution")) {
+      args.push("--width", values.resolution_width);
+      args.push("--height", values.resolution_height);
+    }
+    if (features.is_demo_user && !this.declaresFeature(template, "is_demo_user")) {
+      args.push("--demo");
+    }
 
-    // Demo mode
-    if (options.demoMode) args.push("--demo");
+    if (options.fullscreen) {
+      args.push("--fullscreen");
+    }
 
     // Custom game arguments (appended last so they override)
     if (options.gameArgs && typeof options.gameArgs === 'string') {
@@ -651,6 +635,121 @@ class MinecraftLauncher {
     return args;
   }
 
+  // JVM argument list from the version JSON. Legacy versions (minecraftArguments) have no
+  // JVM section, so they get the same defaults the official launcher uses for them.
+  getJvmArgumentTemplate(versionJson) {
+    const modernJvm = versionJson.arguments?.jvm || [];
+    if (!versionJson.minecraftArguments && modernJvm.length > 0) {
+      return modernJvm;
+    }
+    return [...LEGACY_JVM_ARGUMENTS, ...modernJvm];
+  }
+
+  // Game argument list from the version JSON, covering both the modern `arguments.game`
+  // array and the legacy space-separated `minecraftArguments` string
+  getGameArgumentTemplate(versionJson) {
+    const modernGame = versionJson.arguments?.game || [];
+    if (versionJson.minecraftArguments) {
+      const legacy = versionJson.minecraftArguments.trim().split(/\s+/).filter(Boolean);
+      return [...legacy, ...modernGame];
+    }
+    if (modernGame.length > 0) {
+      return modernGame;
+    }
+    return DEFAULT_GAME_ARGUMENTS;
+  }
+
+  // Evaluate rules and substitute placeholders for an argument list
+  resolveArguments(argumentList, values, features = {}) {
+    const resolved = [];
+    for (const arg of argumentList || []) {
+      if (typeof arg === "string") {
+        resolved.push(this.processArgument(arg, values));
+        continue;
+      }
+      if (!arg || arg.value === undefined) continue;
+      if (arg.rules && !this.checkRules(arg.rules, features)) continue;
+
+      const argValues = Array.isArray(arg.value) ? arg.value : [arg.value];
+      for (const value of argValues) {
+        resolved.push(this.processArgument(value, values));
+      }
+    }
+    return resolved;
+  }
+
+  // Check whether any argument in the list is gated on the given feature
+  declaresFeature(argumentList, feature) {
+    return (argumentList || []).some(
+      (arg) =>
+        arg &&
+        typeof arg === "object" &&
+        Array.isArray(arg.rules) &&
+        arg.rules.some((rule) => rule.features && feature in rule.features)
+    );
+  }
+
+  getArgumentFeatures(options) {
+    return {
+      is_demo_user: !!options.demoMode,
+      has_custom_resolution: !!(options.gameWidth && options.gameHeight),
+      has_quick_plays_support: !!options.quickPlayPath,
+      is_quick_play_singleplayer: !!options.quickPlaySingleplayer,
+      is_quick_play_multiplayer: !!options.quickPlayMultiplayer,
+      is_quick_play_realms: !!options.quickPlayRealms,
+    };
+  }
+
+  // Values for every ${placeholder} used in version JSON arguments
+  getArgumentValues(versionJson, options) {
+    const { authData } = options;
+    const useRealAuth = !!(authData && authData.profile && authData.accessToken);
+    const gameDir = options.gameDir || this.baseDir;
+    const assetsDir = options.assetsDir || this.assetsDir;
+    const assetIndexId = versionJson.assetIndex?.id || versionJson.assets || "legacy";
+
+    const uuid = useRealAuth
+      ? authData.profile.id
+      : options.uuid || getOfflineUUID(options.username || "Player");
+    const accessToken = useRealAuth ? authData.accessToken : "offline";
+
+    // Pre-1.6 asset indexes are read from a virtual tree or the game's resources folder
+    let gameAssets = assetsDir;
+    if (assetIndexId === "legacy" || assetIndexId === "pre-1.6") {
+      gameAssets = path.join(assetsDir, "virtual", assetIndexId);
+    }
+
+    return {
+      auth_player_name: options.username,
+      auth_uuid: uuid,
+      auth_access_token: accessToken,
+      auth_session: useRealAuth ? `token:${accessToken}:${uuid}` : accessToken,
+      auth_xuid: (useRealAuth && authData.xuid) || "0",
+      clientid: (useRealAuth && authData.clientId) || "0",
+      user_type: useRealAuth ? "msa" : "mojang",
+      user_properties: "{}",
+      version_name: options.version || versionJson.id,
+      version_type: versionJson.type || "release",
+      game_directory: gameDir,
+      assets_root: assetsDir,
+      game_assets: gameAssets,
+      assets_index_name: assetIndexId,
+      resolution_width: String(options.gameWidth || 854),
+      resolution_height: String(options.gameHeight || 480),
+      quickPlayPath: options.quickPlayPath || "",
+      quickPlaySingleplayer: options.quickPlaySingleplayer || "",
+      quickPlayMultiplayer: options.quickPlayMultiplayer || "",
+      quickPlayRealms: options.quickPlayRealms || "",
+      natives_directory: options.nativesDir,
+      launcher_name: LAUNCHER_NAME,
+      launcher_version: LAUNCHER_VERSION,
+      classpath: options.classpath,
+      classpath_separator: path.delimiter,
+      library_directory: this.librariesDir,
+      primary_jar: path.join(this.versionsDir, options.version || versionJson.id, `${options.version || versionJson.id}.jar`),
+    };
+  }
+
   isLibraryCompatible(library) {
     if (!library.rules) return true;
 
@@ -681,19 +780,6 @@ class MinecraftLauncher {
     );
   }
 
-  generateUUID() {
-    // Generate RFC 4122 version 4 UUID
-    const uuid = "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(
-      /[xy]/g,
-      function (c) {
-        const r = (Math.random() * 16) | 0;
-        const v = c === "x" ? r : (r & 0x3) | 0x8;
-        return v.toString(16);
-      }
-    );
-    return uuid;
-  }
-
   uuidToIntArray(uuid) {
     // Convert UUID to int array format for NBT data
     const hex = uuid.replace(/-/g, "");
@@ -1264,13 +1350,10 @@ class MinecraftLauncher {
           await fs.ensureDir(path.dirname(libraryPath));
 
           try {
-            const response = await fetch(nativeArtifact.url);
-            if (!response.ok) {
-              throw new Error(`Failed to download: HTTP ${response.status}`);
-            }
-
-            const buffer = await response.arrayBuffer();
-            await fs.writeFile(libraryPath, Buffer.from(buffer));
+            await downloadManager.download(nativeArtifact.url, libraryPath, {
+              sha1: nativeArtifact.sha1,
+              size: nativeArtifact.size
+            });
             logger.info(`Downloaded native library to ${libraryPath}`);
           } catch (downloadError) {
             logger.error(
@@ -1430,120 +1513,264 @@ class MinecraftLauncher {
   async launch(version, username, options = {}) {
     try {
       logger.info(`Launching Minecraft ${version} for user ${username}`);
-      
-      // Make sure we have access to the auth server
-      if (!this.authServer && global.authServer) {
-        this.authServer = global.authServer;
-        logger.info("Using global auth server reference");
+
+      const plan = await this.prepareLaunch(version, username, options);
+      const { javaPath, args, gameDir } = plan;
+
+      // Launch the game process (logger redacts the access token from the command line)
+      logger.info(`Launching with Java: ${javaPath}`);
+      logger.info(`Command line: ${javaPath} ${args.join(" ")}`);
+
+      let gameProcess;
+      try {
+        gameProcess = spawn(javaPath, args, {
+          cwd: gameDir,
+          detached: false, // Changed to false to maintain control
+          stdio: "pipe", // Changed to pipe to capture output for debugging
+          env: {
+            ...process.env,
+            // Add environment variable to reduce warning verbosity
+            LWJGL_DEBUG: "false",
+            LWJGL_DEBUG_LEVEL: "none",
+          },
+        });
+
+        // Register the session so several instances can run side by side
+        const sessionId = uuidv4();
+        const logs = this.createSessionLog(sessionId);
+        this.sessions.set(sessionId, {
+          sessionId,
+          profileId: options.profileId || null,
+          version,
+          account: {
+            username: plan.username,
+            uuid: plan.uuid,
+            online: !plan.offlineMode,
+          },
+          pid: gameProcess.pid,
+          startTime: Date.now(),
+          gameDir,
+          process: gameProcess,
+          logs,
+        });
+        gameProcess.once("exit", () => this.sessions.delete(sessionId));
+        logger.info(`Started game session ${sessionId} (PID ${gameProcess.pid})`);
+
+        // Log stdout and stderr for debugging, and parse them for the game console
+        const logParsers = { stdout: new GameLogParser("stdout"), stderr: new GameLogParser("stderr") };
+        for (const logParser of Object.values(logParsers)) {
+          logParser.on("entry", (entry) => {
+            logs.push({
+              ...entry,
+              message: redact(entry.message),
+              throwable: redact(entry.throwable),
+            });
+          });
+        }
+
+        gameProcess.stdout.on("data", (data) => {
+          logger.info(`Game stdout: ${data.toString().trim()}`);
+          logParsers.stdout.write(data);
+        });
+
+        gameProcess.stderr.on("data", (data) => {
+          logger.warn(`Game stderr: ${data.toString().trim()}`);
+          logParsers.stderr.write(data);
+        });
+
+        gameProcess.once("close", () => {
+          logParsers.stdout.end();
+          logParsers.stderr.end();
+        });
+
+        // Handle process errors
+        gameProcess.on("error", (err) => {
+          logger.error(`Game process error: ${err.message}`);
+        });
+
+        return {
+          success: true,
+          sessionId,
+          pid: gameProcess.pid,
+          process: gameProcess,
+          gameDir,
+        };
+      } catch (error) {
+        logger.error(`Error spawning game process: ${error.message}`);
+        throw new Error(`Failed to start game process: ${error.message}`);
       }
-      
-      // Check if auth data was provided or if we need to request it
-      let authData = options.authData;
-      let offlineMode = options.offline !== false; // Default to offline mode unless explicitly set to false
-      
-      // If online mode is requested but no auth data provided, try to get it from the global auth service
-      if (!offlineMode && !authData && global.authService) {
-        try {
-          logger.info('Online mode requested, retrieving auth data from AuthService');
-          authData = await global.authService.getGameAuthData();
-          if (authData) {
-            logger.info(`Retrieved auth data for ${authData.profile.name}`);
-            options.authData = authData;
-            offlineMode = false; // We have valid auth data, set offline mode to false
-          } else {
-            logger.warn('Failed to get auth data, falling back to offline mode');
-            offlineMode = true;
-          }
-        } catch (error) {
-          logger.error(`Error retrieving auth data: ${error.message}`);
-          logger.warn('Falling back to offline mode due to auth error');
+    } catch (error) {
+      logger.error(`Launch error: ${error.message}`);
+      logger.error(error.stack);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Dry run of launch(): resolves version, auth, classpath, natives and arguments exactly
+  // as a real launch would, but installs, extracts and spawns nothing. Output is redacted.
+  async previewLaunch(version, username, options = {}) {
+    try {
+      logger.info(`Previewing launch of Minecraft ${version} for user ${username}`);
+
+      const plan = await this.prepareLaunch(version, username, { ...options, dryRun: true });
+
+      return redactValue({
+        success: true,
+        version,
+        username: plan.username,
+        offline: plan.offlineMode,
+        javaPath: plan.javaPath,
+        requiredJavaVersion: plan.requiredJavaVersion,
+        mainClass: plan.mainClass,
+        classpath: plan.classpath.split(path.delimiter).filter(Boolean),
+        nativesDir: plan.nativesDir,
+        nativesExtracted: plan.nativesExtracted,
+        gameDir: plan.gameDir,
+        jvmArgs: plan.jvmArgs,
+        gameArgs: plan.gameArgs,
+        commandLine: [plan.javaPath, ...plan.args].join(" "),
+      });
+    } catch (error) {
+      logger.error(`Launch preview error: ${error.message}`);
+      return {
+        success: false,
+        error: redact(error.message),
+        requiredJavaVersion: error.requiredJavaVersion,
+      };
+    }
+  }
+
+  // Everything launch() does before spawning. With options.dryRun nothing on disk is
+  // changed: a missing version is an error and assets/natives are left as they are.
+  async prepareLaunch(version, username, options = {}) {
+    // Make sure we have access to the auth server
+    if (!this.authServer && global.authServer) {
+      this.authServer = global.authServer;
+      logger.info("Using global auth server reference");
+    }
+    
+    // Check if auth data was provided or if we need to request it
+    let authData = options.authData;
+    let offlineMode = options.offline !== false; // Default to offline mode unless explicitly set to false
+    
+    // If online mode is requested but no auth data provided, try to get it from the global auth service
+    if (!offlineMode && !authData && global.authService) {
+      try {
+        logger.info('Online mode requested, retrieving auth data from AuthService');
+        authData = await global.authService.getGameAuthData();
+        if (authData) {
+          logger.info(`Retrieved auth data for ${authData.profile.name}`);
+          options.authData = authData;
+          offlineMode = false; // We have valid auth data, set offline mode to false
+        } else {
+          logger.warn('Failed to get auth data, falling back to offline mode');
           offlineMode = true;
         }
-      }
-      
-      const usingMicrosoftAuth = !!(authData && authData.profile && authData.accessToken);
-      
-      // Update offline mode based on whether we have valid auth data
-      if (usingMicrosoftAuth) {
-        offlineMode = false;
-        logger.info(`Using Microsoft authentication for ${username} (${authData.profile.name})`);
-      } else {
+      } catch (error) {
+        logger.error(`Error retrieving auth data: ${error.message}`);
+        logger.warn('Falling back to offline mode due to auth error');
         offlineMode = true;
-        logger.info(`Using offline mode for ${username}`);
       }
+    }
+    
+    const usingMicrosoftAuth = !!(authData && authData.profile && authData.accessToken);
+    if (usingMicrosoftAuth) {
+      registerSecret(authData.accessToken);
+      registerSecret(authData.xuid);
+    }
+    
+    // Update offline mode based on whether we have valid auth data
+    if (usingMicrosoftAuth) {
+      offlineMode = false;
+      logger.info(`Using Microsoft authentication for ${username} (${authData.profile.name})`);
+    } else {
+      offlineMode = true;
+      logger.info(`Using offline mode for ${username}`);
+    }
 
-      const versionDir = path.join(this.baseDir, "versions", version);
-      const versionJsonPath = path.join(versionDir, `${version}.json`);
+    const versionDir = path.join(this.baseDir, "versions", version);
+    const versionJsonPath = path.join(versionDir, `${version}.json`);
 
-      if (!fs.existsSync(versionJsonPath)) {
-        logger.info(`Version ${version} not installed, installing now...`);
-        const installer = new MinecraftInstaller(this.baseDir);
-
-        // Add event listener for installation progress
-        installer.on("progress", (data) => {
-          // Forward progress events to the renderer
-          const mainWindow =
-            require("electron").BrowserWindow.getAllWindows()[0];
-          if (mainWindow && !mainWindow.isDestroyed()) {
-            mainWindow.webContents.send("install-progress", data);
-          }
-        });
+    // Per-profile game directory for mods, config, saves and options.txt.
+    // versions/, libraries/ and assets/ always stay shared in the base directory.
+    const gameDir = options.gameDir || this.baseDir;
+    if (!options.dryRun) {
+      await fs.ensureDir(gameDir);
+    }
+    logger.info(`Using game directory: ${gameDir}`);
 
-        await installer.installVersion(version);
+    if (!fs.existsSync(versionJsonPath) && options.dryRun) {
+      throw new Error(`Version ${version} is not installed`);
+    }
 
-        // Verify installation again
-        if (!fs.existsSync(versionJsonPath)) {
-          throw new Error(`Failed to install ${version}`);
-        }
+    if (!fs.existsSync(versionJsonPath)) {
+      logger.info(`Version ${version} not installed, installing now...`);
+      // Queued like any other install; progress reaches the renderer through the job
+      await MinecraftInstaller.queueInstall(this.baseDir, version);
+
+      // Verify installation again
+      if (!fs.existsSync(versionJsonPath)) {
+        throw new Error(`Failed to install ${version}`);
       }
+    }
 
-      // Read version info
-      let versionInfo;
-      try {
-        const versionData = await fs.readFile(versionJsonPath, "utf8");
-        versionInfo = JSON.parse(versionData);
+    // Read version info
+    let versionInfo;
+    try {
+      const versionData = await fs.readFile(versionJsonPath, "utf8");
+      versionInfo = JSON.parse(versionData);
+      
+      // Check for inheritsFrom and merge with parent version data
+      if (versionInfo.inheritsFrom) {
+        logger.info(`Version ${version} inherits from ${versionInfo.inheritsFrom}`);
+        const parentVersion = versionInfo.inheritsFrom;
         
-        // Check for inheritsFrom and merge with parent version data
-        if (versionInfo.inheritsFrom) {
-          logger.info(`Version ${version} inherits from ${versionInfo.inheritsFrom}`);
-          const parentVersion = versionInfo.inheritsFrom;
-          
-          // Ensure parent version is installed
+        // Ensure parent version is installed
+        if (!options.dryRun) {
           await this.ensureParentVersionInstalled(parentVersion);
-          
-          const parentVersionDir = path.join(this.baseDir, "versions", parentVersion);
-          const parentVersionJsonPath = path.join(parentVersionDir, `${parentVersion}.json`);
-          
-          // Read and merge with parent version data
-          const parentVersionData = await fs.readFile(parentVersionJsonPath, "utf8");
-          const parentVersionInfo = JSON.parse(parentVersionData);
-          
-          // Merge parent version into child with child taking precedence
-          versionInfo = this.mergeVersionData(parentVersionInfo, versionInfo);
-          logger.info(`Successfully merged version data with parent ${parentVersion}`);
         }
-      } catch (error) {
-        logger.error(`Error reading version JSON file: ${error.message}`);
-        throw new Error(
-          `Failed to read version data for ${version}: ${error.message}`
-        );
+        
+        const parentVersionDir = path.join(this.baseDir, "versions", parentVersion);
+        const parentVersionJsonPath = path.join(parentVersionDir, `${parentVersion}.json`);
+        
+        // Read and merge with parent version data
+        const parentVersionData = await fs.readFile(parentVersionJsonPath, "utf8");
+        const parentVersionInfo = JSON.parse(parentVersionData);
+        
+        // Merge parent version into child with child taking precedence
+        versionInfo = this.mergeVersionData(parentVersionInfo, versionInfo);
+        logger.info(`Successfully merged version data with parent ${parentVersion}`);
       }
+    } catch (error) {
+      logger.error(`Error reading version JSON file: ${error.message}`);
+      throw new Error(
+        `Failed to read version data for ${version}: ${error.message}`
+      );
+    }
 
-      // Inside launch method, before extracting natives:
-      // Verify and fix assets before launching
-      if (!options.skipAssetCheck) {
-        logger.info(`Checking assets for ${version}`);
-        const assetsValid = await this.verifyAndFixAssets(version, versionInfo);
+    // Inside launch method, before extracting natives:
+    // Verify and fix assets before launching
+    if (!options.skipAssetCheck && !options.dryRun) {
+      logger.info(`Checking assets for ${version}`);
+      const assetsValid = await this.verifyAndFixAssets(version, versionInfo);
 
-        if (!assetsValid && !options.ignoreAssetErrors) {
-          logger.warn(
-            `Asset verification failed for ${version}, but proceeding as requested`
-          );
-        }
+      if (!assetsValid && !options.ignoreAssetErrors) {
+        logger.warn(
+          `Asset verification failed for ${version}, but proceeding as requested`
+        );
       }
+    }
+
+    // Special handling for newer versions that need specific LWJGL natives
+    const nativesDir = path.join(versionDir, "natives");
+    const nativesExtracted = options.dryRun
+      ? (await fs.pathExists(nativesDir)) && (await fs.readdir(nativesDir)).length > 0
+      : true;
 
-      // Special handling for newer versions that need specific LWJGL natives
-      const nativesDir = path.join(versionDir, "natives");
+    if (!options.dryRun) {
       await fs.ensureDir(nativesDir);
 
       // Always clear the natives directory before extraction to avoid conflicts
@@ -1601,213 +1828,174 @@ class MinecraftLauncher {
           "Some sound resources may be missing - game might show sound warnings"
         );
       }
+    }
 
-      // Build classpath with error handling
-      let classpath;
-      try {
-        classpath = await this.buildClasspath(versionInfo, version);
-        if (!classpath) {
-          throw new Error("Failed to build classpath - empty result");
-        }
-      } catch (error) {
-        logger.error(`Error building classpath: ${error.message}`);
-        throw new Error(`Failed to build classpath: ${error.message}`);
+    // Build classpath with error handling
+    let classpath;
+    try {
+      classpath = await this.buildClasspath(versionInfo, version);
+      if (!classpath) {
+        throw new Error("Failed to build classpath - empty result");
       }
+    } catch (error) {
+      logger.error(`Error building classpath: ${error.message}`);
+      throw new Error(`Failed to build classpath: ${error.message}`);
+    }
 
-      // Build launch arguments with error handling
-      let jvmArgs, gameArgs;
-      try {
-        const gameDir = path.join(this.baseDir);
-        const assetsDir = path.join(this.baseDir, "assets");
+    // Build launch arguments with error handling
+    let jvmArgs, gameArgs;
+    // Offline players get the same name-based UUID vanilla servers assign them,
+    // so singleplayer and LAN player data survives between launches
+    const playerUuid = usingMicrosoftAuth ? authData.profile.id : getOfflineUUID(username);
+    try {
+      const assetsDir = path.join(this.baseDir, "assets");
 
-        jvmArgs = this.buildJvmArgs(versionInfo, {
-          classpath,
-          nativesDir,
-          gameDir,
-          assetsDir,
-          version,
-          maxRam: options.maxRam,
-          minRam: options.minRam,
-          jvmArgs: options.jvmArgs,
-        });
+      // Use the actual Microsoft profile name if authenticated
+      const gameUsername = usingMicrosoftAuth ? authData.profile.name : username;
+
+      // Shared by the JVM and game argument builders so placeholders resolve identically
+      const argumentOptions = {
+        classpath,
+        nativesDir,
+        gameDir,
+        assetsDir,
+        version,
+        username: gameUsername,
+        authData,
+        uuid: playerUuid,
+        maxRam: options.maxRam,
+        minRam: options.minRam,
+        jvmArgs: options.jvmArgs,
+        serverAddress: options.serverAddress,
+        serverPort: options.serverPort,
+        gameWidth: options.gameWidth,
+        gameHeight: options.gameHeight,
+        demoMode: options.demoMode,
+        fullscreen: options.fullscreen,
+        gcType: options.gcType,
+        profilerRecording: await this.prepareProfilerRecording(gameDir, version, options),
+        loggingConfigPath: await this.resolveLoggingConfig(versionInfo, options.dryRun),
+        gameArgs: options.gameArgs,
+      };
 
-        // Use the actual Microsoft profile name if authenticated
-        const gameUsername = usingMicrosoftAuth ? authData.profile.name : username;
+      jvmArgs = this.buildJvmArgs(versionInfo, argumentOptions);
+      gameArgs = this.buildGameArgs(versionInfo, argumentOptions);
+      
+      // Add special JVM arguments for offline mode ONLY
+      // This is crucial - we should NOT set these for authenticated sessions
+      if (offlineMode) {
+        // Only add mock auth server URLs for offline mode
+        logger.info('Using offline mode with mock authentication');
         
-        gameArgs = this.buildGameArgs(versionInfo, {
-          username: gameUsername,
-          version,
-          gameDir,
-          assetsDir,
-          authData,
-          serverAddress: options.serverAddress,
-          serverPort: options.serverPort,
-          gameWidth: options.gameWidth,
-          gameHeight: options.gameHeight,
-          demoMode: options.demoMode,
-          skipTitleScreen: options.skipTitleScreen,
-          gameArgs: options.gameArgs,
-        });
+        // Get the global authServer reference if this.authServer is not set
+        if (!this.authServer && global.authServer) {
+          this.authServer = global.authServer;
+        }
         
-        // Add special JVM arguments for offline mode ONLY
-        // This is crucial - we should NOT set these for authenticated sessions
-        if (offlineMode) {
-          // Only add mock auth server URLs for offline mode
-          logger.info('Using offline mode with mock authentication');
-          
-          // Get the global authServer reference if this.authServer is not set
-          if (!this.authServer && global.authServer) {
-            this.authServer = global.authServer;
-          }
-          
-          let authPort = null;
-          try {
-            if (this.authServer) {
-              authPort = await this.authServer.getPort();
-            }
-          } catch (err) {
-            logger.warn(`Error getting auth server port: ${err.message}`);
+        let authPort = null;
+        try {
+          if (this.authServer) {
+            authPort = await this.authServer.getPort();
           }
-          
-          const authPortFallback = "25566";
-          const portToUse = authPort || authPortFallback;
-          
-          logger.info(`Using auth server on port: ${portToUse}`);
-          
-          jvmArgs.push(`-Dminecraft.api.auth.host=http://127.0.0.1:${portToUse}`);
-          jvmArgs.push(`-Dminecraft.api.account.host=http://127.0.0.1:${portToUse}`);
-          jvmArgs.push(`-Dminecraft.api.session.host=http://127.0.0.1:${portToUse}`);
-          jvmArgs.push(`-Dminecraft.api.services.host=http://127.0.0.1:${portToUse}`);
-        } else {
-          logger.info('Using real Minecraft authentication - no mock servers');
+        } catch (err) {
+          logger.warn(`Error getting auth server port: ${err.message}`);
         }
-      } catch (error) {
-        logger.error(`Error building launch arguments: ${error.message}`);
-        throw new Error(`Failed to build launch arguments: ${error.message}`);
+        
+        const authPortFallback = "25566";
+        const portToUse = authPort || authPortFallback;
+        
+        logger.info(`Using auth server on port: ${portToUse}`);
+        
+        jvmArgs.push(`-Dminecraft.api.auth.host=http://127.0.0.1:${portToUse}`);
+        jvmArgs.push(`-Dminecraft.api.account.host=http://127.0.0.1:${portToUse}`);
+        jvmArgs.push(`-Dminecraft.api.session.host=http://127.0.0.1:${portToUse}`);
+        jvmArgs.push(`-Dminecraft.api.services.host=http://127.0.0.1:${portToUse}`);
+      } else {
+        logger.info('Using real Minecraft authentication - no mock servers');
       }
+    } catch (error) {
+      logger.error(`Error building launch arguments: ${error.message}`);
+      throw new Error(`Failed to build launch arguments: ${error.message}`);
+    }
 
-      // Add a null check before accessing getPort()
-      const authServerPort = this.authServer ? await this.authServer.getPort() : null;
-      
-      // If auth server port is null, provide a fallback or handle the error
-      if (!authServerPort) {
-        logger.warn("Auth server not available, using offline mode without server");
-        // Use a default port if needed for offline mode
-        if (offlineMode) {
-          jvmArgs.push("-Dminecraft.api.auth.host=http://127.0.0.1:25566");
-          jvmArgs.push("-Dminecraft.api.account.host=http://127.0.0.1:25566");
-          jvmArgs.push("-Dminecraft.api.session.host=http://127.0.0.1:25566");
-          jvmArgs.push("-Dminecraft.api.services.host=http://127.0.0.1:25566");
-        }
+    // Add a null check before accessing getPort()
+    const authServerPort = this.authServer ? await this.authServer.getPort() : null;
+    
+    // If auth server port is null, provide a fallback or handle the error
+    if (!authServerPort) {
+      logger.warn("Auth server not available, using offline mode without server");
+      // Use a default port if needed for offline mode
+      if (offlineMode) {
+        jvmArgs.push("-Dminecraft.api.auth.host=http://127.0.0.1:25566");
+        jvmArgs.push("-Dminecraft.api.account.host=http://127.0.0.1:25566");
+        jvmArgs.push("-Dminecraft.api.session.host=http://127.0.0.1:25566");
+        jvmArgs.push("-Dminecraft.api.services.host=http://127.0.0.1:25566");
       }
+    }
 
-      // Find Java path with error handling
-      let javaPath;
-      let requiredJavaVersion;
-      try {
-        requiredJavaVersion = this.getRequiredJavaVersion(versionInfo);
-        javaPath = await this.findJavaPath(requiredJavaVersion);
-        if (!javaPath) {
-          throw new Error(
-            `Could not find Java ${requiredJavaVersion.version}+ installation`
-          );
-        }
-      } catch (error) {
-        logger.error(`Error finding Java: ${error.message}`);
-        // Attach required Java version info to the error for upstream handling
-        error.requiredJavaVersion = requiredJavaVersion?.version || 17;
-        throw error;
+    // Find Java path with error handling
+    let javaPath;
+    let requiredJavaVersion;
+    try {
+      requiredJavaVersion = this.getRequiredJavaVersion(versionInfo);
+      if (!options.javaPath && !options.dryRun) {
+        await this.ensureManagedRuntime(requiredJavaVersion);
       }
-
-      // Combine all arguments
-      const args = [...jvmArgs, versionInfo.mainClass, ...gameArgs];
-
-      // Launch the game process
-      logger.info(`Launching with Java: ${javaPath}`);
-      logger.info(`Command line: ${javaPath} ${args.join(" ")}`);
-
-      let gameProcess;
-      try {
-        // Add JVM argument to suppress resource warnings if needed
-        if (options.suppressResourceWarnings !== false) {
-          jvmArgs.push("-Dorg.lwjgl.util.NoChecks=true");
-
-          // Only add this for 1.20+ versions as it might not be supported in older versions
-          if (this.isVersionNewerOrEqual(version, "1.19")) {
-            jvmArgs.push("-Dfml.ignoreInvalidMinecraftCertificates=true");
-            jvmArgs.push("-Dfml.ignorePatchDiscrepancies=true");
-          }
-        }
-
-        gameProcess = spawn(javaPath, args, {
-          cwd: path.join(this.baseDir),
-          detached: false, // Changed to false to maintain control
-          stdio: "pipe", // Changed to pipe to capture output for debugging
-          env: {
-            ...process.env,
-            // Add environment variable to reduce warning verbosity
-            LWJGL_DEBUG: "false",
-            LWJGL_DEBUG_LEVEL: "none",
-          },
-        });
-
-        // Store PID for tracking
-        this.runningProcesses.set(version, gameProcess.pid);
-
-        // Log stdout and stderr for debugging
-        gameProcess.stdout.on("data", (data) => {
-          logger.info(`Game stdout: ${data.toString().trim()}`);
-        });
-
-        gameProcess.stderr.on("data", (data) => {
-          logger.warn(`Game stderr: ${data.toString().trim()}`);
-        });
-
-        // Handle process errors
-        gameProcess.on("error", (err) => {
-          logger.error(`Game process error: ${err.message}`);
-        });
-
-        return {
-          success: true,
-          pid: gameProcess.pid,
-          process: gameProcess,
-        };
-      } catch (error) {
-        logger.error(`Error spawning game process: ${error.message}`);
-        throw new Error(`Failed to start game process: ${error.message}`);
+      javaPath = await this.findJavaPath(requiredJavaVersion, options.javaPath || null);
+      if (!javaPath) {
+        throw new Error(
+          `Could not find Java ${requiredJavaVersion.version}+ installation`
+        );
       }
     } catch (error) {
-      logger.error(`Launch error: ${error.message}`);
-      logger.error(error.stack);
-      return {
-        success: false,
-        error: error.message,
-      };
+      logger.error(`Error finding Java: ${error.message}`);
+      // Attach required Java version info to the error for upstream handling
+      error.requiredJavaVersion = requiredJavaVersion?.version || 17;
+      throw error;
     }
+
+    // Combine all arguments
+    const args = [...jvmArgs, versionInfo.mainClass, ...gameArgs];
+
+    return {
+      javaPath,
+      requiredJavaVersion: requiredJavaVersion.version,
+      args,
+      jvmArgs,
+      gameArgs,
+      mainClass: versionInfo.mainClass,
+      classpath,
+      nativesDir,
+      nativesExtracted,
+      gameDir,
+      offlineMode,
+      username: usingMicrosoftAuth ? authData.profile.name : username,
+      uuid: playerUuid,
+    };
   }
 
   // Add new method to merge version data
   mergeVersionData(parent, child) {
-    // Create a deep copy of the parent
+    // Create deep copies so merging never mutates the cached parent or child data
     const merged = JSON.parse(JSON.stringify(parent));
+    child = JSON.parse(JSON.stringify(child));
     
     // Override properties from child version, but keep parent properties if not present in child
     Object.keys(child).forEach(key => {
         // Special handling for libraries - we want to merge them
         if (key === 'libraries' && merged.libraries) {
             // Add libraries from child, maintaining parent libraries
-            merged.libraries = [...merged.libraries, ...child.libraries];
+            merged.libraries = [...merged.libraries, ...(child.libraries || [])];
         }
-        // Special handling for arguments - merge them
+        // Special handling for arguments - parent arguments first, then the child's
         else if (key === 'arguments' && merged.arguments) {
-            if (child.arguments.game) {
-                merged.arguments.game = merged.arguments.game || [];
-                merged.arguments.game.push(...child.arguments.game);
-            }
-            if (child.arguments.jvm) {
-                merged.arguments.jvm = merged.arguments.jvm || [];
-                merged.arguments.jvm.push(...child.arguments.jvm);
+            for (const type of ['game', 'jvm']) {
+                if (child.arguments?.[type]) {
+                    merged.arguments[type] = [
+                        ...(merged.arguments[type] || []),
+                        ...child.arguments[type]
+                    ];
+                }
             }
         }
         // For everything else, child overrides parent
@@ -1963,31 +2151,48 @@ class MinecraftLauncher {
     });
   }
 
-  checkRules(rules) {
-    const osName = this.getOSName();
+  // Mojang rule semantics: start disallowed, and the last matching rule decides
+  checkRules(rules, features = {}) {
+    if (!rules || rules.length === 0) return true;
+
+    let allowed = false;
     for (const rule of rules) {
-      if (rule.os) {
-        // Check operating system rules
-        if (rule.os.name && rule.os.name !== osName) {
-          return rule.action !== "allow";
-        }
+      if (rule.os && !this.matchesOsRule(rule.os)) continue;
 
-        // Check OS version if specified
-        if (rule.os.version) {
-          const osVersion = require("os").release();
-          const versionRegex = new RegExp(rule.os.version);
-          if (!versionRegex.test(osVersion)) {
-            return rule.action !== "allow";
-          }
-        }
+      if (rule.features) {
+        const featuresMatch = Object.entries(rule.features).every(
+          ([name, expected]) => !!features[name] === expected
+        );
+        if (!featuresMatch) continue;
       }
 
-      // Handle features if present
-      if (rule.features) {
-        // Currently we don't support any special features
+      allowed = rule.action === "allow";
+    }
+    return allowed;
+  }
+
+  matchesOsRule(osRule) {
+    if (osRule.name) {
+      const osName = this.getOSName();
+      const matchesName =
+        osRule.name === osName || (osName === "macos" && osRule.name === "osx");
+      if (!matchesName) return false;
+    }
+
+    if (osRule.arch) {
+      const arch = process.arch === "ia32" ? "x86" : process.arch;
+      if (osRule.arch !== arch) return false;
+    }
+
+    // OS version rules are regular expressions against the kernel release
+    if (osRule.version) {
+      try {
+        if (!new RegExp(osRule.version).test(os.release())) return false;
+      } catch {
         return false;
       }
     }
+
     return true;
   }
 
@@ -1997,20 +2202,100 @@ class MinecraftLauncher {
   }
 
   isGameRunning(version) {
-    try {
-      const pid = this.runningProcesses.get(version);
-      if (!pid) return false;
+    return this.getSessions().some((session) => session.version === version);
+  }
 
-      // Check if process is still running
-      process.kill(pid, 0);
-      return true;
+  // Running sessions without the process handle, safe to send over IPC
+  getSessions() {
+    const sessions = [];
+    for (const [sessionId, session] of this.sessions) {
+      try {
+        // Signal 0 only checks that the process still exists
+        process.kill(session.pid, 0);
+      } catch (error) {
+        this.sessions.delete(sessionId);
+        continue;
+      }
+      const { process: gameProcess, logs, ...info } = session;
+      sessions.push({ ...info, uptime: Date.now() - session.startTime });
+    }
+    return sessions;
+  }
+
+  getSession(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  createSessionLog(sessionId) {
+    const logs = new GameLogBuffer();
+    this.sessionLogs.set(sessionId, logs);
+
+    // Drop the oldest finished sessions' logs
+    const finished = [...this.sessionLogs.keys()].filter((id) => !this.sessions.has(id) && id !== sessionId);
+    finished.slice(0, Math.max(0, finished.length - FINISHED_SESSION_LOGS))
+      .forEach((id) => this.sessionLogs.delete(id));
+
+    return logs;
+  }
+
+  // Buffered game console entries for a session, optionally filtered by level/search
+  getSessionLogs(sessionId, filter = {}) {
+    const logs = this.sessionLogs.get(sessionId);
+    return logs ? logs.query(filter) : null;
+  }
+
+  killSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return { success: false, error: `Session ${sessionId} is not running` };
+    }
+
+    try {
+      logger.info(`Stopping game session ${sessionId} (PID ${session.pid})`);
+      session.process.kill();
+      return { success: true };
     } catch (error) {
-      // Process not running
-      this.runningProcesses.delete(version);
-      return false;
+      logger.error(`Failed to stop session ${sessionId}: ${error.message}`);
+      return { success: false, error: error.message };
     }
   }
 
+  // Bring a session's game window to the front using the platform's own tooling
+  focusSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return Promise.resolve({ success: false, error: `Session ${sessionId} is not running` });
+    }
+
+    const pid = String(session.pid);
+    let command;
+    let args;
+    switch (process.platform) {
+      case "win32":
+        command = "powershell.exe";
+        args = ["-NoProfile", "-Command", `(New-Object -ComObject WScript.Shell).AppActivate(${pid})`];
+        break;
+      case "darwin":
+        command = "osascript";
+        args = ["-e", `tell application "System Events" to set frontmost of (first process whose unix id is ${pid}) to true`];
+        break;
+      default:
+        command = "xdotool";
+        args = ["search", "--pid", pid, "windowactivate"];
+    }
+
+    return new Promise((resolve) => {
+      execFile(command, args, { timeout: 5000 }, (error) => {
+        if (error) {
+          logger.warn(`Could not focus session ${sessionId}: ${error.message}`);
+          resolve({ success: false, error: error.message });
+        } else {
+          resolve({ success: true });
+        }
+      });
+    });
+  }
+
   // Add a proper version comparison function
   isVersionNewerOrEqual(version1, version2) {
     // Split versions into components
@@ -2345,29 +2630,9 @@ class MinecraftLauncher {
     }
   }
 
-  // New method to ensure parent version is installed
+  // Install the vanilla version a mod loader version inherits from
   async ensureParentVersionInstalled(parentVersion) {
-    try {
-      const parentVersionDir = path.join(this.baseDir, "versions", parentVersion);
-      const parentJarPath = path.join(parentVersionDir, `${parentVersion}.jar`);
-      const parentJsonPath = path.join(parentVersionDir, `${parentVersion}.json`);
-      
-      if (!(await fs.pathExists(parentJarPath)) || !(await fs.pathExists(parentJsonPath))) {
-        logger.info(`Parent version ${parentVersion} not fully installed, installing now...`);
-        const installer = new MinecraftInstaller(this.baseDir);
-        await installer.installVersion(parentVersion);
-        
-        // Verify installation succeeded
-        if (!(await fs.pathExists(parentJarPath))) {
-          throw new Error(`Failed to install parent version ${parentVersion}`);
-        }
-        logger.info(`Successfully installed parent version: ${parentVersion}`);
-      }
-      return true;
-    } catch (error) {
-      logger.error(`Error ensuring parent version: ${error.message}`);
-      throw error;
-    }
+    await MinecraftInstaller.ensureParentVersionInstalled(this.baseDir, parentVersion);
   }
 
   // Add this helper method to parse and compare version strings
@@ -0,0 +1,290 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { Readable } = require('stream');
+const { pathToFileURL, fileURLToPath } = require('url');
+const fetch = require('node-fetch');
+const logger = require('./logger');
+const { getGameRoot } = require('./game-root');
+
+// Read from the game root; takes precedence over the downloadMirror setting
+const CONFIG_FILE = 'mirrors.json';
+
+// A mirror that failed to connect is tried after the others for this long
+const FAILURE_COOLDOWN = 60000;
+
+// Base URLs the launcher downloads from. Only URLs under these are sent to mirrors.
+const OFFICIAL_SOURCES = [
+    'https://piston-meta.mojang.com',
+    'https://launchermeta.mojang.com',
+    'https://piston-data.mojang.com',
+    'https://launcher.mojang.com',
+    'https://resources.download.minecraft.net',
+    'https://libraries.minecraft.net',
+    'https://files.minecraftforge.net/maven',
+    'https://maven.minecraftforge.net',
+    'https://maven.neoforged.net/releases',
+    'https://meta.fabricmc.net',
+    'https://maven.fabricmc.net'
+];
+
+// Where a BMCLAPI-compatible server serves each official source, relative to its base URL
+const BMCLAPI_ROUTES = {
+    'https://piston-meta.mojang.com': '',
+    'https://launchermeta.mojang.com': '',
+    'https://piston-data.mojang.com': '',
+    'https://launcher.mojang.com': '',
+    'https://resources.download.minecraft.net': '/assets',
+    'https://libraries.minecraft.net': '/maven',
+    'https://files.minecraftforge.net/maven': '/maven',
+    'https://maven.minecraftforge.net': '/maven',
+    'https://maven.neoforged.net/releases': '/maven',
+    'https://meta.fabricmc.net': '/fabric-meta',
+    'https://maven.fabricmc.net': '/maven'
+};
+
+const PRESETS = {
+    bmclapi: { name: 'BMCLAPI', url: 'https://bmclapi2.bangbang93.com', routes: BMCLAPI_ROUTES }
+};
+
+function trimSlash(url) {
+    return url.replace(/\/+$/, '');
+}
+
+/**
+ * Fetch a single URL. Besides http(s), file: URLs are served from disk so a local
+ * mirror directory behaves like a server (404 when the file isn't there).
+ * @param {string} url
+ * @param {Object} [options] node-fetch options
+ * @returns {Promise<Response>}
+ */
+async function fetchSource(url, options = {}) {
+    if (!url.startsWith('file:')) {
+        return fetch(url, options);
+    }
+
+    const filePath = fileURLToPath(url);
+    try {
+        const stat = await fs.stat(filePath);
+        if (stat.isFile()) {
+            const stream = fs.createReadStream(filePath);
+            if (options.signal) {
+                const abort = () => {
+                    const error = new Error('The operation was aborted.');
+                    error.name = 'AbortError';
+                    stream.destroy(error);
+                };
+                options.signal.addEventListener('abort', abort, { once: true });
+                stream.on('close', () => options.signal.removeEventListener('abort', abort));
+            }
+            return new fetch.Response(stream, {
+                url,
+                status: 200,
+                headers: { 'Content-Length': String(stat.size) }
+            });
+        }
+    } catch { /* not in the mirror */ }
+    return new fetch.Response(Readable.from([]), { url, status: 404, statusText: 'Not Found' });
+}
+
+// Read a response nobody will use to the end, so its connection is freed for the next request
+function discardBody(response) {
+    if (response && response.body && typeof response.body.resume === 'function') {
+        response.body.resume();
+    }
+}
+
+/**
+ * Rewrites official download URLs (Mojang, Forge, NeoForge and Fabric) to the
+ * configured mirrors. Every lookup yields an ordered list of candidate URLs: the
+ * mirrors in configured order, then the official URL unless fallbackToOfficial is
+ * false. Mirrors that recently failed to connect move to the back of the list.
+ *
+ * Configuration comes from <gameRoot>/mirrors.json when it exists:
+ *
+ *   {
+ *     "mirrors": [
+ *       "bmclapi",                                            // built-in preset
+ *       { "name": "Lab", "preset": "bmclapi", "url": "http://10.0.0.2:8800" }, // BMCLAPI-compatible server
+ *       { "name": "Rig", "url": "http://127.0.0.1:8080" },   // <url>/<host>/<path>
+ *       { "name": "USB", "path": "/media/usb/mirror" }       // <path>/<host>/<path>
+ *     ],
+ *     "fallbackToOfficial": true
+ *   }
+ *
+ * Otherwise the downloadMirror setting ('official' or a preset name) is used.
+ */
+class MirrorManager {
+    constructor() {
+        this.config = null;
+        this.failures = new Map(); // mirror name -> time of the last connection failure
+    }
+
+    /**
+     * Forget the loaded configuration so the next lookup reads it again
+     */
+    reload() {
+        this.config = null;
+    }
+
+    getConfig() {
+        if (this.config) return this.config;
+
+        const configPath = path.join(getGameRoot(), CONFIG_FILE);
+        let fileConfig = null;
+        try {
+            if (fs.existsSync(configPath)) {
+                fileConfig = fs.readJsonSync(configPath);
+                logger.info(`Using download mirrors from ${configPath}`);
+            }
+        } catch (error) {
+            logger.error(`Ignoring ${configPath}: ${error.message}`);
+        }
+
+        let entries;
+        if (fileConfig && Array.isArray(fileConfig.mirrors)) {
+            entries = fileConfig.mirrors;
+        } else {
+            const preset = (global.settings || {}).downloadMirror;
+            entries = preset && preset !== 'official' ? [preset] : [];
+        }
+
+        this.config = {
+            mirrors: entries.map(entry => this.normalize(entry)).filter(Boolean),
+            fallbackToOfficial: !fileConfig || fileConfig.fallbackToOfficial !== false
+        };
+        return this.config;
+    }
+
+    normalize(entry) {
+        if (typeof entry === 'string') entry = { preset: entry };
+        if (!entry || typeof entry !== 'object') return null;
+
+        if (entry.preset) {
+            const preset = PRESETS[entry.preset];
+            if (!preset) {
+                logger.warn(`Unknown mirror preset: ${entry.preset}`);
+                return null;
+            }
+            const base = trimSlash(entry.url || preset.url);
+            return { name: entry.name || preset.name, base, routes: preset.routes };
+        }
+
+        // Plain mirrors keep the official layout under a folder per host
+        const base = entry.path ? pathToFileURL(path.resolve(entry.path)).href : entry.url;
+        if (!base) {
+            logger.warn(`Mirror ${entry.name || '(unnamed)'} has neither a url nor a path`);
+            return null;
+        }
+        return { name: entry.name || base, base: trimSlash(base), routes: null };
+    }
+
+    /**
+     * Candidate URLs for an official URL
+     * @param {string} url Official URL
+     * @returns {Array<{mirror: string, url: string}>} In the order to try them; just the
+     *   official URL when it isn't a mirrored source or no mirrors are configured
+     */
+    resolve(url) {
+        const official = { mirror: 'official', url };
+        const source = OFFICIAL_SOURCES.find(base => url === base || url.startsWith(`${base}/`));
+        if (!source) return [official];
+
+        const config = this.getConfig();
+        const candidates = [];
+        for (const mirror of this.order(config.mirrors)) {
+            const rewritten = this.rewrite(mirror, source, url);
+            if (rewritten) candidates.push({ mirror: mirror.name, url: rewritten });
+        }
+        if (config.fallbackToOfficial || candidates.length === 0) {
+            candidates.push(official);
+        }
+        return candidates;
+    }
+
+    rewrite(mirror, source, url) {
+        const rest = url.slice(source.length);
+        if (mirror.routes) {
+            const route = mirror.routes[source];
+            return route === undefined ? null : `${mirror.base}${route}${rest}`;
+        }
+
+        const parsed = new URL(url);
+        const suffix = mirror.base.startsWith('file:') ? parsed.pathname : parsed.pathname + parsed.search;
+        return `${mirror.base}/${parsed.host}${suffix}`;
+    }
+
+    order(mirrors) {
+        const healthy = mirrors.filter(mirror => !this.isCoolingDown(mirror.name));
+        const cooling = mirrors.filter(mirror => this.isCoolingDown(mirror.name));
+        return [...healthy, ...cooling];
+    }
+
+    isCoolingDown(name) {
+        const failedAt = this.failures.get(name);
+        return failedAt !== undefined && Date.now() - failedAt < FAILURE_COOLDOWN;
+    }
+
+    /**
+     * Note that a mirror couldn't be reached (not that it lacked a file)
+     * @param {string} name Mirror name from resolve()
+     */
+    reportFailure(name) {
+        if (name === 'official') return;
+        if (!this.isCoolingDown(name)) {
+            logger.warn(`Mirror ${name} is failing; trying other sources first for ${FAILURE_COOLDOWN / 1000}s`);
+        }
+        this.failures.set(name, Date.now());
+    }
+
+    reportSuccess(name) {
+        this.failures.delete(name);
+    }
+
+    /**
+     * Drop-in for node-fetch that tries each candidate of resolve() in turn. Returns
+     * the first successful response, otherwise the last error response, and throws
+     * only if no candidate answered at all. An error response that isn't from the last
+     * candidate has already had its body read.
+     * @param {string} url Official URL
+     * @param {Object} [options] node-fetch options
+     * @returns {Promise<Response>}
+     */
+    async fetch(url, options = {}) {
+        const candidates = this.resolve(url);
+        let lastResponse = null;
+        let lastError = null;
+
+        for (const [index, candidate] of candidates.entries()) {
+            try {
+                const response = await fetchSource(candidate.url, options);
+                if (response.ok) {
+                    this.reportSuccess(candidate.mirror);
+                    return response;
+                }
+                if (response.status >= 500) this.reportFailure(candidate.mirror);
+                if (candidates.length > 1) {
+                    logger.warn(`${candidate.mirror} returned HTTP ${response.status} for ${url}`);
+                }
+                // Free the connection before the next candidate; only the last one's body is kept
+                if (index < candidates.length - 1) discardBody(response);
+                lastResponse = response;
+            } catch (error) {
+                if (options.signal && options.signal.aborted) throw error;
+                this.reportFailure(candidate.mirror);
+                if (candidates.length > 1) {
+                    logger.warn(`${candidate.mirror} failed for ${url}: ${error.message}`);
+                }
+                lastError = error;
+            }
+        }
+
+        if (lastResponse) return lastResponse;
+        throw lastError;
+    }
+}
+
+// Shared so the failure cooldown applies to every download in the process
+module.exports = new MirrorManager();
+module.exports.MirrorManager = MirrorManager;
+module.exports.PRESETS = PRESETS;
+module.exports.fetchSource = fetchSource;
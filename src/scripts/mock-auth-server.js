@@ -1,6 +1,7 @@
 const http = require('http');
 const fetch = require('node-fetch');
 const logger = require('./logger');
+const { getOfflineUUID } = require('./offline-uuid');
 
 class MockAuthServer {
     constructor(authService) {
@@ -194,9 +195,8 @@ class MockAuthServer {
           });
         }
         
-        // Generate deterministic UUID from username (for consistent UUIDs in offline mode)
-        const md5 = require('crypto').createHash('md5').update(username).digest('hex');
-        return `${md5.substr(0, 8)}-${md5.substr(8, 4)}-${md5.substr(12, 4)}-${md5.substr(16, 4)}-${md5.substr(20, 12)}`;
+        // Same name-based UUID the launcher passes to the client and vanilla servers use
+        return getOfflineUUID(username);
       }
 
     async getPort() {
@@ -0,0 +1,487 @@
+const fs = require('fs-extra');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const logger = require('./logger');
+
+const DISABLED_SUFFIX = '.disabled';
+const MAX_ICON_SIZE = 512 * 1024;
+const ICON_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif' };
+
+// Dependencies every loader declares that aren't worth listing
+const IMPLICIT_DEPENDENCIES = new Set(['minecraft', 'java', 'fabricloader', 'quilt_loader', 'forge', 'neoforge', 'fml', 'mcp']);
+
+// Jar path -> {mtimeMs, size, metadata}; a jar is only opened again once it changes
+const metadataCache = new Map();
+
+function isModFile(fileName) {
+    return fileName.endsWith('.jar') || fileName.endsWith(`.jar${DISABLED_SUFFIX}`);
+}
+
+/**
+ * Read a TOML string, including the multi-line forms mods.toml uses for descriptions
+ * @param {string} text Source starting at the opening quote
+ * @returns {[string, number]} The value and the length consumed
+ */
+function readTomlString(text) {
+    const quote = text[0];
+    const triple = text.startsWith(quote.repeat(3));
+    const delimiter = triple ? quote.repeat(3) : quote;
+    let value = '';
+    let i = delimiter.length;
+    // A newline right after an opening triple quote isn't part of the value
+    if (triple && text[i] === '\n') i++;
+    else if (triple && text.startsWith('\r\n', i)) i += 2;
+
+    while (i < text.length && !text.startsWith(delimiter, i)) {
+        if (quote === '"' && text[i] === '\\') {
+            const next = text[i + 1];
+            const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' };
+            if (next === 'u' || next === 'U') {
+                const length = next === 'u' ? 4 : 8;
+                value += String.fromCodePoint(parseInt(text.substr(i + 2, length), 16));
+                i += 2 + length;
+                continue;
+            }
+            if (triple && (next === '\n' || next === '\r')) {
+                // Line-ending backslash: drop the newline and leading whitespace
+                i += 1;
+                while (/\s/.test(text[i] || '')) i++;
+                continue;
+            }
+            value += escapes[next] !== undefined ? escapes[next] : next;
+            i += 2;
+            continue;
+        }
+        value += text[i++];
+    }
+    return [value, i + delimiter.length];
+}
+
+function readTomlValue(text) {
+    text = text.trimStart();
+    if (text[0] === '"' || text[0] === '\'') return readTomlString(text)[0];
+    if (text[0] === '[') {
+        const values = [];
+        let rest = text.slice(1);
+        for (;;) {
+            rest = rest.replace(/^(\s|,|#[^\n]*)+/, '');
+            if (!rest || rest[0] === ']') break;
+            if (rest[0] === '"' || rest[0] === '\'') {
+                const [value, length] = readTomlString(rest);
+                values.push(value);
+                rest = rest.slice(length);
+            } else {
+                const match = rest.match(/^[^,\]]+/);
+                values.push(readTomlValue(match[0]));
+                rest = rest.slice(match[0].length);
+            }
+        }
+        return values;
+    }
+    const bare = text.replace(/#.*$/, '').trim();
+    if (bare === 'true' || bare === 'false') return bare === 'true';
+    if (/^[+-]?\d+(\.\d+)?$/.test(bare)) return Number(bare);
+    return bare;
+}
+
+/**
+ * Minimal TOML reader for mods.toml: tables, arrays of tables, strings (including
+ * multi-line), numbers, booleans and arrays of those. Inline tables are not supported.
+ * @param {string} source
+ * @returns {Object}
+ */
+function parseToml(source) {
+    const root = {};
+    let current = root;
+    const text = source.replace(/\r\n/g, '\n');
+    let pos = 0;
+
+    const lookup = (keys, asArray) => {
+        let target = root;
+        keys.forEach((key, index) => {
+            const last = index === keys.length - 1;
+            if (last && asArray) {
+                if (!Array.isArray(target[key])) target[key] = [];
+                target[key].push({});
+                target = target[key][target[key].length - 1];
+                return;
+            }
+            if (target[key] === undefined) target[key] = {};
+            target = Array.isArray(target[key]) ? target[key][target[key].length - 1] : target[key];
+        });
+        return target;
+    };
+    const splitKey = (key) => key.split('.').map(part => part.trim().replace(/^["']|["']$/g, ''));
+
+    while (pos < text.length) {
+        const lineEnd = text.indexOf('\n', pos) === -1 ? text.length : text.indexOf('\n', pos);
+        const line = text.slice(pos, lineEnd).trim();
+
+        const table = line.match(/^(\[\[?)\s*([^\]]+?)\s*\]\]?/);
+        if (table) {
+            current = lookup(splitKey(table[2]), table[1] === '[[');
+            pos = lineEnd + 1;
+            continue;
+        }
+
+        const assignment = line.match(/^("[^"]*"|'[^']*'|[A-Za-z0-9_.-]+)\s*=/);
+        if (!assignment) {
+            pos = lineEnd + 1;
+            continue;
+        }
+
+        const keys = splitKey(assignment[1]);
+        const valueStart = text.indexOf('=', pos) + 1;
+        let rest = text.slice(valueStart).trimStart();
+        let consumed;
+        if (rest[0] === '"' || rest[0] === '\'') {
+            consumed = readTomlString(rest)[1];
+        } else if (rest[0] === '[') {
+            // Arrays may span lines; find the matching bracket outside strings
+            let depth = 0;
+            consumed = 0;
+            while (consumed < rest.length) {
+                const char = rest[consumed];
+                if (char === '"' || char === '\'') {
+                    consumed += readTomlString(rest.slice(consumed))[1];
+                    continue;
+                }
+                if (char === '[') depth++;
+                if (char === ']' && --depth === 0) {
+                    consumed++;
+                    break;
+                }
+                consumed++;
+            }
+        } else {
+            consumed = rest.indexOf('\n') === -1 ? rest.length : rest.indexOf('\n');
+        }
+        const value = readTomlValue(rest.slice(0, consumed));
+        const parent = keys.length > 1 ? lookupIn(current, keys.slice(0, -1)) : current;
+        parent[keys[keys.length - 1]] = value;
+
+        const end = valueStart + (text.slice(valueStart).length - rest.length) + consumed;
+        const nextLine = text.indexOf('\n', end);
+        pos = nextLine === -1 ? text.length : nextLine + 1;
+    }
+    return root;
+}
+
+function lookupIn(target, keys) {
+    for (const key of keys) {
+        if (typeof target[key] !== 'object' || target[key] === null) target[key] = {};
+        target = target[key];
+    }
+    return target;
+}
+
+// fabric.mod.json often has raw newlines and tabs inside strings, which JSON.parse rejects
+function parseLenientJson(text) {
+    text = text.replace(/^\uFEFF/, '');
+    try {
+        return JSON.parse(text);
+    } catch {
+        return JSON.parse(text.replace(/[\n\r\t]/g, ' '));
+    }
+}
+
+function readEntry(zip, name) {
+    const entry = zip.getEntry(name);
+    return entry ? entry.getData().toString('utf8') : null;
+}
+
+function readManifest(zip) {
+    const manifest = readEntry(zip, 'META-INF/MANIFEST.MF');
+    if (!manifest) return {};
+    const attributes = {};
+    // Lines longer than 72 bytes continue on the next line after a single space
+    for (const line of manifest.replace(/\r?\n /g, '').split(/\r?\n/)) {
+        const separator = line.indexOf(': ');
+        if (separator > 0) attributes[line.slice(0, separator)] = line.slice(separator + 2);
+    }
+    return attributes;
+}
+
+function toAuthorList(authors) {
+    if (!authors) return [];
+    if (typeof authors === 'string') return authors.split(',').map(author => author.trim()).filter(Boolean);
+    if (Array.isArray(authors)) return authors.map(author => (typeof author === 'string' ? author : author.name)).filter(Boolean);
+    // Quilt: {name: role}
+    return Object.keys(authors);
+}
+
+function fabricMetadata(json) {
+    const dependencies = [];
+    for (const [key, required] of [['depends', true], ['recommends', false], ['suggests', false]]) {
+        for (const [id, versions] of Object.entries(json[key] || {})) {
+            dependencies.push({ id, version: [].concat(versions).join(' || '), required });
+        }
+    }
+    const icon = typeof json.icon === 'string' ? json.icon
+        // Sized icons: {"16": "...", "128": "..."}; take the largest
+        : json.icon ? json.icon[Object.keys(json.icon).sort((a, b) => b - a)[0]] : null;
+    return {
+        loader: 'fabric',
+        id: json.id,
+        name: json.name || json.id,
+        version: json.version,
+        description: json.description || '',
+        authors: toAuthorList(json.authors),
+        icon,
+        dependencies
+    };
+}
+
+function quiltMetadata(json) {
+    const loader = json.quilt_loader || {};
+    const metadata = loader.metadata || {};
+    const dependencies = (loader.depends || []).map(dependency => (typeof dependency === 'string'
+        ? { id: dependency, version: '*', required: true }
+        : { id: dependency.id, version: [].concat(dependency.versions || '*').join(' || '), required: !dependency.optional }));
+    const icon = typeof metadata.icon === 'string' ? metadata.icon
+        : metadata.icon ? metadata.icon[Object.keys(metadata.icon).sort((a, b) => b - a)[0]] : null;
+    return {
+        loader: 'quilt',
+        id: loader.id,
+        name: metadata.name || loader.id,
+        version: loader.version,
+        description: metadata.description || '',
+        authors: toAuthorList(metadata.contributors),
+        icon,
+        dependencies
+    };
+}
+
+function forgeMetadata(toml, loader, manifest) {
+    const mod = (toml.mods || [])[0] || {};
+    const dependencies = ((toml.dependencies || {})[mod.modId] || []).map(dependency => ({
+        id: dependency.modId,
+        version: dependency.versionRange || '*',
+        // Forge uses mandatory; NeoForge replaced it with type = "required"/"optional"/...
+        required: dependency.type ? dependency.type === 'required' : dependency.mandatory !== false
+    }));
+    let version = mod.version;
+    if (typeof version === 'string' && version.includes('${file.jarVersion}')) {
+        version = version.replace('${file.jarVersion}', manifest['Implementation-Version'] || '');
+    }
+    return {
+        loader,
+        id: mod.modId,
+        name: mod.displayName || mod.modId,
+        version,
+        description: (mod.description || '').trim(),
+        authors: toAuthorList(mod.authors),
+        icon: mod.logoFile || toml.logoFile || null,
+        dependencies
+    };
+}
+
+function legacyForgeMetadata(json) {
+    const mod = (Array.isArray(json) ? json : json.modList || [])[0] || {};
+    const required = mod.requiredMods || mod.dependencies || [];
+    return {
+        loader: 'forge',
+        id: mod.modid,
+        name: mod.name || mod.modid,
+        version: mod.version,
+        description: mod.description || '',
+        authors: toAuthorList(mod.authorList || mod.authors),
+        icon: mod.logoFile || null,
+        dependencies: required.map(dependency => {
+            // Entries may pin a version: "modid@[1.0,)"
+            const [id, version] = dependency.split('@');
+            return { id, version: version || '*', required: true };
+        })
+    };
+}
+
+function readIcon(zip, iconPath) {
+    if (!iconPath) return null;
+    const entry = zip.getEntry(iconPath.replace(/^\//, ''));
+    const type = ICON_TYPES[path.extname(iconPath).toLowerCase()];
+    if (!entry || !type || entry.header.size > MAX_ICON_SIZE) return null;
+    return `data:${type};base64,${entry.getData().toString('base64')}`;
+}
+
+/**
+ * Read the metadata a mod jar declares. Fabric, Quilt, Forge/NeoForge (mods.toml) and
+ * legacy Forge (mcmod.info) are recognised.
+ * @param {string|Buffer} jar Path or contents of the jar
+ * @returns {Object|null} {loader, id, name, version, description, authors, icon, dependencies};
+ *   icon is a data: URL, dependencies are {id, version, required} without the game and
+ *   loader themselves. Null when the jar has no metadata the launcher knows.
+ */
+function readModMetadata(jar) {
+    const zip = new AdmZip(jar);
+    let metadata = null;
+
+    const quilt = readEntry(zip, 'quilt.mod.json');
+    const fabric = readEntry(zip, 'fabric.mod.json');
+    const neoForgeToml = readEntry(zip, 'META-INF/neoforge.mods.toml');
+    const forgeToml = readEntry(zip, 'META-INF/mods.toml');
+    const mcmodInfo = readEntry(zip, 'mcmod.info');
+
+    // Quilt loads Fabric mods too, so a jar carrying both is a Quilt mod first
+    if (quilt) metadata = quiltMetadata(parseLenientJson(quilt));
+    else if (fabric) metadata = fabricMetadata(parseLenientJson(fabric));
+    else if (neoForgeToml) metadata = forgeMetadata(parseToml(neoForgeToml), 'neoforge', readManifest(zip));
+    else if (forgeToml) metadata = forgeMetadata(parseToml(forgeToml), 'forge', readManifest(zip));
+    else if (mcmodInfo) metadata = legacyForgeMetadata(parseLenientJson(mcmodInfo));
+    if (!metadata) return null;
+
+    metadata.icon = readIcon(zip, metadata.icon);
+    metadata.dependencies = metadata.dependencies.filter(dependency => dependency.id && !IMPLICIT_DEPENDENCIES.has(dependency.id));
+    return metadata;
+}
+
+/**
+ * readModMetadata() for a jar in a mods folder, reusing the last result while the
+ * file's mtime and size are unchanged. The jar is read without blocking.
+ * @param {string} jarPath
+ * @param {fs.Stats} stat
+ * @returns {Promise<Object|null>}
+ */
+async function readCachedModMetadata(jarPath, stat) {
+    const cached = metadataCache.get(jarPath);
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+        return cached.metadata;
+    }
+    let metadata = null;
+    try {
+        metadata = readModMetadata(await fs.readFile(jarPath));
+    } catch (error) {
+        logger.warn(`Could not read mod metadata from ${path.basename(jarPath)}: ${error.message}`);
+    }
+    // Unreadable jars are cached too, so a broken one isn't retried on every listing
+    metadataCache.set(jarPath, { mtimeMs: stat.mtimeMs, size: stat.size, metadata });
+    return metadata;
+}
+
+/**
+ * Lists and manages the mods in a game directory's mods folder. Disabled mods are
+ * kept next to the others with a .disabled suffix, which every loader ignores.
+ */
+class ModManager {
+    /**
+     * @param {string} gameDir Game directory of the profile
+     */
+    constructor(gameDir) {
+        this.modsDir = path.join(gameDir, 'mods');
+    }
+
+    // Only plain file names from the renderer; nothing outside the mods folder
+    resolve(fileName) {
+        if (path.basename(fileName) !== fileName || !isModFile(fileName)) {
+            throw new Error(`Not a mod file: ${fileName}`);
+        }
+        return path.join(this.modsDir, fileName);
+    }
+
+    /**
+     * @returns {Promise<Object[]>} {file, path, enabled, size, lastModified} plus the
+     *   readModMetadata() fields (name falls back to the file name), sorted by name
+     */
+    async getMods() {
+        await fs.ensureDir(this.modsDir);
+        const entries = await fs.readdir(this.modsDir, { withFileTypes: true });
+        const mods = [];
+        const listed = new Set();
+        for (const entry of entries) {
+            if (!entry.isFile() || !isModFile(entry.name)) continue;
+            const modPath = path.join(this.modsDir, entry.name);
+            const stat = await fs.stat(modPath);
+            const mod = {
+                file: entry.name,
+                path: modPath,
+                enabled: !entry.name.endsWith(DISABLED_SUFFIX),
+                size: stat.size,
+                lastModified: stat.mtime.toISOString()
+            };
+            listed.add(modPath);
+            Object.assign(mod, await readCachedModMetadata(modPath, stat) || {});
+            mod.name = mod.name || entry.name.replace(/\.jar(\.disabled)?$/, '');
+            mod.authors = mod.authors || [];
+            mod.dependencies = mod.dependencies || [];
+            mods.push(mod);
+        }
+        // Forget jars that have left this folder
+        for (const cachedPath of metadataCache.keys()) {
+            if (path.dirname(cachedPath) === this.modsDir && !listed.has(cachedPath)) {
+                metadataCache.delete(cachedPath);
+            }
+        }
+        return mods.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Enable or disable a mod by renaming it
+     * @param {string} fileName Current file name in the mods folder
+     * @param {boolean} enabled
+     * @returns {Promise<string>} The new file name
+     */
+    async setEnabled(fileName, enabled) {
+        const source = this.resolve(fileName);
+        const baseName = fileName.endsWith(DISABLED_SUFFIX) ? fileName.slice(0, -DISABLED_SUFFIX.length) : fileName;
+        const target = enabled ? baseName : `${baseName}${DISABLED_SUFFIX}`;
+        if (target === fileName) return fileName;
+
+        if (await fs.pathExists(path.join(this.modsDir, target))) {
+            throw new Error(`${target} already exists`);
+        }
+        await fs.rename(source, path.join(this.modsDir, target));
+        // A rename keeps the mtime and size, so the metadata carries over
+        if (metadataCache.has(source)) {
+            metadataCache.set(path.join(this.modsDir, target), metadataCache.get(source));
+            metadataCache.delete(source);
+        }
+        logger.info(`${enabled ? 'Enabled' : 'Disabled'} mod ${baseName}`);
+        return target;
+    }
+
+    /**
+     * Copy mod jars into the mods folder
+     * @param {string[]} filePaths Jars to add
+     * @returns {Promise<{added: string[], skipped: Array<{file: string, reason: string}>}>}
+     */
+    async addMods(filePaths) {
+        await fs.ensureDir(this.modsDir);
+        const result = { added: [], skipped: [] };
+        for (const filePath of filePaths) {
+            const fileName = path.basename(filePath);
+            if (!fileName.endsWith('.jar')) {
+                result.skipped.push({ file: fileName, reason: 'Not a .jar file' });
+                continue;
+            }
+            const target = path.join(this.modsDir, fileName);
+            if (path.resolve(filePath) === target) continue;
+            if (await fs.pathExists(target) || await fs.pathExists(`${target}${DISABLED_SUFFIX}`)) {
+                result.skipped.push({ file: fileName, reason: 'Already installed' });
+                continue;
+            }
+            try {
+                // Reject archives that aren't jars before they end up in the mods folder
+                new AdmZip(filePath).getEntries();
+                await fs.copy(filePath, target);
+                result.added.push(fileName);
+                logger.info(`Added mod ${fileName}`);
+            } catch (error) {
+                result.skipped.push({ file: fileName, reason: error.message });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * @param {string} fileName File name in the mods folder
+     */
+    async removeMod(fileName) {
+        const modPath = this.resolve(fileName);
+        await fs.remove(modPath);
+        metadataCache.delete(modPath);
+        logger.info(`Removed mod ${fileName}`);
+    }
+}
+
+module.exports = ModManager;
+module.exports.readModMetadata = readModMetadata;
+module.exports.parseToml = parseToml;
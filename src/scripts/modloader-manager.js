@@ -1,60 +1,128 @@
 const fs = require('fs-extra');
 const path = require('path');
-const os = require('os');
-const fetch = require('node-fetch');
 const logger = require('./logger');
+const downloadManager = require('./download-manager');
+const mirrors = require('./mirrors');
+const ForgeInstaller = require('./forge-installer');
+const MinecraftInstaller = require('./minecraft-installer');
+const { resolveGameRoot } = require('./game-root');
+const { InstallReceipt, RECEIPT_FILE } = require('./install-receipt');
+const { ensureSpace, estimateDownloadSize, formatBytes } = require('./disk-usage');
 
-function getAppDataDir() {
-  switch (os.platform()) {
-    case 'win32': return process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
-    case 'darwin': return path.join(os.homedir(), 'Library', 'Application Support');
-    case 'linux': return process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
-    default: return os.homedir();
-  }
+const FORGE_MAVEN = 'https://maven.minecraftforge.net/net/minecraftforge/forge';
+const FORGE_PROMOTIONS = 'https://files.minecraftforge.net/net/minecraftforge/forge/promotions_slim.json';
+const FABRIC_MAVEN = 'https://maven.fabricmc.net/';
+const QUILT_META = 'https://meta.quiltmc.org/v3';
+const NEOFORGE_MAVEN = 'https://maven.neoforged.net/releases/net/neoforged/neoforge';
+// NeoForge for 1.20.1 was published under the Forge artifact, versioned like Forge
+const NEOFORGE_LEGACY_MAVEN = 'https://maven.neoforged.net/releases/net/neoforged/forge';
+
+/**
+ * Minecraft version a NeoForge build targets: 20.2.x is 1.20.2, 21.0.x is 1.21
+ * @param {string} version NeoForge version
+ * @returns {string}
+ */
+function neoForgeMinecraftVersion(version) {
+    const [major, minor] = version.split('.');
+    return minor === '0' ? `1.${major}` : `1.${major}.${minor}`;
 }
 
 class ModLoaderManager {
     constructor(baseDir) {
-        this.baseDir = baseDir || path.join(getAppDataDir(), '.alrightlauncher');
+        this.baseDir = resolveGameRoot(baseDir);
         this.versionsDir = path.join(this.baseDir, 'versions');
+        // Install queue job this manager runs under (see install-queue.js), set by main.js
+        this.job = null;
     }
 
+    /**
+     * Forge builds for a Minecraft version, newest first
+     * @param {string} minecraftVersion
+     * @returns {Promise<Array<{version: string, recommended: boolean, latest: boolean}>>}
+     *   version is the Forge part of the maven version (e.g. '47.2.0'); recommended and
+     *   latest mark the builds Forge promotes for this Minecraft version
+     */
     async getForgeVersions(minecraftVersion) {
         try {
             logger.info(`Fetching Forge versions for Minecraft ${minecraftVersion}`);
-            const response = await fetch(
-                `https://files.minecraftforge.net/net/minecraftforge/forge/index_${minecraftVersion}.html`,
-                { timeout: 10000 }
-            );
-            
-            if (!response.ok) {
-                throw new Error(`Failed to fetch Forge versions: ${response.statusText}`);
-            }
-            
-            const html = await response.text();
-            
-            // Parse the version numbers using regex
-            const regex = /forge-([0-9.]+(?:-[0-9.]+)?)-installer\.jar/g;
-            const versions = new Set();
-            let match;
-            
-            while ((match = regex.exec(html)) !== null) {
-                versions.add(match[1]);
-            }
-            
-            const result = Array.from(versions);
-            logger.info(`Found ${result.length} Forge versions for Minecraft ${minecraftVersion}`);
-            return result;
+            const prefix = `${minecraftVersion}-`;
+            const versions = (await this.getMavenVersions(FORGE_MAVEN))
+                .filter(version => version.startsWith(prefix))
+                .map(version => version.slice(prefix.length))
+                .reverse();
+
+            const promotions = await this.getForgePromotions();
+            // Promotions name the build without the branch suffix some old versions carry
+            const promoted = (key) => {
+                const build = promotions[`${minecraftVersion}-${key}`];
+                return (version) => !!build && (version === build || version.startsWith(`${build}-`));
+            };
+            const isRecommended = promoted('recommended');
+            const isLatest = promoted('latest');
+
+            logger.info(`Found ${versions.length} Forge versions for Minecraft ${minecraftVersion}`);
+            return versions.map(version => ({
+                version,
+                recommended: isRecommended(version),
+                latest: isLatest(version)
+            }));
         } catch (error) {
             logger.error(`Error fetching Forge versions: ${error.message}`);
             return [];
         }
     }
 
+    async getForgePromotions() {
+        try {
+            const response = await mirrors.fetch(FORGE_PROMOTIONS, { timeout: 10000 });
+            if (!response.ok) throw new Error(response.statusText);
+            return (await response.json()).promos || {};
+        } catch (error) {
+            logger.warn(`Could not fetch Forge promotions: ${error.message}`);
+            return {};
+        }
+    }
+
+    async getMavenVersions(metadataUrl) {
+        const response = await mirrors.fetch(`${metadataUrl}/maven-metadata.xml`, { timeout: 10000 });
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${metadataUrl}/maven-metadata.xml: ${response.statusText}`);
+        }
+        const xml = await response.text();
+        return [...xml.matchAll(/<version>([^<]+)<\/version>/g)].map(match => match[1]);
+    }
+
+    /**
+     * NeoForge builds for a Minecraft version, newest first
+     * @param {string} minecraftVersion
+     * @returns {Promise<Array<{version: string, stable: boolean}>>} Beta builds are not stable
+     */
+    async getNeoForgeVersions(minecraftVersion) {
+        try {
+            logger.info(`Fetching NeoForge versions for Minecraft ${minecraftVersion}`);
+            let versions;
+            if (minecraftVersion === '1.20.1') {
+                versions = (await this.getMavenVersions(NEOFORGE_LEGACY_MAVEN)).filter(version => version.startsWith('1.20.1-'));
+            } else {
+                versions = (await this.getMavenVersions(NEOFORGE_MAVEN))
+                    .filter(version => neoForgeMinecraftVersion(version) === minecraftVersion);
+            }
+
+            logger.info(`Found ${versions.length} NeoForge versions for Minecraft ${minecraftVersion}`);
+            return versions.reverse().map(version => ({
+                version,
+                stable: !/beta|alpha/i.test(version)
+            }));
+        } catch (error) {
+            logger.error(`Error fetching NeoForge versions: ${error.message}`);
+            return [];
+        }
+    }
+
     async getFabricVersions() {
         try {
             logger.info('Fetching Fabric loader versions');
-            const response = await fetch(
+            const response = await mirrors.fetch(
                 'https://meta.fabricmc.net/v2/versions/loader',
                 { timeout: 10000 }
             );
@@ -78,7 +146,7 @@ class ModLoaderManager {
     async getFabricGameVersions() {
         try {
             logger.info('Fetching Fabric game versions');
-            const response = await fetch(
+            const response = await mirrors.fetch(
                 'https://meta.fabricmc.net/v2/versions/game',
                 { timeout: 10000 }
             );
@@ -100,6 +168,50 @@ class ModLoaderManager {
         }
     }
 
+    async getQuiltVersions() {
+        try {
+            logger.info('Fetching Quilt loader versions');
+            const response = await mirrors.fetch(`${QUILT_META}/versions/loader`, { timeout: 10000 });
+
+            if (!response.ok) {
+                throw new Error(`Failed to fetch Quilt versions: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            logger.info(`Found ${data.length} Quilt loader versions`);
+            // Quilt's meta has no stable flag; pre-releases are marked in the version
+            return data.map(version => ({
+                version: version.version,
+                stable: !/-(beta|pre|rc)/i.test(version.version)
+            }));
+        } catch (error) {
+            logger.error(`Error fetching Quilt versions: ${error.message}`);
+            return [];
+        }
+    }
+
+    async getQuiltGameVersions() {
+        try {
+            logger.info('Fetching Quilt game versions');
+            const response = await mirrors.fetch(`${QUILT_META}/versions/game`, { timeout: 10000 });
+
+            if (!response.ok) {
+                throw new Error(`Failed to fetch Quilt game versions: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            const filteredVersions = data.filter(version => version.stable);
+            logger.info(`Found ${filteredVersions.length} stable Quilt game versions`);
+            return filteredVersions.map(version => ({
+                version: version.version,
+                stable: version.stable
+            }));
+        } catch (error) {
+            logger.error(`Error fetching Quilt game versions: ${error.message}`);
+            return [];
+        }
+    }
+
     mavenToPath(name) {
         const parts = name.split(':');
         if (parts.length < 3) return null;
@@ -149,153 +261,183 @@ class ModLoaderManager {
         return true;
     }
 
-    async downloadFile(url, dest) {
-        const response = await fetch(url, { timeout: 30000 });
-        if (!response.ok) {
-            throw new Error(`Download failed: ${response.status} ${response.statusText} for ${url}`);
-        }
-        const buffer = await response.buffer();
-        await fs.writeFile(dest, buffer);
-    }
-
-    async downloadLibrary(lib, librariesDir) {
+    /**
+     * Files a loader library needs, as downloadManager.downloadAll() items. Fabric meta
+     * gives the sha1 of most libraries; the rest are checked against the .sha1 their
+     * maven publishes.
+     * @param {Object} lib Library entry of a loader profile
+     * @param {string} librariesDir
+     * @returns {Promise<Array<Object>>}
+     */
+    async getLibraryDownloads(lib, librariesDir) {
         // Skip if OS rules don't match
-        if (lib.rules && !this.matchRules(lib.rules)) return;
+        if (lib.rules && !this.matchRules(lib.rules)) return [];
 
-        // Download main artifact
+        const files = [];
         if (lib.downloads && lib.downloads.artifact) {
             const artifact = lib.downloads.artifact;
-            const libPath = path.join(librariesDir, artifact.path);
-            await fs.ensureDir(path.dirname(libPath));
-            if (!fs.existsSync(libPath)) {
-                await this.downloadFile(artifact.url, libPath);
-            }
-        } else if (lib.name && lib.url) {
-            const relPath = this.mavenToPath(lib.name);
-            if (relPath) {
-                const libPath = path.join(librariesDir, relPath);
-                await fs.ensureDir(path.dirname(libPath));
-                if (!fs.existsSync(libPath)) {
-                    const jarUrl = this.mavenToUrl(lib.name, lib.url);
-                    if (jarUrl) await this.downloadFile(jarUrl, libPath);
-                }
-            }
+            files.push({ url: artifact.url, path: artifact.path, sha1: artifact.sha1, size: artifact.size });
         } else if (lib.name) {
             const relPath = this.mavenToPath(lib.name);
-            if (relPath) {
-                const libPath = path.join(librariesDir, relPath);
-                await fs.ensureDir(path.dirname(libPath));
-                if (!fs.existsSync(libPath)) {
-                    const jarUrl = this.mavenToUrl(lib.name, 'https://maven.fabricmc.net/');
-                    if (jarUrl) await this.downloadFile(jarUrl, libPath);
-                }
-            }
+            if (!relPath) throw new Error(`Invalid library name ${lib.name}`);
+            files.push({ url: this.mavenToUrl(lib.name, lib.url || FABRIC_MAVEN), path: relPath, sha1: lib.sha1, size: lib.size });
         }
 
-        // Download natives
-        if (lib.downloads && lib.downloads.classifiers) {
-            const nativesKey = this.getNativesKey();
-            if (nativesKey && lib.downloads.classifiers[nativesKey]) {
-                const nativeArtifact = lib.downloads.classifiers[nativesKey];
-                const nativePath = path.join(librariesDir, nativeArtifact.path);
-                await fs.ensureDir(path.dirname(nativePath));
-                if (!fs.existsSync(nativePath)) {
-                    await this.downloadFile(nativeArtifact.url, nativePath);
-                }
-            }
+        // Natives
+        const nativesKey = this.getNativesKey();
+        if (lib.downloads && lib.downloads.classifiers && nativesKey && lib.downloads.classifiers[nativesKey]) {
+            const nativeArtifact = lib.downloads.classifiers[nativesKey];
+            files.push({ url: nativeArtifact.url, path: nativeArtifact.path, sha1: nativeArtifact.sha1, size: nativeArtifact.size });
         }
+
+        return Promise.all(files.map(async (file) => {
+            const sha1 = file.sha1 || await downloadManager.fetchSha1(file.url);
+            return {
+                url: file.url,
+                destination: path.join(librariesDir, file.path),
+                sha1,
+                size: file.size,
+                description: lib.name || file.path,
+                store: true
+            };
+        }));
     }
 
     async installFabric(minecraftVersion, loaderVersion) {
-        try {
-            logger.info(`Installing Fabric ${loaderVersion} for Minecraft ${minecraftVersion}`);
+        const profileUrl = `https://meta.fabricmc.net/v2/versions/loader/${minecraftVersion}/${loaderVersion}/profile/json`;
+        return this.installProfileJson('Fabric', profileUrl, minecraftVersion, loaderVersion,
+            `fabric-loader-${loaderVersion}-${minecraftVersion}`);
+    }
 
-            // Fetch the Fabric profile JSON from the meta API
-            const profileUrl = `https://meta.fabricmc.net/v2/versions/loader/${minecraftVersion}/${loaderVersion}/profile/json`;
-            const response = await fetch(profileUrl, { timeout: 15000 });
+    async installQuilt(minecraftVersion, loaderVersion) {
+        const profileUrl = `${QUILT_META}/versions/loader/${minecraftVersion}/${loaderVersion}/profile/json`;
+        return this.installProfileJson('Quilt', profileUrl, minecraftVersion, loaderVersion,
+            `quilt-loader-${loaderVersion}-${minecraftVersion}`);
+    }
 
-            if (!response.ok) {
-                throw new Error(`Failed to fetch Fabric profile: ${response.status} ${response.statusText}`);
-            }
+    /**
+     * Install a loader whose meta API serves a ready-made version JSON (Fabric, Quilt).
+     * The vanilla version is installed first if it's missing. The version JSON is only
+     * written once every library downloaded and matched its sha1.
+     * @param {string} name Loader name for logs and progress
+     * @param {string} profileUrl URL of the profile JSON
+     * @param {string} minecraftVersion
+     * @param {string} loaderVersion
+     * @param {string} fallbackId Version ID to use if the profile has none
+     * @returns {Promise<boolean>} True once installed; throws naming the libraries that failed
+     */
+    async installProfileJson(name, profileUrl, minecraftVersion, loaderVersion, fallbackId) {
+        logger.info(`Installing ${name} ${loaderVersion} for Minecraft ${minecraftVersion}`);
+
+        // Fetch the profile JSON from the meta API
+        const response = await mirrors.fetch(profileUrl, { timeout: 15000 });
+
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${name} profile: ${response.status} ${response.statusText}`);
+        }
+
+        const profile = await response.json();
+        const versionId = profile.id || fallbackId;
+        const versionDir = path.join(this.versionsDir, versionId);
+        const librariesDir = path.join(this.baseDir, 'libraries');
+
+        await this.ensureParentVersionInstalled(minecraftVersion);
+
+        // Download all libraries
+        const libraries = Array.isArray(profile.libraries) ? profile.libraries : [];
+        if (this.job) {
+            await this.job.checkpoint();
+            this.job.progress(0, 'Downloading Libraries', `${name} ${loaderVersion}`);
+        }
+        const items = (await Promise.all(libraries.map(lib => this.getLibraryDownloads(lib, librariesDir)))).flat();
+
+        const required = await estimateDownloadSize(items.map(item => ({ path: item.destination, size: item.size })));
+        const space = await ensureSpace(this.baseDir, required, `${name} ${loaderVersion}`);
+        if (space && space.warning && this.job) {
+            this.job.progress(0, 'Low Disk Space', `${formatBytes(required)} needed, ${formatBytes(space.free)} free on ${space.diskPath}`);
+        }
 
-            const profile = await response.json();
-            const versionId = profile.id || `fabric-loader-${loaderVersion}-${minecraftVersion}`;
-            const versionDir = path.join(this.versionsDir, versionId);
-            const librariesDir = path.join(this.baseDir, 'libraries');
-
-            await fs.ensureDir(versionDir);
-
-            // Download all libraries
-            if (profile.libraries && Array.isArray(profile.libraries)) {
-                logger.info(`Downloading ${profile.libraries.length} Fabric libraries`);
-                for (let i = 0; i < profile.libraries.length; i++) {
-                    try {
-                        await this.downloadLibrary(profile.libraries[i], librariesDir);
-                    } catch (libError) {
-                        logger.warn(`Failed to download library ${profile.libraries[i].name || i}: ${libError.message}`);
-                    }
+        logger.info(`Downloading ${items.length} ${name} libraries`);
+        const result = await downloadManager.downloadAll(items, {
+            failFast: false,
+            signal: this.job ? this.job.signal : undefined,
+            checkpoint: this.job ? () => this.job.checkpoint() : undefined,
+            onProgress: ({ completed, failed, total }) => {
+                if (this.job) {
+                    this.job.progress(((completed + failed) / total) * 100, 'Downloading Libraries',
+                        `Libraries ${completed}/${total}`);
                 }
             }
+        });
 
-            // Save the version JSON
-            const jsonPath = path.join(versionDir, `${versionId}.json`);
-            await fs.writeJson(jsonPath, profile, { spaces: 2 });
+        if (result.failed.length > 0) {
+            for (const { item, error } of result.failed) {
+                logger.error(`Failed to download ${item.description}: ${error.message}`);
+            }
+            const names = result.failed.map(({ item }) => item.description);
+            throw new Error(`${name} ${loaderVersion} is missing ${names.length} ${names.length === 1 ? 'library' : 'libraries'}: ${names.join(', ')}`);
+        }
 
-            logger.info(`Fabric ${loaderVersion} for Minecraft ${minecraftVersion} installed successfully`);
-            return true;
-        } catch (error) {
-            logger.error(`Failed to install Fabric: ${error.message}`);
-            return false;
+        // Save the version JSON, then the receipt that marks the install complete
+        if (this.job) await this.job.checkpoint();
+        const receipt = new InstallReceipt(this.baseDir, versionId);
+        for (const item of items) {
+            receipt.add(item.destination, { sha1: item.sha1, size: item.size || (await fs.stat(item.destination)).size });
         }
+        const jsonPath = path.join(versionDir, `${versionId}.json`);
+        await fs.outputJson(jsonPath, profile, { spaces: 2 });
+        receipt.add(jsonPath, { sha1: await downloadManager.hashFile(jsonPath), size: (await fs.stat(jsonPath)).size }, { shared: false });
+        await fs.writeJson(path.join(versionDir, RECEIPT_FILE), receipt.toJSON(), { spaces: 2 });
+
+        logger.info(`${name} ${loaderVersion} for Minecraft ${minecraftVersion} installed successfully`);
+        return true;
+    }
+
+    /**
+     * Install the vanilla version a loader builds on, unless it already is
+     * @param {string} minecraftVersion
+     */
+    async ensureParentVersionInstalled(minecraftVersion) {
+        await MinecraftInstaller.ensureParentVersionInstalled(this.baseDir, minecraftVersion, this.job);
     }
 
+    /**
+     * Install Forge from its official installer (see forge-installer.js)
+     * @param {string} minecraftVersion
+     * @param {string} forgeVersion Forge build, the version field of a getForgeVersions() entry
+     * @returns {Promise<string>} ID of the installed version; throws if the install failed
+     */
     async installForge(minecraftVersion, forgeVersion) {
-        try {
-            logger.info(`Installing Forge ${forgeVersion} for Minecraft ${minecraftVersion}`);
-            
-            // Create version JSON
-            const forgeJson = {
-                id: `${minecraftVersion}-forge-${forgeVersion}`,
-                inheritsFrom: minecraftVersion,
-                releaseTime: new Date().toISOString(),
-                time: new Date().toISOString(),
-                type: "release",
-                mainClass: "net.minecraft.launchwrapper.Launch",
-                arguments: {
-                    game: []
-                },
-                libraries: [
-                    // This is just a starter, actual libraries would come from the forge installer
-                    {
-                        name: `net.minecraftforge:forge:${minecraftVersion}-${forgeVersion}`,
-                        url: "https://maven.minecraftforge.net/"
-                    }
-                ]
-            };
-            
-            // In a real implementation, we would:
-            // 1. Download the forge installer
-            // 2. Run it or extract needed libraries 
-            // 3. Create the version JSON file properly
-            
-            // Create directory for the forge version
-            const versionDir = path.join(this.versionsDir, forgeJson.id);
-            await fs.ensureDir(versionDir);
-            
-            // Save the version JSON
-            await fs.writeJson(
-                path.join(versionDir, `${forgeJson.id}.json`),
-                forgeJson,
-                { spaces: 2 }
-            );
-            
-            logger.info(`Forge installation for ${minecraftVersion} created successfully`);
-            return true;
-        } catch (error) {
-            logger.error(`Failed to install Forge: ${error.message}`);
-            return false;
-        }
+        logger.info(`Installing Forge ${forgeVersion} for Minecraft ${minecraftVersion}`);
+        await this.ensureParentVersionInstalled(minecraftVersion);
+
+        const mavenVersion = `${minecraftVersion}-${forgeVersion}`;
+        const installer = new ForgeInstaller(this.baseDir);
+        installer.job = this.job;
+        return installer.install(
+            `${FORGE_MAVEN}/${mavenVersion}/forge-${mavenVersion}-installer.jar`,
+            minecraftVersion
+        );
+    }
+
+    /**
+     * Install NeoForge through the same installer pipeline as Forge
+     * @param {string} minecraftVersion
+     * @param {string} neoForgeVersion NeoForge build, the version field of a getNeoForgeVersions() entry
+     * @returns {Promise<string>} ID of the installed version; throws if the install failed
+     */
+    async installNeoForge(minecraftVersion, neoForgeVersion) {
+        logger.info(`Installing NeoForge ${neoForgeVersion} for Minecraft ${minecraftVersion}`);
+        await this.ensureParentVersionInstalled(minecraftVersion);
+
+        const installerUrl = minecraftVersion === '1.20.1'
+            ? `${NEOFORGE_LEGACY_MAVEN}/${neoForgeVersion}/forge-${neoForgeVersion}-installer.jar`
+            : `${NEOFORGE_MAVEN}/${neoForgeVersion}/neoforge-${neoForgeVersion}-installer.jar`;
+        const installer = new ForgeInstaller(this.baseDir, { name: 'NeoForge' });
+        installer.job = this.job;
+        return installer.install(installerUrl, minecraftVersion);
     }
 }
 
 module.exports = ModLoaderManager;
+module.exports.neoForgeMinecraftVersion = neoForgeMinecraftVersion;
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+// Per-player files a world keeps, keyed by UUID
+const PLAYER_FILES = [
+    { dir: 'playerdata', ext: '.dat' },
+    { dir: 'playerdata', ext: '.dat_old' },
+    { dir: 'advancements', ext: '.json' },
+    { dir: 'stats', ext: '.json' }
+];
+
+const UUID_FILE = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\.dat$/i;
+
+/**
+ * Offline-mode UUID for a player name, identical to vanilla servers:
+ * UUID.nameUUIDFromBytes("OfflinePlayer:" + name), a name-based (v3, MD5) UUID
+ * @param {string} username Player name
+ * @returns {string} Dashed UUID
+ */
+function getOfflineUUID(username) {
+    const bytes = crypto.createHash('md5').update(`OfflinePlayer:${username}`, 'utf8').digest();
+    bytes[6] = (bytes[6] & 0x0f) | 0x30; // version 3
+    bytes[8] = (bytes[8] & 0x3f) | 0x80; // IETF variant
+
+    const hex = bytes.toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Find player data left behind by the random (v4) UUIDs earlier launcher versions
+ * used in offline mode
+ * @param {string} worldPath World directory
+ * @param {string} username Player name the data should belong to
+ * @returns {Promise<{offlineUuid: string, hasCurrentData: boolean, candidates: Object[]}>}
+ *   candidates are {uuid, lastModified, size}, newest first
+ */
+async function findLegacyPlayerData(worldPath, username) {
+    const offlineUuid = getOfflineUUID(username);
+    const playerDataDir = path.join(worldPath, 'playerdata');
+    const result = { offlineUuid, hasCurrentData: false, candidates: [] };
+
+    if (!await fs.pathExists(playerDataDir)) {
+        return result;
+    }
+
+    for (const file of await fs.readdir(playerDataDir)) {
+        const match = UUID_FILE.exec(file);
+        if (!match) continue;
+
+        const uuid = match[1].toLowerCase();
+        if (uuid === offlineUuid) {
+            result.hasCurrentData = true;
+            continue;
+        }
+
+        // Random UUIDs are version 4; v3 files belong to other offline players
+        if (uuid.charAt(14) !== '4') continue;
+
+        const stat = await fs.stat(path.join(playerDataDir, file));
+        result.candidates.push({ uuid, lastModified: stat.mtime.toISOString(), size: stat.size });
+    }
+
+    result.candidates.sort((a, b) => b.lastModified.localeCompare(a.lastModified));
+    return result;
+}
+
+/**
+ * Reassign a legacy UUID's playerdata, advancements and stats to the player's
+ * offline UUID. Existing files for the offline UUID are kept as *.bak.
+ * @param {string} worldPath World directory
+ * @param {string} fromUuid Legacy UUID to migrate from
+ * @param {string} username Player name to migrate to
+ * @returns {Promise<{success: boolean, moved: string[], offlineUuid: string, error?: string}>}
+ */
+async function migratePlayerData(worldPath, fromUuid, username) {
+    const offlineUuid = getOfflineUUID(username);
+    const moved = [];
+
+    if (!UUID_FILE.test(`${fromUuid}.dat`)) {
+        return { success: false, moved, offlineUuid, error: `Invalid UUID ${fromUuid}` };
+    }
+    if (fromUuid.toLowerCase() === offlineUuid) {
+        return { success: false, moved, offlineUuid, error: 'Player data already uses the offline UUID' };
+    }
+
+    try {
+        for (const { dir, ext } of PLAYER_FILES) {
+            const source = path.join(worldPath, dir, `${fromUuid}${ext}`);
+            if (!await fs.pathExists(source)) continue;
+
+            const target = path.join(worldPath, dir, `${offlineUuid}${ext}`);
+            if (await fs.pathExists(target)) {
+                await fs.move(target, `${target}.bak`, { overwrite: true });
+            }
+            await fs.move(source, target);
+            moved.push(path.join(dir, `${offlineUuid}${ext}`));
+        }
+
+        if (moved.length === 0) {
+            return { success: false, moved, offlineUuid, error: `No player data found for ${fromUuid}` };
+        }
+        return { success: true, moved, offlineUuid };
+    } catch (error) {
+        return { success: false, moved, offlineUuid, error: error.message };
+    }
+}
+
+module.exports = {
+    getOfflineUUID,
+    findLegacyPlayerData,
+    migratePlayerData
+};
@@ -36,7 +36,16 @@ contextBridge.exposeInMainWorld('worlds', {
     get: () => safeIpcInvoke('get-worlds'),
     backup: (worldName) => safeIpcInvoke('backup-world', worldName),
     restore: (backupPath) => safeIpcInvoke('restore-world', backupPath),
-    delete: (worldName) => safeIpcInvoke('delete-world', worldName)
+    delete: (worldName) => safeIpcInvoke('delete-world', worldName),
+    findLegacyPlayerData: (worldName, username) => safeIpcInvoke('find-legacy-playerdata', worldName, username),
+    migratePlayerData: (worldName, fromUuid, username) => safeIpcInvoke('migrate-playerdata', worldName, fromUuid, username)
+});
+
+contextBridge.exposeInMainWorld('mods', {
+    get: () => safeIpcInvoke('get-mods'),
+    setEnabled: (fileName, enabled) => safeIpcInvoke('set-mod-enabled', fileName, enabled),
+    add: (filePaths) => safeIpcInvoke('add-mods', filePaths),
+    remove: (fileName) => safeIpcInvoke('remove-mod', fileName)
 });
 
 contextBridge.exposeInMainWorld('crashReports', {
@@ -108,6 +117,20 @@ contextBridge.exposeInMainWorld('minecraft', {
                 return { success: false, error: error.message || 'Unknown launch error' };
             });
     },
+    // Launch a saved profile; resolves with the effective launch config that was used
+    launchProfile: (profileId, settings = {}, overrides = {}) => {
+        console.log(`Launching profile: ${profileId}`, overrides);
+        return safeIpcInvoke('launch-profile', { profileId, settings, overrides })
+            .catch(error => {
+                console.error('Profile launch error:', error);
+                return { success: false, error: error.message || 'Unknown launch error' };
+            });
+    },
+    // Dry run of launchProfile (or of a plain settings launch when profileId is null)
+    previewLaunch: (profileId, settings = {}, overrides = {}) => {
+        return safeIpcInvoke('preview-launch', { profileId, settings, overrides })
+            .catch(error => ({ success: false, error: error.message || 'Unknown preview error' }));
+    },
     checkJava: (options = {}) => safeIpcInvoke('verify-java', options),
     isJavaInstalled: (options = {}) => safeIpcInvoke('verify-java', options),
     installJava: (options = {}) => safeIpcInvoke('install-java', options),
@@ -117,10 +140,41 @@ contextBridge.exposeInMainWorld('minecraft', {
             ipcRenderer.on('java-install-progress', (_, data) => callback(data));
         }
     },
-    getVersions: () => safeIpcInvoke('get-versions'),
+    // Java installations known to the registry; a profile can pin one of them
+    java: {
+        list: (refresh = false) => safeIpcInvoke('list-java-runtimes', { refresh }),
+        add: (javaPath) => safeIpcInvoke('add-java-runtime', javaPath),
+        pinToProfile: (profileId, javaPath) => safeIpcInvoke('set-profile-java', { profileId, javaPath })
+    },
+    getVersions: (options) => safeIpcInvoke('get-versions', options),
+    // {success, versions, fetchedAt, stale, manifestAvailable}; options: {offline, refresh}
+    getVersionCatalog: (options) => safeIpcInvoke('get-version-catalog', options),
+    settings: {
+        sync: (settings) => safeIpcInvoke('sync-settings', settings)
+    },
     isGameRunning: (version) => safeIpcInvoke('is-game-running', version),
+    sessions: {
+        list: () => safeIpcInvoke('list-game-sessions'),
+        focus: (sessionId) => safeIpcInvoke('focus-game-session', sessionId),
+        kill: (sessionId) => safeIpcInvoke('kill-game-session', sessionId),
+        getLogs: (sessionId, filter = {}) => safeIpcInvoke('get-game-logs', sessionId, filter),
+        onLog: (callback) => {
+            if (typeof callback === 'function') {
+                ipcRenderer.on('game-log', (_, data) => callback(data));
+            }
+        }
+    },
     verifyGameFiles: (version) => safeIpcInvoke('verify-game-files', version),
     clearCache: (target) => safeIpcInvoke('clear-cache', target),
+    // Reports are {success, dryRun, bytes, counts: {[kind]: {files, bytes}}, files}
+    storage: {
+        uninstall: (version, { dryRun = false } = {}) => safeIpcInvoke('uninstall-version', { version, dryRun }),
+        collectGarbage: ({ dryRun = false } = {}) => safeIpcInvoke('collect-garbage', { dryRun }),
+        // {success, root, volume: {diskPath, free, size}, total, categories: {[name]: {bytes, items}}}
+        getUsage: () => safeIpcInvoke('get-disk-usage'),
+        // {success, dryRun, files, stored, linked, copied, failed, bytes}
+        dedupe: ({ dryRun = false } = {}) => safeIpcInvoke('dedupe-store', { dryRun })
+    },
     auth: {
         login: () => safeIpcInvoke('authenticate'),
         logout: () => safeIpcInvoke('logout'),
@@ -161,7 +215,7 @@ contextBridge.exposeInMainWorld('minecraft', {
     },
     server: {
         create: (options) => safeIpcInvoke('create-server', options),
-        start: (name, memory) => safeIpcInvoke('start-server', { name, memory }),
+        start: (name, memory, javaPath) => safeIpcInvoke('start-server', { name, memory, javaPath }),
         stop: (name) => safeIpcInvoke('stop-server', name),
         list: () => safeIpcInvoke('get-servers'),
         delete: (name) => safeIpcInvoke('delete-server', name),
@@ -176,6 +230,31 @@ contextBridge.exposeInMainWorld('minecraft', {
             ipcRenderer.on('install-progress', (_, data) => callback(data));
         }
     },
+    // {active, queued, completed, failed, bytesReceived, bytesTotal} across all downloads
+    onDownloadProgress: (callback) => {
+        if (typeof callback === 'function') {
+            ipcRenderer.on('download-progress', (_, data) => callback(data));
+        }
+    },
+    // Install queue: version, mod loader, asset and Java installs run one at a time
+    installs: {
+        list: () => safeIpcInvoke('get-install-queue'),
+        cancel: (jobId) => safeIpcInvoke('cancel-install', jobId),
+        pause: (jobId) => safeIpcInvoke('pause-install', jobId),
+        resume: (jobId) => safeIpcInvoke('resume-install', jobId),
+        move: (jobId, index) => safeIpcInvoke('move-install', { jobId, index }),
+        onUpdate: (callback) => {
+            if (typeof callback === 'function') {
+                ipcRenderer.on('install-queue-update', (_, jobs) => callback(jobs));
+            }
+        },
+        // {jobId, progress, phase, detail}
+        onProgress: (callback) => {
+            if (typeof callback === 'function') {
+                ipcRenderer.on('install-job-progress', (_, data) => callback(data));
+            }
+        }
+    },
     // New APIs for offline mode using the safe invoke
     offline: {
         getInstalledVersions: () => safeIpcInvoke('get-installed-versions'),
@@ -224,7 +303,14 @@ contextBridge.exposeInMainWorld('minecraft', {
         installFabric: (minecraftVersion, loaderVersion) => 
             ipcRenderer.invoke('install-fabric', { minecraftVersion, loaderVersion }),
         installForge: (minecraftVersion, forgeVersion) => 
-            ipcRenderer.invoke('install-forge', { minecraftVersion, forgeVersion })
+            ipcRenderer.invoke('install-forge', { minecraftVersion, forgeVersion }),
+        getQuiltVersions: () => ipcRenderer.invoke('get-quilt-versions'),
+        getQuiltGameVersions: () => ipcRenderer.invoke('get-quilt-game-versions'),
+        installQuilt: (minecraftVersion, loaderVersion) =>
+            ipcRenderer.invoke('install-quilt', { minecraftVersion, loaderVersion }),
+        getNeoForgeVersions: (minecraftVersion) => ipcRenderer.invoke('get-neoforge-versions', minecraftVersion),
+        installNeoForge: (minecraftVersion, neoForgeVersion) =>
+            ipcRenderer.invoke('install-neoforge', { minecraftVersion, neoForgeVersion })
     },
     assets: {
         download: (version) => safeIpcInvoke('download-assets', version),
@@ -71,6 +71,7 @@ class ProfileCreator {
      */
     determineProfileType(versionId) {
         if (versionId.includes('fabric')) return 'fabric';
+        if (versionId.includes('neoforge')) return 'neoforge';
         if (versionId.includes('forge')) return 'forge';
         if (versionId.includes('quilt')) return 'quilt';
         return 'vanilla';
@@ -85,6 +86,7 @@ class ProfileCreator {
         switch (type) {
             case 'fabric': return 'Loom';
             case 'forge': return 'Anvil';
+            case 'neoforge': return 'Anvil';
             case 'quilt': return 'Loom';
             default: return 'Grass';
         }
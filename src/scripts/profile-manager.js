@@ -3,19 +3,11 @@ const path = require('path');
 const os = require('os');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('./logger');
-
-function getAppDataDir() {
-    switch (os.platform()) {
-        case 'win32': return process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
-        case 'darwin': return path.join(os.homedir(), 'Library', 'Application Support');
-        case 'linux': return process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
-        default: return os.homedir();
-    }
-}
+const { resolveGameRoot } = require('./game-root');
 
 class ProfileManager {
     constructor(baseDir) {
-        this.baseDir = baseDir || path.join(getAppDataDir(), '.alrightlauncher');
+        this.baseDir = resolveGameRoot(baseDir);
         // Change from profile.json to launcher_profiles.json for better compatibility
         this.profilesPath = path.join(this.baseDir, 'launcher_profiles.json');
         this.profiles = {};
@@ -28,6 +20,7 @@ class ProfileManager {
             crashAssistance: true
         };
         this.initialized = false;
+        this.loadedMtime = null; // mtime of launcher_profiles.json as last read or written
         
         // Don't initialize in constructor - this will be called explicitly
     }
@@ -115,6 +108,7 @@ class ProfileManager {
             }
             
             this.initialized = true;
+            this.loadedMtime = await this.getProfilesMtime();
         } catch (error) {
             logger.error(`Failed to initialize profiles: ${error.message}`);
             logger.error(error.stack);
@@ -195,6 +189,24 @@ class ProfileManager {
         }
     }
 
+    async getProfilesMtime() {
+        try {
+            return (await fs.stat(this.profilesPath)).mtimeMs;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Re-read launcher_profiles.json if something else wrote it since it was loaded
+     * (ProfileCreator, the official launcher)
+     */
+    async reloadIfChanged() {
+        if (this.initialized && await this.getProfilesMtime() === this.loadedMtime) return;
+        this.initialized = false;
+        await this.initialize();
+    }
+
     async saveProfiles() {
         try {
             // Ensure directory exists before saving
@@ -206,6 +218,7 @@ class ProfileManager {
                 settings: this.settings,
                 version: 3 // Current launcher format version
             }, { spaces: 2 });
+            this.loadedMtime = await this.getProfilesMtime();
             
             logger.info(`Profiles saved successfully to ${this.profilesPath}`);
             return true;
@@ -224,6 +237,32 @@ class ProfileManager {
         return this.profiles[id] || null;
     }
 
+    /**
+     * Resolve the game directory (mods, config, saves, options.txt) for a profile.
+     * Profiles without a gameDir share the base directory; relative paths are
+     * resolved against it.
+     * @param {string} id Profile ID
+     * @returns {string} Absolute game directory path
+     */
+    getProfileGameDir(id) {
+        const profile = this.getProfile(id);
+        if (!profile || !profile.gameDir) {
+            return this.baseDir;
+        }
+        return path.resolve(this.baseDir, profile.gameDir);
+    }
+
+    /**
+     * Resolve a profile's game directory and create it on first use
+     * @param {string} id Profile ID
+     * @returns {Promise<string>} Absolute game directory path
+     */
+    async ensureProfileGameDir(id) {
+        const gameDir = this.getProfileGameDir(id);
+        await fs.ensureDir(gameDir);
+        return gameDir;
+    }
+
     getDefaultProfile() {
         if (this.settings.defaultProfile && this.profiles[this.settings.defaultProfile]) {
             return {
@@ -259,6 +298,7 @@ class ProfileManager {
                 gameDir: profileData.gameDir || null,
                 lastVersionId: profileData.lastVersionId || 'latest-release',
                 javaArgs: profileData.javaArgs || "-Xmx2G -XX:+UnlockExperimentalVMOptions -XX:+UseG1GC",
+                ...(profileData.javaDir ? { javaDir: profileData.javaDir } : {}),
                 resolution: profileData.resolution || {
                     width: 854,
                     height: 480
@@ -296,6 +336,32 @@ class ProfileManager {
         }
     }
 
+    /**
+     * Pin a Java runtime to a profile, stored as javaDir like the official launcher
+     * @param {string} id Profile ID
+     * @param {string|null} javaPath Java binary, or null to use automatic selection again
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    async setProfileJava(id, javaPath) {
+        try {
+            if (!this.profiles[id]) {
+                throw new Error(`Profile ${id} not found`);
+            }
+
+            if (javaPath) {
+                this.profiles[id].javaDir = javaPath;
+            } else {
+                delete this.profiles[id].javaDir;
+            }
+
+            await this.saveProfiles();
+            return { success: true };
+        } catch (error) {
+            logger.error(`Failed to set Java for profile ${id}: ${error.message}`);
+            return { success: false, error: error.message };
+        }
+    }
+
     async deleteProfile(id) {
         try {
             if (!this.profiles[id]) {
@@ -353,9 +419,10 @@ class ProfileManager {
     }
 
     // Helper method to create forge profile
-    async createForgeProfile(minecraftVersion, forgeVersion) {
+    // Legacy installers name their versions differently (e.g. 1.7.10-Forge10.13.4.1614-1.7.10),
+    // so the installer passes the actual ID
+    async createForgeProfile(minecraftVersion, forgeVersion, versionId = `${minecraftVersion}-forge-${forgeVersion}`) {
         const timestamp = new Date().toISOString();
-        const versionId = `${minecraftVersion}-forge-${forgeVersion}`;
         
         return await this.createProfile({
             name: `Forge ${minecraftVersion}`,
@@ -370,6 +437,21 @@ class ProfileManager {
         });
     }
 
+    // Helper method to create neoforge profile
+    async createNeoForgeProfile(minecraftVersion, neoForgeVersion, versionId = `neoforge-${neoForgeVersion}`) {
+        return await this.createProfile({
+            name: `NeoForge ${minecraftVersion}`,
+            type: 'neoforge',
+            lastVersionId: versionId,
+            gameDir: path.join(this.baseDir, 'neoforge', versionId),
+            icon: 'Anvil',
+            modLoaderData: {
+                neoForgeVersion,
+                minecraftVersion
+            }
+        });
+    }
+
     // Helper method to create fabric profile
     async createFabricProfile(minecraftVersion, fabricVersion) {
         const timestamp = new Date().toISOString();
@@ -388,6 +470,23 @@ class ProfileManager {
         });
     }
     
+    // Helper method to create quilt profile
+    async createQuiltProfile(minecraftVersion, quiltVersion) {
+        const versionId = `quilt-loader-${quiltVersion}-${minecraftVersion}`;
+
+        return await this.createProfile({
+            name: `Quilt ${minecraftVersion}`,
+            type: 'quilt',
+            lastVersionId: versionId,
+            gameDir: path.join(this.baseDir, 'quilt', versionId),
+            icon: 'Loom',
+            modLoaderData: {
+                quiltVersion,
+                minecraftVersion
+            }
+        });
+    }
+
     // New methods for importing from Minecraft launcher profiles
     
     /**
@@ -472,7 +571,9 @@ class ProfileManager {
     convertMinecraftProfile(mcProfile) {
         // Map type
         let type = 'vanilla';
-        if (mcProfile.lastVersionId.includes('forge')) {
+        if (mcProfile.lastVersionId.includes('neoforge')) {
+            type = 'neoforge';
+        } else if (mcProfile.lastVersionId.includes('forge')) {
             type = 'forge';
         } else if (mcProfile.lastVersionId.includes('fabric')) {
             type = 'fabric';
@@ -505,6 +606,7 @@ class ProfileManager {
             gameDir: mcProfile.gameDir || null,
             lastVersionId: mcProfile.lastVersionId,
             javaArgs: javaArgs,
+            ...(mcProfile.javaDir ? { javaDir: mcProfile.javaDir } : {}),
             resolution: resolution,
             created: mcProfile.created || new Date().toISOString(),
             lastUsed: mcProfile.lastUsed || new Date().toISOString()
@@ -0,0 +1,122 @@
+// Masks credentials before they reach launcher.log, the renderer log view or a
+// launch preview. Pattern rules catch tokens by shape and position; exact values
+// registered at runtime (e.g. the current Microsoft access token) are masked anywhere.
+
+const MASK = '[REDACTED]';
+
+// Command-line flags whose following argument is a secret
+const SECRET_FLAGS = ['--accessToken', '--session', '--xuid'];
+
+// Object keys whose values are secrets (compared case-insensitively, ignoring _ and -)
+const SECRET_KEYS = new Set([
+    'accesstoken',
+    'refreshtoken',
+    'idtoken',
+    'xuid',
+    'session',
+    'sessionid',
+    'authsession',
+    'authaccesstoken',
+    'authxuid',
+    'token',
+    'xststoken',
+    'userhash',
+    'uhs'
+]);
+
+const PATTERNS = [
+    // --accessToken <value>, --session <value>, --xuid <value>
+    [new RegExp(`(${SECRET_FLAGS.join('|')})(\\s+|=)("[^"]*"|\\S+)`, 'g'), `$1$2${MASK}`],
+    // "access_token": "...", "refreshToken":"...", 'xuid': '...'
+    [/(["']?(?:access[_-]?token|refresh[_-]?token|id[_-]?token|xuid|session[_-]?id)["']?\s*[:=]\s*)(["'])[^"']*\2/gi, `$1$2${MASK}$2`],
+    // accessToken=..., refresh_token=... in query strings and key=value logs
+    [/\b(access[_-]?token|refresh[_-]?token|session[_-]?id|xuid)=([^&\s"',]+)/gi, `$1=${MASK}`],
+    // Legacy session string token:<accessToken>:<uuid>
+    [/\btoken:[^:\s"']+:([0-9a-f-]{32,36})/gi, `token:${MASK}:$1`],
+    // Authorization headers
+    [/\b(Bearer|XBL3\.0\s+x=[^;\s]+;)\s*[A-Za-z0-9._~+/=-]+/g, `$1 ${MASK}`],
+    // JSON Web Tokens (Minecraft access tokens are JWTs)
+    [/\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]+/g, MASK],
+    // Microsoft compact tokens (M.R3_BAY..., M.C5xx_...)
+    [/\bM\.[A-Z0-9]{2,4}_[A-Z]{2,4}\.[A-Za-z0-9!*$._-]{20,}/g, MASK]
+];
+
+const knownSecrets = new Set();
+
+function normalizeKey(key) {
+    return String(key).toLowerCase().replace(/[_-]/g, '');
+}
+
+/**
+ * Remember a secret value so it is masked wherever it appears, regardless of format
+ * @param {string} value Secret to mask (ignored if empty or too short to be a credential)
+ */
+function registerSecret(value) {
+    if (typeof value === 'string' && value.length >= 8) {
+        knownSecrets.add(value);
+    }
+}
+
+/**
+ * Mask credentials in a string
+ * @param {string} text Text to redact
+ * @returns {string} Redacted text
+ */
+function redact(text) {
+    if (typeof text !== 'string' || !text) return text;
+
+    let result = text;
+    for (const secret of knownSecrets) {
+        result = result.split(secret).join(MASK);
+    }
+    for (const [pattern, replacement] of PATTERNS) {
+        result = result.replace(pattern, replacement);
+    }
+    return result;
+}
+
+/**
+ * Deep-copy a value, masking secret strings and the values of secret keys
+ * @param {*} value Value to redact (string, array, plain object or Error)
+ * @returns {*} Redacted copy
+ */
+function redactValue(value, seen = new WeakSet()) {
+    if (typeof value === 'string') return redact(value);
+    if (!value || typeof value !== 'object') return value;
+
+    if (value instanceof Error) {
+        const copy = new Error(redact(value.message));
+        copy.name = value.name;
+        copy.stack = redact(value.stack || '');
+        return copy;
+    }
+
+    // Leave class instances (Buffers, streams, processes) alone
+    const proto = Object.getPrototypeOf(value);
+    if (!Array.isArray(value) && proto !== Object.prototype && proto !== null) return value;
+
+    if (seen.has(value)) return '[Circular]';
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+        // Flags and their values are separate entries in argument arrays
+        return value.map((item, index) =>
+            SECRET_FLAGS.includes(value[index - 1]) ? MASK : redactValue(item, seen)
+        );
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = SECRET_KEYS.has(normalizeKey(key)) && item !== null && item !== undefined && typeof item !== 'object'
+            ? MASK
+            : redactValue(item, seen);
+    }
+    return copy;
+}
+
+module.exports = {
+    MASK,
+    registerSecret,
+    redact,
+    redactValue
+};
@@ -42,6 +42,9 @@ styleElement.textContent = `
     .version-badge.quilt {
         background-color: #49a58b;
     }
+    .version-badge.neoforge {
+        background-color: #d7742f;
+    }
     .fabric-version {
         border-left: 3px solid #5547b9;
     }
@@ -51,25 +54,12 @@ styleElement.textContent = `
     .quilt-version {
         border-left: 3px solid #49a58b;
     }
+    .neoforge-version {
+        border-left: 3px solid #d7742f;
+    }
 `;
 document.head.appendChild(styleElement);
 
-// Add version comparison function
-function compareVersions(a, b) {
-    const aParts = a.split('.').map(Number);
-    const bParts = b.split('.').map(Number);
-    
-    for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
-        const aPart = aParts[i] || 0;
-        const bPart = bParts[i] || 0;
-        
-        if (aPart > bPart) return -1;
-        if (aPart < bPart) return 1;
-    }
-    
-    return 0;
-}
-
 let isOperationInProgress = false;
 
 function initializeRamSettings() {
@@ -136,6 +126,68 @@ function updateProgress(percent, text, detail = '') {
     if (statusEl && detail) statusEl.textContent = detail;
 }
 
+// ==================== Install Queue ====================
+// Lists queued, running and paused installs in the progress overlay
+function renderInstallJobs(jobs = []) {
+    const container = document.getElementById('progressJobs');
+    if (!container) return;
+
+    const active = jobs.filter(job => ['queued', 'running', 'paused'].includes(job.status));
+    container.innerHTML = '';
+    container.style.display = active.length > 0 ? 'block' : 'none';
+
+    active.forEach((job, index) => {
+        const item = document.createElement('div');
+        item.className = `progress-job ${job.status}`;
+        item.dataset.jobId = job.id;
+        item.innerHTML = `
+            <div class="progress-job-header">
+                <span class="progress-job-title"></span>
+                <span class="progress-job-status"></span>
+            </div>
+            <div class="progress-bar-container">
+                <div class="progress-bar-fill" style="width: ${job.progress}%"></div>
+            </div>
+            <div class="progress-job-actions">
+                <button data-action="up" title="Run earlier" ${index === 0 ? 'disabled' : ''}>&uarr;</button>
+                <button data-action="${job.status === 'paused' ? 'resume' : 'pause'}">${job.status === 'paused' ? 'Resume' : 'Pause'}</button>
+                <button data-action="cancel">Cancel</button>
+            </div>
+        `;
+        item.querySelector('.progress-job-title').textContent = job.title;
+        item.querySelector('.progress-job-status').textContent =
+            job.status === 'running' ? `${Math.round(job.progress)}%` : job.status;
+
+        item.querySelectorAll('button').forEach(button => {
+            button.addEventListener('click', () => {
+                const installs = window.minecraft.installs;
+                switch (button.dataset.action) {
+                    case 'up': return installs.move(job.id, index - 1);
+                    case 'pause': return installs.pause(job.id);
+                    case 'resume': return installs.resume(job.id);
+                    case 'cancel': return installs.cancel(job.id);
+                }
+            });
+        });
+        container.appendChild(item);
+    });
+}
+
+function updateInstallJobProgress({ jobId, progress }) {
+    const item = document.querySelector(`.progress-job[data-job-id="${jobId}"]`);
+    if (!item) return;
+    const fill = item.querySelector('.progress-bar-fill');
+    const status = item.querySelector('.progress-job-status');
+    if (fill) fill.style.width = `${progress}%`;
+    if (status && item.classList.contains('running')) status.textContent = `${Math.round(progress)}%`;
+}
+
+if (window.minecraft && window.minecraft.installs) {
+    window.minecraft.installs.onUpdate(renderInstallJobs);
+    window.minecraft.installs.onProgress(updateInstallJobProgress);
+    window.minecraft.installs.list().then(renderInstallJobs).catch(() => {});
+}
+
 const versionElement = document.getElementById('version');
 const dropdown = document.getElementById('version-dropdown');
 // Changed this line to use username-input instead of username
@@ -155,89 +207,49 @@ if (usernameInput) {
     });
 }
 
+// Snapshots and old alpha/beta builds stay out of the picker unless enabled in Settings > Game;
+// anything already installed is always listed
+function isVersionListed(version) {
+    if (version.status || version.loader) return true;
+    if (version.type === 'snapshot') return localStorage.getItem('showSnapshots') === 'true';
+    if (version.type === 'old_alpha' || version.type === 'old_beta') return localStorage.getItem('showOldVersions') === 'true';
+    return true;
+}
+
 async function fetchVersions() {
     try {
-        let versions = [];
-        
-        if (offlineMode) {
-            window.minecraft.logger.info('Fetching installed versions (offline mode)');
-            // Get all installed versions, including Fabric, Forge, etc.
-            const installedVersions = await window.minecraft.offline.getInstalledVersions();
-            versions = installedVersions;
-        } else {
-            window.minecraft.logger.info('Fetching online versions');
-            // Get vanilla versions from Mojang API
-            const vanillaVersions = await window.minecraft.getVersions();
-            const releaseVersions = vanillaVersions.filter(v => v.type === 'release');
-            versions = releaseVersions;
-            
-            // Add installed modded versions that aren't in the vanilla list
-            try {
-                const installedVersions = await window.minecraft.offline.getInstalledVersions();
-                const moddedVersions = installedVersions.filter(v => {
-                    // Find versions that have modloaders
-                    return v.id.includes('fabric') || v.id.includes('forge') || v.id.includes('quilt');
-                });
-                
-                // Add modded versions to the list with proper type labels
-                for (const modVersion of moddedVersions) {
-                    if (!versions.some(v => v.id === modVersion.id)) {
-                        // Add modded version to the list with type detection
-                        let type = 'release';
-                        if (modVersion.id.includes('fabric')) type = 'fabric';
-                        if (modVersion.id.includes('forge')) type = 'forge';
-                        if (modVersion.id.includes('quilt')) type = 'quilt';
-                        
-                        versions.push({
-                            ...modVersion,
-                            type: type
-                        });
-                    }
-                }
-                
-                window.minecraft.logger.info(`Added ${moddedVersions.length} modded versions to the list`);
-            } catch (error) {
-                window.minecraft.logger.warn(`Failed to get installed modded versions: ${error.message}`);
+        // The main process answers from its manifest cache when Mojang can't be reached
+        window.minecraft.logger.info(`Fetching versions${offlineMode ? ' (offline mode)' : ''}`);
+        const catalog = await window.minecraft.getVersionCatalog({ offline: offlineMode });
+        if (!catalog.success) throw new Error(catalog.error);
+
+        // Offline, only what is on disk can be launched
+        const available = offlineMode ? catalog.versions.filter(v => v.status) : catalog.versions;
+        const versions = available.filter(isVersionListed);
+
+        if (catalog.stale && catalog.fetchedAt) {
+            window.minecraft.logger.info(`Using version list cached at ${new Date(catalog.fetchedAt).toLocaleString()}`);
+        }
+
+        // Never fetched the manifest and can't now: only installed versions are usable
+        if (!offlineMode && !catalog.manifestAvailable && versions.length > 0) {
+            const shouldEnableOffline = confirm(
+                "Failed to fetch online versions. Would you like to enable offline mode?"
+            );
+
+            if (shouldEnableOffline) {
+                offlineToggle.checked = true;
+                offlineMode = true;
+                localStorage.setItem('offlineMode', true);
+
+                // Enable skip verification toggle
+                skipVerificationToggle.disabled = false;
             }
         }
-        
-        // Sort versions by id (newest first)
-        versions.sort((a, b) => compareVersions(a.id, b.id));
-        
+
         return versions;
     } catch (error) {
         window.minecraft.logger.error('Error fetching versions:', error);
-        
-        // If online fetch fails, try to fall back to offline versions
-        if (!offlineMode) {
-            window.minecraft.logger.info('Falling back to installed versions');
-            try {
-                const installedVersions = await window.minecraft.offline.getInstalledVersions();
-                // Sort installed versions
-                installedVersions.sort((a, b) => compareVersions(a.id, b.id));
-                
-                if (installedVersions.length > 0) {
-                    // Suggest enabling offline mode
-                    const shouldEnableOffline = confirm(
-                        "Failed to fetch online versions. Would you like to enable offline mode?"
-                    );
-                    
-                    if (shouldEnableOffline) {
-                        offlineToggle.checked = true;
-                        offlineMode = true;
-                        localStorage.setItem('offlineMode', true);
-                        
-                        // Enable skip verification toggle
-                        skipVerificationToggle.disabled = false;
-                    }
-                    
-                    return installedVersions;
-                }
-            } catch (fallbackError) {
-                window.minecraft.logger.error('Fallback to offline versions failed:', fallbackError);
-            }
-        }
-        
         return [];
     }
 }
@@ -277,6 +289,19 @@ async function handleDoubleShift() {
         return;
     }
 
+    // NeoForge IDs don't carry the Minecraft version; 20.2.x is 1.20.2, 21.0.x is 1.21
+    const neoForgeMatch = currentVersion.match(/^neoforge-(\d+)\.(\d+)\./);
+    if (neoForgeMatch) {
+        const installed = (await fetchVersions()).find(v => v.id === currentVersion);
+        const [, major, minor] = neoForgeMatch;
+        const vanillaVersion = installed?.inheritsFrom || (minor === '0' ? `1.${major}` : `1.${major}.${minor}`);
+        versionElement.textContent = vanillaVersion;
+        versionElement.setAttribute('data-version', vanillaVersion);
+        localStorage.setItem('lastVersion', vanillaVersion);
+        window.minecraft.logger.info(`Switched back to vanilla: ${vanillaVersion}`);
+        return;
+    }
+
     // Currently on vanilla → fetch latest Fabric loader and switch/install
     const fabricVersions = await window.minecraft.modloaders.getFabricVersions();
     if (!fabricVersions || fabricVersions.length === 0) return;
@@ -340,38 +365,12 @@ versionElement.addEventListener('click', async (event) => {
     // Filter versions based on preference
     let filteredVersions = versions;
     if (!showModloaders) {
-        filteredVersions = versions.filter(v => 
-            !v.id.includes('fabric') && 
-            !v.id.includes('forge') && 
-            !v.id.includes('quilt') &&
-            v.type !== 'fabric' && 
-            v.type !== 'forge' && 
-            v.type !== 'quilt'
-        );
+        filteredVersions = versions.filter(v => !v.loader);
     }
     
-    // Sort versions - modloaders first, then vanilla
-    const moddedVersions = [];
-    const vanillaVersions = [];
-    
-    // Split into modded and vanilla arrays
-    filteredVersions.forEach(v => {
-        const isFabric = v.id.includes('fabric') || v.type === 'fabric';
-        const isForge = v.id.includes('forge') || v.type === 'forge';
-        const isQuilt = v.id.includes('quilt');
-        
-        if (isFabric || isForge || isQuilt) {
-            moddedVersions.push(v);
-        } else {
-            vanillaVersions.push(v);
-        }
-    });
-    
-    // Sort each array separately
-    moddedVersions.sort((a, b) => compareVersions(a.id, b.id));
-    vanillaVersions.sort((a, b) => compareVersions(a.id, b.id));
-    
-    // Combine into a single sorted array (modded first, then vanilla)
+    // Modloaders first, then vanilla; both stay newest first as the catalog returns them
+    const moddedVersions = filteredVersions.filter(v => v.loader);
+    const vanillaVersions = filteredVersions.filter(v => !v.loader);
     const sortedVersions = [...moddedVersions, ...vanillaVersions];
     
     // Add notification about Shift key if no modloaders are shown
@@ -388,19 +387,33 @@ versionElement.addEventListener('click', async (event) => {
     // Add versions to dropdown with modloader indicators
     sortedVersions.forEach(v => {
         // Determine if this is a modded version
-        const isFabric = v.id.includes('fabric') || v.type === 'fabric';
-        const isForge = v.id.includes('forge') || v.type === 'forge';
-        const isQuilt = v.id.includes('quilt');
+        const isFabric = v.loader === 'fabric';
+        const isForge = v.loader === 'forge';
+        const isQuilt = v.loader === 'quilt';
+        const isNeoForge = v.loader === 'neoforge';
         
         // Add CSS class based on modloader type
         const typeClass = isFabric ? 'fabric-version' : 
                          isForge ? 'forge-version' : 
-                         isQuilt ? 'quilt-version' : '';
+                         isQuilt ? 'quilt-version' : 
+                         isNeoForge ? 'neoforge-version' : '';
         
         // Add badge based on modloader type
         const typeBadge = isFabric ? '<span class="version-badge fabric">Fabric</span>' : 
                          isForge ? '<span class="version-badge forge">Forge</span>' : 
-                         isQuilt ? '<span class="version-badge quilt">Quilt</span>' : '';
+                         isQuilt ? '<span class="version-badge quilt">Quilt</span>' : 
+                         isNeoForge ? '<span class="version-badge neoforge">NeoForge</span>' : '';
+        
+        // Snapshots and old builds are only listed when enabled, so label them
+        const channelBadge = v.loader ? '' :
+                         v.type === 'snapshot' ? '<span class="version-badge snapshot">Snapshot</span>' :
+                         v.type === 'old_beta' ? '<span class="version-badge old">Beta</span>' :
+                         v.type === 'old_alpha' ? '<span class="version-badge old">Alpha</span>' : '';
+        
+        // Interrupted installs need to be installed again before they can launch
+        const partialBadge = v.status === 'partial'
+            ? '<span class="version-badge partial" title="Installation did not finish">Partial</span>'
+            : '';
         
         // Extract clean version number for display
         let displayVersion = v.id;
@@ -421,14 +434,21 @@ versionElement.addEventListener('click', async (event) => {
         } else if (isForge && v.id.includes('forge-')) {
             displayVersion = v.id.replace('forge-', '');
         } else if (isQuilt && v.id.includes('quilt-')) {
-            displayVersion = v.id.replace('quilt-', '');
+            // Quilt IDs follow Fabric's: quilt-loader-x.x.x-mcversion
+            const quiltMatch = v.id.match(/quilt-loader-[^-]+(?:-(?:beta|pre|rc)[^-]*)?-(.+)/);
+            displayVersion = quiltMatch ? quiltMatch[1] : v.id.replace('quilt-', '');
+        } else if (isNeoForge && v.id.startsWith('neoforge-')) {
+            displayVersion = v.id.replace('neoforge-', '');
         }
         
         // Store the version ID in data-version attribute without any modifications
         dropdown.insertAdjacentHTML('beforeend', 
-            `<div class="version-item ${typeClass}" data-version="${v.id}" data-type="${v.type || 'vanilla'}">
+            `<div class="version-item ${typeClass}" data-version="${v.id}" data-type="${v.loader || v.type || 'vanilla'}" title="${v.java ? `Java ${v.java}` : ''}">
                 ${typeBadge}
                 <span class="version-text">${displayVersion}</span>
+                ${channelBadge}
+                ${partialBadge}
+                ${v.status ? `<button class="version-uninstall" data-uninstall="${v.id}" title="Uninstall">&times;</button>` : ''}
              </div>`
         );
     });
@@ -444,6 +464,13 @@ document.addEventListener('click', (e) => {
 
 // Modify version selection to use data-version attribute and store only the version ID
 dropdown.addEventListener('click', (e) => {
+    const uninstallButton = e.target.closest('.version-uninstall');
+    if (uninstallButton) {
+        dropdown.style.display = 'none';
+        uninstallVersion(uninstallButton.getAttribute('data-uninstall'));
+        return;
+    }
+
     // Handle clicks on both the version item div and any children (like badge spans)
     const versionItem = e.target.closest('.version-item');
     
@@ -488,9 +515,15 @@ document.getElementById('toggleAutoscroll').addEventListener('click', (e) => {
     e.target.style.opacity = autoscroll ? 1 : 0.5;
 });
 
+// Raw game output the launcher logs for its log file; the pane shows it parsed instead
+const RAW_GAME_OUTPUT = /^Game (stdout|stderr): /;
+
 function addLogEntry(entry) {
+    if (RAW_GAME_OUTPUT.test(entry.message)) return;
+
     const div = document.createElement('div');
     div.className = `log-entry log-${entry.level}`;
+    div.dataset.timestamp = new Date(entry.timestamp).getTime();
     div.textContent = `[${new Date(entry.timestamp).toLocaleTimeString()}] ${entry.message}`;
     logContent.appendChild(div);
     
@@ -501,6 +534,127 @@ function addLogEntry(entry) {
 
 window.minecraft.logger.addLogListener(addLogEntry);
 
+// Game console: parsed log4j output of the session shown in the debug panel
+const GAME_LOG_LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+const gameLogFilter = { level: '', search: '' };
+let gameLogSessionId = null;
+
+function gameLogMatches(entry) {
+    if (gameLogFilter.level &&
+        GAME_LOG_LEVELS.indexOf(entry.level) < GAME_LOG_LEVELS.indexOf(gameLogFilter.level)) {
+        return false;
+    }
+    if (!gameLogFilter.search) return true;
+    const term = gameLogFilter.search.toLowerCase();
+    return [entry.message, entry.logger, entry.thread, entry.throwable]
+        .some(field => field && field.toLowerCase().includes(term));
+}
+
+function createGameLogEntry(entry) {
+    const div = document.createElement('div');
+    div.className = `log-entry log-${entry.level} game-log-entry`;
+    div.dataset.timestamp = entry.receivedAt;
+    const source = entry.thread ? `[${entry.thread}/${entry.level.toUpperCase()}] ` : '';
+    div.textContent = `[${entry.time}] ${source}${entry.message}${entry.throwable ? `\n${entry.throwable}` : ''}`;
+    return div;
+}
+
+function addGameLogEntry(entry) {
+    const div = createGameLogEntry(entry);
+    logContent.appendChild(div);
+
+    if (autoscroll) {
+        div.scrollIntoView({ behavior: 'smooth' });
+    }
+}
+
+// Re-fetch the session's buffered log with the current filter
+async function reloadGameLog() {
+    if (!gameLogSessionId) return;
+    const result = await window.minecraft.sessions.getLogs(gameLogSessionId, { ...gameLogFilter, limit: 1000 });
+    logContent.querySelectorAll('.game-log-entry').forEach(el => el.remove());
+
+    // Put the entries back between the launcher's own entries in the order they arrived
+    const launcherEntries = Array.from(logContent.children);
+    let next = 0;
+    for (const entry of result?.entries || []) {
+        while (next < launcherEntries.length && Number(launcherEntries[next].dataset.timestamp) <= entry.receivedAt) {
+            next++;
+        }
+        logContent.insertBefore(createGameLogEntry(entry), launcherEntries[next] || null);
+    }
+}
+
+function showGameLog(sessionId) {
+    gameLogSessionId = sessionId;
+    reloadGameLog().catch(err => window.minecraft.logger.warn(`Failed to load game log: ${err.message}`));
+}
+
+// Session picker in the debug panel, one option per running game
+function renderGameSessions() {
+    const select = document.getElementById('gameLogSession');
+    if (!select) return;
+    select.innerHTML = '';
+    for (const [sessionId, version] of runningSessions) {
+        const option = document.createElement('option');
+        option.value = sessionId;
+        option.textContent = `${version} (${sessionId.slice(0, 8)})`;
+        select.appendChild(option);
+    }
+    // A game that has exited keeps its log shown until another one is picked
+    const shownRunning = runningSessions.has(gameLogSessionId);
+    if (!shownRunning) {
+        const option = document.createElement('option');
+        option.textContent = 'Closed game';
+        option.disabled = true;
+        select.prepend(option);
+    }
+    select.selectedIndex = shownRunning ? Array.from(runningSessions.keys()).indexOf(gameLogSessionId) : 0;
+    document.getElementById('focusGameSession').disabled = !shownRunning;
+    document.getElementById('stopGameSession').disabled = !shownRunning;
+
+    const display = runningSessions.size > 0 ? '' : 'none';
+    ['gameLogSession', 'focusGameSession', 'stopGameSession'].forEach(id => {
+        document.getElementById(id).style.display = display;
+    });
+}
+
+document.getElementById('gameLogSession')?.addEventListener('change', (e) => {
+    showGameLog(e.target.value);
+    renderGameSessions();
+});
+
+document.getElementById('focusGameSession')?.addEventListener('click', async () => {
+    const result = await window.minecraft.sessions.focus(document.getElementById('gameLogSession').value);
+    if (!result?.success) window.minecraft.logger.warn(`Could not focus the game: ${result?.error}`);
+});
+
+document.getElementById('stopGameSession')?.addEventListener('click', async () => {
+    const sessionId = document.getElementById('gameLogSession').value;
+    if (!confirm(`Stop Minecraft ${runningSessions.get(sessionId)}? Unsaved progress will be lost.`)) return;
+    const result = await window.minecraft.sessions.kill(sessionId);
+    if (!result?.success) window.minecraft.logger.warn(`Could not stop the game: ${result?.error}`);
+});
+
+window.minecraft.sessions?.onLog(({ sessionId, entries }) => {
+    if (sessionId !== gameLogSessionId) return;
+    entries.filter(gameLogMatches).forEach(addGameLogEntry);
+});
+
+document.getElementById('gameLogLevel')?.addEventListener('change', (e) => {
+    gameLogFilter.level = e.target.value;
+    reloadGameLog();
+});
+
+let gameLogSearchTimer = null;
+document.getElementById('gameLogSearch')?.addEventListener('input', (e) => {
+    clearTimeout(gameLogSearchTimer);
+    gameLogSearchTimer = setTimeout(() => {
+        gameLogFilter.search = e.target.value.trim();
+        reloadGameLog();
+    }, 250);
+});
+
 window.addEventListener('DOMContentLoaded', async () => {
     window.minecraft.logger.info('=== DOM loaded ===');
 
@@ -862,8 +1016,7 @@ function initSettings() {
                 if (versions) {
                     const releaseTypes = ['release', 'snapshot'];
                     versions
-                        .filter(v => releaseTypes.includes(v.type))
-                        .sort((a, b) => compareVersions(a.id, b.id))
+                        .filter(v => !v.loader && releaseTypes.includes(v.type))
                         .forEach(v => {
                             const opt = document.createElement('option');
                             opt.value = v.id;
@@ -1020,6 +1173,18 @@ function initSettings() {
         } catch {}
     });
     
+    const showSnapshots = document.getElementById('showSnapshots');
+    if (showSnapshots) {
+        showSnapshots.checked = localStorage.getItem('showSnapshots') === 'true';
+        showSnapshots.addEventListener('change', () => localStorage.setItem('showSnapshots', showSnapshots.checked));
+    }
+    
+    const showOldVersions = document.getElementById('showOldVersions');
+    if (showOldVersions) {
+        showOldVersions.checked = localStorage.getItem('showOldVersions') === 'true';
+        showOldVersions.addEventListener('change', () => localStorage.setItem('showOldVersions', showOldVersions.checked));
+    }
+    
     // Launcher
     const closeAfterLaunch = document.getElementById('closeAfterLaunch');
     if (closeAfterLaunch) {
@@ -1049,13 +1214,28 @@ function initSettings() {
     const downloadThreads = document.getElementById('downloadThreads');
     if (downloadThreads) {
         downloadThreads.value = localStorage.getItem('downloadThreads') || '4';
-        downloadThreads.addEventListener('change', () => localStorage.setItem('downloadThreads', downloadThreads.value));
+        downloadThreads.addEventListener('change', () => {
+            localStorage.setItem('downloadThreads', downloadThreads.value);
+            syncMainSettings();
+        });
     }
     
     const connectionTimeout = document.getElementById('connectionTimeout');
     if (connectionTimeout) {
         connectionTimeout.value = localStorage.getItem('connectionTimeout') || '30';
-        connectionTimeout.addEventListener('change', () => localStorage.setItem('connectionTimeout', connectionTimeout.value));
+        connectionTimeout.addEventListener('change', () => {
+            localStorage.setItem('connectionTimeout', connectionTimeout.value);
+            syncMainSettings();
+        });
+    }
+
+    const downloadMirror = document.getElementById('downloadMirror');
+    if (downloadMirror) {
+        downloadMirror.value = localStorage.getItem('downloadMirror') || 'official';
+        downloadMirror.addEventListener('change', () => {
+            localStorage.setItem('downloadMirror', downloadMirror.value);
+            syncMainSettings();
+        });
     }
     
     // Diagnostics
@@ -1120,9 +1300,69 @@ function initSettings() {
         }
     });
     
+    const sharedStore = document.getElementById('sharedStore');
+    if (sharedStore) {
+        sharedStore.value = localStorage.getItem('sharedStore') || '';
+        sharedStore.addEventListener('change', () => {
+            localStorage.setItem('sharedStore', sharedStore.value.trim());
+            syncMainSettings();
+        });
+    }
+
+    document.getElementById('browseSharedStore')?.addEventListener('click', async () => {
+        try {
+            const result = await window.minecraft.system.selectDirectory();
+            if (result) {
+                sharedStore.value = result;
+                localStorage.setItem('sharedStore', result);
+                syncMainSettings();
+            }
+        } catch {}
+    });
+
+    document.getElementById('dedupeStore')?.addEventListener('click', async () => {
+        try {
+            const preview = await window.minecraft.storage.dedupe({ dryRun: true });
+            if (!preview.success) {
+                showConfirmDialog('Cannot Deduplicate', preview.error, 'OK');
+                return;
+            }
+            const confirmed = await showConfirmDialog('Deduplicate Files',
+                `${preview.linked} duplicate files (${formatBytes(preview.bytes)}) will be linked to the shared store ` +
+                `and ${preview.stored} files added to it.`, 'Deduplicate');
+            if (!confirmed) return;
+
+            const result = await window.minecraft.storage.dedupe();
+            if (!result.success) throw new Error(result.error);
+            window.minecraft.logger.info(`Linked ${result.linked} files to the shared store, saved ${formatBytes(result.bytes)}`);
+        } catch (err) {
+            window.minecraft.logger.error('Failed to deduplicate files:', err);
+        }
+    });
+
+    document.getElementById('removeUnusedFiles')?.addEventListener('click', async () => {
+        try {
+            const preview = await window.minecraft.storage.collectGarbage({ dryRun: true });
+            if (!preview.success) throw new Error(preview.error);
+            if (preview.files.length === 0) {
+                showConfirmDialog('Nothing to Remove', 'Every library and asset is used by an installed version.', 'OK');
+                return;
+            }
+            const confirmed = await showConfirmDialog('Remove Unused Files',
+                `${describeCleanup(preview)}\n\nThese can be downloaded again if a version needs them.`, 'Remove');
+            if (!confirmed) return;
+
+            const result = await window.minecraft.storage.collectGarbage();
+            if (!result.success) throw new Error(result.error);
+            window.minecraft.logger.info(`Removed ${result.files.length} unused files (${formatBytes(result.bytes)})`);
+        } catch (err) {
+            window.minecraft.logger.error('Failed to remove unused files:', err);
+        }
+    });
+    
     // Data
     document.getElementById('exportSettings')?.addEventListener('click', () => {
-        const keys = ['maxRam', 'minRam', 'fullscreen', 'offlineMode', 'skipVerification', 'jvmArgs', 'gcType', 'javaPath', 'theme', 'gameWidth', 'gameHeight', 'gameDir', 'closeAfterLaunch', 'minimizeToTray', 'discordRpc', 'checkUpdates', 'downloadThreads', 'connectionTimeout', 'devConsole', 'verboseLogging', 'logLevel', 'gameProfiler', 'crashReportBehavior', 'gameServerAddress', 'gameServerPort', 'gameArgs', 'skipTitleScreen', 'demoMode', 'nativeLauncher', 'lastVersion', 'showModloaders'];
+        const keys = ['maxRam', 'minRam', 'fullscreen', 'offlineMode', 'skipVerification', 'jvmArgs', 'gcType', 'javaPath', 'theme', 'gameWidth', 'gameHeight', 'gameDir', 'closeAfterLaunch', 'minimizeToTray', 'discordRpc', 'checkUpdates', 'downloadThreads', 'connectionTimeout', 'downloadMirror', 'sharedStore', 'showSnapshots', 'showOldVersions', 'devConsole', 'verboseLogging', 'logLevel', 'gameProfiler', 'crashReportBehavior', 'gameServerAddress', 'gameServerPort', 'gameArgs', 'skipTitleScreen', 'demoMode', 'nativeLauncher', 'lastVersion', 'showModloaders'];
         const data = {};
         keys.forEach(k => { const v = localStorage.getItem(k); if (v !== null) data[k] = v; });
         const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
@@ -1153,7 +1393,7 @@ function initSettings() {
     
     // Danger Zone
     document.getElementById('resetSettings')?.addEventListener('click', () => {
-        const keys = ['maxRam', 'minRam', 'fullscreen', 'offlineMode', 'skipVerification', 'jvmArgs', 'gcType', 'javaPath', 'theme', 'gameWidth', 'gameHeight', 'gameDir', 'closeAfterLaunch', 'minimizeToTray', 'discordRpc', 'checkUpdates', 'downloadThreads', 'connectionTimeout', 'devConsole', 'verboseLogging', 'logLevel', 'gameProfiler', 'crashReportBehavior', 'gameServerAddress', 'gameServerPort', 'gameArgs', 'skipTitleScreen', 'demoMode', 'nativeLauncher', 'lastVersion', 'showModloaders'];
+        const keys = ['maxRam', 'minRam', 'fullscreen', 'offlineMode', 'skipVerification', 'jvmArgs', 'gcType', 'javaPath', 'theme', 'gameWidth', 'gameHeight', 'gameDir', 'closeAfterLaunch', 'minimizeToTray', 'discordRpc', 'checkUpdates', 'downloadThreads', 'connectionTimeout', 'downloadMirror', 'sharedStore', 'showSnapshots', 'showOldVersions', 'devConsole', 'verboseLogging', 'logLevel', 'gameProfiler', 'crashReportBehavior', 'gameServerAddress', 'gameServerPort', 'gameArgs', 'skipTitleScreen', 'demoMode', 'nativeLauncher', 'lastVersion', 'showModloaders'];
         keys.forEach(k => localStorage.removeItem(k));
         window.minecraft.logger.info('All settings reset to defaults');
         location.reload();
@@ -1162,6 +1402,13 @@ function initSettings() {
     // World Manager
     document.getElementById('openWorldManager')?.addEventListener('click', openWorldManager);
 
+    // Mod Manager
+    document.getElementById('openModManager')?.addEventListener('click', openModManager);
+    initializeModDropZone();
+
+    // Disk Usage
+    document.getElementById('openDiskUsage')?.addEventListener('click', openDiskUsage);
+
     // Crash Reports
     document.getElementById('openCrashReports')?.addEventListener('click', openCrashReports);
 
@@ -1172,6 +1419,15 @@ function initSettings() {
     // Set up crash toast
     setupCrashToast();
 
+    // Forget sessions as their games exit
+    window.minecraft.onGameClose((data) => {
+        runningSessions.delete(data.sessionId);
+        window.minecraft.logger.info(`Minecraft ${data.version} session ${data.sessionId} closed (${data.message})`);
+        renderGameSessions();
+    });
+
+    syncMainSettings();
+
     // Generic modal close: any .modal-close inside a .modal closes its parent
     document.querySelectorAll('.modal .modal-close').forEach(btn => {
         btn.addEventListener('click', () => {
@@ -1251,7 +1507,9 @@ async function loadServers() {
             item.querySelector('.start')?.addEventListener('click', async (e) => {
                 e.stopPropagation();
                 try {
-                    await window.minecraft.server.start(s.name, s.memory || 2048);
+                    // The configured Java applies to servers too; main warns when it can't run the version
+                    const result = await window.minecraft.server.start(s.name, s.memory || 2048, localStorage.getItem('javaPath') || null);
+                    result?.warnings?.forEach(warning => window.minecraft.logger.warn(warning));
                 } catch (err) {
                     window.minecraft.logger.error(`Failed to start server ${s.name}:`, err);
                 }
@@ -1292,9 +1550,52 @@ async function loadServers() {
 }
 
 // Add these global variables at the top of the file
-let gameRunning = false;
+const runningSessions = new Map(); // sessionId -> version, one entry per running game
 let launchInProgress = false;
 
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+// One line per kind of file in a cleanup report, e.g. "Libraries: 12 files, 4.1 MB"
+function describeCleanup(report) {
+    const labels = { version: 'Version files', library: 'Libraries', asset: 'Assets', 'asset-index': 'Asset indexes', 'log-config': 'Logging configs' };
+    const lines = Object.entries(report.counts).map(([kind, { files, bytes }]) =>
+        `${labels[kind] || kind}: ${files} file${files === 1 ? '' : 's'}, ${formatBytes(bytes)}`);
+    return [...lines, `Total: ${formatBytes(report.bytes)}`].join('\n');
+}
+
+async function uninstallVersion(version) {
+    try {
+        const preview = await window.minecraft.storage.uninstall(version, { dryRun: true });
+        if (!preview.success) {
+            showConfirmDialog('Cannot Uninstall', preview.error, 'OK');
+            return;
+        }
+        const confirmed = await showConfirmDialog(`Uninstall ${version}?`,
+            `${describeCleanup(preview)}\n\nWorlds, mods and settings are not touched.`, 'Uninstall');
+        if (!confirmed) return;
+
+        const result = await window.minecraft.storage.uninstall(version);
+        if (!result.success) throw new Error(result.error);
+        window.minecraft.logger.info(`Uninstalled ${version}, freed ${formatBytes(result.bytes)}`);
+
+        if (versionElement.getAttribute('data-version') === version) {
+            localStorage.removeItem('lastVersion');
+        }
+    } catch (error) {
+        window.minecraft.logger.error(`Failed to uninstall ${version}: ${error.message}`);
+        showConfirmDialog('Uninstall Failed', error.message, 'OK');
+    }
+}
+
 function showConfirmDialog(title, message, confirmText = 'Yes', cancelText = 'Cancel') {
     return new Promise((resolve) => {
         let backdrop = document.getElementById('confirmBackdrop');
@@ -1360,7 +1661,17 @@ function showConfirmDialog(title, message, confirmText = 'Yes', cancelText = 'Ca
     });
 }
 
-async function ensureJavaInstalled(javaVersion = 21) {
+async function ensureJavaInstalled(javaVersion = 21, component = null) {
+    if (component) {
+        const managed = await installJavaWithProgress({ javaVersion, component }, `Downloading Java ${javaVersion} runtime...`)
+            .then(() => true)
+            .catch((error) => {
+                window.minecraft.logger.warn(`Managed Java runtime unavailable: ${error.message}`);
+                return false;
+            });
+        if (managed) return true;
+    }
+
     const javaCheck = await window.minecraft.checkJava({ minVersion: javaVersion });
     if (javaCheck.installed) return true;
 
@@ -1383,7 +1694,11 @@ async function ensureJavaInstalled(javaVersion = 21) {
     }
 
     if (wasProgressShown) showProgress(true);
-    updateProgress(40, `Downloading Eclipse Temurin ${javaVersion} JRE...`);
+    return installJavaWithProgress({ javaVersion }, `Downloading Eclipse Temurin ${javaVersion} JRE...`);
+}
+
+function installJavaWithProgress(options, message) {
+    updateProgress(40, message);
 
     return new Promise((resolve, reject) => {
         window.minecraft.onJavaInstallProgress((progress) => {
@@ -1400,7 +1715,7 @@ async function ensureJavaInstalled(javaVersion = 21) {
             }
         });
 
-        window.minecraft.installJava({ javaVersion }).then((result) => {
+        window.minecraft.installJava(options).then((result) => {
             if (result && result.success) {
                 updateProgress(70, 'Java installed!');
                 resolve(true);
@@ -1413,9 +1728,86 @@ async function ensureJavaInstalled(javaVersion = 21) {
     });
 }
 
+// Global launch settings as saved by the settings panel
+function getLaunchSettings() {
+    return {
+        lastVersion: localStorage.getItem('lastVersion'),
+        lastUsername: localStorage.getItem('lastUsername'),
+        offlineMode: localStorage.getItem('offlineMode') === 'true',
+        maxRam: localStorage.getItem('maxRam'),
+        minRam: localStorage.getItem('minRam'),
+        jvmArgs: localStorage.getItem('jvmArgs') || '',
+        gameArgs: localStorage.getItem('gameArgs') || '',
+        gameServerAddress: localStorage.getItem('gameServerAddress') || '',
+        gameServerPort: localStorage.getItem('gameServerPort'),
+        skipTitleScreen: localStorage.getItem('skipTitleScreen') === 'true',
+        demoMode: localStorage.getItem('demoMode') === 'true',
+        gameWidth: localStorage.getItem('gameWidth'),
+        gameHeight: localStorage.getItem('gameHeight'),
+        fullscreen: localStorage.getItem('fullscreen') === 'true',
+        javaPath: localStorage.getItem('javaPath') || '',
+        gcType: localStorage.getItem('gcType') || 'G1GC',
+        gameDir: localStorage.getItem('gameDir') || '',
+        gameProfiler: localStorage.getItem('gameProfiler') === 'true',
+        crashReportBehavior: localStorage.getItem('crashReportBehavior') || 'prompt',
+        closeAfterLaunch: localStorage.getItem('closeAfterLaunch') === 'true'
+    };
+}
+
+// Same settings in the shape launch-game expects
+function getLaunchSettingsAsOptions() {
+    const settings = getLaunchSettings();
+    return {
+        maxRam: parseInt(settings.maxRam) || 2048,
+        minRam: parseInt(settings.minRam) || 512,
+        jvmArgs: settings.jvmArgs,
+        gameArgs: settings.gameArgs,
+        serverAddress: settings.gameServerAddress,
+        serverPort: parseInt(settings.gameServerPort) || 25565,
+        skipTitleScreen: settings.skipTitleScreen,
+        demoMode: settings.demoMode,
+        gameWidth: parseInt(settings.gameWidth) || 854,
+        gameHeight: parseInt(settings.gameHeight) || 480,
+        fullscreen: settings.fullscreen,
+        javaPath: settings.javaPath,
+        gcType: settings.gcType,
+        gameDir: settings.gameDir || undefined,
+        gameProfiler: settings.gameProfiler,
+        crashReportBehavior: settings.crashReportBehavior,
+        closeAfterLaunch: settings.closeAfterLaunch
+    };
+}
+
+// Push the settings the main process uses outside of a launch (installers)
+function syncMainSettings() {
+    window.minecraft.settings.sync({
+        downloadThreads: parseInt(localStorage.getItem('downloadThreads')) || 4,
+        connectionTimeout: parseInt(localStorage.getItem('connectionTimeout')) || 30,
+        downloadMirror: localStorage.getItem('downloadMirror') || 'official',
+        sharedStore: localStorage.getItem('sharedStore') || ''
+    }).catch(err => window.minecraft.logger.warn(`Failed to sync settings: ${err.message}`));
+}
+
+// Find the saved profile that launches the given version
+async function findProfileIdForVersion(version) {
+    try {
+        const result = await window.minecraft.profiles.get();
+        const profiles = result?.profiles || {};
+        const defaultProfile = result?.defaultProfile;
+        if (defaultProfile && defaultProfile.lastVersionId === version) {
+            return defaultProfile.id;
+        }
+        const match = Object.entries(profiles).find(([, profile]) => profile.lastVersionId === version);
+        return match ? match[0] : null;
+    } catch (error) {
+        window.minecraft.logger.warn(`Could not look up profile for ${version}: ${error.message}`);
+        return null;
+    }
+}
+
 // Update the playGame function to disable UI during launch
 async function playGame() {
-    if (isOperationInProgress || gameRunning || launchInProgress) return;
+    if (isOperationInProgress || launchInProgress) return;
     
     launchInProgress = true;
     
@@ -1472,36 +1864,54 @@ async function playGame() {
         
         updateProgress(35, 'Checking Java requirements...');
         let javaReqVer = 21;
+        let javaComponent = null;
         try {
             const javaInfo = await window.minecraft.getRequiredJavaVersion(version);
             javaReqVer = javaInfo.version || 21;
+            // A configured Java path is used as-is, so don't fetch a runtime it would override
+            javaComponent = localStorage.getItem('javaPath') ? null : (javaInfo.component || null);
         } catch (e) { /* use default */ }
         updateProgress(40, `Checking Java ${javaReqVer} installation...`);
-        await ensureJavaInstalled(javaReqVer);
+        await ensureJavaInstalled(javaReqVer, javaComponent);
         
         updateProgress(60, 'Launching game...');
-        const launched = await window.minecraft.launchGame(version, username, { 
-            offline: offlineMode,
-            maxRam: maxRam,
-            minRam: parseInt(localStorage.getItem('minRam')) || 512,
-            jvmArgs: localStorage.getItem('jvmArgs') || '',
-            gameArgs: localStorage.getItem('gameArgs') || '',
-            serverAddress: localStorage.getItem('gameServerAddress') || '',
-            serverPort: parseInt(localStorage.getItem('gameServerPort')) || 25565,
-            skipTitleScreen: localStorage.getItem('skipTitleScreen') === 'true',
-            demoMode: localStorage.getItem('demoMode') === 'true',
-            nativeLauncher: localStorage.getItem('nativeLauncher') === 'true',
-            gameWidth: parseInt(localStorage.getItem('gameWidth')) || 854,
-            gameHeight: parseInt(localStorage.getItem('gameHeight')) || 480,
-        });
+        const overrides = { version, username, offline: offlineMode };
+        const profileId = await findProfileIdForVersion(version);
+        let launched;
+        if (profileId) {
+            launched = await window.minecraft.launchProfile(profileId, getLaunchSettings(), overrides);
+        } else {
+            // No saved profile yet - main creates one for this version on launch
+            launched = await window.minecraft.launchGame(version, username, {
+                ...getLaunchSettingsAsOptions(),
+                ...overrides
+            });
+        }
+        
+        if (launched.config) {
+            const cfg = launched.config;
+            window.minecraft.logger.info(
+                `Effective launch config: ${cfg.version} as ${cfg.username}, ` +
+                `${cfg.minRam}-${cfg.maxRam}MB, ${cfg.gameWidth}x${cfg.gameHeight}, ` +
+                `gameDir ${cfg.gameDir}${cfg.jvmArgs ? `, JVM args "${cfg.jvmArgs}"` : ''}`
+            );
+        }
+        (launched.warnings || []).forEach(warning => window.minecraft.logger.warn(warning));
         
         if (launched.success) {
             updateProgress(100, 'Game launched successfully!');
-            gameRunning = true;
+            if (launched.sessionId) {
+                runningSessions.set(launched.sessionId, version);
+                showGameLog(launched.sessionId);
+                renderGameSessions();
+            }
             
-            // Hide progress overlay
+            // Hide progress overlay (main closes the window itself for closeAfterLaunch)
             setTimeout(() => {
                 showProgress(false);
+                // Controls stay usable so another instance can be started alongside this one
+                disableAllControls(false);
+                if (localStorage.getItem('closeAfterLaunch') === 'true') return;
                 // Hide the launcher after a short delay
                 setTimeout(() => {
                     window.minecraft.ipc.invoke('hide-window');
@@ -2004,6 +2414,12 @@ window.addEventListener('DOMContentLoaded', () => {
 // ==================== Crash Toast ====================
 function setupCrashToast() {
     window.crashReports.onCrash((data) => {
+        // "Always show" skips the toast and opens the report directly
+        if (data.behavior === 'always') {
+            showCrashReportModal(data);
+            return;
+        }
+
         const toast = document.getElementById('crashToast');
         const text = document.getElementById('crashToastText');
         const btn = document.getElementById('crashToastBtn');
@@ -2115,6 +2531,184 @@ async function openWorldManager() {
     }
 }
 
+// ==================== Mod Manager ====================
+const MOD_LOADER_NAMES = { fabric: 'Fabric', quilt: 'Quilt', forge: 'Forge', neoforge: 'NeoForge' };
+
+async function openModManager() {
+    const modal = document.getElementById('modManagerModal');
+    const list = document.getElementById('modList');
+    if (!modal || !list) return;
+    modal.classList.add('active');
+    list.innerHTML = '<div class="no-worlds">Loading mods...</div>';
+    try {
+        const mods = await window.mods.get();
+        list.innerHTML = '';
+        if (!mods || mods.length === 0) {
+            list.innerHTML = '<div class="no-worlds">No mods installed in this profile</div>';
+            return;
+        }
+        mods.forEach(mod => {
+            const item = document.createElement('div');
+            item.className = `world-item${mod.enabled ? '' : ' mod-disabled'}`;
+            item.innerHTML = `
+                <img class="mod-icon" alt="">
+                <div class="world-info">
+                    <span class="world-name"></span>
+                    <span class="world-meta mod-details"></span>
+                    <span class="world-meta mod-dependencies"></span>
+                </div>
+                <span class="world-size">${formatBytes(mod.size)}</span>
+                <div class="world-actions">
+                    <button class="world-action-btn toggle">${mod.enabled ? 'Disable' : 'Enable'}</button>
+                    <button class="world-action-btn delete">Remove</button>
+                </div>
+            `;
+            // Metadata comes from the jar, so it is only ever set as text
+            const icon = item.querySelector('.mod-icon');
+            if (mod.icon) icon.src = mod.icon;
+            else icon.style.visibility = 'hidden';
+            item.title = [mod.file, mod.description].filter(Boolean).join('\n\n');
+            item.querySelector('.world-name').textContent = mod.version ? `${mod.name} ${mod.version}` : mod.name;
+            item.querySelector('.mod-details').textContent = [
+                MOD_LOADER_NAMES[mod.loader],
+                mod.id,
+                mod.authors.length ? `by ${mod.authors.join(', ')}` : ''
+            ].filter(Boolean).join(' · ');
+            item.querySelector('.mod-dependencies').textContent = mod.dependencies.length
+                ? 'Requires: ' + mod.dependencies.map(d => `${d.id}${d.version && d.version !== '*' ? ` ${d.version}` : ''}${d.required ? '' : ' (optional)'}`).join(', ')
+                : '';
+
+            item.querySelector('.toggle').addEventListener('click', async () => {
+                const result = await window.mods.setEnabled(mod.file, !mod.enabled);
+                if (result.success) {
+                    openModManager();
+                } else {
+                    alert(`Could not ${mod.enabled ? 'disable' : 'enable'} mod: ` + (result.error || 'Unknown error'));
+                }
+            });
+            item.querySelector('.delete').addEventListener('click', async () => {
+                if (!confirm(`Remove "${mod.name}" from this profile?`)) return;
+                const result = await window.mods.remove(mod.file);
+                if (result.success) {
+                    window.minecraft.logger.info(`Mod ${mod.file} removed`);
+                    openModManager();
+                } else {
+                    alert('Remove failed: ' + (result.error || 'Unknown error'));
+                }
+            });
+            list.appendChild(item);
+        });
+    } catch (e) {
+        list.innerHTML = '';
+        const message = document.createElement('div');
+        message.className = 'no-worlds';
+        message.textContent = 'Failed to load mods: ' + e.message;
+        list.appendChild(message);
+    }
+}
+
+function initializeModDropZone() {
+    const modal = document.getElementById('modManagerModal');
+    const zone = document.getElementById('modDropZone');
+    if (!modal || !zone) return;
+
+    // The whole dialog accepts drops; without preventDefault Electron would open the file
+    modal.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        zone.classList.add('dragging');
+    });
+    modal.addEventListener('dragleave', (e) => {
+        if (!modal.contains(e.relatedTarget)) zone.classList.remove('dragging');
+    });
+    modal.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        zone.classList.remove('dragging');
+        const paths = Array.from(e.dataTransfer.files).map(file => file.path).filter(Boolean);
+        if (paths.length === 0) return;
+
+        const result = await window.mods.add(paths);
+        if (!result.success) {
+            alert('Adding mods failed: ' + (result.error || 'Unknown error'));
+            return;
+        }
+        window.minecraft.logger.info(`Added ${result.added.length} mod(s)`);
+        if (result.skipped.length > 0) {
+            alert('Some files were not added:\n' + result.skipped.map(s => `${s.file}: ${s.reason}`).join('\n'));
+        }
+        openModManager();
+    });
+}
+
+// ==================== Disk Usage ====================
+const DISK_USAGE_LABELS = {
+    versions: 'Versions',
+    libraries: 'Libraries',
+    assets: 'Assets',
+    runtimes: 'Java Runtimes',
+    profiles: 'Profile Folders',
+    worlds: 'Worlds',
+    backups: 'Backups',
+    servers: 'Servers'
+};
+
+async function openDiskUsage() {
+    const modal = document.getElementById('diskUsageModal');
+    const list = document.getElementById('diskUsageList');
+    if (!modal || !list) return;
+    modal.classList.add('active');
+    list.innerHTML = '<div class="no-worlds">Measuring...</div>';
+    try {
+        const usage = await window.minecraft.storage.getUsage();
+        if (!usage.success) throw new Error(usage.error);
+        list.innerHTML = '';
+
+        const summary = document.createElement('div');
+        summary.className = 'disk-usage-summary';
+        summary.textContent = usage.volume
+            ? `Launcher files: ${formatBytes(usage.total)} · ${formatBytes(usage.volume.free)} free of ${formatBytes(usage.volume.size)} on ${usage.volume.diskPath}`
+            : `Launcher files: ${formatBytes(usage.total)}`;
+        list.appendChild(summary);
+
+        Object.entries(usage.categories)
+            .sort(([, a], [, b]) => b.bytes - a.bytes)
+            .forEach(([name, category]) => {
+                const section = document.createElement('details');
+                section.className = 'disk-usage-category';
+                const percent = usage.total ? (category.bytes / usage.total) * 100 : 0;
+                section.innerHTML = `
+                    <summary class="world-item">
+                        <div class="world-info">
+                            <span class="world-name"></span>
+                            <span class="world-meta"></span>
+                            <div class="disk-usage-bar"><div style="width: ${percent.toFixed(1)}%"></div></div>
+                        </div>
+                        <span class="world-size">${formatBytes(category.bytes)}</span>
+                    </summary>
+                `;
+                section.querySelector('.world-name').textContent = DISK_USAGE_LABELS[name] || name;
+                section.querySelector('.world-meta').textContent = `${category.items.length} item${category.items.length === 1 ? '' : 's'}`;
+
+                category.items.forEach(item => {
+                    const row = document.createElement('div');
+                    row.className = 'disk-usage-item';
+                    row.title = item.path;
+                    row.innerHTML = '<span class="disk-usage-name"></span><span class="world-size"></span>';
+                    row.querySelector('.disk-usage-name').textContent = item.name;
+                    row.querySelector('.world-size').textContent = formatBytes(item.bytes);
+                    section.appendChild(row);
+                });
+                list.appendChild(section);
+            });
+    } catch (e) {
+        list.innerHTML = '';
+        const message = document.createElement('div');
+        message.className = 'no-worlds';
+        message.textContent = 'Failed to measure disk usage: ' + e.message;
+        list.appendChild(message);
+    }
+}
+
 // ==================== Crash Reports Viewer ====================
 async function openCrashReports() {
     const modal = document.getElementById('crashReportsModal');
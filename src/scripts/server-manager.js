@@ -1,8 +1,9 @@
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs-extra');
-const https = require('https');
 const { BrowserWindow } = require('electron');
+const downloadManager = require('./download-manager');
+const mirrors = require('./mirrors');
 
 class ServerManager {
     constructor(baseDir) {
@@ -18,7 +19,7 @@ class ServerManager {
     async downloadServerJar(version, jarPath) {
         try {
             // First, get the version manifest
-            const manifestRes = await fetch('https://piston-meta.mojang.com/mc/game/version_manifest_v2.json');
+            const manifestRes = await mirrors.fetch('https://piston-meta.mojang.com/mc/game/version_manifest_v2.json');
             const manifest = await manifestRes.json();
             
             // Find the specific version
@@ -28,7 +29,7 @@ class ServerManager {
             }
 
             // Get version-specific details
-            const versionDetailsRes = await fetch(versionInfo.url);
+            const versionDetailsRes = await mirrors.fetch(versionInfo.url);
             const versionDetails = await versionDetailsRes.json();
             
             if (!versionDetails.downloads?.server?.url) {
@@ -36,19 +37,13 @@ class ServerManager {
             }
 
             // Download the server jar
-            return new Promise((resolve, reject) => {
-                const file = fs.createWriteStream(jarPath);
-                https.get(versionDetails.downloads.server.url, (response) => {
-                    response.pipe(file);
-                    file.on('finish', () => {
-                        file.close();
-                        resolve(true);
-                    });
-                }).on('error', (err) => {
-                    fs.unlink(jarPath);
-                    reject(err);
-                });
+            const server = versionDetails.downloads.server;
+            await downloadManager.download(server.url, jarPath, {
+                sha1: server.sha1,
+                size: server.size,
+                description: `server ${version}`
             });
+            return true;
         } catch (error) {
             console.error('Failed to download server jar:', error);
             throw error;
@@ -200,6 +195,7 @@ class ServerManager {
                     output.includes('For help, type "help"') ||
                     output.includes('Starting Minecraft server')) {
                     serverStarted = true;
+                    stopWatching();
                     resolve({
                         status: 'running',
                         port: this.getServerPort(name)
@@ -220,6 +216,7 @@ class ServerManager {
             });
             
             server.on('exit', (code) => {
+                stopWatching();
                 this.emitLog(name, 'info', `Server stopped with code ${code}`);
                 this.servers.delete(name);
                 logStream.end();
@@ -258,6 +255,12 @@ class ServerManager {
             
             // Set initial timeout
             let timeoutHandle = setTimeout(onTimeout, startTimeout);
+
+            // The startup watchdog has nothing left to do once the server is up or gone
+            function stopWatching() {
+                clearTimeout(timeoutHandle);
+                clearInterval(progressCheck);
+            }
         });
     }
 
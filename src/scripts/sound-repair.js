@@ -7,22 +7,13 @@
 
 const fs = require('fs-extra');
 const path = require('path');
-const os = require('os');
-const fetch = require('node-fetch');
 const logger = require('./logger');
-
-function getAppDataDir() {
-    switch (os.platform()) {
-        case 'win32': return process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
-        case 'darwin': return path.join(os.homedir(), 'Library', 'Application Support');
-        case 'linux': return process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
-        default: return os.homedir();
-    }
-}
+const mirrors = require('./mirrors');
+const { resolveGameRoot } = require('./game-root');
 
 class SoundRepairUtility {
     constructor(minecraftDir) {
-        this.baseDir = minecraftDir || path.join(getAppDataDir(), '.alrightlauncher');
+        this.baseDir = resolveGameRoot(minecraftDir);
         this.assetsDir = path.join(this.baseDir, 'assets');
         
         // Sound files that are referenced in code but don't actually exist in vanilla Minecraft
@@ -65,7 +56,7 @@ class SoundRepairUtility {
         
         try {
             // Get version manifest
-            const manifestResponse = await fetch('https://piston-meta.mojang.com/mc/game/version_manifest_v2.json');
+            const manifestResponse = await mirrors.fetch('https://piston-meta.mojang.com/mc/game/version_manifest_v2.json');
             const manifest = await manifestResponse.json();
             
             // Find version info
@@ -75,7 +66,7 @@ class SoundRepairUtility {
             }
             
             // Get version details
-            const versionResponse = await fetch(versionInfo.url);
+            const versionResponse = await mirrors.fetch(versionInfo.url);
             const versionData = await versionResponse.json();
             
             // Get asset index
@@ -86,7 +77,7 @@ class SoundRepairUtility {
             // Download asset index if needed
             if (!await fs.pathExists(assetIndexPath)) {
                 logger.info(`Downloading asset index ${assetIndexId}...`);
-                const indexResponse = await fetch(assetIndexUrl);
+                const indexResponse = await mirrors.fetch(assetIndexUrl);
                 const assetIndex = await indexResponse.json();
                 await fs.writeFile(assetIndexPath, JSON.stringify(assetIndex, null, 2));
             }
@@ -137,7 +128,7 @@ class SoundRepairUtility {
                         logger.info(`Downloading missing sound: ${name}`);
                         
                         await fs.ensureDir(path.dirname(objectPath));
-                        const response = await fetch(assetUrl);
+                        const response = await mirrors.fetch(assetUrl);
                         
                         if (!response.ok) {
                             throw new Error(`HTTP error! status: ${response.status}`);
@@ -1,22 +1,14 @@
 const fs = require('fs-extra');
 const path = require('path');
-const os = require('os');
 const logger = require('./logger');
 const MinecraftInstaller = require('./minecraft-installer');
-
-function getAppDataDir() {
-    switch (os.platform()) {
-        case 'win32': return process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
-        case 'darwin': return path.join(os.homedir(), 'Library', 'Application Support');
-        case 'linux': return process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
-        default: return os.homedir();
-    }
-}
+const contentStore = require('./content-store');
+const { resolveGameRoot } = require('./game-root');
 
 class StandaloneCreator {
     constructor(launcherPath) {
         this.requiredSpace = 1024 * 1024 * 1024;
-        this.launcherPath = launcherPath || path.join(getAppDataDir(), '.alrightlauncher');
+        this.launcherPath = resolveGameRoot(launcherPath);
     }
 
     async getInstalledVersions() {
@@ -117,8 +109,8 @@ class StandaloneCreator {
                         }
                     }
                 } else {
-                    // Copy entire folder for assets and libraries
-                    await fs.copy(sourceFolder, targetFolder);
+                    // Assets and libraries are linked through the shared store when one is set up
+                    await contentStore.copyTree(sourceFolder, targetFolder);
                 }
             }
 
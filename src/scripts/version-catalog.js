@@ -0,0 +1,207 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./logger');
+const mirrors = require('./mirrors');
+const { resolveGameRoot } = require('./game-root');
+const { STAGING_DIR, getInstallState } = require('./install-receipt');
+
+const MANIFEST_URL = 'https://piston-meta.mojang.com/mc/game/version_manifest_v2.json';
+
+// How long a cached manifest is used without asking the server whether it changed
+const MANIFEST_TTL = 10 * 60 * 1000;
+
+// Java a vanilla version needs, by the first snapshot that raised it. Only used for
+// versions that aren't installed; installed ones carry javaVersion in their JSON.
+const JAVA_BY_RELEASE_TIME = [
+    { since: '2024-04-03T00:00:00+00:00', java: 21 }, // 24w14a
+    { since: '2021-11-03T00:00:00+00:00', java: 17 }, // 21w44a
+    { since: '2021-05-12T00:00:00+00:00', java: 16 }, // 21w19a
+    { since: '', java: 8 }
+];
+
+// Library group that identifies each mod loader in a version JSON
+const LOADER_LIBRARIES = [
+    { prefix: 'net.fabricmc:fabric-loader:', loader: 'fabric' },
+    { prefix: 'org.quiltmc:quilt-loader:', loader: 'quilt' },
+    { prefix: 'net.neoforged', loader: 'neoforge' },
+    { prefix: 'net.minecraftforge:forge:', loader: 'forge' },
+    { prefix: 'net.minecraftforge:fmlloader:', loader: 'forge' }
+];
+
+function estimateJava(releaseTime) {
+    return JAVA_BY_RELEASE_TIME.find(entry => (releaseTime || '') >= entry.since).java;
+}
+
+function detectLoader(id, versionJson) {
+    for (const library of (versionJson && versionJson.libraries) || []) {
+        const match = LOADER_LIBRARIES.find(entry => (library.name || '').startsWith(entry.prefix));
+        if (match) return match.loader;
+    }
+    // Older loader profiles only give themselves away by name
+    const lower = id.toLowerCase();
+    if (lower.includes('neoforge')) return 'neoforge';
+    if (lower.includes('fabric')) return 'fabric';
+    if (lower.includes('quilt')) return 'quilt';
+    if (lower.includes('forge')) return 'forge';
+    return null;
+}
+
+/**
+ * Version list for the version picker: Mojang's manifest, cached on disk and
+ * revalidated with ETag/Last-Modified once its TTL runs out, merged with what is
+ * installed under versions/ (including mod loader profiles that aren't in the
+ * manifest). When the manifest can't be fetched the cached copy is used, so the
+ * list keeps working offline.
+ */
+class VersionCatalog {
+    constructor(baseDir) {
+        this.baseDir = resolveGameRoot(baseDir);
+        this.versionsDir = path.join(this.baseDir, 'versions');
+        this.cachePath = path.join(this.baseDir, 'cache', 'version_manifest_v2.json');
+    }
+
+    async readCache() {
+        try {
+            const cache = await fs.readJson(this.cachePath);
+            return cache && cache.manifest ? cache : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Version manifest, from the cache while it is fresh
+     * @param {Object} [options]
+     * @param {boolean} [options.offline=false] Never touch the network
+     * @param {boolean} [options.refresh=false] Revalidate even if the cache is fresh
+     * @returns {Promise<{manifest: Object|null, fetchedAt: string|null, stale: boolean}>}
+     *   manifest is null only if it was never fetched; stale is true when the cached
+     *   copy couldn't be revalidated
+     */
+    async getManifest({ offline = false, refresh = false } = {}) {
+        const cache = await this.readCache();
+        const result = (entry, stale) => ({
+            manifest: entry ? entry.manifest : null,
+            fetchedAt: entry ? new Date(entry.fetchedAt).toISOString() : null,
+            stale
+        });
+
+        if (offline) return result(cache, true);
+        if (cache && !refresh && Date.now() - cache.fetchedAt < MANIFEST_TTL) return result(cache, false);
+
+        const headers = { 'Accept': 'application/json' };
+        if (cache && cache.etag) headers['If-None-Match'] = cache.etag;
+        if (cache && cache.lastModified) headers['If-Modified-Since'] = cache.lastModified;
+
+        try {
+            const response = await mirrors.fetch(MANIFEST_URL, { headers, timeout: 15000 });
+
+            if (response.status === 304 && cache) {
+                cache.fetchedAt = Date.now();
+                await fs.outputJson(this.cachePath, cache);
+                return result(cache, false);
+            }
+            if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`);
+
+            const entry = {
+                etag: response.headers.get('etag'),
+                lastModified: response.headers.get('last-modified'),
+                fetchedAt: Date.now(),
+                manifest: await response.json()
+            };
+            await fs.outputJson(this.cachePath, entry);
+            return result(entry, false);
+        } catch (error) {
+            logger.warn(`Could not refresh the version manifest${cache ? ', using the cached copy' : ''}: ${error.message}`);
+            return result(cache, true);
+        }
+    }
+
+    /**
+     * Versions with a folder under versions/ or an interrupted install in staging
+     * @returns {Promise<Object[]>} Catalog entries, see getVersions()
+     */
+    async getLocalVersions() {
+        const ids = new Set();
+        for (const dir of [this.versionsDir, path.join(this.baseDir, STAGING_DIR)]) {
+            if (!await fs.pathExists(dir)) continue;
+            for (const name of await fs.readdir(dir)) {
+                if (!name.endsWith('.previous') && (await fs.stat(path.join(dir, name))).isDirectory()) ids.add(name);
+            }
+        }
+
+        const versions = [];
+        for (const id of ids) {
+            const status = await getInstallState(this.baseDir, id);
+            if (!status) continue;
+
+            let versionJson = null;
+            try {
+                versionJson = await fs.readJson(path.join(this.versionsDir, id, `${id}.json`));
+            } catch { /* partial install */ }
+
+            const javaVersion = versionJson && versionJson.javaVersion;
+            versions.push({
+                id,
+                type: (versionJson && versionJson.type) || 'release',
+                releaseTime: (versionJson && versionJson.releaseTime) || null,
+                java: javaVersion ? javaVersion.majorVersion : null,
+                status,
+                loader: detectLoader(id, versionJson),
+                inheritsFrom: (versionJson && versionJson.inheritsFrom) || null,
+                url: null
+            });
+        }
+        return versions;
+    }
+
+    /**
+     * Every known version, newest first
+     * @param {Object} [options] Passed to getManifest()
+     * @returns {Promise<{versions: Object[], fetchedAt: string|null, stale: boolean, manifestAvailable: boolean}>}
+     *   versions are {id, type, releaseTime, java, status, loader, inheritsFrom, url}:
+     *   type is the manifest type ('release', 'snapshot', 'old_beta', 'old_alpha'),
+     *   status is 'installed', 'partial' or null, loader is 'fabric', 'forge',
+     *   'neoforge', 'quilt' or null
+     */
+    async getVersions(options = {}) {
+        const [{ manifest, fetchedAt, stale }, local] = await Promise.all([
+            this.getManifest(options),
+            this.getLocalVersions()
+        ]);
+        const localById = new Map(local.map(version => [version.id, version]));
+        const manifestById = new Map(((manifest && manifest.versions) || []).map(version => [version.id, version]));
+
+        const versions = ((manifest && manifest.versions) || []).map(version => {
+            const installed = localById.get(version.id);
+            return {
+                id: version.id,
+                type: version.type,
+                releaseTime: version.releaseTime,
+                java: (installed && installed.java) || estimateJava(version.releaseTime),
+                status: installed ? installed.status : null,
+                loader: null,
+                inheritsFrom: null,
+                url: version.url
+            };
+        });
+
+        const known = new Map(versions.map(version => [version.id, version]));
+        for (const version of local) {
+            if (manifestById.has(version.id)) continue;
+            // Loader profiles sort with, and run on the Java of, the version they build on
+            const parent = known.get(version.inheritsFrom) || localById.get(version.inheritsFrom);
+            versions.push({
+                ...version,
+                type: parent ? parent.type : version.type,
+                releaseTime: (parent && parent.releaseTime) || version.releaseTime,
+                java: version.java || (parent && parent.java) || null
+            });
+        }
+
+        versions.sort((a, b) => (b.releaseTime || '').localeCompare(a.releaseTime || '') || a.id.localeCompare(b.id));
+        return { versions, fetchedAt, stale, manifestAvailable: !!manifest };
+    }
+}
+
+module.exports = VersionCatalog;
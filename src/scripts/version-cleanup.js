@@ -0,0 +1,331 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./logger');
+const { resolveGameRoot } = require('./game-root');
+const { STAGING_DIR, readReceipt } = require('./install-receipt');
+
+/**
+ * Library path from Maven coordinates (group:artifact:version[:classifier][@ext])
+ * @param {string} name
+ * @returns {string|null} Path relative to libraries/, with forward slashes
+ */
+function mavenPath(name) {
+    const [coords, extension = 'jar'] = name.split('@');
+    const parts = coords.split(':');
+    if (parts.length < 3) return null;
+    const [group, artifact, version, classifier] = parts;
+    const fileName = `${artifact}-${version}${classifier ? `-${classifier}` : ''}.${extension}`;
+    return `${group.replace(/\./g, '/')}/${artifact}/${version}/${fileName}`;
+}
+
+function toRelative(baseDir, filePath) {
+    return path.relative(baseDir, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Removes installed versions and garbage-collects the libraries, asset objects,
+ * asset indexes and logging configs no remaining version uses.
+ *
+ * A file is kept when any version left under versions/ (or staged in .staging/)
+ * references it: through the libraries of its JSON or of any JSON it inheritsFrom,
+ * through the asset index and logging config it names, or through its install
+ * receipt. Asset objects are only collected when every referenced index is readable,
+ * since an unreadable index could be hiding objects that are still needed.
+ */
+class VersionCleanup {
+    constructor(baseDir) {
+        this.baseDir = resolveGameRoot(baseDir);
+        this.versionsDir = path.join(this.baseDir, 'versions');
+        this.stagingDir = path.join(this.baseDir, STAGING_DIR);
+        this.librariesDir = path.join(this.baseDir, 'libraries');
+        this.assetsDir = path.join(this.baseDir, 'assets');
+        this.checksumDir = path.join(this.baseDir, 'checksums');
+    }
+
+    async readVersionJson(version) {
+        for (const dir of [path.join(this.versionsDir, version), path.join(this.stagingDir, version)]) {
+            try {
+                return await fs.readJson(path.join(dir, `${version}.json`));
+            } catch { /* missing or unreadable */ }
+        }
+        return null;
+    }
+
+    async listVersions() {
+        const ids = new Set();
+        for (const dir of [this.versionsDir, this.stagingDir]) {
+            if (!await fs.pathExists(dir)) continue;
+            for (const name of await fs.readdir(dir)) {
+                if (!name.endsWith('.previous') && (await fs.stat(path.join(dir, name))).isDirectory()) ids.add(name);
+            }
+        }
+        return [...ids];
+    }
+
+    /**
+     * Installed versions whose JSON inherits from a version
+     * @param {string} version
+     * @returns {Promise<string[]>}
+     */
+    async getDependents(version) {
+        const dependents = [];
+        for (const id of await this.listVersions()) {
+            const json = id === version ? null : await this.readVersionJson(id);
+            if (json && json.inheritsFrom === version) dependents.push(id);
+        }
+        return dependents;
+    }
+
+    /**
+     * Everything the given versions need
+     * @param {string[]} versions Version IDs
+     * @returns {Promise<{libraries: Set<string>, files: Set<string>, assetIndexes: Set<string>, logConfigs: Set<string>}>}
+     *   libraries are paths relative to libraries/, files are receipt paths relative to the game root
+     */
+    async collectReferences(versions) {
+        const references = { libraries: new Set(), files: new Set(), assetIndexes: new Set(), logConfigs: new Set() };
+        const visited = new Set();
+
+        const visit = async (version) => {
+            if (!version || visited.has(version)) return;
+            visited.add(version);
+
+            const receipt = await readReceipt(path.join(this.versionsDir, version));
+            for (const file of (receipt && receipt.files) || []) {
+                references.files.add(file.path);
+            }
+
+            const json = await this.readVersionJson(version);
+            if (!json) return;
+
+            for (const library of json.libraries || []) {
+                const downloads = library.downloads || {};
+                if (downloads.artifact && downloads.artifact.path) {
+                    references.libraries.add(downloads.artifact.path);
+                } else if (library.name) {
+                    const libraryPath = mavenPath(library.name);
+                    if (libraryPath) references.libraries.add(libraryPath);
+                }
+                // Natives for every platform, not just this one; they cost little and
+                // a shared game folder may be used from another OS
+                for (const classifier of Object.values(downloads.classifiers || {})) {
+                    if (classifier.path) references.libraries.add(classifier.path);
+                }
+            }
+
+            const assetIndex = (json.assetIndex && json.assetIndex.id) || json.assets;
+            if (assetIndex) references.assetIndexes.add(assetIndex);
+
+            const logging = json.logging && json.logging.client && json.logging.client.file;
+            if (logging && logging.id) references.logConfigs.add(logging.id);
+
+            // Loader profiles run on their parent's libraries and assets
+            await visit(json.inheritsFrom);
+        };
+
+        for (const version of versions) {
+            await visit(version);
+        }
+        return references;
+    }
+
+    async *walk(dir) {
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch {
+            return;
+        }
+        for (const entry of entries) {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                yield* this.walk(entryPath);
+            } else {
+                yield entryPath;
+            }
+        }
+    }
+
+    async sizeOf(target) {
+        try {
+            const stat = await fs.stat(target);
+            if (!stat.isDirectory()) return stat.size;
+        } catch {
+            return 0;
+        }
+        let size = 0;
+        for await (const file of this.walk(target)) {
+            size += (await fs.stat(file)).size;
+        }
+        return size;
+    }
+
+    /**
+     * Unreferenced files, without deleting anything
+     * @param {string[]} [ignore] Versions to treat as already removed
+     * @returns {Promise<Array<{path: string, kind: string, size: number}>>} path is
+     *   relative to the game root; kind is 'library', 'asset', 'asset-index' or 'log-config'
+     */
+    async findGarbage(ignore = []) {
+        const versions = (await this.listVersions()).filter(version => !ignore.includes(version));
+        const references = await this.collectReferences(versions);
+        const garbage = [];
+        const add = async (filePath, kind) => {
+            garbage.push({ path: toRelative(this.baseDir, filePath), kind, size: (await fs.stat(filePath)).size });
+        };
+
+        for await (const file of this.walk(this.librariesDir)) {
+            const relative = toRelative(this.librariesDir, file);
+            if (!references.libraries.has(relative) && !references.files.has(`libraries/${relative}`)) {
+                await add(file, 'library');
+            }
+        }
+
+        const objects = new Set();
+        let objectsKnown = true;
+        for await (const file of this.walk(path.join(this.assetsDir, 'indexes'))) {
+            const id = path.basename(file, '.json');
+            if (!references.assetIndexes.has(id)) {
+                await add(file, 'asset-index');
+            }
+        }
+        for (const id of references.assetIndexes) {
+            try {
+                const index = await fs.readJson(path.join(this.assetsDir, 'indexes', `${id}.json`));
+                for (const object of Object.values(index.objects || {})) {
+                    objects.add(object.hash);
+                }
+            } catch {
+                objectsKnown = false;
+                logger.warn(`Asset index ${id} is missing or unreadable; keeping all asset objects`);
+            }
+        }
+
+        if (objectsKnown) {
+            for await (const file of this.walk(path.join(this.assetsDir, 'objects'))) {
+                const relative = toRelative(this.baseDir, file);
+                if (!objects.has(path.basename(file)) && !references.files.has(relative)) {
+                    await add(file, 'asset');
+                }
+            }
+            // Copies made for pre-1.7 versions that read assets by name
+            for await (const file of this.walk(path.join(this.assetsDir, 'virtual'))) {
+                const id = toRelative(path.join(this.assetsDir, 'virtual'), file).split('/')[0];
+                if (!references.assetIndexes.has(id)) await add(file, 'asset');
+            }
+        }
+
+        for await (const file of this.walk(path.join(this.assetsDir, 'log_configs'))) {
+            if (!references.logConfigs.has(path.basename(file))) await add(file, 'log-config');
+        }
+
+        return garbage;
+    }
+
+    /**
+     * Delete every unreferenced library, asset object, asset index and logging config
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun=false] Only report what would be deleted
+     * @param {string[]} [options.ignore] Versions to treat as already removed
+     * @returns {Promise<Object>} Report, see report()
+     */
+    async collectGarbage({ dryRun = false, ignore = [] } = {}) {
+        const garbage = await this.findGarbage(ignore);
+        if (!dryRun) {
+            for (const file of garbage) {
+                await fs.remove(path.join(this.baseDir, ...file.path.split('/')));
+            }
+            for (const dir of [this.librariesDir, path.join(this.assetsDir, 'objects'), path.join(this.assetsDir, 'virtual')]) {
+                await this.removeEmptyDirs(dir);
+            }
+            logger.info(`Removed ${garbage.length} unreferenced files`);
+        }
+        return this.report(garbage, dryRun);
+    }
+
+    /**
+     * Remove a version (its folder with natives, staged install and checksums), then
+     * collect the files nothing else uses
+     * @param {string} version Version ID
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun=false] Only report what would be deleted
+     * @returns {Promise<Object>} Report, see report(); fails while other installed
+     *   versions inherit from this one
+     */
+    async uninstall(version, { dryRun = false } = {}) {
+        const targets = [
+            path.join(this.versionsDir, version),
+            path.join(this.stagingDir, version),
+            path.join(this.stagingDir, `${version}.previous`),
+            path.join(this.checksumDir, `${version}.json`)
+        ];
+        const existing = [];
+        for (const target of targets) {
+            if (await fs.pathExists(target)) existing.push(target);
+        }
+        if (existing.length === 0) {
+            return { success: false, error: `Version ${version} is not installed` };
+        }
+
+        const dependents = await this.getDependents(version);
+        if (dependents.length > 0) {
+            return { success: false, error: `${version} is required by ${dependents.join(', ')}`, dependents };
+        }
+
+        const removed = [];
+        for (const target of existing) {
+            removed.push({ path: toRelative(this.baseDir, target), kind: 'version', size: await this.sizeOf(target) });
+        }
+        if (!dryRun) {
+            logger.info(`Uninstalling ${version}`);
+            for (const target of existing) {
+                await fs.remove(target);
+            }
+        }
+
+        const garbage = await this.collectGarbage({ dryRun, ignore: [version] });
+        return this.report([...removed, ...garbage.files], dryRun);
+    }
+
+    /**
+     * Summarise removed (or, in a dry run, removable) files
+     * @param {Object[]} files {path, kind, size}
+     * @param {boolean} dryRun
+     * @returns {{success: boolean, dryRun: boolean, bytes: number, counts: Object, files: Object[]}}
+     *   bytes is the total to reclaim; counts[kind] is {files, bytes}
+     */
+    report(files, dryRun) {
+        const counts = {};
+        let bytes = 0;
+        for (const file of files) {
+            counts[file.kind] = counts[file.kind] || { files: 0, bytes: 0 };
+            counts[file.kind].files++;
+            counts[file.kind].bytes += file.size;
+            bytes += file.size;
+        }
+        return { success: true, dryRun, bytes, counts, files };
+    }
+
+    async removeEmptyDirs(dir) {
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch {
+            return false;
+        }
+        let empty = true;
+        for (const entry of entries) {
+            if (!entry.isDirectory() || !await this.removeEmptyDirs(path.join(dir, entry.name))) {
+                empty = false;
+            }
+        }
+        // Leave the top-level folders in place
+        if (empty && ![this.librariesDir, path.join(this.assetsDir, 'objects'), path.join(this.assetsDir, 'virtual')].includes(dir)) {
+            await fs.remove(dir);
+        }
+        return empty;
+    }
+}
+
+module.exports = VersionCleanup;
+module.exports.mavenPath = mavenPath;
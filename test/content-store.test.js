@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { ContentStore } = require('../src/scripts/content-store');
+
+const sha1 = (data) => crypto.createHash('sha1').update(data).digest('hex');
+
+test('a corrupt stored object is removed instead of being placed', async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'content-store-'));
+    t.after(() => fs.remove(dir));
+
+    const data = Buffer.from('library contents');
+    const hash = sha1(data);
+    const source = path.join(dir, 'root-a', 'libraries', 'lib.jar');
+    await fs.outputFile(source, data);
+    assert.strictEqual(await new ContentStore(path.join(dir, 'store')).add(source, hash), 'stored');
+
+    // Damaged on disk while keeping its size, e.g. by another program
+    const store = new ContentStore(path.join(dir, 'store'));
+    await fs.remove(source);
+    await fs.writeFile(store.objectPath(hash), Buffer.alloc(data.length));
+    assert.strictEqual(await store.has(hash, data.length), true);
+
+    const destination = path.join(dir, 'root-b', 'libraries', 'lib.jar');
+    await assert.rejects(store.place(hash, destination), /corrupt/);
+    assert.strictEqual(await fs.pathExists(destination), false);
+    assert.strictEqual(await store.has(hash), false);
+
+    // The next verified file takes its place
+    await fs.outputFile(source, data);
+    assert.strictEqual(await store.add(source, hash), 'stored');
+    await store.place(hash, destination);
+    assert.deepStrictEqual(await fs.readFile(destination), data);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { InsufficientSpaceError, ensureSpace, estimateDownloadSize } = require('../src/scripts/disk-usage');
+
+test('only files missing or of the wrong size count towards a download', async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'disk-usage-'));
+    t.after(() => fs.remove(dir));
+    await fs.writeFile(path.join(dir, 'complete.jar'), Buffer.alloc(10));
+    await fs.writeFile(path.join(dir, 'truncated.jar'), Buffer.alloc(5));
+
+    const bytes = await estimateDownloadSize([
+        { path: path.join(dir, 'complete.jar'), size: 10 },
+        { path: path.join(dir, 'truncated.jar'), size: 20 },
+        { path: path.join(dir, 'missing.jar'), size: 30 },
+        { path: path.join(dir, 'unknown.jar') }
+    ]);
+    assert.strictEqual(bytes, 50);
+});
+
+test('an install larger than the free space is refused', async () => {
+    const space = await ensureSpace(os.tmpdir(), 0, 'nothing');
+    assert.strictEqual(space.ok, true);
+    await assert.rejects(ensureSpace(os.tmpdir(), space.free + 1024 ** 4, 'everything'), InsufficientSpaceError);
+});
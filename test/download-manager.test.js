@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { DownloadManager } = require('../src/scripts/download-manager');
+
+test('a fail-fast set cancels and waits for the other downloads before rejecting', { timeout: 10000 }, async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'download-manager-'));
+    const server = http.createServer((req, res) => {
+        if (req.url === '/missing') {
+            // Fail once the slow download has started writing
+            setTimeout(() => {
+                res.writeHead(404);
+                res.end();
+            }, 100);
+            return;
+        }
+        // Sends a first chunk, then nothing until the client gives up
+        res.writeHead(200, { 'Content-Length': '1048576' });
+        res.write(Buffer.alloc(1024));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(async () => {
+        server.closeAllConnections();
+        server.close();
+        await fs.remove(dir);
+    });
+
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const slow = path.join(dir, 'libraries', 'slow.jar');
+    const manager = new DownloadManager();
+    await assert.rejects(manager.downloadAll([
+        { url: `${base}/slow`, destination: slow, size: 1048576 },
+        { url: `${base}/missing`, destination: path.join(dir, 'libraries', 'missing.jar'), retries: 1 }
+    ]), /HTTP 404/);
+
+    assert.strictEqual(await fs.pathExists(slow), false);
+    assert.strictEqual(await fs.pathExists(`${slow}.part`), false);
+    assert.strictEqual(manager.stats.active, 0);
+});
+
+test('downloads of a set wait at the checkpoint before they start', { timeout: 10000 }, async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'download-manager-'));
+    let requests = 0;
+    const server = http.createServer((req, res) => {
+        requests++;
+        res.end('library');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(async () => {
+        server.close();
+        await fs.remove(dir);
+    });
+
+    // Stands in for a paused install queue job
+    let resume;
+    const gate = new Promise(resolve => { resume = resolve; });
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const items = ['a', 'b', 'c'].map(name => ({ url: `${base}/${name}.jar`, destination: path.join(dir, `${name}.jar`) }));
+    const downloads = new DownloadManager().downloadAll(items, { checkpoint: () => gate });
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.strictEqual(requests, 0);
+
+    resume();
+    const result = await downloads;
+    assert.strictEqual(result.downloaded, 3);
+    assert.strictEqual(requests, 3);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { GameLogParser, GameLogBuffer } = require('../src/scripts/game-log');
+
+function collect(parser) {
+    const entries = [];
+    parser.on('entry', entry => entries.push(entry));
+    return entries;
+}
+
+test('stderr output in the middle of an XML event does not end up in it', () => {
+    const stdout = new GameLogParser('stdout');
+    const stderr = new GameLogParser('stderr');
+    const [stdoutEntries, stderrEntries] = [stdout, stderr].map(collect);
+
+    stdout.write('<log4j:Event logger="net.minecraft.client.Minecraft" timestamp="1700000000000" level="INFO" thread="Render thread">\n');
+    stderr.write('WARNING: A restricted method has been called\n');
+    stdout.write('  <log4j:Message><![CDATA[Setting user: Player]]></log4j:Message>\n</log4j:Event>\n');
+    stdout.end();
+    stderr.end();
+
+    assert.strictEqual(stdoutEntries.length, 1);
+    assert.strictEqual(stdoutEntries[0].message, 'Setting user: Player');
+    assert.strictEqual(stdoutEntries[0].stream, 'stdout');
+    assert.strictEqual(stderrEntries.length, 1);
+    assert.strictEqual(stderrEntries[0].message, 'WARNING: A restricted method has been called');
+    assert.strictEqual(stderrEntries[0].stream, 'stderr');
+});
+
+test('buffered entries are stamped with the time they arrived', () => {
+    const buffer = new GameLogBuffer();
+    const before = Date.now();
+    const stored = buffer.push({ time: '12:00:00', level: 'info', message: 'hello' });
+    assert.strictEqual(stored.id, 1);
+    assert.ok(stored.receivedAt >= before && stored.receivedAt <= Date.now());
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { InstallQueue } = require('../src/scripts/install-queue');
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('a paused job keeps its slot until it reaches its checkpoint', async () => {
+    const queue = new InstallQueue();
+    let finishBatch;
+    const batch = new Promise(resolve => { finishBatch = resolve; });
+    let secondStarted = false;
+
+    const first = queue.enqueue({
+        type: 'java',
+        title: 'Java runtime',
+        run: async (job) => {
+            await batch; // a download set that doesn't check in between
+            await job.checkpoint();
+            return 'first';
+        }
+    });
+    const second = queue.enqueue({
+        type: 'fabric',
+        title: 'Fabric',
+        run: async () => {
+            secondStarted = true;
+            return 'second';
+        }
+    });
+
+    queue.pause(first.id);
+    await settle();
+    assert.strictEqual(secondStarted, false);
+    assert.strictEqual(queue.get(first.id).status, 'paused');
+
+    finishBatch();
+    assert.strictEqual(await second.promise, 'second');
+
+    queue.resume(first.id);
+    assert.strictEqual(await first.promise, 'first');
+});
+
+test('a job resumed before its checkpoint carries on without waiting', async () => {
+    const queue = new InstallQueue();
+    let finishBatch;
+    const batch = new Promise(resolve => { finishBatch = resolve; });
+
+    const job = queue.enqueue({
+        type: 'version',
+        title: '1.20.4',
+        run: async (context) => {
+            await batch;
+            await context.checkpoint();
+            return 'done';
+        }
+    });
+
+    queue.pause(job.id);
+    queue.resume(job.id);
+    assert.strictEqual(queue.get(job.id).status, 'running');
+    finishBatch();
+    assert.strictEqual(await job.promise, 'done');
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { MirrorManager } = require('../src/scripts/mirrors');
+
+test('a failed mirror response is drained before the next mirror is tried', { timeout: 10000 }, async (t) => {
+    const server = http.createServer((req, res) => {
+        if (req.url === '/broken') {
+            res.writeHead(503);
+            res.end('x'.repeat(256 * 1024));
+        } else {
+            res.end('ok');
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    // With a single socket, the second request waits until the first body is read
+    const agent = new http.Agent({ keepAlive: true, maxSockets: 1 });
+    t.after(() => {
+        agent.destroy();
+        server.closeAllConnections();
+        server.close();
+    });
+
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const mirrors = new MirrorManager();
+    mirrors.resolve = () => [
+        { mirror: 'Broken', url: `${base}/broken` },
+        { mirror: 'official', url: `${base}/file` }
+    ];
+
+    const response = await mirrors.fetch('https://libraries.minecraft.net/file', { agent, timeout: 5000 });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(await response.text(), 'ok');
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const AdmZip = require('adm-zip');
+const ModManager = require('../src/scripts/mod-manager');
+
+function fabricJar(name) {
+    const zip = new AdmZip();
+    zip.addFile('fabric.mod.json', Buffer.from(JSON.stringify({ id: 'example', name, version: '1.0.0' })));
+    return zip.toBuffer();
+}
+
+test('mod metadata is reused until the jar changes', async (t) => {
+    const gameDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mod-manager-'));
+    t.after(() => fs.remove(gameDir));
+
+    const jarPath = path.join(gameDir, 'mods', 'example.jar');
+    await fs.outputFile(jarPath, fabricJar('Example'));
+    const mtime = new Date('2024-01-01T00:00:00Z');
+    await fs.utimes(jarPath, mtime, mtime);
+    const manager = new ModManager(gameDir);
+    assert.strictEqual((await manager.getMods())[0].name, 'Example');
+
+    // Same size and mtime: the jar isn't opened again
+    const { size } = await fs.stat(jarPath);
+    await fs.writeFile(jarPath, Buffer.alloc(size));
+    await fs.utimes(jarPath, mtime, mtime);
+    assert.strictEqual((await manager.getMods())[0].name, 'Example');
+
+    // Disabling keeps the metadata under the new name
+    const disabled = await manager.setEnabled('example.jar', false);
+    const [mod] = await manager.getMods();
+    assert.strictEqual(mod.file, disabled);
+    assert.strictEqual(mod.name, 'Example');
+
+    // A changed jar is read again
+    await fs.writeFile(path.join(gameDir, 'mods', disabled), fabricJar('Example Updated'));
+    assert.strictEqual((await manager.getMods())[0].name, 'Example Updated');
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const ProfileManager = require('../src/scripts/profile-manager');
+
+test('a long-lived profile manager picks up profiles written by another one', async (t) => {
+    const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'profile-manager-'));
+    t.after(() => fs.remove(baseDir));
+
+    const shared = new ProfileManager(baseDir);
+    await shared.reloadIfChanged();
+    const loaded = shared.getProfiles();
+
+    // Unchanged on disk: the loaded profiles are kept as they are
+    await shared.reloadIfChanged();
+    assert.strictEqual(shared.getProfiles(), loaded);
+
+    const other = new ProfileManager(baseDir);
+    await other.initialize();
+    // Make sure the write lands on a different mtime on coarse filesystems
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const { id } = await other.createProfile({ type: 'fabric', lastVersionId: 'fabric-loader-0.15.0-1.20.4' });
+
+    await shared.reloadIfChanged();
+    assert.ok(shared.getProfile(id));
+
+    // Its own writes don't count as outside changes
+    const own = await shared.createProfile({ type: 'vanilla', lastVersionId: '1.20.4' });
+    const afterSave = shared.getProfiles();
+    await shared.reloadIfChanged();
+    assert.strictEqual(shared.getProfiles(), afterSave);
+    assert.ok(shared.getProfile(own.id));
+});
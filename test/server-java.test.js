@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Module = require('module');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+// server-manager.js sends its logs to the Electron windows; there are none here
+const loadModule = Module._load;
+Module._load = function (request, ...args) {
+    if (request === 'electron') return { BrowserWindow: { getAllWindows: () => [] } };
+    return loadModule.call(this, request, ...args);
+};
+
+const ServerManager = require('../src/scripts/server-manager');
+const { resolveServerJava } = require('../src/scripts/launch-config');
+
+// Stands in for java: prints the line the server manager waits for, exits on "stop"
+const FAKE_JAVA = '#!/bin/sh\necho \'Done (0.1s)! For help, type "help"\'\nread command\nexit 0\n';
+
+async function createServer(baseDir, name, version) {
+    const serverPath = path.join(baseDir, 'servers', name);
+    await fs.outputJson(path.join(serverPath, 'server-config.json'), { version, memory: 512 });
+    await fs.writeFile(path.join(serverPath, 'server.jar'), '');
+    return serverPath;
+}
+
+function fakeLauncher({ findJavaPath, describe = async () => null, versionJson = null }) {
+    return {
+        findJavaPath,
+        readVersionJson: () => versionJson,
+        getRequiredJavaVersion: (json) => ({ type: 'modern', version: json.javaVersion.majorVersion, component: json.javaVersion.component }),
+        javaRegistry: { describe }
+    };
+}
+
+test('a server starts with the Java the asynchronous lookup resolves', { skip: process.platform === 'win32' }, async (t) => {
+    const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'server-java-'));
+    t.after(() => fs.remove(baseDir));
+
+    const javaPath = path.join(baseDir, 'java');
+    await fs.writeFile(javaPath, FAKE_JAVA, { mode: 0o755 });
+    await createServer(baseDir, 'survival', '1.20.4');
+
+    const requested = [];
+    const launcher = fakeLauncher({
+        findJavaPath: async (req) => {
+            requested.push(req.version);
+            return javaPath;
+        }
+    });
+
+    const resolved = await resolveServerJava(launcher, '1.20.4');
+    assert.deepStrictEqual(resolved, { javaPath, warning: null });
+    assert.deepStrictEqual(requested, [17]);
+
+    const serverManager = new ServerManager(baseDir);
+    const result = await serverManager.startServer('survival', 512, resolved.javaPath);
+    assert.strictEqual(result.status, 'running');
+
+    const exited = new Promise(resolve => serverManager.servers.get('survival').on('exit', resolve));
+    assert.strictEqual(serverManager.stopServer('survival'), true);
+    assert.strictEqual(await exited, 0);
+});
+
+test('a server asks for the Java its version requires', async () => {
+    const requestsFor = async (version, versionJson = null) => {
+        const requested = [];
+        await resolveServerJava(fakeLauncher({
+            versionJson,
+            findJavaPath: async (req) => {
+                requested.push(req);
+                return '/usr/bin/java';
+            }
+        }), version);
+        return requested.map(req => req.version);
+    };
+
+    assert.deepStrictEqual(await requestsFor('1.12.2'), [8]);
+    assert.deepStrictEqual(await requestsFor('1.16.5'), [8]);
+    assert.deepStrictEqual(await requestsFor('1.17.1'), [16]);
+    assert.deepStrictEqual(await requestsFor('1.20.4'), [17]);
+    assert.deepStrictEqual(await requestsFor('1.20.5'), [21]);
+    assert.deepStrictEqual(await requestsFor('1.21'), [21]);
+    // An installed version JSON wins over the release number
+    assert.deepStrictEqual(await requestsFor('1.20.4', { javaVersion: { component: 'java-runtime-gamma', majorVersion: 18 } }), [18]);
+});
+
+test('a failed Java lookup falls back to the next candidate, then to java on PATH', async () => {
+    const requested = [];
+    const launcher = fakeLauncher({
+        findJavaPath: async (req) => {
+            requested.push(req.version);
+            if (req.version === 21) return '/opt/java21/bin/java';
+            throw new Error(`Could not find Java ${req.version}+`);
+        }
+    });
+    assert.deepStrictEqual(await resolveServerJava(launcher, '24w14a'), { javaPath: '/opt/java21/bin/java', warning: null });
+    assert.deepStrictEqual(requested, [25, 21]);
+
+    const nothing = fakeLauncher({ findJavaPath: () => Promise.reject(new Error('no Java')) });
+    assert.deepStrictEqual(await resolveServerJava(nothing, '1.20.4'), { javaPath: 'java', warning: null });
+});
+
+test('a configured Java is used for servers and warned about like a game launch', async () => {
+    const launcher = fakeLauncher({
+        findJavaPath: async () => assert.fail('the configured Java must not be replaced'),
+        describe: async () => null
+    });
+    const resolved = await resolveServerJava(launcher, '1.20.4', '/opt/broken/bin/java');
+    assert.strictEqual(resolved.javaPath, '/opt/broken/bin/java');
+    assert.strictEqual(resolved.warning, 'Java at /opt/broken/bin/java could not be run');
+});
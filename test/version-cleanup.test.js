@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const VersionCleanup = require('../src/scripts/version-cleanup');
+const { InstallReceipt, RECEIPT_FILE } = require('../src/scripts/install-receipt');
+
+async function makeGameRoot(t) {
+    const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'version-cleanup-'));
+    t.after(() => fs.remove(baseDir));
+    return baseDir;
+}
+
+async function writeVersion(baseDir, id, json) {
+    await fs.outputJson(path.join(baseDir, 'versions', id, `${id}.json`), { id, ...json });
+}
+
+async function writeFile(baseDir, relative) {
+    const filePath = path.join(baseDir, ...relative.split('/'));
+    await fs.outputFile(filePath, relative);
+    return filePath;
+}
+
+const artifact = (libraryPath) => ({ downloads: { artifact: { path: libraryPath } } });
+
+test('a Fabric version keeps the libraries of the version it inherits from', async (t) => {
+    const baseDir = await makeGameRoot(t);
+    await writeVersion(baseDir, '1.20.4', { libraries: [artifact('com/mojang/brigadier/1.2.9/brigadier-1.2.9.jar')] });
+    await writeVersion(baseDir, 'fabric-loader-0.15.0-1.20.4', {
+        inheritsFrom: '1.20.4',
+        libraries: [{ name: 'net.fabricmc:fabric-loader:0.15.0' }]
+    });
+    await writeFile(baseDir, 'libraries/com/mojang/brigadier/1.2.9/brigadier-1.2.9.jar');
+    await writeFile(baseDir, 'libraries/net/fabricmc/fabric-loader/0.15.0/fabric-loader-0.15.0.jar');
+    await writeFile(baseDir, 'libraries/org/unused/old/1.0/old-1.0.jar');
+
+    // Even with the vanilla version treated as removed, the Fabric version still runs on its libraries
+    const garbage = await new VersionCleanup(baseDir).findGarbage(['1.20.4']);
+    assert.deepStrictEqual(garbage.map(file => file.path), ['libraries/org/unused/old/1.0/old-1.0.jar']);
+});
+
+test('Forge processor outputs are kept through the install receipt', async (t) => {
+    const baseDir = await makeGameRoot(t);
+    const id = '1.20.1-forge-47.2.0';
+    await writeVersion(baseDir, id, { inheritsFrom: '1.20.1', libraries: [] });
+    // Written by the installer's processors, so no version JSON lists them
+    const output = await writeFile(baseDir, 'libraries/net/minecraft/client/1.20.1-20230612.114412/client-1.20.1-20230612.114412-srg.jar');
+    await writeFile(baseDir, 'libraries/net/minecraft/client/1.19.2-20220805.130853/client-1.19.2-20220805.130853-srg.jar');
+
+    const receipt = new InstallReceipt(baseDir, id);
+    receipt.add(output, { size: (await fs.stat(output)).size });
+    await fs.writeJson(path.join(baseDir, 'versions', id, RECEIPT_FILE), receipt.toJSON());
+
+    const garbage = await new VersionCleanup(baseDir).findGarbage();
+    assert.deepStrictEqual(garbage.map(file => file.path), [
+        'libraries/net/minecraft/client/1.19.2-20220805.130853/client-1.19.2-20220805.130853-srg.jar'
+    ]);
+});
+
+test('asset objects are all kept while a referenced index is unreadable', async (t) => {
+    const baseDir = await makeGameRoot(t);
+    await writeVersion(baseDir, '1.20.4', { assetIndex: { id: '12' }, libraries: [] });
+    await writeVersion(baseDir, '1.12.2', { assetIndex: { id: '1.12' }, libraries: [] });
+    await fs.outputJson(path.join(baseDir, 'assets', 'indexes', '12.json'), {
+        objects: { 'minecraft/sounds/click.ogg': { hash: 'aa11', size: 4 } }
+    });
+    await fs.outputFile(path.join(baseDir, 'assets', 'indexes', '1.12.json'), '{ truncated');
+    await writeFile(baseDir, 'assets/objects/aa/aa11');
+    await writeFile(baseDir, 'assets/objects/bb/bb22');
+
+    const garbage = await new VersionCleanup(baseDir).findGarbage();
+    assert.deepStrictEqual(garbage.filter(file => file.kind === 'asset'), []);
+
+    // Once the index reads again, the object nothing lists is collected
+    await fs.outputJson(path.join(baseDir, 'assets', 'indexes', '1.12.json'), { objects: {} });
+    const collected = await new VersionCleanup(baseDir).findGarbage();
+    assert.deepStrictEqual(collected.map(file => file.path), ['assets/objects/bb/bb22']);
+});
+
+test('a dry run reports the garbage without deleting it', async (t) => {
+    const baseDir = await makeGameRoot(t);
+    await writeVersion(baseDir, '1.20.4', { libraries: [] });
+    const unused = await writeFile(baseDir, 'libraries/org/unused/old/1.0/old-1.0.jar');
+
+    const cleanup = new VersionCleanup(baseDir);
+    const dryRun = await cleanup.collectGarbage({ dryRun: true });
+    assert.strictEqual(dryRun.dryRun, true);
+    assert.strictEqual(dryRun.counts.library.files, 1);
+    assert.strictEqual(dryRun.bytes, (await fs.stat(unused)).size);
+    assert.strictEqual(await fs.pathExists(unused), true);
+
+    const uninstall = await cleanup.uninstall('1.20.4', { dryRun: true });
+    assert.strictEqual(uninstall.success, true);
+    assert.strictEqual(uninstall.counts.version.files, 1);
+    assert.strictEqual(await fs.pathExists(path.join(baseDir, 'versions', '1.20.4')), true);
+    assert.strictEqual(await fs.pathExists(unused), true);
+
+    await cleanup.collectGarbage();
+    assert.strictEqual(await fs.pathExists(unused), false);
+    assert.strictEqual(await fs.pathExists(path.join(baseDir, 'libraries')), true);
+});
+
+test('a version is not uninstalled while other versions inherit from it', async (t) => {
+    const baseDir = await makeGameRoot(t);
+    const library = 'com/mojang/brigadier/1.2.9/brigadier-1.2.9.jar';
+    await writeVersion(baseDir, '1.20.4', { libraries: [artifact(library)] });
+    await writeVersion(baseDir, 'fabric-loader-0.15.0-1.20.4', { inheritsFrom: '1.20.4', libraries: [] });
+    const libraryPath = await writeFile(baseDir, `libraries/${library}`);
+
+    const cleanup = new VersionCleanup(baseDir);
+    const refused = await cleanup.uninstall('1.20.4');
+    assert.strictEqual(refused.success, false);
+    assert.deepStrictEqual(refused.dependents, ['fabric-loader-0.15.0-1.20.4']);
+    assert.strictEqual(await fs.pathExists(path.join(baseDir, 'versions', '1.20.4')), true);
+    assert.strictEqual(await fs.pathExists(libraryPath), true);
+
+    // Removing the dependent first frees the parent
+    assert.strictEqual((await cleanup.uninstall('fabric-loader-0.15.0-1.20.4')).success, true);
+    assert.strictEqual(await fs.pathExists(libraryPath), true);
+    assert.strictEqual((await cleanup.uninstall('1.20.4')).success, true);
+    assert.strictEqual(await fs.pathExists(libraryPath), false);
+});